@@ -5,6 +5,7 @@
 const HTTP_STATUS = {
     OK: 200,
     CREATED: 201,
+    ACCEPTED: 202,
     NO_CONTENT: 204,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
@@ -12,6 +13,7 @@ const HTTP_STATUS = {
     NOT_FOUND: 404,
     CONFLICT: 409,
     UNPROCESSABLE_ENTITY: 422,
+    PRECONDITION_REQUIRED: 428,
     INTERNAL_SERVER_ERROR: 500
 };
 
@@ -26,6 +28,44 @@ const STATUS = {
     FAILED: 'failed'
 };
 
+// Background Job Status
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Background Job Types
+const JOB_TYPES = {
+    DOCUMENT_UPLOAD: 'document_upload',
+    DOCUMENT_OCR: 'document_ocr',
+    BULK_OPERATION: 'bulk_operation'
+};
+
+// Bulk document operations (POST /api/documents/bulk)
+const BULK_ACTIONS = {
+    DELETE: 'delete',
+    RESTORE: 'restore',
+    SET_INDEX_VALUES: 'set_index_values',
+    OCR: 'ocr',
+    MOVE_PROJECT: 'move_project',
+    ADD_TAGS: 'add_tags',
+    EXPORT: 'export', // One combined PDF, downloaded from the job
+    PII_SCAN: 'pii_scan' // Look for personal data in the page text again
+};
+
+const BULK_ITEM_STATUS = {
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    SKIPPED: 'skipped' // Nothing to do, e.g. restoring a document that is not deleted
+};
+
+const BULK_CONFIG = {
+    MAX_DOCUMENTS: 1000
+};
+
 // Audit Actions
 const AUDIT_ACTIONS = {
     CREATE: 'create',
@@ -39,7 +79,16 @@ const AUDIT_ACTIONS = {
     OCR: 'ocr_process',
     SEARCH: 'search',
     EXPORT: 'export',
-    IMPORT: 'import'
+    IMPORT: 'import',
+    REINDEX: 'reindex',
+    RESTORE: 'restore',
+    PURGE: 'purge',
+    DESTROY: 'destroy', // Retention disposition (certificate of destruction)
+    LEGAL_HOLD: 'legal_hold',
+    LEGAL_HOLD_RELEASE: 'legal_hold_release',
+    MOVE: 'move', // Folder change
+    BULK_OPERATION: 'bulk_operation', // One entry per bulk job
+    REDACT: 'redact' // Redaction applied to a page
 };
 
 // User Permissions
@@ -67,6 +116,7 @@ const PERMISSIONS = {
     DOCUMENT_EDIT: 'document_edit',
     DOCUMENT_DELETE: 'document_delete',
     DOCUMENT_VIEW: 'document_view',
+    DOCUMENT_PURGE: 'document_purge', // Permanently remove items from the recycle bin
 
     // Document Operations
     DOCUMENT_UPLOAD: 'document_upload',
@@ -75,6 +125,8 @@ const PERMISSIONS = {
     DOCUMENT_PRINT: 'document_print',
     DOCUMENT_EMAIL: 'document_email',
     DOCUMENT_ANNOTATE: 'document_annotate',
+    DOCUMENT_REDACT: 'document_redact', // Request redactions
+    DOCUMENT_REDACT_APPROVE: 'document_redact_approve', // Review and apply redactions requested by others
     DOCUMENT_OCR: 'document_ocr',
 
     // Page Operations
@@ -93,6 +145,8 @@ const PERMISSIONS = {
     ADMIN_ACCESS: 'admin_access',
     SYSTEM_CONFIG: 'system_config',
     AUDIT_VIEW: 'audit_view',
+    RETENTION_MANAGE: 'retention_manage', // Retention policies and disposition review
+    LEGAL_HOLD_MANAGE: 'legal_hold_manage',
     BACKUP_CREATE: 'backup_create',
     BACKUP_RESTORE: 'backup_restore',
 
@@ -129,6 +183,193 @@ const MAX_FILE_SIZES = {
     DEFAULT: 25 * 1024 * 1024   // 25MB default
 };
 
+// Native PDF text layer
+const NATIVE_TEXT_CONFIG = {
+    MIN_PAGE_CHARS: 20,         // Fewer characters than this and the page is treated as scanned
+    CONFIDENCE: 100
+};
+
+// PDF Export
+const PDF_EXPORT_CONFIG = {
+    DEFAULT_DPI: 150,           // Used when the page image has no density metadata
+    PRODUCER: 'DMS PDF Export',
+    ICC_DESCRIPTION: 'sRGB IEC61966-2.1'
+};
+
+// Page thumbnails (JPEG, fitted inside the box)
+const THUMBNAIL_CONFIG = {
+    width: 200,
+    height: 280,
+    fit: 'inside',
+    withoutEnlargement: true,
+    background: { r: 255, g: 255, b: 255, alpha: 1 },
+    quality: 80
+};
+
+// Page image transforms (applied in the order given)
+const PAGE_TRANSFORMS = {
+    ROTATE: 'rotate',           // By 90, 180 or 270 degrees clockwise
+    DESKEW: 'deskew',           // Straighten text lines detected in the image
+    CROP: 'crop',               // To a pixel rectangle
+    AUTO_CROP: 'auto_crop',     // Trim borders matching the corner colour
+    DESPECKLE: 'despeckle',     // Median filter
+    BINARIZE: 'binarize',       // Black and white at a grey threshold
+    NORMALIZE: 'normalize'      // Resample to a resolution and/or convert to a colour mode
+};
+
+const PAGE_TRANSFORM_CONFIG = {
+    MAX_HISTORY: 10,            // Previous images kept per page (oldest dropped first)
+    DESKEW_MAX_ANGLE: 10,       // Degrees searched either way
+    DESKEW_STEP: 0.25,
+    DESKEW_SAMPLE_WIDTH: 800,   // Images are scaled down to this width to detect skew
+    DESKEW_MIN_ANGLE: 0.1,      // Smaller detected skew is left alone
+    AUTO_CROP_THRESHOLD: 10,
+    DESPECKLE_SIZE: 3,
+    BINARIZE_THRESHOLD: 128
+};
+
+// Ingest clean-up pipeline, configured per project and run on each page image as it is added
+const INGEST_BLANK_ACTIONS = {
+    OFF: 'off',                 // No blank page detection
+    FLAG: 'flag',               // Keep the page, marked for review
+    DROP: 'drop'                // Move the page to the recycle bin (restorable), marked for review
+};
+
+const INGEST_COLOR_MODES = {
+    KEEP: 'keep',
+    GRAYSCALE: 'grayscale',
+    BILEVEL: 'bilevel'
+};
+
+// Settings of projects that have not configured the pipeline
+const INGEST_DEFAULTS = {
+    enabled: false,
+    blank_page_action: INGEST_BLANK_ACTIONS.FLAG,
+    blank_threshold: 0.0003,    // Share of dark pixels below which a page counts as blank (a line of text is ~0.0005)
+    auto_rotate: true,
+    target_dpi: null,           // null = keep the scan resolution
+    color_mode: INGEST_COLOR_MODES.KEEP
+};
+
+const INGEST_CONFIG = {
+    SAMPLE_SIZE: 800,           // Pages are analysed scaled down to fit this square
+    MARGIN: 0.05,               // Share of each edge ignored when measuring ink (scanner borders, punch holes)
+    ORIENTATION_MIN_CONFIDENCE: 0.2,
+    ORIENTATION_MIN_LINES: 3,   // Fewer text lines (or columns of ink) and orientation is not judged
+    MIN_DPI: 72,
+    MAX_DPI: 600
+};
+
+// Page annotations. Coordinates are fractions (0-1) of the page image's width and height from its
+// top-left corner; stroke widths and font sizes are in points (1/72 inch) at the image's resolution
+const ANNOTATION_TYPES = {
+    HIGHLIGHT: 'highlight',     // rects: [{ x, y, width, height }] (one per line of text)
+    RECTANGLE: 'rectangle',     // x, y, width, height
+    INK: 'ink',                 // paths: [[[x, y], ...], ...] freehand strokes
+    NOTE: 'note',               // x, y of the sticky note; content is its text
+    TEXT: 'text',               // x, y, width, height of the text box; content is its text
+    ARROW: 'arrow',             // x1, y1 (tail) to x2, y2 (head)
+    STAMP: 'stamp'              // x, y, width, height; content is one of ANNOTATION_STAMPS
+};
+
+const ANNOTATION_VISIBILITY = {
+    PRIVATE: 'private',         // Only its author sees it
+    SHARED: 'shared'            // Everyone with access to the document
+};
+
+const ANNOTATION_STAMPS = {
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    REVIEWED: 'reviewed',
+    CONFIDENTIAL: 'confidential',
+    DRAFT: 'draft'
+};
+
+const ANNOTATION_CONFIG = {
+    MAX_PER_PAGE: 500,
+    MAX_INK_POINTS: 5000,       // Over all strokes of one ink annotation
+    MAX_CONTENT_LENGTH: 2000,
+    NOTE_WIDTH: 160,            // Burned-in sticky notes, in points
+    // Style of annotations that do not set their own
+    DEFAULT_STYLES: {
+        highlight: { color: '#ffeb3b', opacity: 0.4 },
+        rectangle: { color: '#e53935', stroke_width: 2 },
+        ink: { color: '#1e88e5', stroke_width: 2 },
+        note: { color: '#fff59d', font_size: 9 },
+        text: { color: '#212121', font_size: 11 },
+        arrow: { color: '#e53935', stroke_width: 2 },
+        stamp: { color: null, stroke_width: 3 } // null: the stamp's own colour
+    },
+    STAMP_COLORS: {
+        approved: '#2e7d32',
+        rejected: '#c62828',
+        reviewed: '#1565c0',
+        confidential: '#c62828',
+        draft: '#757575'
+    }
+};
+
+// Page redactions. Regions are boxes in the same page-relative coordinates as annotations
+const REDACTION_STATUS = {
+    PENDING: 'pending',         // Requested, waiting for review
+    APPLIED: 'applied',         // Approved and burned into the page
+    REJECTED: 'rejected',
+    WITHDRAWN: 'withdrawn'      // Taken back by the requester before review
+};
+
+const REDACTION_REASONS = {
+    PERSONAL_DATA: 'personal_data',     // Names, addresses, identification numbers
+    FINANCIAL: 'financial',             // Salaries, account and card numbers
+    HEALTH: 'health',
+    LEGAL_PRIVILEGE: 'legal_privilege',
+    COMMERCIAL: 'commercial',           // Trade secrets, pricing, contract terms
+    SECURITY: 'security',
+    OTHER: 'other'                      // Needs a note
+};
+
+// How the text of a redacted page was cleaned
+const REDACTION_TEXT_ACTIONS = {
+    WORDS_REMOVED: 'words_removed',     // Covered words taken out using the stored word positions
+    OCR: 'ocr',                         // No word positions: OCR re-run on the redacted image
+    CLEARED: 'cleared'                  // OCR failed: the page text was dropped
+};
+
+const REDACTION_CONFIG = {
+    MAX_REGIONS: 200,                   // Per redaction
+    MAX_NOTE_LENGTH: 1000,
+    RECLAIM_PAGES: 2000                 // Free database pages given back after applying a redaction (~8 MB)
+};
+
+// Personal data found in page text. Findings keep a masked value only, never the data itself
+const PII_TYPES = {
+    SSN: 'ssn',                         // US social security number
+    CREDIT_CARD: 'credit_card',         // Luhn-checked card number
+    IBAN: 'iban',                       // Checksum-verified international bank account number
+    PHONE: 'phone',
+    EMAIL: 'email',
+    DATE_OF_BIRTH: 'date_of_birth',     // A date introduced as a birth date
+    CUSTOM: 'custom'                    // Matched by one of the project's own rules
+};
+
+const PII_FINDING_STATUS = {
+    OPEN: 'open',
+    DISMISSED: 'dismissed',                     // Reviewed and judged not sensitive
+    REDACTION_REQUESTED: 'redaction_requested'  // A redaction of its regions is pending
+};
+
+// Redaction reason suggested for each kind of finding
+const PII_REDACTION_REASONS = {
+    [PII_TYPES.CREDIT_CARD]: REDACTION_REASONS.FINANCIAL,
+    [PII_TYPES.IBAN]: REDACTION_REASONS.FINANCIAL
+};
+
+const PII_CONFIG = {
+    MAX_RULES_PER_PROJECT: 50,
+    MAX_PATTERN_LENGTH: 500,
+    MAX_FINDINGS_PER_PAGE: 200,
+    REGION_PADDING: 0.002               // Added around suggested regions, as a share of the page size
+};
+
 // OCR Languages
 const OCR_LANGUAGES = {
     ENG: 'eng',
@@ -179,6 +420,106 @@ const SEARCH_TYPES = {
     FUZZY: 'fuzzy'
 };
 
+// Search result facets (plus per-field facets for dropdown and checkbox fields)
+const SEARCH_FACETS = ['project', 'document_type', 'created_by', 'created_month', 'ocr_status'];
+
+// Search result ordering
+const SEARCH_SORT = {
+    RELEVANCE: 'relevance',
+    NEWEST: 'newest',
+    OLDEST: 'oldest',
+    TITLE: 'title'
+};
+
+// Document version change types
+const VERSION_CHANGE_TYPES = {
+    CREATED: 'created',
+    PAGES_ADDED: 'pages_added',
+    PAGES_REORDERED: 'pages_reordered',
+    PAGE_DELETED: 'page_deleted',
+    FIELDS_UPDATED: 'fields_updated',
+    PAGE_RESTORED: 'page_restored',
+    ROLLBACK: 'rollback',
+    MOVED: 'moved', // To another project
+    SPLIT: 'split',
+    MERGED: 'merged',
+    PAGE_TRANSFORMED: 'page_transformed', // Page image rotated, cropped, cleaned up or undone
+    PAGE_REDACTED: 'page_redacted'
+};
+
+// Document relations ("source <type> target"); bidirectional relations are also listed on the
+// target, under the inverse name
+const RELATION_TYPES = {
+    AMENDS: 'amends',
+    SUPERSEDES: 'supersedes',
+    ATTACHMENT_OF: 'attachment_of',
+    RELATED: 'related'
+};
+
+const RELATION_INVERSES = {
+    amends: 'amended_by',
+    supersedes: 'superseded_by',
+    attachment_of: 'has_attachment',
+    related: 'related'
+};
+
+// Document check-out locks
+const LOCK_CONFIG = {
+    DEFAULT_DURATION_MINUTES: 60,
+    MAX_DURATION_MINUTES: 8 * 60
+};
+
+// Records retention
+const RETENTION_UNITS = {
+    DAYS: 'days',
+    MONTHS: 'months',
+    YEARS: 'years'
+};
+
+const DISPOSITION_STATUS = {
+    PENDING: 'pending',
+    DESTROYED: 'destroyed',
+    RETAINED: 'retained'
+};
+
+const LEGAL_HOLD_STATUS = {
+    ACTIVE: 'active',
+    RELEASED: 'released'
+};
+
+// Search history
+const SEARCH_HISTORY_CONFIG = {
+    MAX_ENTRIES: 100 // Oldest entries beyond this are dropped per user
+};
+
+// Saved search alert email delivery
+const ALERT_FREQUENCY = {
+    IMMEDIATE: 'immediate',
+    HOURLY: 'hourly',
+    DAILY: 'daily'
+};
+
+const ALERT_CONFIG = {
+    QUEUE_BATCH_SIZE: 200, // Queued pages evaluated per pass
+    MAX_MATCHES: 500, // Matching pages considered per subscription per pass
+    DIGEST_INTERVALS: {
+        hourly: 60 * 60 * 1000,
+        daily: 24 * 60 * 60 * 1000
+    }
+};
+
+// Notifications
+const NOTIFICATION_TYPES = {
+    SEARCH_ALERT: 'search_alert'
+};
+
+const EMAIL_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
 // Rate Limiting
 const RATE_LIMITS = {
     AUTH: {
@@ -344,15 +685,55 @@ const ENV_DEFAULTS = {
 module.exports = {
     HTTP_STATUS,
     STATUS,
+    JOB_STATUS,
+    JOB_TYPES,
+    BULK_ACTIONS,
+    BULK_ITEM_STATUS,
+    BULK_CONFIG,
     AUDIT_ACTIONS,
     PERMISSIONS,
     FILE_TYPES,
     ALLOWED_EXTENSIONS,
     MAX_FILE_SIZES,
+    NATIVE_TEXT_CONFIG,
+    PDF_EXPORT_CONFIG,
+    THUMBNAIL_CONFIG,
+    PAGE_TRANSFORMS,
+    PAGE_TRANSFORM_CONFIG,
+    INGEST_BLANK_ACTIONS,
+    INGEST_COLOR_MODES,
+    INGEST_DEFAULTS,
+    INGEST_CONFIG,
+    ANNOTATION_TYPES,
+    ANNOTATION_VISIBILITY,
+    ANNOTATION_STAMPS,
+    ANNOTATION_CONFIG,
+    REDACTION_STATUS,
+    REDACTION_REASONS,
+    REDACTION_TEXT_ACTIONS,
+    REDACTION_CONFIG,
+    PII_TYPES,
+    PII_FINDING_STATUS,
+    PII_REDACTION_REASONS,
+    PII_CONFIG,
     OCR_LANGUAGES,
     PROJECT_TYPES,
     FIELD_TYPES,
+    VERSION_CHANGE_TYPES,
+    RELATION_TYPES,
+    RELATION_INVERSES,
+    LOCK_CONFIG,
+    RETENTION_UNITS,
+    DISPOSITION_STATUS,
+    LEGAL_HOLD_STATUS,
     SEARCH_TYPES,
+    SEARCH_FACETS,
+    SEARCH_SORT,
+    SEARCH_HISTORY_CONFIG,
+    ALERT_FREQUENCY,
+    ALERT_CONFIG,
+    NOTIFICATION_TYPES,
+    EMAIL_STATUS,
     RATE_LIMITS,
     JWT_CONFIG,
     DATABASE_CONFIG,
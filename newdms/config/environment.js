@@ -54,6 +54,16 @@ function validateEnvironment() {
         errors.push('BCRYPT_ROUNDS must be between 8 and 15');
     }
     
+    // Validate OCR pool size
+    if (OCR_MAX_WORKERS < 1 || OCR_MAX_WORKERS > 16) {
+        errors.push('OCR_MAX_WORKERS must be between 1 and 16');
+    }
+    
+    // Validate job workers
+    if (JOB_WORKERS < 1 || JOB_WORKERS > 16) {
+        errors.push('JOB_WORKERS must be between 1 and 16');
+    }
+    
     // Validate file size
     if (MAX_FILE_SIZE < 1024 * 1024) {  // 1MB minimum
         errors.push('MAX_FILE_SIZE must be at least 1MB');
@@ -103,6 +113,25 @@ const ENABLE_ERROR_LOGGING = getEnvVar('ENABLE_ERROR_LOGGING', true, 'boolean');
 const OCR_DEFAULT_LANGUAGE = getEnvVar('OCR_DEFAULT_LANGUAGE', 'eng');
 const OCR_TIMEOUT = getEnvVar('OCR_TIMEOUT', 60000, 'number'); // 60 seconds
 const ENABLE_OCR = getEnvVar('ENABLE_OCR', true, 'boolean');
+const OCR_MAX_WORKERS = getEnvVar('OCR_MAX_WORKERS', 2, 'number'); // Tesseract worker pool size
+const OCR_LANG_PATH = getEnvVar('OCR_LANG_PATH', ''); // Local traineddata directory or mirror URL (empty = tesseract.js default)
+const OCR_CACHE_PATH = path.resolve(getEnvVar('OCR_CACHE_PATH', './data/tessdata'));
+
+// Background Job Configuration
+const JOB_WORKERS = getEnvVar('JOB_WORKERS', 1, 'number'); // Jobs processed concurrently
+const JOB_POLL_INTERVAL = getEnvVar('JOB_POLL_INTERVAL', 2000, 'number'); // 2 seconds
+const JOB_MAX_ATTEMPTS = getEnvVar('JOB_MAX_ATTEMPTS', 3, 'number');
+const JOB_RETRY_DELAY = getEnvVar('JOB_RETRY_DELAY', 10000, 'number'); // Base backoff, doubled per attempt
+
+// Saved Search Alerts
+const ALERT_POLL_INTERVAL = getEnvVar('ALERT_POLL_INTERVAL', 30000, 'number'); // 30 seconds
+
+// Recycle Bin
+const RECYCLE_BIN_RETENTION_DAYS = getEnvVar('RECYCLE_BIN_RETENTION_DAYS', 0, 'number'); // Auto-purge deleted items after N days (0 = never)
+const RECYCLE_BIN_PURGE_INTERVAL = getEnvVar('RECYCLE_BIN_PURGE_INTERVAL', 3600000, 'number'); // 1 hour
+
+// Records Retention
+const RETENTION_CHECK_INTERVAL = getEnvVar('RETENTION_CHECK_INTERVAL', 86400000, 'number'); // 24 hours
 
 // Performance Configuration
 const ENABLE_GZIP = getEnvVar('ENABLE_GZIP', true, 'boolean');
@@ -121,6 +150,7 @@ const SMTP_PORT = getEnvVar('SMTP_PORT', 587, 'number');
 const SMTP_USER = getEnvVar('SMTP_USER', '');
 const SMTP_PASS = getEnvVar('SMTP_PASS', '');
 const SMTP_SECURE = getEnvVar('SMTP_SECURE', false, 'boolean');
+const SMTP_FROM = getEnvVar('SMTP_FROM', SMTP_USER || 'dms@localhost');
 
 // Monitoring and Health
 const HEALTH_CHECK_ENABLED = getEnvVar('HEALTH_CHECK_ENABLED', true, 'boolean');
@@ -169,6 +199,8 @@ if (NODE_ENV === 'development' && VERBOSE_LOGGING) {
     console.log(`  JWT_SECRET: ${JWT_SECRET.slice(0, 8)}...`);
     console.log(`  BCRYPT_ROUNDS: ${BCRYPT_ROUNDS}`);
     console.log(`  ENABLE_OCR: ${ENABLE_OCR}`);
+    console.log(`  OCR_MAX_WORKERS: ${OCR_MAX_WORKERS}`);
+    console.log(`  JOB_WORKERS: ${JOB_WORKERS}`);
     console.log(`  ENABLE_CORS: ${ENABLE_CORS}`);
     console.log(`  CORS_ORIGIN: ${CORS_ORIGIN}`);
     console.log(`  LOG_LEVEL: ${LOG_LEVEL}`);
@@ -216,6 +248,25 @@ module.exports = {
     OCR_DEFAULT_LANGUAGE,
     OCR_TIMEOUT,
     ENABLE_OCR,
+    OCR_MAX_WORKERS,
+    OCR_LANG_PATH,
+    OCR_CACHE_PATH,
+    
+    // Background Jobs
+    JOB_WORKERS,
+    JOB_POLL_INTERVAL,
+    JOB_MAX_ATTEMPTS,
+    JOB_RETRY_DELAY,
+    
+    // Saved Search Alerts
+    ALERT_POLL_INTERVAL,
+    
+    // Recycle Bin
+    RECYCLE_BIN_RETENTION_DAYS,
+    RECYCLE_BIN_PURGE_INTERVAL,
+    
+    // Records Retention
+    RETENTION_CHECK_INTERVAL,
     
     // Performance
     ENABLE_GZIP,
@@ -234,6 +285,7 @@ module.exports = {
     SMTP_USER,
     SMTP_PASS,
     SMTP_SECURE,
+    SMTP_FROM,
     
     // Monitoring
     HEALTH_CHECK_ENABLED,
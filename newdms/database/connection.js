@@ -2,7 +2,6 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const { DATABASE_PATH } = require('../config/environment');
-const { DATABASE_CONFIG } = require('../config/constants');
 
 class DatabaseConnection {
     constructor() {
@@ -6,6 +6,10 @@ const path = require('path');
 const Database = require('better-sqlite3');
 const Models = require('./models');
 
+// PRAGMA auto_vacuum values
+const AUTO_VACUUM_NONE = 0;
+const AUTO_VACUUM_INCREMENTAL = 2;
+
 // --- Use DB path from config/environment or fallback ---
 let dbPath;
 try {
@@ -19,6 +23,20 @@ try {
 }
 
 const db = new Database(dbPath);
+
+// Overwrite deleted content (e.g. redacted page text) instead of leaving it in the file's free space
+db.pragma('secure_delete = ON');
+
+// Let free pages be handed back to the filesystem a batch at a time (see Models.reclaimFreePages).
+// A database created without auto-vacuum is converted once, by a full VACUUM.
+const autoVacuum = db.pragma('auto_vacuum', { simple: true });
+if (autoVacuum !== AUTO_VACUUM_INCREMENTAL) {
+    db.pragma('auto_vacuum = INCREMENTAL');
+    if (autoVacuum === AUTO_VACUUM_NONE) {
+        db.exec('VACUUM');
+    }
+}
+
 const models = new Models(db);
 
 // Seeds initial data (roles, admin user, projects)
@@ -4,6 +4,10 @@ class BaseModel {
         this.tableName = tableName;
     }
 
+    findById(id) {
+        return this.db.prepare(`SELECT * FROM ${this.tableName} WHERE id = ?`).get(id);
+    }
+
     async findOne({ where }) {
         const keys = Object.keys(where);
         const conditions = keys.map(k => `${k} = ?`).join(' AND ');
@@ -1,4 +1,42 @@
 const BaseModel = require('./BaseModel');
+const { STATUS, FIELD_TYPES, PII_FINDING_STATUS } = require('../../config/constants');
+
+// Columns GET /api/documents can sort by; any other sort key is an index field name
+const SORT_COLUMNS = {
+    title: 'd.title COLLATE NOCASE',
+    document_type: 'd.document_type COLLATE NOCASE',
+    project: 'p.name COLLATE NOCASE',
+    total_pages: 'd.total_pages',
+    created_at: 'd.created_at',
+    updated_at: 'd.updated_at'
+};
+
+// Index value of a document, matching plain values and entries of checkbox JSON arrays
+const FIELD_VALUE_MATCH = `EXISTS (
+    SELECT 1 FROM document_field_values fv
+    JOIN project_fields pf ON pf.id = fv.field_id
+    WHERE fv.document_id = d.id AND pf.field_name = ? COLLATE NOCASE
+      AND (fv.field_value = ? COLLATE NOCASE
+           OR (json_valid(fv.field_value) AND json_type(fv.field_value) = 'array'
+               AND EXISTS (SELECT 1 FROM json_each(fv.field_value) WHERE value = ?)))
+)`;
+
+// Document has the tag (by name, case-insensitive, or by id)
+const TAG_MATCH = `EXISTS (
+    SELECT 1 FROM document_tags dt
+    JOIN tags t ON t.id = dt.tag_id
+    WHERE dt.document_id = d.id AND (t.name = ? OR t.id = ?)
+)`;
+
+// Document is in the folder or one of its subfolders
+const FOLDER_TREE_MATCH = `d.folder_id IN (
+    WITH RECURSIVE tree(id) AS (
+        SELECT id FROM folders WHERE id = ?
+        UNION
+        SELECT f.id FROM folders f JOIN tree ON f.parent_id = tree.id
+    )
+    SELECT id FROM tree
+)`;
 
 class Document extends BaseModel {
     constructor(db) {
@@ -46,6 +84,451 @@ class Document extends BaseModel {
         });
         insertMany(docs);
     }
+
+    // Create a document with its index values ([{ field_id, value }]) in one transaction
+    createDocument({ projectId, title, description, documentType, createdBy, folderId = null, fieldValues = [] }) {
+        const transaction = this.db.transaction(() => {
+            const result = this.db.prepare(`
+                INSERT INTO documents (project_id, title, description, document_type, status, created_by, folder_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(projectId, title, description || null, documentType || null, STATUS.ACTIVE, createdBy, folderId);
+
+            const fieldValueInsert = this.db.prepare(`
+                INSERT INTO document_field_values (document_id, field_id, field_value)
+                VALUES (?, ?, ?)
+            `);
+            fieldValues
+                .filter(fieldValue => fieldValue.value !== null)
+                .forEach(fieldValue => fieldValueInsert.run(result.lastInsertRowid, fieldValue.field_id, fieldValue.value));
+
+            return result.lastInsertRowid;
+        });
+
+        return this.findByIdWithDetails(transaction());
+    }
+
+    // List documents with pagination, sorting and status/type/index field/tag/folder filters;
+    // projectIds null means all projects, every given tag must be present, folderId 'none' means the project root
+    findPaginated({ projectIds = null, projectId, status = STATUS.ACTIVE, documentType, createdBy,
+        fieldFilters = {}, tags = [], tagIds = [], folderId, includeSubfolders = false,
+        search, sort = 'created_at', order = 'DESC', limit, offset }) {
+        const conditions = ['d.status = ?'];
+        const params = [status];
+
+        if (projectIds !== null) {
+            if (projectIds.length === 0) {
+                return { documents: [], total: 0 };
+            }
+            conditions.push(`d.project_id IN (${projectIds.map(() => '?').join(', ')})`);
+            params.push(...projectIds);
+        }
+        if (projectId) {
+            conditions.push('d.project_id = ?');
+            params.push(projectId);
+        }
+        if (documentType) {
+            conditions.push('d.document_type = ? COLLATE NOCASE');
+            params.push(documentType);
+        }
+        if (createdBy) {
+            conditions.push('d.created_by = ?');
+            params.push(createdBy);
+        }
+        if (search) {
+            conditions.push('(d.title LIKE ? OR d.description LIKE ?)');
+            params.push(`%${search}%`, `%${search}%`);
+        }
+        Object.entries(fieldFilters).forEach(([fieldName, value]) => {
+            conditions.push(FIELD_VALUE_MATCH);
+            params.push(fieldName, value, value);
+        });
+        tags.forEach(tag => {
+            conditions.push(TAG_MATCH);
+            params.push(tag, null);
+        });
+        tagIds.forEach(tagId => {
+            conditions.push(TAG_MATCH);
+            params.push(null, tagId);
+        });
+        if (folderId === 'none') {
+            conditions.push('d.folder_id IS NULL');
+        } else if (folderId) {
+            conditions.push(includeSubfolders ? FOLDER_TREE_MATCH : 'd.folder_id = ?');
+            params.push(folderId);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const direction = order === 'ASC' ? 'ASC' : 'DESC';
+
+        let orderBy = `${SORT_COLUMNS[sort]} ${direction}`;
+        let sortJoin = '';
+        const sortParams = [];
+        if (!SORT_COLUMNS[sort]) {
+            // Index field value; number fields compare numerically, documents without the field go last
+            sortJoin = `LEFT JOIN (
+                SELECT fv.document_id, fv.field_value, pf.field_type
+                FROM document_field_values fv
+                JOIN project_fields pf ON pf.id = fv.field_id
+                WHERE pf.field_name = ? COLLATE NOCASE
+            ) sf ON sf.document_id = d.id`;
+            orderBy = `sf.field_value IS NULL, CASE WHEN sf.field_type = '${FIELD_TYPES.NUMBER}' THEN CAST(sf.field_value AS REAL) END ${direction}, ` +
+                `sf.field_value COLLATE NOCASE ${direction}`;
+            sortParams.push(sort);
+        }
+
+        const total = this.db.prepare(`SELECT COUNT(*) as count FROM documents d ${where}`).get(...params).count;
+
+        const documents = this.db.prepare(`
+            SELECT d.*,
+                   p.name as project_name,
+                   u.username as created_by_name
+            FROM documents d
+            LEFT JOIN projects p ON d.project_id = p.id
+            LEFT JOIN users u ON d.created_by = u.id
+            ${sortJoin}
+            ${where}
+            GROUP BY d.id
+            ORDER BY ${orderBy}, d.id ${direction}
+            LIMIT ? OFFSET ?
+        `).all(...sortParams, ...params, limit, offset);
+
+        documents.forEach(document => {
+            document.index_values = this.getFieldValues(document.id);
+        });
+
+        return { documents, total };
+    }
+
+    // Get index values keyed by field name
+    getFieldValues(documentId) {
+        const fieldValues = this.db.prepare(`
+            SELECT pf.field_name, pf.field_type, dfv.field_value
+            FROM document_field_values dfv
+            JOIN project_fields pf ON dfv.field_id = pf.id
+            WHERE dfv.document_id = ?
+        `).all(documentId);
+
+        return fieldValues.reduce((acc, fv) => {
+            acc[fv.field_name] = fv.field_value;
+            return acc;
+        }, {});
+    }
+
+    // Set index values ([{ field_id, value }]); a null value clears the field
+    updateFields(documentId, fieldValues = []) {
+        const transaction = this.db.transaction(() => {
+            const fieldValueDelete = this.db.prepare(`
+                DELETE FROM document_field_values WHERE document_id = ? AND field_id = ?
+            `);
+            const fieldValueInsert = this.db.prepare(`
+                INSERT INTO document_field_values (document_id, field_id, field_value)
+                VALUES (?, ?, ?)
+            `);
+
+            fieldValues.forEach(fieldValue => {
+                fieldValueDelete.run(documentId, fieldValue.field_id);
+                if (fieldValue.value !== null) {
+                    fieldValueInsert.run(documentId, fieldValue.field_id, fieldValue.value);
+                }
+            });
+
+            this.db.prepare(`
+                UPDATE documents SET updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(documentId);
+        });
+
+        return transaction();
+    }
+
+    // Get project_fields definitions for validating index values
+    getProjectFields(projectId) {
+        return this.db.prepare(`
+            SELECT * FROM project_fields WHERE project_id = ? ORDER BY display_order, id
+        `).all(projectId);
+    }
+
+    // Move a document to another project with its new index values ([{ field_id, value }]).
+    // Tags belong to the old project and are dropped; rebuild the document's search index afterwards
+    moveToProject(documentId, { projectId, folderId = null, fieldValues = [] }) {
+        const transaction = this.db.transaction(() => {
+            this.db.prepare(`
+                UPDATE documents SET project_id = ?, folder_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(projectId, folderId, documentId);
+
+            this.db.prepare('DELETE FROM document_field_values WHERE document_id = ?').run(documentId);
+            const fieldValueInsert = this.db.prepare(`
+                INSERT INTO document_field_values (document_id, field_id, field_value)
+                VALUES (?, ?, ?)
+            `);
+            fieldValues
+                .filter(fieldValue => fieldValue.value !== null)
+                .forEach(fieldValue => fieldValueInsert.run(documentId, fieldValue.field_id, fieldValue.value));
+
+            this.db.prepare('DELETE FROM document_tags WHERE document_id = ?').run(documentId);
+        });
+
+        transaction();
+        return this.findByIdWithDetails(documentId);
+    }
+
+    // Copy the active pages (with OCR data and annotations) and the originals of a document into another document.
+    // relocate maps each stored file path to its copy's path; returns the counts and the files to copy ([{ from, to }])
+    copyContents(sourceId, targetId, relocate) {
+        const transaction = this.db.transaction(() => {
+            const files = new Map();
+            const copyPath = filePath => {
+                if (!filePath) return null;
+                files.set(filePath, relocate(filePath));
+                return files.get(filePath);
+            };
+
+            const originalIds = new Map();
+            this.db.prepare('SELECT * FROM document_originals WHERE document_id = ? ORDER BY id').all(sourceId).forEach(original => {
+                const result = this.db.prepare(`
+                    INSERT INTO document_originals (document_id, file_path, original_name, mime_type, file_size, sha256,
+                        page_count, has_text_layer, metadata, uploaded_by, upload_ip, created_at, redacted_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `).run(targetId, copyPath(original.file_path), original.original_name, original.mime_type, original.file_size,
+                    original.sha256, original.page_count, original.has_text_layer, original.metadata, original.uploaded_by,
+                    original.upload_ip, original.created_at, original.redacted_at);
+                originalIds.set(original.id, result.lastInsertRowid);
+            });
+
+            const pages = this.db.prepare(`
+                SELECT * FROM document_pages
+                WHERE document_id = ? AND (status IS NULL OR status = ?)
+                ORDER BY page_order, page_number
+            `).all(sourceId, STATUS.ACTIVE);
+            const pageInsert = this.db.prepare(`
+                INSERT INTO document_pages (document_id, page_number, file_path, file_name, file_size, mime_type, thumbnail_path,
+                    annotations, page_order, source_file_name, status, ocr_text, ocr_confidence, ocr_processed_at, ocr_language,
+                    word_count, ocr_layout, text_source, original_id, original_page_index, pii_scanned_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            const annotationCopy = this.db.prepare(`
+                INSERT INTO page_annotations (page_id, type, geometry, style, content, visibility, created_by, created_at, updated_by, updated_at)
+                SELECT ?, type, geometry, style, content, visibility, created_by, created_at, updated_by, updated_at
+                FROM page_annotations WHERE page_id = ? ORDER BY id
+            `);
+            // Redactions are not copied, so findings waiting on one are open again in the copy
+            const findingCopy = this.db.prepare(`
+                INSERT INTO page_pii_findings (page_id, type, rule_id, label, masked_value, regions, status, detected_at, reviewed_by, reviewed_at)
+                SELECT ?, type, rule_id, label, masked_value, regions, CASE WHEN status = ? THEN ? ELSE status END,
+                    detected_at, reviewed_by, reviewed_at
+                FROM page_pii_findings WHERE page_id = ? ORDER BY id
+            `);
+            pages.forEach((page, index) => {
+                const result = pageInsert.run(targetId, index + 1, copyPath(page.file_path), page.file_name,
+                    page.file_size, page.mime_type, copyPath(page.thumbnail_path), page.annotations,
+                    index + 1, page.source_file_name, STATUS.ACTIVE, page.ocr_text, page.ocr_confidence, page.ocr_processed_at,
+                    page.ocr_language, page.word_count, page.ocr_layout, page.text_source,
+                    page.original_id ? originalIds.get(page.original_id) || null : null, page.original_page_index,
+                    page.pii_scanned_at);
+                annotationCopy.run(result.lastInsertRowid, page.id);
+                findingCopy.run(result.lastInsertRowid, PII_FINDING_STATUS.REDACTION_REQUESTED, PII_FINDING_STATUS.OPEN, page.id);
+            });
+
+            this.db.prepare(`
+                UPDATE documents SET total_pages = ?, has_ocr_text = source.has_ocr_text, ocr_language = source.ocr_language,
+                    ocr_completed_at = source.ocr_completed_at, updated_at = CURRENT_TIMESTAMP
+                FROM (SELECT has_ocr_text, ocr_language, ocr_completed_at FROM documents WHERE id = ?) AS source
+                WHERE documents.id = ?
+            `).run(pages.length, sourceId, targetId);
+
+            return {
+                pages: pages.length,
+                originals: originalIds.size,
+                files: [...files].map(([from, to]) => ({ from, to }))
+            };
+        });
+
+        return transaction();
+    }
+
+    // Move document and its active pages to the recycle bin
+    softDeleteWithPages(documentId, deletedBy = null) {
+        const transaction = this.db.transaction(() => {
+            const docResult = this.db.prepare(`
+                UPDATE documents SET status = ?, deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = ?
+            `).run(STATUS.INACTIVE, deletedBy, documentId, STATUS.ACTIVE);
+
+            if (docResult.changes === 0) {
+                throw new Error('Document not found');
+            }
+
+            // Pages already in the recycle bin stay separate items
+            const pagesResult = this.db.prepare(`
+                UPDATE document_pages SET status = ?, deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, deleted_with_document = 1
+                WHERE document_id = ? AND (status IS NULL OR status = ?)
+            `).run(STATUS.INACTIVE, deletedBy, documentId, STATUS.ACTIVE);
+
+            return pagesResult.changes;
+        });
+
+        return transaction();
+    }
+
+    // Restore a document from the recycle bin with the pages deleted along with it
+    restoreWithPages(documentId) {
+        const transaction = this.db.transaction(() => {
+            const docResult = this.db.prepare(`
+                UPDATE documents SET status = ?, deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status != ?
+            `).run(STATUS.ACTIVE, documentId, STATUS.ACTIVE);
+
+            if (docResult.changes === 0) {
+                throw new Error('Document is not in the recycle bin');
+            }
+
+            const pagesResult = this.db.prepare(`
+                UPDATE document_pages SET status = ?, deleted_at = NULL, deleted_by = NULL, deleted_with_document = 0
+                WHERE document_id = ? AND deleted_with_document = 1
+            `).run(STATUS.ACTIVE, documentId);
+
+            return pagesResult.changes;
+        });
+
+        return transaction();
+    }
+
+    // List documents in the recycle bin; projectIds null means all projects
+    findDeleted({ projectIds = null, projectId, limit, offset }) {
+        const conditions = ['d.status != ?'];
+        const params = [STATUS.ACTIVE];
+
+        if (projectIds !== null) {
+            if (projectIds.length === 0) {
+                return { documents: [], total: 0 };
+            }
+            conditions.push(`d.project_id IN (${projectIds.map(() => '?').join(', ')})`);
+            params.push(...projectIds);
+        }
+        if (projectId) {
+            conditions.push('d.project_id = ?');
+            params.push(projectId);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const total = this.db.prepare(`SELECT COUNT(*) as count FROM documents d ${where}`).get(...params).count;
+
+        const documents = this.db.prepare(`
+            SELECT d.id, d.project_id, p.name as project_name, d.title, d.document_type, d.status,
+                   d.created_by, cu.username as created_by_name, d.created_at,
+                   d.deleted_at, d.deleted_by, du.username as deleted_by_name,
+                   (SELECT COUNT(*) FROM document_pages dp WHERE dp.document_id = d.id AND dp.deleted_with_document = 1) as page_count
+            FROM documents d
+            LEFT JOIN projects p ON d.project_id = p.id
+            LEFT JOIN users cu ON d.created_by = cu.id
+            LEFT JOIN users du ON d.deleted_by = du.id
+            ${where}
+            ORDER BY d.deleted_at DESC, d.id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limit, offset);
+
+        return { documents, total };
+    }
+
+    // Get ids of documents deleted at least the given number of days ago
+    findDeletedBefore(days) {
+        return this.db.prepare(`
+            SELECT id FROM documents
+            WHERE status != ? AND deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+        `).all(STATUS.ACTIVE, `-${days} days`).map(row => row.id);
+    }
+
+    // Permanently delete a document and everything attached to it (pages and their earlier images,
+    // field values, originals, versions, jobs); returns the stored files to remove
+    purge(documentId) {
+        const transaction = this.db.transaction(() => {
+            const pages = this.db.prepare(`
+                SELECT file_path, thumbnail_path FROM document_pages WHERE document_id = ?
+            `).all(documentId);
+            const originals = this.db.prepare(`
+                SELECT file_path FROM document_originals WHERE document_id = ?
+            `).all(documentId);
+            const previousImages = this.db.prepare(`
+                SELECT t.previous_file_path FROM page_transforms t
+                JOIN document_pages dp ON t.page_id = dp.id
+                WHERE dp.document_id = ?
+            `).all(documentId);
+
+            // Page rows leave the search index through the delete trigger; clear any leftovers as well
+            this.db.prepare(`
+                DELETE FROM document_fts WHERE rowid IN (SELECT id FROM document_pages WHERE document_id = ?)
+            `).run(documentId);
+            this.db.prepare(`
+                DELETE FROM search_alert_queue WHERE page_id IN (SELECT id FROM document_pages WHERE document_id = ?)
+            `).run(documentId);
+
+            const result = this.db.prepare('DELETE FROM documents WHERE id = ?').run(documentId);
+            if (result.changes === 0) {
+                throw new Error('Document not found');
+            }
+
+            return [
+                ...pages.flatMap(page => [page.file_path, page.thumbnail_path]),
+                ...originals.map(original => original.file_path),
+                ...previousImages.map(transform => transform.previous_file_path)
+            ].filter(Boolean);
+        });
+
+        return transaction();
+    }
+
+    // Get document with project name, creator and active page count
+    findByIdWithDetails(id) {
+        return this.db.prepare(`
+            SELECT d.*, 
+                   p.name as project_name,
+                   u.username as created_by_name,
+                   COUNT(dp.id) as page_count
+            FROM documents d
+            LEFT JOIN projects p ON d.project_id = p.id
+            LEFT JOIN users u ON d.created_by = u.id
+            LEFT JOIN document_pages dp ON d.id = dp.document_id AND (dp.status IS NULL OR dp.status = ?)
+            WHERE d.id = ? AND d.status = ?
+            GROUP BY d.id
+        `).get(STATUS.ACTIVE, id, STATUS.ACTIVE);
+    }
+
+    // Update OCR status
+    updateOCRStatus(documentId, hasOCRText, language = 'eng') {
+        return this.db.prepare(`
+            UPDATE documents SET 
+                has_ocr_text = ?,
+                ocr_completed_at = CURRENT_TIMESTAMP,
+                ocr_language = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(hasOCRText ? 1 : 0, language, documentId);
+    }
+
+    // Increment page count
+    incrementPageCount(documentId, increment = 1) {
+        return this.db.prepare(`
+            UPDATE documents SET 
+                total_pages = total_pages + ?, 
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(increment, documentId);
+    }
+
+    // Fix page count based on actual pages
+    fixPageCount(documentId) {
+        const actualCount = this.db.prepare(`
+            SELECT COUNT(*) as count
+            FROM document_pages 
+            WHERE document_id = ? AND (status IS NULL OR status = ?)
+        `).get(documentId, STATUS.ACTIVE).count;
+
+        return this.db.prepare(`
+            UPDATE documents SET 
+                total_pages = ?, 
+                updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ?
+        `).run(actualCount, documentId);
+    }
 }
 
 module.exports = Document;
\ No newline at end of file
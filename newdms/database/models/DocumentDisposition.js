@@ -0,0 +1,114 @@
+const BaseModel = require('./BaseModel');
+const { DISPOSITION_STATUS, LEGAL_HOLD_STATUS } = require('../../config/constants');
+
+const SELECT_DISPOSITION = `
+    SELECT dd.*, rp.name as policy_name, rp.retention_period, rp.retention_unit, rp.trigger_field,
+           p.name as project_name, d.status as document_status, u.username as reviewed_by_name,
+           EXISTS (
+               SELECT 1 FROM legal_hold_documents lhd
+               JOIN legal_holds lh ON lhd.hold_id = lh.id
+               WHERE lhd.document_id = dd.document_id AND lh.status = '${LEGAL_HOLD_STATUS.ACTIVE}'
+           ) as on_legal_hold
+    FROM document_dispositions dd
+    LEFT JOIN retention_policies rp ON dd.policy_id = rp.id
+    LEFT JOIN projects p ON dd.project_id = p.id
+    LEFT JOIN documents d ON dd.document_id = d.id
+    LEFT JOIN users u ON dd.reviewed_by = u.id
+`;
+
+class DocumentDisposition extends BaseModel {
+    constructor(db) {
+        super(db, 'document_dispositions');
+    }
+
+    // Flag documents for disposition review; rows come from RetentionPolicy.findExpiredDocuments
+    flagDocuments(rows) {
+        const insertStmt = this.db.prepare(`
+            INSERT INTO document_dispositions (document_id, document_title, project_id, policy_id, trigger_date, eligible_date)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        const transaction = this.db.transaction(() => {
+            rows.forEach(row => insertStmt.run(row.document_id, row.document_title, row.project_id,
+                row.policy_id, row.trigger_date, row.eligible_date));
+            return rows.length;
+        });
+
+        return transaction();
+    }
+
+    // Get disposition with policy, project and reviewer names
+    findWithDetails(id) {
+        return this.parse(this.db.prepare(`${SELECT_DISPOSITION} WHERE dd.id = ?`).get(id));
+    }
+
+    // List dispositions; projectIds null means all projects.
+    // Pending reviews of documents purged in the meantime are left out.
+    findPaginated({ projectIds = null, projectId, status, limit, offset }) {
+        const conditions = ['(dd.status != ? OR d.id IS NOT NULL)'];
+        const params = [DISPOSITION_STATUS.PENDING];
+
+        if (projectIds) {
+            conditions.push(`dd.project_id IN (${projectIds.map(() => '?').join(', ') || 'NULL'})`);
+            params.push(...projectIds);
+        }
+
+        if (projectId) {
+            conditions.push('dd.project_id = ?');
+            params.push(projectId);
+        }
+
+        if (status) {
+            conditions.push('dd.status = ?');
+            params.push(status);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const total = this.db.prepare(`
+            SELECT COUNT(*) as count FROM document_dispositions dd
+            LEFT JOIN documents d ON dd.document_id = d.id
+            ${where}
+        `).get(...params).count;
+
+        const dispositions = this.db.prepare(`
+            ${SELECT_DISPOSITION} ${where}
+            ORDER BY dd.status = '${DISPOSITION_STATUS.PENDING}' DESC, dd.eligible_date, dd.id
+            LIMIT ? OFFSET ?
+        `).all(...params, limit, offset).map(row => this.parse(row));
+
+        return { dispositions, total };
+    }
+
+    // Record the destruction of the document with its certificate
+    markDestroyed(id, reviewedBy, notes, certificate) {
+        this.db.prepare(`
+            UPDATE document_dispositions
+            SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, notes = ?, certificate = ?
+            WHERE id = ?
+        `).run(DISPOSITION_STATUS.DESTROYED, reviewedBy, notes, JSON.stringify(certificate), id);
+
+        return this.findWithDetails(id);
+    }
+
+    // Keep the document; it is flagged again after retainUntil (never when null)
+    markRetained(id, reviewedBy, notes, retainUntil = null) {
+        this.db.prepare(`
+            UPDATE document_dispositions
+            SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, notes = ?, retain_until = ?
+            WHERE id = ?
+        `).run(DISPOSITION_STATUS.RETAINED, reviewedBy, notes, retainUntil, id);
+
+        return this.findWithDetails(id);
+    }
+
+    parse(disposition) {
+        if (!disposition) return disposition;
+        return {
+            ...disposition,
+            on_legal_hold: Boolean(disposition.on_legal_hold),
+            certificate: disposition.certificate ? JSON.parse(disposition.certificate) : null
+        };
+    }
+}
+
+module.exports = DocumentDisposition;
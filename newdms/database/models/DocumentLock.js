@@ -0,0 +1,49 @@
+const BaseModel = require('./BaseModel');
+
+const SELECT_LOCK = `
+    SELECT l.*, u.username as locked_by_name
+    FROM document_locks l
+    LEFT JOIN users u ON l.user_id = u.id
+`;
+
+class DocumentLock extends BaseModel {
+    constructor(db) {
+        super(db, 'document_locks');
+    }
+
+    // Get the unexpired lock on a document
+    findActive(documentId) {
+        return this.db.prepare(`
+            ${SELECT_LOCK} WHERE l.document_id = ? AND l.expires_at > CURRENT_TIMESTAMP
+        `).get(documentId);
+    }
+
+    // Get the unexpired lock if it belongs to someone other than the user
+    findBlocking(documentId, userId) {
+        const lock = this.findActive(documentId);
+        return lock && lock.user_id !== userId ? lock : null;
+    }
+
+    // Check the document out to the user (replaces an expired or overridden lock)
+    acquire(documentId, userId, durationMinutes, note = null) {
+        this.db.prepare(`
+            INSERT INTO document_locks (document_id, user_id, note, locked_at, expires_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP, datetime('now', ?))
+            ON CONFLICT(document_id) DO UPDATE SET
+                user_id = excluded.user_id,
+                note = excluded.note,
+                locked_at = CASE WHEN document_locks.user_id = excluded.user_id AND document_locks.expires_at > CURRENT_TIMESTAMP
+                    THEN document_locks.locked_at ELSE excluded.locked_at END,
+                expires_at = excluded.expires_at
+        `).run(documentId, userId, note, `+${durationMinutes} minutes`);
+
+        return this.findActive(documentId);
+    }
+
+    // Check the document in
+    release(documentId) {
+        return this.db.prepare('DELETE FROM document_locks WHERE document_id = ?').run(documentId).changes > 0;
+    }
+}
+
+module.exports = DocumentLock;
@@ -0,0 +1,87 @@
+const BaseModel = require('./BaseModel');
+const { STATUS } = require('../../config/constants');
+
+class DocumentOriginal extends BaseModel {
+    constructor(db) {
+        super(db, 'document_originals');
+    }
+
+    // Record a stored original file
+    createOriginal({ documentId, filePath, originalName, mimeType, fileSize, sha256, pageCount = null, hasTextLayer = false, metadata = null, uploadedBy = null, uploadIp = null }) {
+        const result = this.db.prepare(`
+            INSERT INTO document_originals (
+                document_id, file_path, original_name, mime_type, file_size, sha256,
+                page_count, has_text_layer, metadata, uploaded_by, upload_ip
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            documentId, filePath, originalName, mimeType, fileSize, sha256,
+            pageCount, hasTextLayer ? 1 : 0, metadata ? JSON.stringify(metadata) : null, uploadedBy, uploadIp
+        );
+
+        return this.findById(result.lastInsertRowid);
+    }
+
+    // Get originals for document with the number of pages still linked to each
+    findByDocument(documentId) {
+        return this.db.prepare(`
+            SELECT
+                o.id,
+                o.document_id,
+                o.original_name,
+                o.mime_type,
+                o.file_size,
+                o.sha256,
+                o.page_count,
+                o.has_text_layer,
+                o.metadata,
+                o.uploaded_by,
+                u.username as uploaded_by_name,
+                o.upload_ip,
+                o.created_at,
+                o.redacted_at,
+                COUNT(dp.id) as linked_pages
+            FROM document_originals o
+            LEFT JOIN users u ON o.uploaded_by = u.id
+            LEFT JOIN document_pages dp ON dp.original_id = o.id AND (dp.status IS NULL OR dp.status = ?)
+            WHERE o.document_id = ?
+            GROUP BY o.id
+            ORDER BY o.created_at, o.id
+        `).all(STATUS.ACTIVE, documentId);
+    }
+
+    // Record a copy of an original for another document (file stored at filePath); returns the new id
+    copyToDocument(originalId, documentId, filePath) {
+        return this.db.prepare(`
+            INSERT INTO document_originals (document_id, file_path, original_name, mime_type, file_size, sha256,
+                page_count, has_text_layer, metadata, uploaded_by, upload_ip, created_at, redacted_at)
+            SELECT ?, ?, original_name, mime_type, file_size, sha256,
+                page_count, has_text_layer, metadata, uploaded_by, upload_ip, created_at, redacted_at
+            FROM document_originals WHERE id = ?
+        `).run(documentId, filePath, originalId).lastInsertRowid;
+    }
+
+    // Hand an original over to another document (file now stored at filePath)
+    reassign(originalId, documentId, filePath) {
+        return this.db.prepare(`
+            UPDATE document_originals SET document_id = ?, file_path = ? WHERE id = ?
+        `).run(documentId, filePath, originalId).changes > 0;
+    }
+
+    // Get original only if it belongs to the document
+    findForDocument(documentId, originalId) {
+        return this.db.prepare(`
+            SELECT * FROM document_originals WHERE id = ? AND document_id = ?
+        `).get(originalId, documentId);
+    }
+
+    // Find an identical file already stored for the document
+    findByHash(documentId, sha256) {
+        return this.db.prepare(`
+            SELECT * FROM document_originals WHERE document_id = ? AND sha256 = ?
+            ORDER BY id LIMIT 1
+        `).get(documentId, sha256);
+    }
+}
+
+module.exports = DocumentOriginal;
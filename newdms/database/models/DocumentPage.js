@@ -1,8 +1,380 @@
 const BaseModel = require('./BaseModel');
+const { STATUS } = require('../../config/constants');
 
 class DocumentPage extends BaseModel {
     constructor(db) {
-        super(db, 'pages');
+        super(db, 'document_pages');
+    }
+
+    // Get pages for document
+    findByDocument(documentId) {
+        return this.db.prepare(`
+            SELECT 
+                id,
+                page_number,
+                file_name,
+                file_size,
+                mime_type,
+                thumbnail_path,
+                page_order,
+                source_file_name,
+                created_at,
+                ocr_text IS NOT NULL AND ocr_text != '' as has_ocr,
+                ocr_confidence,
+                ocr_processed_at,
+                ocr_language,
+                word_count,
+                ingest_review,
+                CASE 
+                    WHEN source_file_name LIKE '%.pdf' THEN 'pdf'
+                    WHEN mime_type LIKE 'image/%' THEN 'image'
+                    ELSE 'unknown'
+                END as source_type
+            FROM document_pages 
+            WHERE document_id = ? AND (status IS NULL OR status = ?)
+            ORDER BY page_order, page_number
+        `).all(documentId, STATUS.ACTIVE);
+    }
+
+    // Get full page rows (image path, OCR text and layout, annotations) in display order
+    findForExport(documentId) {
+        return this.db.prepare(`
+            SELECT * FROM document_pages 
+            WHERE document_id = ? AND (status IS NULL OR status = ?)
+            ORDER BY page_order, page_number
+        `).all(documentId, STATUS.ACTIVE);
+    }
+
+    // Get page with document info
+    findByIdWithDocument(pageId) {
+        return this.db.prepare(`
+            SELECT 
+                dp.*,
+                d.title as document_title,
+                d.project_id
+            FROM document_pages dp
+            JOIN documents d ON dp.document_id = d.id
+            WHERE dp.id = ? AND (dp.status IS NULL OR dp.status = ?)
+        `).get(pageId, STATUS.ACTIVE);
+    }
+
+    // Point a page at its (re)generated thumbnail
+    updateThumbnailPath(pageId, thumbnailPath) {
+        return this.db.prepare(`
+            UPDATE document_pages SET thumbnail_path = ? WHERE id = ?
+        `).run(thumbnailPath, pageId);
+    }
+
+    // Create page record
+    createPage(pageData) {
+        const data = { ...pageData, status: STATUS.ACTIVE };
+        if (data.ocr_layout && typeof data.ocr_layout !== 'string') {
+            data.ocr_layout = JSON.stringify(data.ocr_layout);
+        }
+
+        const columns = Object.keys(data);
+        const result = this.db.prepare(`
+            INSERT INTO document_pages (${columns.join(', ')})
+            VALUES (${columns.map(() => '?').join(', ')})
+        `).run(...columns.map(column => data[column]));
+
+        return { id: result.lastInsertRowid, changes: result.changes };
+    }
+
+    // Update OCR data for page (layout is the OCRService.buildLayout() result)
+    updateOCRData(pageId, ocrText, confidence, language = 'eng', wordCount = 0, layout = null) {
+        return this.db.prepare(`
+            UPDATE document_pages SET 
+                ocr_text = ?, 
+                ocr_confidence = ?, 
+                ocr_processed_at = CURRENT_TIMESTAMP,
+                ocr_language = ?,
+                word_count = ?,
+                ocr_layout = ?
+            WHERE id = ?
+        `).run(ocrText, confidence, language, wordCount, layout ? JSON.stringify(layout) : null, pageId);
+    }
+
+    // Get pages that need OCR processing (pages using embedded PDF text never do)
+    findPagesNeedingOCR(documentId, forceReprocess = false) {
+        let condition = '(dp.ocr_text IS NULL OR dp.ocr_text = \'\')';
+        if (forceReprocess) {
+            condition = '(dp.text_source IS NULL OR dp.text_source != \'native\')'; // Process all scanned pages
+        }
+
+        return this.db.prepare(`
+            SELECT id, file_path, file_name, page_number
+            FROM document_pages dp
+            WHERE document_id = ? 
+            AND (status IS NULL OR status = ?) 
+            AND ${condition}
+            ORDER BY page_number
+        `).all(documentId, STATUS.ACTIVE);
+    }
+
+    // Get next page number for document
+    getNextPageNumber(documentId) {
+        const lastPage = this.db.prepare(`
+            SELECT MAX(page_number) as max_page FROM document_pages 
+            WHERE document_id = ? AND (status IS NULL OR status = ?)
+        `).get(documentId, STATUS.ACTIVE);
+        
+        return (lastPage.max_page || 0) + 1;
+    }
+
+    // Find active page by its number within a document
+    findByPageNumber(documentId, pageNumber) {
+        return this.db.prepare(`
+            SELECT * FROM document_pages 
+            WHERE document_id = ? AND page_number = ? AND (status IS NULL OR status = ?)
+        `).get(documentId, pageNumber, STATUS.ACTIVE);
+    }
+
+    // Reorder pages ([{ page_id, new_page_number }])
+    reorderPages(documentId, pageOrders) {
+        const transaction = this.db.transaction(() => {
+            const updateStmt = this.db.prepare(`
+                UPDATE document_pages 
+                SET page_number = ?, page_order = ?
+                WHERE id = ? AND document_id = ? AND (status IS NULL OR status = ?)
+            `);
+
+            let updatedCount = 0;
+
+            pageOrders.forEach((pageUpdate) => {
+                const result = updateStmt.run(
+                    pageUpdate.new_page_number,
+                    pageUpdate.new_page_number,
+                    pageUpdate.page_id,
+                    documentId,
+                    STATUS.ACTIVE
+                );
+
+                if (result.changes > 0) {
+                    updatedCount++;
+                }
+            });
+
+            // Update document's updated_at timestamp
+            this.db.prepare(`
+                UPDATE documents SET updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(documentId);
+
+            return updatedCount;
+        });
+
+        return transaction();
+    }
+
+    // Move page to the recycle bin (the search index trigger drops it) and update the document page count
+    softDeletePage(pageId, deletedBy = null) {
+        const transaction = this.db.transaction(() => {
+            const page = this.findById(pageId);
+            if (!page) {
+                throw new Error('Page not found');
+            }
+
+            this.db.prepare(`
+                UPDATE document_pages SET status = ?, deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, deleted_with_document = 0
+                WHERE id = ?
+            `).run(STATUS.INACTIVE, deletedBy, pageId);
+
+            const remainingPages = this.db.prepare(`
+                SELECT COUNT(*) as count FROM document_pages 
+                WHERE document_id = ? AND (status IS NULL OR status = ?)
+            `).get(page.document_id, STATUS.ACTIVE).count;
+
+            this.db.prepare(`
+                UPDATE documents SET total_pages = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(remainingPages, page.document_id);
+
+            return remainingPages;
+        });
+
+        return transaction();
+    }
+
+    // Restore a page from the recycle bin into its former place, then renumber the document's pages
+    restorePage(pageId) {
+        const transaction = this.db.transaction(() => {
+            const page = this.findById(pageId);
+            if (!page || page.status === STATUS.ACTIVE) {
+                throw new Error('Page is not in the recycle bin');
+            }
+
+            this.db.prepare(`
+                UPDATE document_pages SET status = ?, deleted_at = NULL, deleted_by = NULL, deleted_with_document = 0
+                WHERE id = ?
+            `).run(STATUS.ACTIVE, pageId);
+
+            return this.renumberPages(page.document_id);
+        });
+
+        return transaction();
+    }
+
+    // Hand pages over to a document in the given order, numbered from startNumber.
+    // pages are [{ id, file_path, thumbnail_path, original_id }] with their paths in the new document
+    reassignPages(documentId, pages, startNumber = 1) {
+        const updateStmt = this.db.prepare(`
+            UPDATE document_pages SET document_id = ?, file_path = ?, thumbnail_path = ?, original_id = ?, page_number = ?, page_order = ?
+            WHERE id = ?
+        `);
+
+        const transaction = this.db.transaction(() => pages.forEach((page, index) => updateStmt.run(documentId,
+            page.file_path, page.thumbnail_path, page.original_id, startNumber + index, startNumber + index, page.id)));
+
+        return transaction();
+    }
+
+    // Close gaps in page numbers left by deletes and restores (keeps the current order);
+    // returns the active page count
+    renumberPages(documentId) {
+        const pages = this.db.prepare(`
+            SELECT id FROM document_pages
+            WHERE document_id = ? AND (status IS NULL OR status = ?)
+            ORDER BY page_order, page_number, id
+        `).all(documentId, STATUS.ACTIVE);
+
+        const updateStmt = this.db.prepare(`
+            UPDATE document_pages SET page_number = ?, page_order = ? WHERE id = ?
+        `);
+        pages.forEach((page, index) => updateStmt.run(index + 1, index + 1, page.id));
+
+        this.db.prepare(`
+            UPDATE documents SET total_pages = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(pages.length, documentId);
+
+        return pages.length;
+    }
+
+    // List pages deleted on their own (not with their document); projectIds null means all projects
+    findDeleted({ projectIds = null, projectId, documentId, limit, offset }) {
+        const conditions = ['dp.status != ?', 'dp.deleted_with_document = 0'];
+        const params = [STATUS.ACTIVE];
+
+        if (projectIds !== null) {
+            if (projectIds.length === 0) {
+                return { pages: [], total: 0 };
+            }
+            conditions.push(`d.project_id IN (${projectIds.map(() => '?').join(', ')})`);
+            params.push(...projectIds);
+        }
+        if (projectId) {
+            conditions.push('d.project_id = ?');
+            params.push(projectId);
+        }
+        if (documentId) {
+            conditions.push('dp.document_id = ?');
+            params.push(documentId);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const total = this.db.prepare(`
+            SELECT COUNT(*) as count FROM document_pages dp JOIN documents d ON dp.document_id = d.id ${where}
+        `).get(...params).count;
+
+        const pages = this.db.prepare(`
+            SELECT dp.id, dp.document_id, d.title as document_title, d.status as document_status,
+                   d.project_id, p.name as project_name,
+                   dp.page_number, dp.file_name, dp.file_size, dp.mime_type, dp.thumbnail_path, dp.source_file_name,
+                   dp.deleted_at, dp.deleted_by, du.username as deleted_by_name
+            FROM document_pages dp
+            JOIN documents d ON dp.document_id = d.id
+            LEFT JOIN projects p ON d.project_id = p.id
+            LEFT JOIN users du ON dp.deleted_by = du.id
+            ${where}
+            ORDER BY dp.deleted_at DESC, dp.id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limit, offset);
+
+        return { pages, total };
+    }
+
+    // Get a page in the recycle bin with its document info
+    findDeletedById(pageId) {
+        return this.db.prepare(`
+            SELECT dp.*, d.title as document_title, d.status as document_status, d.project_id
+            FROM document_pages dp
+            JOIN documents d ON dp.document_id = d.id
+            WHERE dp.id = ? AND dp.status != ?
+        `).get(pageId, STATUS.ACTIVE);
+    }
+
+    // Get ids of pages deleted on their own at least the given number of days ago
+    findDeletedBefore(days) {
+        return this.db.prepare(`
+            SELECT id FROM document_pages
+            WHERE status != ? AND deleted_with_document = 0
+              AND deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+        `).all(STATUS.ACTIVE, `-${days} days`).map(row => row.id);
+    }
+
+    // Permanently delete a page row (with its transform history); returns its stored files to remove
+    purge(pageId) {
+        const transaction = this.db.transaction(() => {
+            const page = this.findById(pageId);
+            if (!page) {
+                throw new Error('Page not found');
+            }
+
+            const previousImages = this.db.prepare(`
+                SELECT previous_file_path FROM page_transforms WHERE page_id = ?
+            `).all(pageId).map(transform => transform.previous_file_path);
+
+            // The delete trigger drops the search index row; clear any leftover as well
+            this.db.prepare('DELETE FROM document_fts WHERE rowid = ?').run(pageId);
+            this.db.prepare('DELETE FROM search_alert_queue WHERE page_id = ?').run(pageId);
+            this.db.prepare('DELETE FROM document_pages WHERE id = ?').run(pageId);
+
+            return [page.file_path, page.thumbnail_path, ...previousImages].filter(Boolean);
+        });
+
+        return transaction();
+    }
+
+    // Store the ingest clean-up decisions for a page; review marks it for a user to look at
+    recordIngest(pageId, report, review) {
+        return this.db.prepare(`
+            UPDATE document_pages SET ingest_report = ?, ingest_review = ? WHERE id = ?
+        `).run(JSON.stringify(report), review ? 1 : 0, pageId);
+    }
+
+    // List the ingest clean-up decisions for a document's pages, including pages it dropped
+    // into the recycle bin (in their former place)
+    findIngestReports(documentId, { reviewOnly = false } = {}) {
+        return this.db.prepare(`
+            SELECT id, page_number, page_order, file_name, thumbnail_path, status, deleted_at,
+                   ingest_report, ingest_review
+            FROM document_pages
+            WHERE document_id = ? AND ingest_report IS NOT NULL
+              AND ((status IS NULL OR status = ?) OR deleted_with_document = 0)
+              ${reviewOnly ? 'AND ingest_review = 1' : ''}
+            ORDER BY page_order, page_number, id
+        `).all(documentId, STATUS.ACTIVE).map(page => ({
+            ...page,
+            ingest_report: JSON.parse(page.ingest_report),
+            ingest_review: page.ingest_review === 1
+        }));
+    }
+
+    // Get stored OCR word geometry for page
+    getOCRLayout(pageId) {
+        const row = this.db.prepare(`
+            SELECT ocr_layout FROM document_pages 
+            WHERE id = ? AND (status IS NULL OR status = ?)
+        `).get(pageId, STATUS.ACTIVE);
+
+        if (!row || !row.ocr_layout) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(row.ocr_layout);
+        } catch (error) {
+            console.error(`❌ Invalid OCR layout stored for page ${pageId}:`, error.message);
+            return null;
+        }
     }
 
     async findOrCreate({ where, defaults }) {
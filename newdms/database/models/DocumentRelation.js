@@ -0,0 +1,108 @@
+const BaseModel = require('./BaseModel');
+const { STATUS, RELATION_TYPES, RELATION_INVERSES } = require('../../config/constants');
+
+const SELECT_RELATION = `
+    SELECT r.*, u.username as created_by_name,
+           s.title as source_title, s.project_id as source_project_id, s.status as source_status,
+           t.title as target_title, t.project_id as target_project_id, t.status as target_status
+    FROM document_relations r
+    JOIN documents s ON r.source_document_id = s.id
+    JOIN documents t ON r.target_document_id = t.id
+    LEFT JOIN users u ON r.created_by = u.id
+`;
+
+class DocumentRelation extends BaseModel {
+    constructor(db) {
+        super(db, 'document_relations');
+    }
+
+    // Create a relation "source <relationType> target"
+    createRelation({ sourceDocumentId, targetDocumentId, relationType, bidirectional = true, note = null, createdBy }) {
+        const result = this.db.prepare(`
+            INSERT INTO document_relations (source_document_id, target_document_id, relation_type, bidirectional, note, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(sourceDocumentId, targetDocumentId, relationType, bidirectional ? 1 : 0, note, createdBy);
+
+        return this.findWithDetails(result.lastInsertRowid);
+    }
+
+    // Change the type, direction flag or note of a relation (only the given columns)
+    updateRelation(id, updates) {
+        const values = {
+            relation_type: updates.relation_type,
+            bidirectional: updates.bidirectional === undefined ? undefined : updates.bidirectional ? 1 : 0,
+            note: updates.note
+        };
+        const columns = Object.keys(values).filter(column => values[column] !== undefined);
+
+        if (columns.length > 0) {
+            this.db.prepare(`
+                UPDATE document_relations SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(...columns.map(column => values[column]), id);
+        }
+
+        return this.findWithDetails(id);
+    }
+
+    // Delete a relation
+    deleteRelation(id) {
+        return this.db.prepare('DELETE FROM document_relations WHERE id = ?').run(id).changes > 0;
+    }
+
+    // Get relation with both documents' titles, projects and statuses
+    findWithDetails(id) {
+        return this.db.prepare(`${SELECT_RELATION} WHERE r.id = ?`).get(id);
+    }
+
+    // Find the same relation between two documents ("related" matches either direction)
+    findExisting(sourceDocumentId, targetDocumentId, relationType, excludeId = null) {
+        return this.db.prepare(`
+            SELECT * FROM document_relations
+            WHERE relation_type = ? AND id IS NOT ?
+              AND ((source_document_id = ? AND target_document_id = ?)
+                   OR (relation_type = ? AND source_document_id = ? AND target_document_id = ?))
+        `).get(relationType, excludeId, sourceDocumentId, targetDocumentId,
+            RELATION_TYPES.RELATED, targetDocumentId, sourceDocumentId);
+    }
+
+    // List the relations of a document as seen from it: its own relations plus bidirectional ones
+    // pointing at it (under the inverse type). Only active documents in projectIds (null = all) show up
+    findByDocument(documentId, projectIds = null) {
+        if (projectIds !== null && projectIds.length === 0) {
+            return [];
+        }
+        const projectFilter = projectIds !== null ? `AND d.project_id IN (${projectIds.map(() => '?').join(', ')})` : '';
+        const projectParams = projectIds !== null ? projectIds : [];
+
+        const rows = this.db.prepare(`
+            SELECT * FROM (
+                SELECT r.id, r.relation_type, r.bidirectional, r.note, r.created_at, u.username as created_by_name,
+                       'outgoing' as direction, d.id as document_id, d.title, d.document_type, d.project_id, p.name as project_name
+                FROM document_relations r
+                JOIN documents d ON r.target_document_id = d.id
+                LEFT JOIN projects p ON d.project_id = p.id
+                LEFT JOIN users u ON r.created_by = u.id
+                WHERE r.source_document_id = ? AND d.status = ? ${projectFilter}
+                UNION ALL
+                SELECT r.id, r.relation_type, r.bidirectional, r.note, r.created_at, u.username as created_by_name,
+                       'incoming' as direction, d.id as document_id, d.title, d.document_type, d.project_id, p.name as project_name
+                FROM document_relations r
+                JOIN documents d ON r.source_document_id = d.id
+                LEFT JOIN projects p ON d.project_id = p.id
+                LEFT JOIN users u ON r.created_by = u.id
+                WHERE r.target_document_id = ? AND r.bidirectional = 1 AND d.status = ? ${projectFilter}
+            )
+            ORDER BY relation_type, created_at, id
+        `).all(documentId, STATUS.ACTIVE, ...projectParams, documentId, STATUS.ACTIVE, ...projectParams);
+
+        return rows.map(({ document_id, title, document_type, project_id, project_name, ...relation }) => ({
+            ...relation,
+            relation_type: relation.direction === 'incoming' ? RELATION_INVERSES[relation.relation_type] : relation.relation_type,
+            bidirectional: relation.bidirectional === 1,
+            document: { id: document_id, title, document_type, project_id, project_name }
+        }));
+    }
+}
+
+module.exports = DocumentRelation;
@@ -0,0 +1,219 @@
+const BaseModel = require('./BaseModel');
+const { STATUS, HTTP_STATUS, VERSION_CHANGE_TYPES } = require('../../config/constants');
+
+const SELECT_VERSION = `
+    SELECT v.*, u.username as created_by_name
+    FROM document_versions v
+    LEFT JOIN users u ON v.created_by = u.id
+`;
+
+// Version records are immutable; rows are only ever inserted (a trigger rejects updates)
+class DocumentVersion extends BaseModel {
+    constructor(db) {
+        super(db, 'document_versions');
+    }
+
+    // Snapshot the document's current ordered pages and index values as the next version
+    createVersion(documentId, { changeType, summary = null, createdBy = null }) {
+        const transaction = this.db.transaction(() => {
+            const pages = this.db.prepare(`
+                SELECT id FROM document_pages
+                WHERE document_id = ? AND (status IS NULL OR status = ?)
+                ORDER BY page_order, page_number
+            `).all(documentId, STATUS.ACTIVE).map(page => page.id);
+
+            const fieldValues = this.db.prepare(`
+                SELECT dfv.field_id, pf.field_name, dfv.field_value as value
+                FROM document_field_values dfv
+                JOIN project_fields pf ON dfv.field_id = pf.id
+                WHERE dfv.document_id = ?
+                ORDER BY pf.display_order, pf.id
+            `).all(documentId);
+
+            const versionNumber = this.db.prepare(`
+                SELECT COALESCE(MAX(version_number), 0) + 1 as next FROM document_versions WHERE document_id = ?
+            `).get(documentId).next;
+
+            const result = this.db.prepare(`
+                INSERT INTO document_versions (document_id, version_number, change_type, summary, pages, field_values, page_count, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(documentId, versionNumber, changeType, summary, JSON.stringify(pages),
+                JSON.stringify(fieldValues), pages.length, createdBy);
+
+            return result.lastInsertRowid;
+        });
+
+        return this.findWithAuthor(transaction());
+    }
+
+    // Get version with author name and parsed snapshot
+    findWithAuthor(id) {
+        return this.parse(this.db.prepare(`${SELECT_VERSION} WHERE v.id = ?`).get(id));
+    }
+
+    // Get version of a document by number
+    findByNumber(documentId, versionNumber) {
+        return this.parse(this.db.prepare(`
+            ${SELECT_VERSION} WHERE v.document_id = ? AND v.version_number = ?
+        `).get(documentId, versionNumber));
+    }
+
+    // Get the latest version number (0 when the document has none); used as the document ETag
+    getCurrentNumber(documentId) {
+        return this.db.prepare(`
+            SELECT COALESCE(MAX(version_number), 0) as current FROM document_versions WHERE document_id = ?
+        `).get(documentId).current;
+    }
+
+    // List versions of a document, newest first (without the snapshots)
+    findByDocument(documentId) {
+        return this.db.prepare(`
+            SELECT v.id, v.document_id, v.version_number, v.change_type, v.summary, v.page_count,
+                   v.created_by, u.username as created_by_name, v.created_at
+            FROM document_versions v
+            LEFT JOIN users u ON v.created_by = u.id
+            WHERE v.document_id = ?
+            ORDER BY v.version_number DESC
+        `).all(documentId);
+    }
+
+    // Get the pages of a version in its order, including pages deleted since
+    getPages(version) {
+        if (version.pages.length === 0) return [];
+
+        const rows = this.db.prepare(`
+            SELECT id, page_number, file_name, file_size, mime_type, thumbnail_path, source_file_name,
+                   ocr_text IS NOT NULL AND ocr_text != '' as has_ocr, word_count, status, created_at
+            FROM document_pages
+            WHERE document_id = ? AND id IN (${version.pages.map(() => '?').join(', ')})
+        `).all(version.document_id, ...version.pages);
+
+        const byId = new Map(rows.map(row => [row.id, row]));
+        return version.pages.map((pageId, index) => {
+            const page = byId.get(pageId);
+            return page
+                ? { ...page, position: index + 1, is_active: page.status === null || page.status === STATUS.ACTIVE }
+                : { id: pageId, position: index + 1, missing: true };
+        });
+    }
+
+    // Compare two versions: pages added, removed and moved, index values changed
+    diff(from, to) {
+        const fromPages = new Set(from.pages);
+        const toPages = new Set(to.pages);
+
+        const added = to.pages
+            .map((pageId, index) => ({ page_id: pageId, position: index + 1 }))
+            .filter(page => !fromPages.has(page.page_id));
+        const removed = from.pages
+            .map((pageId, index) => ({ page_id: pageId, position: index + 1 }))
+            .filter(page => !toPages.has(page.page_id));
+
+        // A page counts as reordered when its place among the pages both versions share changed
+        const fromKept = from.pages.filter(pageId => toPages.has(pageId));
+        const toKept = to.pages.filter(pageId => fromPages.has(pageId));
+        const reordered = toKept
+            .map((pageId, index) => ({ pageId, index, fromIndex: fromKept.indexOf(pageId) }))
+            .filter(page => page.index !== page.fromIndex)
+            .map(page => ({
+                page_id: page.pageId,
+                from_position: from.pages.indexOf(page.pageId) + 1,
+                to_position: to.pages.indexOf(page.pageId) + 1
+            }));
+
+        const fromFields = new Map(from.field_values.map(field => [field.field_id, field]));
+        const toFields = new Map(to.field_values.map(field => [field.field_id, field]));
+        const fields = [];
+        new Set([...fromFields.keys(), ...toFields.keys()]).forEach(fieldId => {
+            const before = fromFields.get(fieldId);
+            const after = toFields.get(fieldId);
+            const fromValue = before ? before.value : null;
+            const toValue = after ? after.value : null;
+            if (fromValue !== toValue) {
+                fields.push({
+                    field_id: fieldId,
+                    field_name: (after || before).field_name,
+                    from: fromValue,
+                    to: toValue
+                });
+            }
+        });
+
+        return {
+            from_version: from.version_number,
+            to_version: to.version_number,
+            pages: { added, removed, reordered },
+            fields,
+            has_changes: added.length + removed.length + reordered.length + fields.length > 0
+        };
+    }
+
+    // Restore the document's pages (active set and order) and index values to a version,
+    // then record the result as a new version
+    rollback(documentId, version, createdBy) {
+        const transaction = this.db.transaction(() => {
+            const available = new Set(this.db.prepare(`
+                SELECT id FROM document_pages WHERE document_id = ?
+            `).all(documentId).map(page => page.id));
+
+            const missing = version.pages.filter(pageId => !available.has(pageId));
+            if (missing.length > 0) {
+                const error = new Error(`Version ${version.version_number} references ${missing.length} page(s) that no longer exist`);
+                error.status = HTTP_STATUS.CONFLICT;
+                throw error;
+            }
+
+            // Pages not in the version go to the recycle bin; the others are restored in the version's order
+            const keep = new Set(version.pages);
+            const deactivate = this.db.prepare(`
+                UPDATE document_pages SET status = ?, deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, deleted_with_document = 0
+                WHERE id = ?
+            `);
+            this.db.prepare(`
+                SELECT id FROM document_pages WHERE document_id = ? AND (status IS NULL OR status = ?)
+            `).all(documentId, STATUS.ACTIVE)
+                .filter(page => !keep.has(page.id))
+                .forEach(page => deactivate.run(STATUS.INACTIVE, createdBy, page.id));
+
+            const restore = this.db.prepare(`
+                UPDATE document_pages SET status = ?, page_number = ?, page_order = ?,
+                    deleted_at = NULL, deleted_by = NULL, deleted_with_document = 0
+                WHERE id = ?
+            `);
+            version.pages.forEach((pageId, index) => restore.run(STATUS.ACTIVE, index + 1, index + 1, pageId));
+
+            // Values of fields removed from the project since cannot be restored
+            this.db.prepare('DELETE FROM document_field_values WHERE document_id = ?').run(documentId);
+            const fieldValueInsert = this.db.prepare(`
+                INSERT INTO document_field_values (document_id, field_id, field_value)
+                SELECT d.id, pf.id, ? FROM documents d
+                JOIN project_fields pf ON pf.project_id = d.project_id AND pf.id = ?
+                WHERE d.id = ?
+            `);
+            version.field_values.forEach(field => fieldValueInsert.run(field.value, field.field_id, documentId));
+
+            this.db.prepare(`
+                UPDATE documents SET total_pages = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(version.pages.length, documentId);
+
+            return this.createVersion(documentId, {
+                changeType: VERSION_CHANGE_TYPES.ROLLBACK,
+                summary: `Rolled back to version ${version.version_number}`,
+                createdBy
+            });
+        });
+
+        return transaction();
+    }
+
+    parse(version) {
+        if (!version) return version;
+        return {
+            ...version,
+            pages: JSON.parse(version.pages),
+            field_values: JSON.parse(version.field_values)
+        };
+    }
+}
+
+module.exports = DocumentVersion;
@@ -0,0 +1,149 @@
+const BaseModel = require('./BaseModel');
+const { STATUS, HTTP_STATUS } = require('../../config/constants');
+
+const SELECT_FOLDER = `
+    SELECT f.*, u.username as created_by_name,
+           (SELECT COUNT(*) FROM documents d WHERE d.folder_id = f.id AND d.status = '${STATUS.ACTIVE}') as document_count,
+           (SELECT COUNT(*) FROM folders c WHERE c.parent_id = f.id) as subfolder_count
+    FROM folders f
+    LEFT JOIN users u ON f.created_by = u.id
+`;
+
+class Folder extends BaseModel {
+    constructor(db) {
+        super(db, 'folders');
+    }
+
+    // Create a folder (parentId null = project top level)
+    createFolder({ projectId, parentId = null, name, createdBy }) {
+        const result = this.db.prepare(`
+            INSERT INTO folders (project_id, parent_id, name, created_by) VALUES (?, ?, ?, ?)
+        `).run(projectId, parentId, name, createdBy);
+
+        return this.findWithDetails(result.lastInsertRowid);
+    }
+
+    // Rename and/or move a folder (only the given columns)
+    updateFolder(id, updates) {
+        const columns = ['name', 'parent_id'].filter(column => updates[column] !== undefined);
+
+        if (columns.length > 0) {
+            this.db.prepare(`
+                UPDATE folders SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(...columns.map(column => updates[column]), id);
+        }
+
+        return this.findWithDetails(id);
+    }
+
+    // Delete a folder; its documents and subfolders move up to its parent so nothing is orphaned
+    deleteFolder(id) {
+        const transaction = this.db.transaction(() => {
+            const folder = this.findById(id);
+            if (!folder) return null;
+
+            const clash = this.db.prepare(`
+                SELECT c.name FROM folders c
+                JOIN folders s ON s.project_id = c.project_id AND s.parent_id IS ? AND s.id != ? AND s.name = c.name COLLATE NOCASE
+                WHERE c.parent_id = ?
+                LIMIT 1
+            `).get(folder.parent_id, id, id);
+            if (clash) {
+                const error = new Error(`A folder named "${clash.name}" already exists where the subfolders would move`);
+                error.status = HTTP_STATUS.CONFLICT;
+                throw error;
+            }
+
+            const documentsMoved = this.db.prepare(`
+                UPDATE documents SET folder_id = ?, updated_at = CURRENT_TIMESTAMP WHERE folder_id = ?
+            `).run(folder.parent_id, id).changes;
+            const foldersMoved = this.db.prepare(`
+                UPDATE folders SET parent_id = ?, updated_at = CURRENT_TIMESTAMP WHERE parent_id = ?
+            `).run(folder.parent_id, id).changes;
+            this.db.prepare('DELETE FROM folders WHERE id = ?').run(id);
+
+            return { documents_moved: documentsMoved, folders_moved: foldersMoved };
+        });
+
+        return transaction();
+    }
+
+    // Get folder with creator name, counts and path
+    findWithDetails(id) {
+        const folder = this.db.prepare(`${SELECT_FOLDER} WHERE f.id = ?`).get(id);
+        if (folder) {
+            folder.path = this.getPath(id);
+        }
+        return folder;
+    }
+
+    // List all folders of a project (flat, by name)
+    findByProject(projectId) {
+        return this.db.prepare(`
+            ${SELECT_FOLDER}
+            WHERE f.project_id = ?
+            ORDER BY f.name COLLATE NOCASE, f.id
+        `).all(projectId);
+    }
+
+    // Get the folder tree of a project as nested { ...folder, children }
+    getTree(projectId) {
+        const folders = this.findByProject(projectId).map(folder => ({ ...folder, children: [] }));
+        const byId = new Map(folders.map(folder => [folder.id, folder]));
+
+        return folders.filter(folder => {
+            const parent = byId.get(folder.parent_id);
+            if (parent) parent.children.push(folder);
+            return !parent;
+        });
+    }
+
+    // Get the ancestors of a folder and the folder itself, top level first
+    getPath(id) {
+        return this.db.prepare(`
+            WITH RECURSIVE ancestors(id, name, parent_id, depth) AS (
+                SELECT id, name, parent_id, 0 FROM folders WHERE id = ?
+                UNION ALL
+                SELECT f.id, f.name, f.parent_id, a.depth + 1
+                FROM folders f JOIN ancestors a ON f.id = a.parent_id
+            )
+            SELECT id, name FROM ancestors ORDER BY depth DESC
+        `).all(id);
+    }
+
+    // Get the ids of a folder and all its subfolders
+    getDescendantIds(id) {
+        return this.db.prepare(`
+            WITH RECURSIVE tree(id) AS (
+                SELECT id FROM folders WHERE id = ?
+                UNION
+                SELECT f.id FROM folders f JOIN tree t ON f.parent_id = t.id
+            )
+            SELECT id FROM tree
+        `).all(id).map(row => row.id);
+    }
+
+    // Find a sibling folder with the name (case-insensitive)
+    findSibling(projectId, parentId, name, excludeId = null) {
+        return this.db.prepare(`
+            SELECT * FROM folders
+            WHERE project_id = ? AND parent_id IS ? AND name = ? COLLATE NOCASE AND id IS NOT ?
+        `).get(projectId, parentId, name, excludeId);
+    }
+
+    // Move documents into a folder (null = project root); returns the number moved
+    moveDocuments(documentIds, folderId) {
+        const moveStmt = this.db.prepare(`
+            UPDATE documents SET folder_id = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND folder_id IS NOT ?
+        `);
+
+        const transaction = this.db.transaction(() =>
+            documentIds.reduce((moved, documentId) => moved + moveStmt.run(folderId, documentId, folderId).changes, 0));
+
+        return transaction();
+    }
+}
+
+module.exports = Folder;
@@ -0,0 +1,205 @@
+const BaseModel = require('./BaseModel');
+const { JOB_STATUS } = require('../../config/constants');
+
+class Job extends BaseModel {
+    constructor(db) {
+        super(db, 'jobs');
+    }
+
+    // Queue a new job
+    enqueue({ type, documentId = null, projectId = null, payload = {}, maxAttempts = 3, createdBy = null }) {
+        const result = this.db.prepare(`
+            INSERT INTO jobs (type, status, document_id, project_id, payload, max_attempts, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(type, JOB_STATUS.QUEUED, documentId, projectId, JSON.stringify(payload), maxAttempts, createdBy);
+
+        return this.findById(result.lastInsertRowid);
+    }
+
+    // Get jobs for a document (newest first)
+    findByDocument(documentId, { status = null, limit = 50 } = {}) {
+        let query = 'SELECT * FROM jobs WHERE document_id = ?';
+        const params = [documentId];
+
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+        params.push(limit);
+
+        return this.db.prepare(query).all(...params);
+    }
+
+    // Count queued or running jobs for a document
+    countActive(documentId) {
+        return this.db.prepare(`
+            SELECT COUNT(*) as count FROM jobs WHERE document_id = ? AND status IN (?, ?)
+        `).get(documentId, JOB_STATUS.QUEUED, JOB_STATUS.RUNNING).count;
+    }
+
+    // Claim the next runnable job for a worker.
+    // Jobs for a document that already has a running job are skipped so pages are added in order.
+    claimNext(workerId) {
+        const transaction = this.db.transaction(() => {
+            const job = this.db.prepare(`
+                SELECT id FROM jobs
+                WHERE status = ?
+                AND (run_after IS NULL OR run_after <= CURRENT_TIMESTAMP)
+                AND (document_id IS NULL OR document_id NOT IN (
+                    SELECT document_id FROM jobs WHERE status = ? AND document_id IS NOT NULL
+                ))
+                ORDER BY run_after, id
+                LIMIT 1
+            `).get(JOB_STATUS.QUEUED, JOB_STATUS.RUNNING);
+
+            if (!job) {
+                return null;
+            }
+
+            this.db.prepare(`
+                UPDATE jobs SET
+                    status = ?,
+                    locked_by = ?,
+                    attempts = attempts + 1,
+                    started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(JOB_STATUS.RUNNING, workerId, job.id);
+
+            return this.findById(job.id);
+        });
+
+        return transaction();
+    }
+
+    // Record progress and the state needed to resume after a restart
+    updateProgress(jobId, { current, total, message = null, checkpoint = undefined }) {
+        const params = [current, total, message];
+        let checkpointClause = '';
+
+        if (checkpoint !== undefined) {
+            checkpointClause = 'checkpoint = ?,';
+            params.push(JSON.stringify(checkpoint));
+        }
+
+        params.push(jobId);
+
+        return this.db.prepare(`
+            UPDATE jobs SET
+                progress_current = ?,
+                progress_total = ?,
+                progress_message = ?,
+                ${checkpointClause}
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...params);
+    }
+
+    // Mark job as completed
+    complete(jobId, result = null) {
+        return this.db.prepare(`
+            UPDATE jobs SET
+                status = ?,
+                result = ?,
+                last_error = NULL,
+                locked_by = NULL,
+                completed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(JOB_STATUS.COMPLETED, result ? JSON.stringify(result) : null, jobId);
+    }
+
+    // Schedule a retry after a failed attempt
+    retryLater(jobId, errorMessage, delayMs) {
+        return this.db.prepare(`
+            UPDATE jobs SET
+                status = ?,
+                last_error = ?,
+                locked_by = NULL,
+                run_after = datetime('now', ?),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(JOB_STATUS.QUEUED, errorMessage, `+${Math.ceil(delayMs / 1000)} seconds`, jobId);
+    }
+
+    // Mark job as permanently failed
+    fail(jobId, errorMessage) {
+        return this.db.prepare(`
+            UPDATE jobs SET
+                status = ?,
+                last_error = ?,
+                locked_by = NULL,
+                completed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(JOB_STATUS.FAILED, errorMessage, jobId);
+    }
+
+    // Mark job as cancelled
+    markCancelled(jobId) {
+        return this.db.prepare(`
+            UPDATE jobs SET
+                status = ?,
+                locked_by = NULL,
+                completed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(JOB_STATUS.CANCELLED, jobId);
+    }
+
+    // Request cancellation: queued jobs are cancelled at once, running jobs stop at the next page
+    requestCancel(jobId) {
+        const transaction = this.db.transaction(() => {
+            const job = this.findById(jobId);
+            if (!job) {
+                return null;
+            }
+
+            if (job.status === JOB_STATUS.QUEUED) {
+                this.markCancelled(jobId);
+            } else if (job.status === JOB_STATUS.RUNNING) {
+                this.db.prepare(`
+                    UPDATE jobs SET cancel_requested = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+                `).run(jobId);
+            }
+
+            return this.findById(jobId);
+        });
+
+        return transaction();
+    }
+
+    // Check whether cancellation was requested for a running job
+    isCancelRequested(jobId) {
+        const job = this.db.prepare('SELECT cancel_requested FROM jobs WHERE id = ?').get(jobId);
+        return !!(job && job.cancel_requested);
+    }
+
+    // Put a job back in the queue without counting the interrupted attempt
+    requeue(jobId) {
+        return this.db.prepare(`
+            UPDATE jobs SET
+                status = ?,
+                locked_by = NULL,
+                attempts = MAX(attempts - 1, 0),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(JOB_STATUS.QUEUED, jobId);
+    }
+
+    // Requeue jobs left running by a previous server process
+    requeueInterrupted() {
+        return this.db.prepare(`
+            UPDATE jobs SET
+                status = ?,
+                locked_by = NULL,
+                attempts = MAX(attempts - 1, 0),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE status = ?
+        `).run(JOB_STATUS.QUEUED, JOB_STATUS.RUNNING).changes;
+    }
+}
+
+module.exports = Job;
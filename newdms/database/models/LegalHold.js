@@ -0,0 +1,105 @@
+const BaseModel = require('./BaseModel');
+const { LEGAL_HOLD_STATUS } = require('../../config/constants');
+
+const SELECT_HOLD = `
+    SELECT lh.*, cu.username as created_by_name, ru.username as released_by_name,
+           (SELECT COUNT(*) FROM legal_hold_documents lhd WHERE lhd.hold_id = lh.id) as document_count
+    FROM legal_holds lh
+    LEFT JOIN users cu ON lh.created_by = cu.id
+    LEFT JOIN users ru ON lh.released_by = ru.id
+`;
+
+class LegalHold extends BaseModel {
+    constructor(db) {
+        super(db, 'legal_holds');
+    }
+
+    // Create a hold
+    createHold({ name, reason = null, createdBy }) {
+        const result = this.db.prepare(`
+            INSERT INTO legal_holds (name, reason, created_by) VALUES (?, ?, ?)
+        `).run(name, reason, createdBy);
+
+        return this.findWithDetails(result.lastInsertRowid);
+    }
+
+    // Get hold with creator/releaser names and document count
+    findWithDetails(id) {
+        return this.db.prepare(`${SELECT_HOLD} WHERE lh.id = ?`).get(id);
+    }
+
+    // List holds, active first
+    findAllHolds({ status } = {}) {
+        return this.db.prepare(`
+            ${SELECT_HOLD}
+            ${status ? 'WHERE lh.status = ?' : ''}
+            ORDER BY lh.status = ? DESC, lh.created_at DESC, lh.id DESC
+        `).all(...(status ? [status] : []), LEGAL_HOLD_STATUS.ACTIVE);
+    }
+
+    // Put documents under the hold; returns the number newly added
+    addDocuments(holdId, documentIds, addedBy) {
+        const insertStmt = this.db.prepare(`
+            INSERT OR IGNORE INTO legal_hold_documents (hold_id, document_id, added_by) VALUES (?, ?, ?)
+        `);
+
+        const transaction = this.db.transaction(() =>
+            documentIds.reduce((added, documentId) => added + insertStmt.run(holdId, documentId, addedBy).changes, 0));
+
+        return transaction();
+    }
+
+    // Take a document out of the hold
+    removeDocument(holdId, documentId) {
+        return this.db.prepare(`
+            DELETE FROM legal_hold_documents WHERE hold_id = ? AND document_id = ?
+        `).run(holdId, documentId).changes > 0;
+    }
+
+    // List the held documents
+    getDocuments(holdId) {
+        return this.db.prepare(`
+            SELECT d.id, d.title, d.document_type, d.status, d.project_id, p.name as project_name,
+                   lhd.added_at, u.username as added_by_name
+            FROM legal_hold_documents lhd
+            JOIN documents d ON lhd.document_id = d.id
+            LEFT JOIN projects p ON d.project_id = p.id
+            LEFT JOIN users u ON lhd.added_by = u.id
+            WHERE lhd.hold_id = ?
+            ORDER BY lhd.added_at, d.id
+        `).all(holdId);
+    }
+
+    // Release the hold; its documents can be changed again unless another hold covers them
+    release(holdId, releasedBy, reason = null) {
+        this.db.prepare(`
+            UPDATE legal_holds SET status = ?, released_by = ?, released_at = CURRENT_TIMESTAMP, release_reason = ?
+            WHERE id = ? AND status = ?
+        `).run(LEGAL_HOLD_STATUS.RELEASED, releasedBy, reason, holdId, LEGAL_HOLD_STATUS.ACTIVE);
+
+        return this.findWithDetails(holdId);
+    }
+
+    // Get the active holds on a document
+    findActiveForDocument(documentId) {
+        return this.db.prepare(`
+            SELECT lh.id, lh.name, lh.reason, lh.created_at
+            FROM legal_holds lh
+            JOIN legal_hold_documents lhd ON lhd.hold_id = lh.id
+            WHERE lhd.document_id = ? AND lh.status = ?
+            ORDER BY lh.created_at, lh.id
+        `).all(documentId, LEGAL_HOLD_STATUS.ACTIVE);
+    }
+
+    // Check whether any active hold covers the document
+    isHeld(documentId) {
+        return Boolean(this.db.prepare(`
+            SELECT 1 FROM legal_hold_documents lhd
+            JOIN legal_holds lh ON lhd.hold_id = lh.id
+            WHERE lhd.document_id = ? AND lh.status = ?
+            LIMIT 1
+        `).get(documentId, LEGAL_HOLD_STATUS.ACTIVE));
+    }
+}
+
+module.exports = LegalHold;
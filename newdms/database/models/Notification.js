@@ -0,0 +1,70 @@
+const BaseModel = require('./BaseModel');
+
+class Notification extends BaseModel {
+    constructor(db) {
+        super(db, 'notifications');
+    }
+
+    // Add a notification; returns null when the subscription was already notified about the document
+    createNotification({ userId, type, title, message = null, data = null, subscriptionId = null, documentId = null, emailStatus = null }) {
+        const result = this.db.prepare(`
+            INSERT OR IGNORE INTO notifications (user_id, type, title, message, data, subscription_id, document_id, email_status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(userId, type, title, message, data ? JSON.stringify(data) : null, subscriptionId, documentId, emailStatus);
+
+        return result.changes > 0 ? this.findById(result.lastInsertRowid) : null;
+    }
+
+    // Get user's notifications (newest first)
+    findByUser(userId, { unreadOnly = false, limit = 50, offset = 0 } = {}) {
+        return this.db.prepare(`
+            SELECT * FROM notifications
+            WHERE user_id = ? ${unreadOnly ? 'AND read_at IS NULL' : ''}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(userId, limit, offset);
+    }
+
+    countUnread(userId) {
+        return this.db.prepare(`
+            SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL
+        `).get(userId).count;
+    }
+
+    // Get notifications of a subscription waiting to be emailed
+    findByEmailStatus(subscriptionId, status) {
+        return this.db.prepare(`
+            SELECT * FROM notifications
+            WHERE subscription_id = ? AND email_status = ?
+            ORDER BY created_at, id
+        `).all(subscriptionId, status);
+    }
+
+    setEmailStatus(ids, status) {
+        if (ids.length === 0) {
+            return;
+        }
+        this.db.prepare(`
+            UPDATE notifications SET email_status = ?, emailed_at = CURRENT_TIMESTAMP
+            WHERE id IN (${ids.map(() => '?').join(', ')})
+        `).run(status, ...ids);
+    }
+
+    markRead(userId, id) {
+        return this.db.prepare(`
+            UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND read_at IS NULL
+        `).run(id, userId).changes;
+    }
+
+    markAllRead(userId) {
+        return this.db.prepare(`
+            UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL
+        `).run(userId).changes;
+    }
+
+    deleteNotification(userId, id) {
+        return this.db.prepare('DELETE FROM notifications WHERE id = ? AND user_id = ?').run(id, userId).changes;
+    }
+}
+
+module.exports = Notification;
@@ -0,0 +1,92 @@
+const BaseModel = require('./BaseModel');
+const { STATUS, ANNOTATION_VISIBILITY } = require('../../config/constants');
+
+const SELECT_ANNOTATION = `
+    SELECT a.*, u.username as created_by_name, e.username as updated_by_name
+    FROM page_annotations a
+    LEFT JOIN users u ON a.created_by = u.id
+    LEFT JOIN users e ON a.updated_by = e.id
+`;
+
+// Annotations a user may see: shared ones and their own private ones
+const VISIBLE_TO = '(a.visibility = ? OR a.created_by = ?)';
+
+class PageAnnotation extends BaseModel {
+    constructor(db) {
+        super(db, 'page_annotations');
+    }
+
+    // Create an annotation on a page
+    createAnnotation(pageId, { type, geometry, style = null, content = null, visibility, createdBy }) {
+        const result = this.db.prepare(`
+            INSERT INTO page_annotations (page_id, type, geometry, style, content, visibility, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(pageId, type, JSON.stringify(geometry), style ? JSON.stringify(style) : null, content, visibility, createdBy);
+
+        return this.findWithAuthor(result.lastInsertRowid);
+    }
+
+    // Change the geometry, style, content or visibility of an annotation (only the given ones)
+    updateAnnotation(id, updates, updatedBy) {
+        const values = {
+            geometry: updates.geometry === undefined ? undefined : JSON.stringify(updates.geometry),
+            style: updates.style === undefined ? undefined : updates.style ? JSON.stringify(updates.style) : null,
+            content: updates.content,
+            visibility: updates.visibility
+        };
+        const columns = Object.keys(values).filter(column => values[column] !== undefined);
+
+        this.db.prepare(`
+            UPDATE page_annotations SET ${columns.map(column => `${column} = ?, `).join('')}
+                updated_by = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...columns.map(column => values[column]), updatedBy, id);
+
+        return this.findWithAuthor(id);
+    }
+
+    // Delete an annotation
+    deleteAnnotation(id) {
+        return this.db.prepare('DELETE FROM page_annotations WHERE id = ?').run(id).changes > 0;
+    }
+
+    // Get annotation with author names and parsed geometry and style
+    findWithAuthor(id) {
+        return this.parse(this.db.prepare(`${SELECT_ANNOTATION} WHERE a.id = ?`).get(id));
+    }
+
+    // List the annotations of a page the user can see, oldest first (drawing order)
+    findVisible(pageId, userId, { type } = {}) {
+        return this.db.prepare(`
+            ${SELECT_ANNOTATION}
+            WHERE a.page_id = ? AND ${VISIBLE_TO} ${type ? 'AND a.type = ?' : ''}
+            ORDER BY a.id
+        `).all(pageId, ANNOTATION_VISIBILITY.SHARED, userId, ...(type ? [type] : [])).map(annotation => this.parse(annotation));
+    }
+
+    // List the annotations the user can see on a document's active pages, for export
+    findVisibleByDocument(documentId, userId) {
+        return this.db.prepare(`
+            ${SELECT_ANNOTATION}
+            JOIN document_pages p ON a.page_id = p.id
+            WHERE p.document_id = ? AND (p.status IS NULL OR p.status = ?) AND ${VISIBLE_TO}
+            ORDER BY a.page_id, a.id
+        `).all(documentId, STATUS.ACTIVE, ANNOTATION_VISIBILITY.SHARED, userId).map(annotation => this.parse(annotation));
+    }
+
+    // Count all annotations of a page (any author or visibility)
+    countByPage(pageId) {
+        return this.db.prepare('SELECT COUNT(*) as count FROM page_annotations WHERE page_id = ?').get(pageId).count;
+    }
+
+    parse(annotation) {
+        if (!annotation) return annotation;
+        return {
+            ...annotation,
+            geometry: JSON.parse(annotation.geometry),
+            style: annotation.style ? JSON.parse(annotation.style) : null
+        };
+    }
+}
+
+module.exports = PageAnnotation;
@@ -0,0 +1,117 @@
+const BaseModel = require('./BaseModel');
+const { STATUS, PII_FINDING_STATUS } = require('../../config/constants');
+
+const SELECT_FINDING = `
+    SELECT f.*, p.document_id, p.page_number, u.username as reviewed_by_name
+    FROM page_pii_findings f
+    JOIN document_pages p ON f.page_id = p.id
+    LEFT JOIN users u ON f.reviewed_by = u.id
+`;
+
+class PagePiiFinding extends BaseModel {
+    constructor(db) {
+        super(db, 'page_pii_findings');
+    }
+
+    // Store the result of scanning a page. Findings seen before (same type, rule and masked value) keep their
+    // review: dismissed ones stay dismissed and ones waiting on a redaction stay with it, even when that text
+    // is no longer found. Other findings no longer in the text are dropped.
+    // findings is [{ type, ruleId, label, maskedValue, regions }]
+    replaceForPage(pageId, findings) {
+        const transaction = this.db.transaction(() => {
+            const existing = this.db.prepare('SELECT * FROM page_pii_findings WHERE page_id = ? ORDER BY id').all(pageId);
+            const kept = new Set();
+
+            findings.forEach(finding => {
+                const match = existing.find(row => !kept.has(row.id) && row.type === finding.type &&
+                    row.masked_value === finding.maskedValue && (row.rule_id || null) === (finding.ruleId || null));
+
+                if (!match) {
+                    this.db.prepare(`
+                        INSERT INTO page_pii_findings (page_id, type, rule_id, label, masked_value, regions, status)
+                        VALUES (?, ?, ?, ?, ?, ?, ?)
+                    `).run(pageId, finding.type, finding.ruleId || null, finding.label || null, finding.maskedValue,
+                        JSON.stringify(finding.regions), PII_FINDING_STATUS.OPEN);
+                    return;
+                }
+
+                kept.add(match.id);
+                // The regions of a requested redaction are the ones it was drawn from
+                if (match.status !== PII_FINDING_STATUS.REDACTION_REQUESTED) {
+                    this.db.prepare('UPDATE page_pii_findings SET label = ?, regions = ? WHERE id = ?')
+                        .run(finding.label || null, JSON.stringify(finding.regions), match.id);
+                }
+            });
+
+            const gone = existing.filter(row => !kept.has(row.id) && row.status !== PII_FINDING_STATUS.REDACTION_REQUESTED);
+            gone.forEach(row => this.db.prepare('DELETE FROM page_pii_findings WHERE id = ?').run(row.id));
+
+            this.db.prepare('UPDATE document_pages SET pii_scanned_at = CURRENT_TIMESTAMP WHERE id = ?').run(pageId);
+        });
+
+        transaction();
+        return this.findByPage(pageId);
+    }
+
+    // Mark findings as reviewed (dismissed, or with a redaction requested for them); redactionId links the redaction
+    setStatus(ids, status, reviewedBy, redactionId = null) {
+        const statement = this.db.prepare(`
+            UPDATE page_pii_findings SET status = ?, redaction_id = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        const transaction = this.db.transaction(() => ids.forEach(id => statement.run(status, redactionId, reviewedBy, id)));
+        transaction();
+    }
+
+    // Get finding with page number, reviewer name and parsed regions
+    findWithPage(id) {
+        return this.parse(this.db.prepare(`${SELECT_FINDING} WHERE f.id = ?`).get(id));
+    }
+
+    // List the findings of a page in the order they were found
+    findByPage(pageId, { status, type } = {}) {
+        const conditions = ['f.page_id = ?'];
+        const params = [pageId];
+        if (status) {
+            conditions.push('f.status = ?');
+            params.push(status);
+        }
+        if (type) {
+            conditions.push('f.type = ?');
+            params.push(type);
+        }
+
+        return this.db.prepare(`${SELECT_FINDING} WHERE ${conditions.join(' AND ')} ORDER BY f.id`)
+            .all(...params).map(finding => this.parse(finding));
+    }
+
+    // List the findings on a document's active pages in page order
+    findByDocument(documentId, { status, type } = {}) {
+        const conditions = ['p.document_id = ?', '(p.status IS NULL OR p.status = ?)'];
+        const params = [documentId, STATUS.ACTIVE];
+        if (status) {
+            conditions.push('f.status = ?');
+            params.push(status);
+        }
+        if (type) {
+            conditions.push('f.type = ?');
+            params.push(type);
+        }
+
+        return this.db.prepare(`
+            ${SELECT_FINDING}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY p.page_order, p.page_number, f.id
+        `).all(...params).map(finding => this.parse(finding));
+    }
+
+    parse(finding) {
+        if (!finding) return finding;
+        return {
+            ...finding,
+            regions: JSON.parse(finding.regions)
+        };
+    }
+}
+
+module.exports = PagePiiFinding;
@@ -0,0 +1,149 @@
+const BaseModel = require('./BaseModel');
+const { REDACTION_STATUS, REDACTION_TEXT_ACTIONS, PII_FINDING_STATUS } = require('../../config/constants');
+
+const SELECT_REDACTION = `
+    SELECT r.*, p.document_id, p.page_number, u.username as requested_by_name, v.username as reviewed_by_name
+    FROM page_redactions r
+    JOIN document_pages p ON r.page_id = p.id
+    LEFT JOIN users u ON r.requested_by = u.id
+    LEFT JOIN users v ON r.reviewed_by = v.id
+`;
+
+class PageRedaction extends BaseModel {
+    constructor(db) {
+        super(db, 'page_redactions');
+    }
+
+    // Request a redaction of regions of a page's current image
+    createRedaction(pageId, { regions, reason, note = null, pageFilePath, requestedBy }) {
+        const result = this.db.prepare(`
+            INSERT INTO page_redactions (page_id, regions, reason, note, status, page_file_path, requested_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(pageId, JSON.stringify(regions), reason, note, REDACTION_STATUS.PENDING, pageFilePath, requestedBy);
+
+        return this.findWithNames(result.lastInsertRowid);
+    }
+
+    // Close a pending redaction without applying it (rejected or withdrawn); false if it was no longer pending.
+    // PII findings it was requested for are open again
+    close(id, status, reviewedBy, reviewNote = null) {
+        const transaction = this.db.transaction(() => {
+            const closed = this.db.prepare(`
+                UPDATE page_redactions SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+                WHERE id = ? AND status = ?
+            `).run(status, reviewedBy, reviewNote, id, REDACTION_STATUS.PENDING).changes > 0;
+
+            if (closed) {
+                this.db.prepare(`
+                    UPDATE page_pii_findings SET status = ?, redaction_id = NULL, reviewed_by = NULL, reviewed_at = NULL
+                    WHERE redaction_id = ?
+                `).run(PII_FINDING_STATUS.OPEN, id);
+            }
+            return closed;
+        });
+
+        return transaction();
+    }
+
+    // Point the page at its redacted image and text and mark the redaction applied. Transforms of the page
+    // are forgotten (undoing one would bring the redacted content back) and the original file the page came
+    // from is marked as withheld. text is { action, ocr, removed } with ocr the page's new OCR data
+    // ({ text, wordCount, layout, confidence, language }), or null for a page without text.
+    // Returns the applied redaction and the page history images to remove.
+    apply(redaction, { filePath, fileSize, text, reviewedBy, reviewNote = null }) {
+        const transaction = this.db.transaction(() => {
+            const page = this.db.prepare('SELECT * FROM document_pages WHERE id = ?').get(redaction.page_id);
+
+            const marked = this.db.prepare(`
+                UPDATE page_redactions SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?,
+                    text_action = ?, words_removed = ?
+                WHERE id = ? AND status = ?
+            `).run(REDACTION_STATUS.APPLIED, reviewedBy, reviewNote, text ? text.action : null,
+                text && text.removed !== undefined ? text.removed : null, redaction.id, REDACTION_STATUS.PENDING);
+            if (marked.changes === 0) {
+                throw new Error('Redaction is no longer pending');
+            }
+
+            this.db.prepare('UPDATE document_pages SET file_path = ?, file_size = ? WHERE id = ?').run(filePath, fileSize, page.id);
+
+            if (text && text.action === REDACTION_TEXT_ACTIONS.CLEARED) {
+                this.db.prepare(`
+                    UPDATE document_pages SET ocr_text = NULL, ocr_confidence = NULL, word_count = 0, ocr_layout = NULL
+                    WHERE id = ?
+                `).run(page.id);
+            } else if (text && text.action === REDACTION_TEXT_ACTIONS.OCR) {
+                this.db.prepare(`
+                    UPDATE document_pages SET ocr_text = ?, ocr_confidence = ?, ocr_processed_at = CURRENT_TIMESTAMP,
+                        ocr_language = ?, word_count = ?, ocr_layout = ?, text_source = 'ocr'
+                    WHERE id = ?
+                `).run(text.ocr.text, text.ocr.confidence, text.ocr.language, text.ocr.wordCount,
+                    text.ocr.layout ? JSON.stringify(text.ocr.layout) : null, page.id);
+            } else if (text) {
+                this.db.prepare(`
+                    UPDATE document_pages SET ocr_text = ?, word_count = ?, ocr_layout = ? WHERE id = ?
+                `).run(text.ocr.text, text.ocr.wordCount, JSON.stringify(text.ocr.layout), page.id);
+            }
+
+            // PII findings it was requested for are dealt with (a new scan finds anything left in the text)
+            this.db.prepare('DELETE FROM page_pii_findings WHERE redaction_id = ?').run(redaction.id);
+
+            // Other pending redactions were drawn on the same page geometry, which redacting does not change
+            this.db.prepare(`
+                UPDATE page_redactions SET page_file_path = ? WHERE page_id = ? AND status = ? AND page_file_path = ?
+            `).run(filePath, page.id, REDACTION_STATUS.PENDING, page.file_path);
+
+            const discarded = this.db.prepare(`
+                SELECT previous_file_path FROM page_transforms WHERE page_id = ?
+            `).all(page.id).map(transform => transform.previous_file_path);
+            this.db.prepare('DELETE FROM page_transforms WHERE page_id = ?').run(page.id);
+
+            if (page.original_id) {
+                this.db.prepare(`
+                    UPDATE document_originals SET redacted_at = COALESCE(redacted_at, CURRENT_TIMESTAMP) WHERE id = ?
+                `).run(page.original_id);
+            }
+
+            this.db.prepare(`
+                UPDATE documents SET updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(page.document_id);
+
+            return discarded;
+        });
+
+        const discarded = transaction();
+        return { redaction: this.findWithNames(redaction.id), discarded };
+    }
+
+    // Get redaction with page number, requester and reviewer names and parsed regions
+    findWithNames(id) {
+        return this.parse(this.db.prepare(`${SELECT_REDACTION} WHERE r.id = ?`).get(id));
+    }
+
+    // List the redactions of a page, newest first
+    findByPage(pageId, { status } = {}) {
+        return this.db.prepare(`
+            ${SELECT_REDACTION}
+            WHERE r.page_id = ? ${status ? 'AND r.status = ?' : ''}
+            ORDER BY r.id DESC
+        `).all(pageId, ...(status ? [status] : [])).map(redaction => this.parse(redaction));
+    }
+
+    // List the redactions of a document's pages (those in the recycle bin included) in page order
+    findByDocument(documentId, { status } = {}) {
+        return this.db.prepare(`
+            ${SELECT_REDACTION}
+            WHERE p.document_id = ? ${status ? 'AND r.status = ?' : ''}
+            ORDER BY p.page_order, p.page_number, r.id
+        `).all(documentId, ...(status ? [status] : [])).map(redaction => this.parse(redaction));
+    }
+
+    parse(redaction) {
+        if (!redaction) return redaction;
+        return {
+            ...redaction,
+            regions: JSON.parse(redaction.regions)
+        };
+    }
+}
+
+module.exports = PageRedaction;
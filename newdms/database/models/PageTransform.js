@@ -0,0 +1,147 @@
+const BaseModel = require('./BaseModel');
+
+// Page OCR columns saved with each transform and put back when it is undone
+const OCR_COLUMNS = ['ocr_text', 'ocr_confidence', 'ocr_processed_at', 'ocr_language', 'word_count', 'ocr_layout', 'text_source'];
+
+class PageTransform extends BaseModel {
+    constructor(db) {
+        super(db, 'page_transforms');
+    }
+
+    // Record a transform and point the page at its new image. ocr is the OCR result for the new image
+    // ({ text, confidence, language, wordCount, layout }) or null to keep the text and drop the word
+    // geometry, which no longer matches the image
+    record(pageId, { operations, previousFilePath, filePath, fileSize, ocr = null, createdBy }) {
+        const transaction = this.db.transaction(() => {
+            const page = this.db.prepare('SELECT * FROM document_pages WHERE id = ?').get(pageId);
+            if (!page) {
+                throw new Error('Page not found');
+            }
+
+            const previousOcr = Object.fromEntries(OCR_COLUMNS.map(column => [column, page[column]]));
+            const result = this.db.prepare(`
+                INSERT INTO page_transforms (page_id, operations, previous_file_path, previous_file_size, previous_ocr, created_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(pageId, JSON.stringify(operations), previousFilePath, page.file_size, JSON.stringify(previousOcr), createdBy);
+
+            if (ocr) {
+                this.db.prepare(`
+                    UPDATE document_pages SET file_path = ?, file_size = ?, ocr_text = ?, ocr_confidence = ?,
+                        ocr_processed_at = CURRENT_TIMESTAMP, ocr_language = ?, word_count = ?, ocr_layout = ?, text_source = 'ocr'
+                    WHERE id = ?
+                `).run(filePath, fileSize, ocr.text, ocr.confidence, ocr.language, ocr.wordCount,
+                    JSON.stringify(ocr.layout), pageId);
+            } else {
+                this.db.prepare(`
+                    UPDATE document_pages SET file_path = ?, file_size = ?, ocr_layout = NULL WHERE id = ?
+                `).run(filePath, fileSize, pageId);
+            }
+
+            this.db.prepare(`
+                UPDATE documents SET updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(page.document_id);
+
+            return result.lastInsertRowid;
+        });
+
+        return this.findWithAuthor(transaction());
+    }
+
+    // Record image changes made while a page was being added (ingest clean-up), keeping the image as
+    // it arrived. The page's text stays on undo; its word geometry, measured on the changed image, does not
+    recordIngest(pageId, { operations, previousFilePath, previousFileSize, createdBy }) {
+        const page = this.db.prepare('SELECT * FROM document_pages WHERE id = ?').get(pageId);
+        if (!page) {
+            throw new Error('Page not found');
+        }
+
+        const previousOcr = Object.fromEntries(OCR_COLUMNS.map(column => [column, column === 'ocr_layout' ? null : page[column]]));
+        const result = this.db.prepare(`
+            INSERT INTO page_transforms (page_id, operations, previous_file_path, previous_file_size, previous_ocr, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(pageId, JSON.stringify(operations), previousFilePath, previousFileSize, JSON.stringify(previousOcr), createdBy);
+
+        return this.findWithAuthor(result.lastInsertRowid);
+    }
+
+    // Put the page back as it was before a transform (its image now at restoredFilePath) and drop the record
+    undo(transform, restoredFilePath) {
+        const transaction = this.db.transaction(() => {
+            const previousOcr = transform.previous_ocr || {};
+
+            this.db.prepare(`
+                UPDATE document_pages SET file_path = ?, file_size = ?,
+                    ${OCR_COLUMNS.map(column => `${column} = ?`).join(', ')}
+                WHERE id = ?
+            `).run(restoredFilePath, transform.previous_file_size,
+                ...OCR_COLUMNS.map(column => previousOcr[column] === undefined ? null : previousOcr[column]), transform.page_id);
+
+            this.db.prepare('DELETE FROM page_transforms WHERE id = ?').run(transform.id);
+
+            this.db.prepare(`
+                UPDATE documents SET updated_at = CURRENT_TIMESTAMP
+                WHERE id = (SELECT document_id FROM document_pages WHERE id = ?)
+            `).run(transform.page_id);
+        });
+
+        return transaction();
+    }
+
+    // Get transform with author name and parsed operations
+    findWithAuthor(id) {
+        return this.parse(this.db.prepare(`
+            SELECT t.*, u.username as created_by_name
+            FROM page_transforms t
+            LEFT JOIN users u ON t.created_by = u.id
+            WHERE t.id = ?
+        `).get(id));
+    }
+
+    // List the transforms of a page that can still be undone, newest first
+    findByPage(pageId) {
+        return this.db.prepare(`
+            SELECT t.id, t.page_id, t.operations, t.created_by, t.created_at, u.username as created_by_name
+            FROM page_transforms t
+            LEFT JOIN users u ON t.created_by = u.id
+            WHERE t.page_id = ?
+            ORDER BY t.id DESC
+        `).all(pageId).map(transform => this.parse(transform));
+    }
+
+    // Get the transform that undo would revert
+    findLatest(pageId) {
+        const row = this.db.prepare(`
+            SELECT id FROM page_transforms WHERE page_id = ? ORDER BY id DESC LIMIT 1
+        `).get(pageId);
+
+        return row ? this.findWithAuthor(row.id) : null;
+    }
+
+    // Forget all but the newest keep transforms of a page; returns their stored images to remove
+    prune(pageId, keep) {
+        const transaction = this.db.transaction(() => {
+            const dropped = this.db.prepare(`
+                SELECT id, previous_file_path FROM page_transforms WHERE page_id = ?
+                ORDER BY id DESC LIMIT -1 OFFSET ?
+            `).all(pageId, keep);
+
+            const deleteStmt = this.db.prepare('DELETE FROM page_transforms WHERE id = ?');
+            dropped.forEach(transform => deleteStmt.run(transform.id));
+
+            return dropped.map(transform => transform.previous_file_path);
+        });
+
+        return transaction();
+    }
+
+    parse(transform) {
+        if (!transform) return transform;
+        return {
+            ...transform,
+            operations: JSON.parse(transform.operations),
+            previous_ocr: transform.previous_ocr ? JSON.parse(transform.previous_ocr) : undefined
+        };
+    }
+}
+
+module.exports = PageTransform;
@@ -0,0 +1,54 @@
+const BaseModel = require('./BaseModel');
+const { INGEST_DEFAULTS } = require('../../config/constants');
+
+const SETTING_COLUMNS = Object.keys(INGEST_DEFAULTS);
+
+class ProjectIngestSettings extends BaseModel {
+    constructor(db) {
+        super(db, 'project_ingest_settings');
+    }
+
+    // Get a project's ingest settings (the defaults when it has none stored)
+    findByProject(projectId) {
+        const row = this.db.prepare(`
+            SELECT s.*, u.username as updated_by_name
+            FROM project_ingest_settings s
+            LEFT JOIN users u ON s.updated_by = u.id
+            WHERE s.project_id = ?
+        `).get(projectId);
+
+        if (!row) {
+            return { project_id: projectId, ...INGEST_DEFAULTS, updated_by: null, updated_at: null };
+        }
+
+        return {
+            ...row,
+            enabled: row.enabled === 1,
+            auto_rotate: row.auto_rotate === 1
+        };
+    }
+
+    // Get the settings to apply to pages added to a project, or null when the pipeline is off
+    findEnabled(projectId) {
+        const settings = this.findByProject(projectId);
+        return settings.enabled ? settings : null;
+    }
+
+    // Store a project's settings; columns not given keep their current value
+    saveSettings(projectId, updates, updatedBy) {
+        const settings = { ...this.findByProject(projectId), ...updates };
+        const values = SETTING_COLUMNS.map(column => typeof settings[column] === 'boolean' ? (settings[column] ? 1 : 0) : settings[column]);
+
+        this.db.prepare(`
+            INSERT INTO project_ingest_settings (project_id, ${SETTING_COLUMNS.join(', ')}, updated_by, updated_at)
+            VALUES (?, ${SETTING_COLUMNS.map(() => '?').join(', ')}, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (project_id) DO UPDATE SET
+                ${SETTING_COLUMNS.map(column => `${column} = excluded.${column}`).join(', ')},
+                updated_by = excluded.updated_by, updated_at = excluded.updated_at
+        `).run(projectId, ...values, updatedBy);
+
+        return this.findByProject(projectId);
+    }
+}
+
+module.exports = ProjectIngestSettings;
@@ -0,0 +1,78 @@
+const BaseModel = require('./BaseModel');
+
+const SELECT_RULE = `
+    SELECT r.*, u.username as created_by_name
+    FROM project_pii_rules r
+    LEFT JOIN users u ON r.created_by = u.id
+`;
+
+class ProjectPiiRule extends BaseModel {
+    constructor(db) {
+        super(db, 'project_pii_rules');
+    }
+
+    // Add a custom PII rule to a project
+    createRule(projectId, { name, pattern, caseSensitive = false, enabled = true, createdBy }) {
+        const result = this.db.prepare(`
+            INSERT INTO project_pii_rules (project_id, name, pattern, case_sensitive, enabled, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(projectId, name, pattern, caseSensitive ? 1 : 0, enabled ? 1 : 0, createdBy);
+
+        return this.findWithCreator(result.lastInsertRowid);
+    }
+
+    // Change the name, pattern or flags of a rule (only the given ones)
+    updateRule(id, updates) {
+        const values = {
+            name: updates.name,
+            pattern: updates.pattern,
+            case_sensitive: updates.case_sensitive === undefined ? undefined : updates.case_sensitive ? 1 : 0,
+            enabled: updates.enabled === undefined ? undefined : updates.enabled ? 1 : 0
+        };
+        const columns = Object.keys(values).filter(column => values[column] !== undefined);
+
+        this.db.prepare(`
+            UPDATE project_pii_rules SET ${columns.map(column => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...columns.map(column => values[column]), id);
+
+        return this.findWithCreator(id);
+    }
+
+    // Delete a rule (its findings stay, without the link to the rule)
+    deleteRule(id) {
+        return this.db.prepare('DELETE FROM project_pii_rules WHERE id = ?').run(id).changes > 0;
+    }
+
+    // Get rule with creator name
+    findWithCreator(id) {
+        return this.parse(this.db.prepare(`${SELECT_RULE} WHERE r.id = ?`).get(id));
+    }
+
+    // List a project's rules in the order they were added
+    findByProject(projectId) {
+        return this.db.prepare(`${SELECT_RULE} WHERE r.project_id = ? ORDER BY r.id`)
+            .all(projectId).map(rule => this.parse(rule));
+    }
+
+    // List the rules page text of a project is checked against
+    findEnabled(projectId) {
+        return this.findByProject(projectId).filter(rule => rule.enabled);
+    }
+
+    // Count a project's rules
+    countByProject(projectId) {
+        return this.db.prepare('SELECT COUNT(*) as count FROM project_pii_rules WHERE project_id = ?').get(projectId).count;
+    }
+
+    parse(rule) {
+        if (!rule) return rule;
+        return {
+            ...rule,
+            case_sensitive: rule.case_sensitive === 1,
+            enabled: rule.enabled === 1
+        };
+    }
+}
+
+module.exports = ProjectPiiRule;
@@ -0,0 +1,144 @@
+const BaseModel = require('./BaseModel');
+const { DISPOSITION_STATUS, FIELD_TYPES } = require('../../config/constants');
+
+const SELECT_POLICY = `
+    SELECT rp.*, p.name as project_name, u.username as created_by_name
+    FROM retention_policies rp
+    LEFT JOIN projects p ON rp.project_id = p.id
+    LEFT JOIN users u ON rp.created_by = u.id
+`;
+
+// Id of the policy that applies to document d: the most specific active one
+// (project + type, then project, then type, then global)
+const APPLICABLE_POLICY = `
+    SELECT rp2.id FROM retention_policies rp2
+    WHERE rp2.active = 1
+      AND (rp2.project_id IS NULL OR rp2.project_id = d.project_id)
+      AND (rp2.document_type IS NULL OR rp2.document_type = d.document_type)
+    ORDER BY (rp2.project_id IS NOT NULL) * 2 + (rp2.document_type IS NOT NULL) DESC, rp2.id
+    LIMIT 1
+`;
+
+// Start of the retention period: the policy's date index field, or the document's creation date
+const TRIGGER_DATE = `
+    CASE WHEN rp.trigger_field IS NULL THEN date(d.created_at) ELSE date((
+        SELECT dfv.field_value FROM document_field_values dfv
+        JOIN project_fields pf ON dfv.field_id = pf.id
+        WHERE dfv.document_id = d.id AND pf.project_id = d.project_id AND pf.field_name = rp.trigger_field
+    )) END
+`;
+
+class RetentionPolicy extends BaseModel {
+    constructor(db) {
+        super(db, 'retention_policies');
+    }
+
+    // Create a policy
+    createPolicy({ name, description = null, projectId = null, documentType = null, retentionPeriod, retentionUnit, triggerField = null, active = true, createdBy }) {
+        const result = this.db.prepare(`
+            INSERT INTO retention_policies (name, description, project_id, document_type, retention_period, retention_unit, trigger_field, active, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(name, description, projectId, documentType, retentionPeriod, retentionUnit, triggerField, active ? 1 : 0, createdBy);
+
+        return this.findWithDetails(result.lastInsertRowid);
+    }
+
+    // Update a policy (only the given columns)
+    updatePolicy(id, updates) {
+        const columns = ['name', 'description', 'project_id', 'document_type', 'retention_period', 'retention_unit', 'trigger_field', 'active']
+            .filter(column => updates[column] !== undefined);
+
+        if (columns.length > 0) {
+            this.db.prepare(`
+                UPDATE retention_policies SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(...columns.map(column => updates[column]), id);
+        }
+
+        return this.findWithDetails(id);
+    }
+
+    // Delete a policy (disposition records keep their history)
+    deletePolicy(id) {
+        return this.db.prepare('DELETE FROM retention_policies WHERE id = ?').run(id).changes > 0;
+    }
+
+    // Get policy with project and creator names
+    findWithDetails(id) {
+        return this.db.prepare(`${SELECT_POLICY} WHERE rp.id = ?`).get(id);
+    }
+
+    // List policies; projectIds null means all projects (global policies are always included)
+    findAllPolicies({ projectIds = null, projectId } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (projectIds) {
+            conditions.push(`(rp.project_id IS NULL OR rp.project_id IN (${projectIds.map(() => '?').join(', ') || 'NULL'}))`);
+            params.push(...projectIds);
+        }
+
+        if (projectId) {
+            conditions.push('(rp.project_id IS NULL OR rp.project_id = ?)');
+            params.push(projectId);
+        }
+
+        return this.db.prepare(`
+            ${SELECT_POLICY}
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY rp.project_id IS NULL, p.name, rp.document_type IS NULL, rp.document_type, rp.name
+        `).all(...params);
+    }
+
+    // Find another policy with the same project and document type scope
+    findByScope(projectId, documentType, excludeId = null) {
+        return this.db.prepare(`
+            ${SELECT_POLICY}
+            WHERE rp.project_id IS ? AND rp.document_type IS ? AND rp.id IS NOT ?
+        `).get(projectId, documentType, excludeId);
+    }
+
+    // Check that a date index field with the name exists in the project (in any project when projectId is null)
+    isDateField(fieldName, projectId = null) {
+        return Boolean(this.db.prepare(`
+            SELECT 1 FROM project_fields
+            WHERE field_name = ? AND field_type = ? AND (? IS NULL OR project_id = ?)
+            LIMIT 1
+        `).get(fieldName, FIELD_TYPES.DATE, projectId, projectId));
+    }
+
+    // Get the policy that applies to a document with its trigger and eligible dates
+    findForDocument(documentId) {
+        return this.db.prepare(`
+            SELECT rp.id, rp.name, rp.retention_period, rp.retention_unit, rp.trigger_field,
+                   ${TRIGGER_DATE} as trigger_date,
+                   date(${TRIGGER_DATE}, '+' || rp.retention_period || ' ' || rp.retention_unit) as eligible_date
+            FROM documents d
+            JOIN retention_policies rp ON rp.id = (${APPLICABLE_POLICY})
+            WHERE d.id = ?
+        `).get(documentId);
+    }
+
+    // Documents past their retention period that are not pending review or retained
+    findExpiredDocuments(limit = 500) {
+        return this.db.prepare(`
+            SELECT * FROM (
+                SELECT d.id as document_id, d.title as document_title, d.project_id, rp.id as policy_id,
+                       ${TRIGGER_DATE} as trigger_date,
+                       date(${TRIGGER_DATE}, '+' || rp.retention_period || ' ' || rp.retention_unit) as eligible_date
+                FROM documents d
+                JOIN retention_policies rp ON rp.id = (${APPLICABLE_POLICY})
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM document_dispositions dd
+                    WHERE dd.document_id = d.id
+                      AND (dd.status = ? OR (dd.status = ? AND (dd.retain_until IS NULL OR dd.retain_until > date('now'))))
+                )
+            )
+            WHERE eligible_date IS NOT NULL AND eligible_date <= date('now')
+            ORDER BY eligible_date, document_id
+            LIMIT ?
+        `).all(DISPOSITION_STATUS.PENDING, DISPOSITION_STATUS.RETAINED, limit);
+    }
+}
+
+module.exports = RetentionPolicy;
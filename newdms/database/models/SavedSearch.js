@@ -0,0 +1,100 @@
+const BaseModel = require('./BaseModel');
+
+const SELECT_SAVED = `
+    SELECT
+        s.*,
+        u.username as owner_name,
+        r.name as shared_role_name
+    FROM saved_searches s
+    LEFT JOIN users u ON s.user_id = u.id
+    LEFT JOIN roles r ON s.shared_role_id = r.id
+`;
+
+class SavedSearch extends BaseModel {
+    constructor(db) {
+        super(db, 'saved_searches');
+    }
+
+    // Save a named search
+    createSearch({ userId, name, query = null, filters = null, sort = null, sharedRoleId = null }) {
+        const result = this.db.prepare(`
+            INSERT INTO saved_searches (user_id, name, query, filters, sort, shared_role_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(userId, name, query, filters ? JSON.stringify(filters) : null, sort, sharedRoleId);
+
+        return this.findWithOwner(result.lastInsertRowid);
+    }
+
+    // Get saved search with owner and shared role names
+    findWithOwner(id) {
+        return this.db.prepare(`${SELECT_SAVED} WHERE s.id = ?`).get(id);
+    }
+
+    // Get the user's own searches and those shared with their role
+    findVisible(userId, roleId) {
+        return this.db.prepare(`
+            ${SELECT_SAVED}
+            WHERE s.user_id = ? OR (s.shared_role_id IS NOT NULL AND s.shared_role_id = ?)
+            ORDER BY s.user_id = ? DESC, s.name COLLATE NOCASE
+        `).all(userId, roleId, userId);
+    }
+
+    // Get saved search if the user owns it or it is shared with their role
+    findVisibleById(id, userId, roleId) {
+        return this.db.prepare(`
+            ${SELECT_SAVED}
+            WHERE s.id = ? AND (s.user_id = ? OR (s.shared_role_id IS NOT NULL AND s.shared_role_id = ?))
+        `).get(id, userId, roleId);
+    }
+
+    // Find user's saved search by name (names are unique per user)
+    findByName(userId, name) {
+        return this.db.prepare('SELECT * FROM saved_searches WHERE user_id = ? AND name = ?').get(userId, name);
+    }
+
+    // Update name, query, filters, sort or sharing
+    updateSearch(id, { name, query, filters, sort, sharedRoleId }) {
+        const updates = [];
+        const params = [];
+
+        if (name !== undefined) {
+            updates.push('name = ?');
+            params.push(name);
+        }
+        if (query !== undefined) {
+            updates.push('query = ?');
+            params.push(query);
+        }
+        if (filters !== undefined) {
+            updates.push('filters = ?');
+            params.push(filters ? JSON.stringify(filters) : null);
+        }
+        if (sort !== undefined) {
+            updates.push('sort = ?');
+            params.push(sort);
+        }
+        if (sharedRoleId !== undefined) {
+            updates.push('shared_role_id = ?');
+            params.push(sharedRoleId);
+        }
+
+        if (updates.length > 0) {
+            this.db.prepare(`
+                UPDATE saved_searches SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(...params, id);
+        }
+
+        return this.findWithOwner(id);
+    }
+
+    // Record that the search was run
+    markRun(id) {
+        this.db.prepare('UPDATE saved_searches SET last_run_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+    }
+
+    deleteSearch(id) {
+        return this.db.prepare('DELETE FROM saved_searches WHERE id = ?').run(id).changes;
+    }
+}
+
+module.exports = SavedSearch;
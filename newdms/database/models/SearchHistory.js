@@ -0,0 +1,52 @@
+const BaseModel = require('./BaseModel');
+
+class SearchHistory extends BaseModel {
+    constructor(db) {
+        super(db, 'search_history');
+    }
+
+    // Record a search and drop the user's oldest entries beyond maxEntries
+    record(userId, { query, filters = null, resultCount = 0 }, maxEntries) {
+        const transaction = this.db.transaction(() => {
+            const result = this.db.prepare(`
+                INSERT INTO search_history (user_id, query, filters, result_count)
+                VALUES (?, ?, ?, ?)
+            `).run(userId, query || null, filters ? JSON.stringify(filters) : null, resultCount);
+
+            this.db.prepare(`
+                DELETE FROM search_history
+                WHERE user_id = ? AND id NOT IN (
+                    SELECT id FROM search_history WHERE user_id = ?
+                    ORDER BY created_at DESC, id DESC
+                    LIMIT ?
+                )
+            `).run(userId, userId, maxEntries);
+
+            return result.lastInsertRowid;
+        });
+
+        return this.findById(transaction());
+    }
+
+    // Get user's recent searches (newest first)
+    findByUser(userId, limit = 10) {
+        return this.db.prepare(`
+            SELECT * FROM search_history
+            WHERE user_id = ?
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `).all(userId, limit);
+    }
+
+    // Remove one entry from the user's history
+    deleteEntry(userId, id) {
+        return this.db.prepare('DELETE FROM search_history WHERE id = ? AND user_id = ?').run(id, userId).changes;
+    }
+
+    // Remove the user's whole history
+    clear(userId) {
+        return this.db.prepare('DELETE FROM search_history WHERE user_id = ?').run(userId).changes;
+    }
+}
+
+module.exports = SearchHistory;
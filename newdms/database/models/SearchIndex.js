@@ -0,0 +1,340 @@
+const { FIELD_TYPES, SEARCH_SORT } = require('../../config/constants');
+
+const INDEX_COLUMNS = 'rowid, document_title, index_values, page_text, document_id, project_id';
+const SOURCE_COLUMNS = 'page_id, document_title, index_values, page_text, document_id, project_id';
+
+// Search facets: grouping expression (over f, dp, d) and optional display label
+const FACETS = {
+    project: {
+        value: 'd.project_id',
+        label: '(SELECT name FROM projects WHERE id = d.project_id)'
+    },
+    document_type: { value: 'd.document_type' },
+    created_by: {
+        value: 'd.created_by',
+        label: '(SELECT username FROM users WHERE id = d.created_by)'
+    },
+    created_month: { value: 'strftime(\'%Y-%m\', d.created_at)' },
+    ocr_status: {
+        value: `CASE
+            WHEN dp.text_source = 'native' THEN 'native'
+            WHEN dp.ocr_processed_at IS NULL THEN 'pending'
+            WHEN COALESCE(dp.ocr_text, '') = '' THEN 'no_text'
+            ELSE 'completed'
+        END`
+    }
+};
+
+// Result ordering; relevance needs a MATCH expression and falls back to newest
+const SORT_ORDER = {
+    [SEARCH_SORT.RELEVANCE]: 'bm25(document_fts, 10.0, 5.0, 1.0)',
+    [SEARCH_SORT.NEWEST]: 'd.created_at DESC, f.document_id DESC, dp.page_number',
+    [SEARCH_SORT.OLDEST]: 'd.created_at, f.document_id, dp.page_number',
+    [SEARCH_SORT.TITLE]: 'd.title COLLATE NOCASE, f.document_id, dp.page_number'
+};
+
+// A field value as a JSON array (checkbox values may already be one)
+const FIELD_VALUES = `CASE
+    WHEN json_valid(fv.field_value) AND json_type(fv.field_value) = 'array' THEN fv.field_value
+    ELSE json_array(fv.field_value)
+END`;
+
+// Full text search index (document_fts). Triggers keep it in sync with pages and documents;
+// these methods cover searching, re-indexing after index field changes, full rebuilds and drift detection.
+class SearchIndex {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Search active pages; projectIds null means all projects.
+    // match is an FTS expression (ranked, with snippets); conditions are extra SQL
+    // over f (document_fts), dp (document_pages) and d (documents) with their params.
+    search(options) {
+        const { match = null, sort = SEARCH_SORT.RELEVANCE, limit = 20, offset = 0, includeContent = false } = options;
+        const filter = this.buildWhere(options);
+        if (!filter) {
+            return { results: [], total: 0 };
+        }
+
+        const results = this.db.prepare(`
+            SELECT
+                f.rowid as page_id,
+                f.document_id,
+                dp.page_number,
+                ${includeContent ? 'f.page_text as content,' : ''}
+                ${match
+                    ? `snippet(document_fts, 2, '[', ']', '…', 16) as snippet,
+                       -bm25(document_fts, 10.0, 5.0, 1.0) as relevance,`
+                    : `substr(f.page_text, 1, 200) as snippet,
+                       0 as relevance,`}
+                d.title as document_title,
+                d.description as document_description,
+                d.project_id,
+                p.name as project_name
+            FROM document_fts f
+            JOIN document_pages dp ON dp.id = f.rowid
+            JOIN documents d ON d.id = f.document_id
+            LEFT JOIN projects p ON p.id = d.project_id
+            ${filter.sql}
+            ORDER BY ${SORT_ORDER[match || sort !== SEARCH_SORT.RELEVANCE ? sort : SEARCH_SORT.NEWEST] || SORT_ORDER[SEARCH_SORT.NEWEST]}
+            LIMIT ? OFFSET ?
+        `).all(...filter.params, limit, offset);
+
+        const { total } = this.db.prepare(`
+            SELECT COUNT(*) as total
+            FROM document_fts f
+            JOIN document_pages dp ON dp.id = f.rowid
+            JOIN documents d ON d.id = f.document_id
+            ${filter.sql}
+        `).get(...filter.params);
+
+        return { results, total };
+    }
+
+    // Ids of the documents with matching pages (newest first), for acting on a whole result set
+    findDocumentIds(options, limit) {
+        const filter = this.buildWhere(options);
+        if (!filter) {
+            return [];
+        }
+
+        return this.db.prepare(`
+            SELECT d.id
+            FROM document_fts f
+            JOIN document_pages dp ON dp.id = f.rowid
+            JOIN documents d ON d.id = f.document_id
+            ${filter.sql}
+            GROUP BY d.id
+            ORDER BY d.created_at DESC, d.id DESC
+            LIMIT ?
+        `).all(...filter.params, limit).map(row => row.id);
+    }
+
+    // Count matching documents per facet value. Each facet ignores its own facet filter
+    // so the other values stay selectable; everything else matches search().
+    facets(options, limit = 20) {
+        const { facetFilters = {} } = options;
+        const from = `
+            FROM document_fts f
+            JOIN document_pages dp ON dp.id = f.rowid
+            JOIN documents d ON d.id = f.document_id
+        `;
+
+        const count = (facet, sql) => {
+            const filter = this.buildWhere(options, facet);
+            if (!filter) {
+                return [];
+            }
+            return this.db.prepare(sql(filter.sql)).all(...filter.params, limit);
+        };
+
+        const facets = {};
+        Object.entries(FACETS).forEach(([facet, { value, label }]) => {
+            facets[facet] = count(facet, (where) => `
+                SELECT ${value} as value, ${label ? `${label} as label,` : ''} COUNT(DISTINCT d.id) as count
+                ${from}
+                ${where ? `${where} AND` : 'WHERE'} ${value} IS NOT NULL
+                GROUP BY ${value}
+                ORDER BY count DESC, value
+                LIMIT ?
+            `);
+        });
+
+        // Dropdown and checkbox fields; checkbox values stored as a JSON array count once per option
+        const fieldFilters = facetFilters.fields || {};
+        const fieldNames = this.db.prepare(`
+            SELECT field_name, MIN(field_label) as field_label FROM project_fields
+            WHERE field_type IN (?, ?)
+            GROUP BY field_name
+            ORDER BY MIN(display_order), field_name
+        `).all(FIELD_TYPES.DROPDOWN, FIELD_TYPES.CHECKBOX);
+
+        facets.fields = fieldNames
+            .map(({ field_name, field_label }) => {
+                const filter = this.buildWhere({
+                    ...options,
+                    facetFilters: {
+                        ...facetFilters,
+                        fields: Object.fromEntries(Object.entries(fieldFilters).filter(([name]) => name !== field_name))
+                    }
+                });
+                if (!filter) {
+                    return null;
+                }
+
+                const values = this.db.prepare(`
+                    SELECT v.value as value, COUNT(DISTINCT d.id) as count
+                    ${from}
+                    JOIN document_field_values fv ON fv.document_id = d.id
+                    JOIN project_fields pf ON pf.id = fv.field_id
+                    JOIN json_each(${FIELD_VALUES}) v
+                    ${filter.sql ? `${filter.sql} AND` : 'WHERE'} pf.field_name = ? AND pf.field_type IN (?, ?)
+                        AND v.value IS NOT NULL AND v.value != ''
+                    GROUP BY v.value
+                    ORDER BY count DESC, v.value
+                    LIMIT ?
+                `).all(...filter.params, field_name, FIELD_TYPES.DROPDOWN, FIELD_TYPES.CHECKBOX, limit);
+
+                return values.length > 0 ? { field_name, field_label, values } : null;
+            })
+            .filter(Boolean);
+
+        return facets;
+    }
+
+    // WHERE clause shared by search() and facets(); null when no project is accessible.
+    // excludeFacet leaves out that facet's filter.
+    buildWhere({ match = null, conditions = [], params = [], projectIds = null, projectId = null, facetFilters = {} }, excludeFacet = null) {
+        const where = [];
+        const whereParams = [];
+
+        if (match) {
+            where.push('document_fts MATCH ?');
+            whereParams.push(match);
+        }
+
+        if (projectId) {
+            where.push('f.project_id = ?');
+            whereParams.push(projectId);
+        }
+
+        if (projectIds) {
+            if (projectIds.length === 0) {
+                return null;
+            }
+            where.push(`f.project_id IN (${projectIds.map(() => '?').join(', ')})`);
+            whereParams.push(...projectIds);
+        }
+
+        where.push(...conditions);
+        whereParams.push(...params);
+
+        Object.entries(FACETS).forEach(([facet, { value }]) => {
+            const values = facetFilters[facet];
+            if (facet !== excludeFacet && values && values.length > 0) {
+                where.push(`${value} IN (${values.map(() => '?').join(', ')})`);
+                whereParams.push(...values);
+            }
+        });
+
+        Object.entries(facetFilters.fields || {}).forEach(([fieldName, values]) => {
+            if (values.length === 0) {
+                return;
+            }
+            where.push(`EXISTS (
+                SELECT 1 FROM document_field_values fv
+                JOIN project_fields pf ON pf.id = fv.field_id
+                JOIN json_each(${FIELD_VALUES}) v
+                WHERE fv.document_id = d.id AND pf.field_name = ?
+                    AND v.value IN (${values.map(() => '?').join(', ')})
+            )`);
+            whereParams.push(fieldName, ...values);
+        });
+
+        return {
+            sql: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '',
+            params: whereParams
+        };
+    }
+
+    // Index fields that can be used in field:value terms; projectIds null means all projects
+    getSearchFields(projectIds = null) {
+        if (projectIds && projectIds.length === 0) {
+            return [];
+        }
+
+        const filter = projectIds ? `WHERE project_id IN (${projectIds.map(() => '?').join(', ')})` : '';
+        return this.db.prepare(`
+            SELECT DISTINCT field_name, field_type FROM project_fields ${filter}
+            ORDER BY field_name
+        `).all(...(projectIds || []));
+    }
+
+    // Drop and rebuild the index (whole index, or one document's pages after its index field values were saved)
+    rebuild(documentId = null) {
+        const transaction = this.db.transaction(() => {
+            if (documentId) {
+                this.db.prepare(`
+                    DELETE FROM document_fts WHERE rowid IN (SELECT id FROM document_pages WHERE document_id = ?)
+                `).run(documentId);
+
+                return this.db.prepare(`
+                    INSERT INTO document_fts (${INDEX_COLUMNS})
+                    SELECT ${SOURCE_COLUMNS} FROM search_index_source WHERE document_id = ?
+                `).run(documentId).changes;
+            }
+
+            this.db.prepare('DELETE FROM document_fts').run();
+            const indexed = this.db.prepare(`
+                INSERT INTO document_fts (${INDEX_COLUMNS})
+                SELECT ${SOURCE_COLUMNS} FROM search_index_source
+            `).run().changes;
+
+            this.optimize();
+            return indexed;
+        });
+
+        return transaction();
+    }
+
+    // Merge the index segments, which also drops the entries of replaced or deleted text from the index data
+    optimize() {
+        this.db.prepare('INSERT INTO document_fts (document_fts) VALUES (\'optimize\')').run();
+    }
+
+    // Compare the index with what it should contain; lists up to sampleLimit page ids per kind of drift
+    checkConsistency(sampleLimit = 20) {
+        const count = (sql) => this.db.prepare(sql).get().total;
+        const sample = (sql) => this.db.prepare(`${sql} LIMIT ?`).all(sampleLimit).map(row => row.page_id);
+
+        // Active pages missing from the index
+        const missingSql = `
+            SELECT s.page_id FROM search_index_source s
+            WHERE NOT EXISTS (SELECT 1 FROM document_fts f WHERE f.rowid = s.page_id)
+        `;
+
+        // Index rows for pages that are deleted, inactive or belong to an inactive document
+        const orphanedSql = `
+            SELECT f.rowid as page_id FROM document_fts f
+            WHERE NOT EXISTS (SELECT 1 FROM search_index_source s WHERE s.page_id = f.rowid)
+        `;
+
+        // Index rows whose text, title, index values or project no longer match
+        const staleSql = `
+            SELECT s.page_id FROM search_index_source s
+            JOIN document_fts f ON f.rowid = s.page_id
+            WHERE f.page_text IS NOT s.page_text
+               OR f.document_title IS NOT s.document_title
+               OR f.index_values IS NOT s.index_values
+               OR f.document_id IS NOT s.document_id
+               OR f.project_id IS NOT s.project_id
+        `;
+
+        let integrity = 'ok';
+        try {
+            this.db.prepare('INSERT INTO document_fts (document_fts, rank) VALUES (\'integrity-check\', 1)').run();
+        } catch (error) {
+            integrity = error.message;
+        }
+
+        const report = {
+            indexed_rows: count('SELECT COUNT(*) as total FROM document_fts'),
+            expected_rows: count('SELECT COUNT(*) as total FROM search_index_source'),
+            missing_count: count(`SELECT COUNT(*) as total FROM (${missingSql})`),
+            orphaned_count: count(`SELECT COUNT(*) as total FROM (${orphanedSql})`),
+            stale_count: count(`SELECT COUNT(*) as total FROM (${staleSql})`),
+            missing: sample(missingSql),
+            orphaned: sample(orphanedSql),
+            stale: sample(staleSql),
+            integrity,
+            checked_at: new Date().toISOString()
+        };
+
+        report.in_sync = report.missing_count === 0 && report.orphaned_count === 0 &&
+            report.stale_count === 0 && integrity === 'ok';
+
+        return report;
+    }
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,110 @@
+const BaseModel = require('./BaseModel');
+
+class SearchSubscription extends BaseModel {
+    constructor(db) {
+        super(db, 'search_subscriptions');
+    }
+
+    // Create or update the user's subscription to a saved search
+    upsert(savedSearchId, userId, { frequency, emailEnabled, active = true }) {
+        this.db.prepare(`
+            INSERT INTO search_subscriptions (saved_search_id, user_id, frequency, email_enabled, active)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (saved_search_id, user_id) DO UPDATE SET
+                frequency = excluded.frequency,
+                email_enabled = excluded.email_enabled,
+                active = excluded.active,
+                updated_at = CURRENT_TIMESTAMP
+        `).run(savedSearchId, userId, frequency, emailEnabled ? 1 : 0, active ? 1 : 0);
+
+        return this.findForSavedSearch(savedSearchId, userId);
+    }
+
+    // Get user's subscription to a saved search
+    findForSavedSearch(savedSearchId, userId) {
+        return this.db.prepare(`
+            SELECT sub.*, s.name as saved_search_name
+            FROM search_subscriptions sub
+            JOIN saved_searches s ON s.id = sub.saved_search_id
+            WHERE sub.saved_search_id = ? AND sub.user_id = ?
+        `).get(savedSearchId, userId);
+    }
+
+    // Get user's subscriptions with the saved search names
+    findByUser(userId) {
+        return this.db.prepare(`
+            SELECT sub.*, s.name as saved_search_name, s.query as saved_search_query
+            FROM search_subscriptions sub
+            JOIN saved_searches s ON s.id = sub.saved_search_id
+            WHERE sub.user_id = ?
+            ORDER BY s.name COLLATE NOCASE
+        `).all(userId);
+    }
+
+    // Active subscriptions whose user may still see the saved search, with what is needed to run it
+    findActive() {
+        return this.db.prepare(`
+            SELECT
+                sub.*,
+                s.name as saved_search_name,
+                s.query,
+                s.filters,
+                u.email,
+                u.username,
+                r.permissions
+            FROM search_subscriptions sub
+            JOIN saved_searches s ON s.id = sub.saved_search_id
+            JOIN users u ON u.id = sub.user_id
+            LEFT JOIN roles r ON r.id = u.role_id
+            WHERE sub.active = 1
+            AND (u.status IS NULL OR u.status = 'active')
+            AND (s.user_id = sub.user_id OR (s.shared_role_id IS NOT NULL AND s.shared_role_id = u.role_id))
+        `).all();
+    }
+
+    // Subscriptions with emails waiting for their digest
+    findWithPendingEmail(status) {
+        return this.db.prepare(`
+            SELECT sub.*, s.name as saved_search_name, u.email, u.username
+            FROM search_subscriptions sub
+            JOIN saved_searches s ON s.id = sub.saved_search_id
+            JOIN users u ON u.id = sub.user_id
+            WHERE EXISTS (SELECT 1 FROM notifications n WHERE n.subscription_id = sub.id AND n.email_status = ?)
+        `).all(status);
+    }
+
+    // Take a batch of queued pages off the alert queue
+    dequeuePages(limit) {
+        const transaction = this.db.transaction(() => {
+            const pageIds = this.db.prepare(`
+                SELECT page_id FROM search_alert_queue ORDER BY queued_at, page_id LIMIT ?
+            `).all(limit).map(row => row.page_id);
+
+            if (pageIds.length > 0) {
+                this.db.prepare(`
+                    DELETE FROM search_alert_queue WHERE page_id IN (${pageIds.map(() => '?').join(', ')})
+                `).run(...pageIds);
+            }
+
+            return pageIds;
+        });
+
+        return transaction();
+    }
+
+    markMatched(id) {
+        this.db.prepare('UPDATE search_subscriptions SET last_matched_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+    }
+
+    markEmailed(id) {
+        this.db.prepare('UPDATE search_subscriptions SET last_emailed_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+    }
+
+    deleteForSavedSearch(savedSearchId, userId) {
+        return this.db.prepare(`
+            DELETE FROM search_subscriptions WHERE saved_search_id = ? AND user_id = ?
+        `).run(savedSearchId, userId).changes;
+    }
+}
+
+module.exports = SearchSubscription;
@@ -0,0 +1,129 @@
+const BaseModel = require('./BaseModel');
+
+const SELECT_TAG = `
+    SELECT t.*, p.name as project_name,
+           (SELECT COUNT(*) FROM document_tags dt WHERE dt.tag_id = t.id) as document_count
+    FROM tags t
+    LEFT JOIN projects p ON t.project_id = p.id
+`;
+
+class Tag extends BaseModel {
+    constructor(db) {
+        super(db, 'tags');
+    }
+
+    // Create a tag
+    createTag({ projectId, name, color = '#667eea', createdBy }) {
+        const result = this.db.prepare(`
+            INSERT INTO tags (project_id, name, color, created_by) VALUES (?, ?, ?, ?)
+        `).run(projectId, name, color, createdBy);
+
+        return this.findWithDetails(result.lastInsertRowid);
+    }
+
+    // Rename or recolor a tag (only the given columns)
+    updateTag(id, updates) {
+        const columns = ['name', 'color'].filter(column => updates[column] !== undefined);
+
+        if (columns.length > 0) {
+            this.db.prepare(`
+                UPDATE tags SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(...columns.map(column => updates[column]), id);
+        }
+
+        return this.findWithDetails(id);
+    }
+
+    // Delete a tag (removes it from its documents)
+    deleteTag(id) {
+        return this.db.prepare('DELETE FROM tags WHERE id = ?').run(id).changes > 0;
+    }
+
+    // Get tag with project name and usage count
+    findWithDetails(id) {
+        return this.db.prepare(`${SELECT_TAG} WHERE t.id = ?`).get(id);
+    }
+
+    // Find a tag by name in a project (case-insensitive)
+    findByName(projectId, name, excludeId = null) {
+        return this.db.prepare(`
+            ${SELECT_TAG} WHERE t.project_id = ? AND t.name = ? AND t.id IS NOT ?
+        `).get(projectId, name, excludeId);
+    }
+
+    // List tags; a search prefix gives autocomplete suggestions, most used first.
+    // projectIds null means all projects
+    findAllTags({ projectIds = null, projectId, search, limit = 100 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (projectIds !== null) {
+            if (projectIds.length === 0) {
+                return [];
+            }
+            conditions.push(`t.project_id IN (${projectIds.map(() => '?').join(', ')})`);
+            params.push(...projectIds);
+        }
+
+        if (projectId) {
+            conditions.push('t.project_id = ?');
+            params.push(projectId);
+        }
+
+        if (search) {
+            conditions.push("t.name LIKE ? ESCAPE '\\'");
+            params.push(`${search.replace(/[\\%_]/g, '\\$&')}%`);
+        }
+
+        return this.db.prepare(`
+            ${SELECT_TAG}
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY ${search ? 'document_count DESC, ' : ''}t.name COLLATE NOCASE, t.id
+            LIMIT ?
+        `).all(...params, limit);
+    }
+
+    // Get tags of a project by name, creating the missing ones with the default color
+    resolveNames(projectId, names, createdBy) {
+        const transaction = this.db.transaction(() => names.map(name =>
+            this.findByName(projectId, name) || this.createTag({ projectId, name, createdBy })));
+
+        return transaction();
+    }
+
+    // Tag documents; returns the number of new taggings
+    addToDocuments(tagId, documentIds, taggedBy) {
+        const insertStmt = this.db.prepare(`
+            INSERT OR IGNORE INTO document_tags (document_id, tag_id, tagged_by) VALUES (?, ?, ?)
+        `);
+
+        const transaction = this.db.transaction(() =>
+            documentIds.reduce((added, documentId) => added + insertStmt.run(documentId, tagId, taggedBy).changes, 0));
+
+        return transaction();
+    }
+
+    // Untag documents; returns the number of taggings removed
+    removeFromDocuments(tagId, documentIds) {
+        const deleteStmt = this.db.prepare('DELETE FROM document_tags WHERE document_id = ? AND tag_id = ?');
+
+        const transaction = this.db.transaction(() =>
+            documentIds.reduce((removed, documentId) => removed + deleteStmt.run(documentId, tagId).changes, 0));
+
+        return transaction();
+    }
+
+    // Get the tags of a document
+    findByDocument(documentId) {
+        return this.db.prepare(`
+            SELECT t.id, t.name, t.color
+            FROM document_tags dt
+            JOIN tags t ON dt.tag_id = t.id
+            WHERE dt.document_id = ?
+            ORDER BY t.name COLLATE NOCASE
+        `).all(documentId);
+    }
+}
+
+module.exports = Tag;
@@ -3,6 +3,27 @@ const Role = require('./Role');
 const Project = require('./Project');
 const Document = require('./Document');
 const DocumentPage = require('./DocumentPage');
+const DocumentOriginal = require('./DocumentOriginal');
+const PageTransform = require('./PageTransform');
+const ProjectIngestSettings = require('./ProjectIngestSettings');
+const PageAnnotation = require('./PageAnnotation');
+const PageRedaction = require('./PageRedaction');
+const ProjectPiiRule = require('./ProjectPiiRule');
+const PagePiiFinding = require('./PagePiiFinding');
+const DocumentVersion = require('./DocumentVersion');
+const DocumentLock = require('./DocumentLock');
+const RetentionPolicy = require('./RetentionPolicy');
+const DocumentDisposition = require('./DocumentDisposition');
+const LegalHold = require('./LegalHold');
+const Folder = require('./Folder');
+const Tag = require('./Tag');
+const DocumentRelation = require('./DocumentRelation');
+const Job = require('./Job');
+const SearchIndex = require('./SearchIndex');
+const SearchHistory = require('./SearchHistory');
+const SavedSearch = require('./SavedSearch');
+const SearchSubscription = require('./SearchSubscription');
+const Notification = require('./Notification');
 
 class Models {
     constructor(db) {
@@ -12,13 +33,94 @@ class Models {
         this.Project = new Project(db);
         this.Document = new Document(db);
         this.DocumentPage = new DocumentPage(db);
+        this.DocumentOriginal = new DocumentOriginal(db);
+        this.PageTransform = new PageTransform(db);
+        this.ProjectIngestSettings = new ProjectIngestSettings(db);
+        this.PageAnnotation = new PageAnnotation(db);
+        this.PageRedaction = new PageRedaction(db);
+        this.ProjectPiiRule = new ProjectPiiRule(db);
+        this.PagePiiFinding = new PagePiiFinding(db);
+        this.DocumentVersion = new DocumentVersion(db);
+        this.DocumentLock = new DocumentLock(db);
+        this.RetentionPolicy = new RetentionPolicy(db);
+        this.DocumentDisposition = new DocumentDisposition(db);
+        this.LegalHold = new LegalHold(db);
+        this.Folder = new Folder(db);
+        this.Tag = new Tag(db);
+        this.DocumentRelation = new DocumentRelation(db);
+        this.Job = new Job(db);
+        this.SearchIndex = new SearchIndex(db);
+        this.SearchHistory = new SearchHistory(db);
+        this.SavedSearch = new SavedSearch(db);
+        this.SearchSubscription = new SearchSubscription(db);
+        this.Notification = new Notification(db);
         // Add more models as needed
     }
 
     // Utility methods (optional)
+
+    // Check whether the user's role grants admin access
+    isAdmin(userId) {
+        const role = this.db.prepare(`
+            SELECT r.permissions FROM users u
+            JOIN roles r ON u.role_id = r.id
+            WHERE u.id = ?
+        `).get(userId);
+
+        let permissions = [];
+        try {
+            permissions = role && role.permissions ? JSON.parse(role.permissions) : [];
+        } catch (error) {
+            console.error('Error parsing user permissions:', error);
+        }
+
+        return permissions.includes('admin_access');
+    }
+
+    // Check project access (admins, role assigned to the project, or direct user grant)
+    hasProjectAccess(userId, projectId) {
+        if (this.isAdmin(userId)) {
+            return true;
+        }
+
+        const access = this.db.prepare(`
+            SELECT 1 FROM project_roles pr
+            JOIN users u ON u.role_id = pr.role_id
+            WHERE u.id = ? AND pr.project_id = ?
+            UNION
+            SELECT 1 FROM user_project_access upa
+            WHERE upa.user_id = ? AND upa.project_id = ?
+        `).get(userId, projectId, userId, projectId);
+
+        return !!access;
+    }
+
+    // Get ids of projects the user can access (null for admins, meaning all projects)
+    getAccessibleProjectIds(userId) {
+        if (this.isAdmin(userId)) {
+            return null;
+        }
+
+        return this.db.prepare(`
+            SELECT pr.project_id FROM project_roles pr
+            JOIN users u ON u.role_id = pr.role_id
+            WHERE u.id = ?
+            UNION
+            SELECT upa.project_id FROM user_project_access upa
+            WHERE upa.user_id = ?
+        `).all(userId, userId).map(row => row.project_id);
+    }
+
+    // Hand up to maxPages free pages of the database file back to the filesystem (auto_vacuum is
+    // INCREMENTAL, see database/index.js). Bounded so a request never waits on a full VACUUM.
+    reclaimFreePages(maxPages) {
+        this.db.pragma(`incremental_vacuum(${Math.max(0, Math.floor(maxPages))})`);
+    }
+
+    // Audit log helper
     createAuditLog(userId, action, tableName, recordId, details, ipAddress = null) {
         return this.db.prepare(`
-            INSERT INTO audit_logs (userId, action, tableName, recordId, details, ipAddress) 
+            INSERT INTO audit_log (user_id, action, table_name, record_id, details, ip_address) 
             VALUES (?, ?, ?, ?, ?, ?)
         `).run(userId, action, tableName, recordId, details, ipAddress);
     }
@@ -1,5 +1,5 @@
 // src/database/schema.js
-const { STATUS, DEFAULT_ROLES, PERMISSIONS } = require('../config/constants');
+const { STATUS, DEFAULT_ROLES, VERSION_CHANGE_TYPES } = require('../config/constants');
 const bcrypt = require('bcrypt');
 
 class DatabaseSchema {
@@ -21,8 +21,11 @@ class DatabaseSchema {
             // Run migrations
             this.runMigrations();
             
-            // Create FTS table
-            this.createFTSTable();
+            // Create FTS index and the triggers that keep it in sync
+            this.createSearchIndex();
+            
+            // Give documents created before versioning a first version
+            this.createInitialVersions();
             
             // Seed initial data
             this.seedInitialData();
@@ -116,8 +119,13 @@ class DatabaseSchema {
                 created_by INTEGER,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                deleted_at DATETIME, -- Moved to the recycle bin
+                deleted_by INTEGER,
+                folder_id INTEGER, -- null = project root
                 FOREIGN KEY (project_id) REFERENCES projects (id),
-                FOREIGN KEY (created_by) REFERENCES users (id)
+                FOREIGN KEY (created_by) REFERENCES users (id),
+                FOREIGN KEY (deleted_by) REFERENCES users (id),
+                FOREIGN KEY (folder_id) REFERENCES folders (id) ON DELETE SET NULL
             );
 
             -- Document field values (custom field values for documents)
@@ -149,10 +157,320 @@ class DatabaseSchema {
                 ocr_processed_at DATETIME, -- When OCR was completed
                 ocr_language TEXT DEFAULT 'eng', -- Language used for OCR
                 word_count INTEGER DEFAULT 0, -- Number of words found
+                ocr_layout TEXT, -- JSON string of OCR words/lines/blocks with bounding boxes
+                text_source TEXT, -- ocr or native (text layer embedded in the original PDF)
+                original_id INTEGER, -- Uploaded file the page came from
+                original_page_index INTEGER, -- Zero-based page index within the original file
+                deleted_at DATETIME, -- Moved to the recycle bin
+                deleted_by INTEGER REFERENCES users (id),
+                deleted_with_document BOOLEAN DEFAULT 0, -- Deleted along with its document (restored with it)
+                ingest_report TEXT, -- JSON of the ingest clean-up decisions (blank, orientation, normalization)
+                ingest_review BOOLEAN DEFAULT 0, -- Ingest clean-up dropped, flagged or turned the page
+                pii_scanned_at DATETIME, -- Page text last checked for personal data
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                FOREIGN KEY (original_id) REFERENCES document_originals (id)
+            );
+
+            -- Original uploaded files, kept unmodified for audit
+            CREATE TABLE IF NOT EXISTS document_originals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                document_id INTEGER NOT NULL,
+                file_path TEXT NOT NULL,
+                original_name TEXT NOT NULL,
+                mime_type TEXT,
+                file_size INTEGER,
+                sha256 TEXT NOT NULL,
+                page_count INTEGER,
+                has_text_layer BOOLEAN DEFAULT 0,
+                metadata TEXT, -- JSON string of upload options and embedded file metadata
+                uploaded_by INTEGER,
+                upload_ip TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                redacted_at DATETIME, -- Set once content from the file was redacted; the file is then withheld
+                FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                FOREIGN KEY (uploaded_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_document_originals_document ON document_originals (document_id, sha256);
+
+            -- Ingest clean-up settings per project (projects without a row use INGEST_DEFAULTS)
+            CREATE TABLE IF NOT EXISTS project_ingest_settings (
+                project_id INTEGER PRIMARY KEY,
+                enabled BOOLEAN DEFAULT 0,
+                blank_page_action TEXT DEFAULT 'flag', -- off, flag, drop
+                blank_threshold REAL DEFAULT 0.0003, -- Share of dark pixels below which a page counts as blank
+                auto_rotate BOOLEAN DEFAULT 1,
+                target_dpi INTEGER, -- null = keep the scan resolution
+                color_mode TEXT DEFAULT 'keep', -- keep, grayscale, bilevel
+                updated_by INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE,
+                FOREIGN KEY (updated_by) REFERENCES users (id)
+            );
+
+            -- Page image transforms; each keeps the image and OCR data the page had before, so the latest can be undone
+            CREATE TABLE IF NOT EXISTS page_transforms (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                page_id INTEGER NOT NULL,
+                operations TEXT NOT NULL, -- JSON array of the operations applied
+                previous_file_path TEXT NOT NULL, -- Earlier image, kept in the page history directory
+                previous_file_size INTEGER,
+                previous_ocr TEXT, -- JSON of the page's OCR columns before the transform
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (page_id) REFERENCES document_pages (id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_page_transforms_page ON page_transforms (page_id);
+
+            -- Page annotations (highlights, shapes, ink, notes, text boxes, arrows, stamps) in page-relative coordinates
+            CREATE TABLE IF NOT EXISTS page_annotations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                page_id INTEGER NOT NULL,
+                type TEXT NOT NULL, -- highlight, rectangle, ink, note, text, arrow, stamp
+                geometry TEXT NOT NULL, -- JSON, fractions of the page image size (see ANNOTATION_TYPES)
+                style TEXT, -- JSON { color, opacity, stroke_width, font_size }
+                content TEXT, -- Text of notes and text boxes, kind of stamp
+                visibility TEXT NOT NULL DEFAULT 'shared', -- private (author only) or shared
+                created_by INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_by INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (page_id) REFERENCES document_pages (id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id),
+                FOREIGN KEY (updated_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_page_annotations_page ON page_annotations (page_id, visibility, created_by);
+
+            -- Page redactions: regions to black out, reviewed by a second person before they are burned into the page
+            CREATE TABLE IF NOT EXISTS page_redactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                page_id INTEGER NOT NULL,
+                regions TEXT NOT NULL, -- JSON array of { x, y, width, height }, fractions of the page image size
+                reason TEXT NOT NULL, -- Reason code (see REDACTION_REASONS)
+                note TEXT,
+                status TEXT NOT NULL DEFAULT 'pending', -- pending, applied, rejected, withdrawn
+                page_file_path TEXT NOT NULL, -- Page image the regions were drawn on
+                requested_by INTEGER NOT NULL,
+                requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reviewed_by INTEGER,
+                reviewed_at DATETIME,
+                review_note TEXT,
+                text_action TEXT, -- How the page text was redacted: words_removed, ocr, cleared
+                words_removed INTEGER,
+                FOREIGN KEY (page_id) REFERENCES document_pages (id) ON DELETE CASCADE,
+                FOREIGN KEY (requested_by) REFERENCES users (id),
+                FOREIGN KEY (reviewed_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_page_redactions_page ON page_redactions (page_id, status);
+
+            -- Per-project patterns for personal data the built-in PII detectors do not know (employee numbers etc.)
+            CREATE TABLE IF NOT EXISTS project_pii_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                pattern TEXT NOT NULL, -- JavaScript regular expression
+                case_sensitive BOOLEAN DEFAULT 0,
+                enabled BOOLEAN DEFAULT 1,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_project_pii_rules_project ON project_pii_rules (project_id);
+
+            -- Personal data found in page text, with the page regions to redact it
+            CREATE TABLE IF NOT EXISTS page_pii_findings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                page_id INTEGER NOT NULL,
+                type TEXT NOT NULL, -- See PII_TYPES
+                rule_id INTEGER, -- Custom rule that matched
+                label TEXT, -- Rule name for custom findings
+                masked_value TEXT NOT NULL, -- All but the last characters masked; the value itself is never stored
+                regions TEXT NOT NULL, -- JSON array of { x, y, width, height }, fractions of the page image size (empty without word positions)
+                status TEXT NOT NULL DEFAULT 'open', -- open, dismissed, redaction_requested
+                redaction_id INTEGER,
+                detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reviewed_by INTEGER,
+                reviewed_at DATETIME,
+                FOREIGN KEY (page_id) REFERENCES document_pages (id) ON DELETE CASCADE,
+                FOREIGN KEY (rule_id) REFERENCES project_pii_rules (id) ON DELETE SET NULL,
+                FOREIGN KEY (redaction_id) REFERENCES page_redactions (id) ON DELETE SET NULL,
+                FOREIGN KEY (reviewed_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_page_pii_findings_page ON page_pii_findings (page_id, status);
+            CREATE INDEX IF NOT EXISTS idx_page_pii_findings_type ON page_pii_findings (type, status);
+
+            -- Document versions: immutable snapshots of the ordered page list and index values after each change
+            CREATE TABLE IF NOT EXISTS document_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                document_id INTEGER NOT NULL,
+                version_number INTEGER NOT NULL,
+                change_type TEXT NOT NULL, -- created, pages_added, pages_reordered, page_deleted, page_restored, fields_updated, rollback
+                summary TEXT,
+                pages TEXT NOT NULL, -- JSON array of page ids in display order
+                field_values TEXT NOT NULL, -- JSON array of { field_id, field_name, value }
+                page_count INTEGER DEFAULT 0,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id),
+                UNIQUE(document_id, version_number)
+            );
+
+            CREATE TRIGGER IF NOT EXISTS document_versions_immutable BEFORE UPDATE ON document_versions BEGIN
+                SELECT RAISE(ABORT, 'Document versions cannot be modified');
+            END;
+
+            -- Document check-out locks (one per document; expired locks are ignored)
+            CREATE TABLE IF NOT EXISTS document_locks (
+                document_id INTEGER PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                note TEXT,
+                locked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            -- Retention schedules; the most specific policy (project + type, project, type, global) applies
+            CREATE TABLE IF NOT EXISTS retention_policies (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                description TEXT,
+                project_id INTEGER, -- null = all projects
+                document_type TEXT, -- null = all document types
+                retention_period INTEGER NOT NULL,
+                retention_unit TEXT DEFAULT 'years', -- days, months, years
+                trigger_field TEXT, -- date index field the period counts from (null = document created_at)
+                active BOOLEAN DEFAULT 1,
+                created_by INTEGER,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            );
+
+            -- Disposition reviews of documents past retention (kept after the document is destroyed)
+            CREATE TABLE IF NOT EXISTS document_dispositions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                document_id INTEGER NOT NULL,
+                document_title TEXT,
+                project_id INTEGER,
+                policy_id INTEGER,
+                trigger_date DATE,
+                eligible_date DATE,
+                status TEXT DEFAULT 'pending', -- pending, destroyed, retained
+                retain_until DATE, -- retained documents are flagged again after this date (null = indefinitely)
+                notes TEXT,
+                certificate TEXT, -- JSON certificate of destruction
+                reviewed_by INTEGER,
+                reviewed_at DATETIME,
+                flagged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (policy_id) REFERENCES retention_policies (id) ON DELETE SET NULL,
+                FOREIGN KEY (reviewed_by) REFERENCES users (id)
             );
 
+            CREATE INDEX IF NOT EXISTS idx_document_dispositions_document ON document_dispositions (document_id, status);
+
+            -- Legal holds: held documents cannot be edited, deleted or purged until the hold is released
+            CREATE TABLE IF NOT EXISTS legal_holds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                reason TEXT,
+                status TEXT DEFAULT 'active', -- active, released
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                released_by INTEGER,
+                released_at DATETIME,
+                release_reason TEXT,
+                FOREIGN KEY (created_by) REFERENCES users (id),
+                FOREIGN KEY (released_by) REFERENCES users (id)
+            );
+
+            CREATE TABLE IF NOT EXISTS legal_hold_documents (
+                hold_id INTEGER NOT NULL,
+                document_id INTEGER NOT NULL,
+                added_by INTEGER,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (hold_id, document_id),
+                FOREIGN KEY (hold_id) REFERENCES legal_holds (id) ON DELETE CASCADE,
+                FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                FOREIGN KEY (added_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_legal_hold_documents_document ON legal_hold_documents (document_id);
+
+            -- Folders: a tree per project (parent_id null = top level)
+            CREATE TABLE IF NOT EXISTS folders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER NOT NULL,
+                parent_id INTEGER,
+                name TEXT NOT NULL,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE,
+                FOREIGN KEY (parent_id) REFERENCES folders (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_folders_parent ON folders (project_id, parent_id);
+
+            -- Tags: free-form labels per project
+            CREATE TABLE IF NOT EXISTS tags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER NOT NULL,
+                name TEXT NOT NULL COLLATE NOCASE,
+                color TEXT DEFAULT '#667eea',
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id),
+                UNIQUE(project_id, name)
+            );
+
+            CREATE TABLE IF NOT EXISTS document_tags (
+                document_id INTEGER NOT NULL,
+                tag_id INTEGER NOT NULL,
+                tagged_by INTEGER,
+                tagged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (document_id, tag_id),
+                FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE,
+                FOREIGN KEY (tagged_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_document_tags_tag ON document_tags (tag_id);
+
+            -- Document relations: "source <relation_type> target" (amends, supersedes, attachment_of, related)
+            CREATE TABLE IF NOT EXISTS document_relations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source_document_id INTEGER NOT NULL,
+                target_document_id INTEGER NOT NULL,
+                relation_type TEXT NOT NULL,
+                bidirectional BOOLEAN DEFAULT 1, -- Also listed on the target document
+                note TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (source_document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                FOREIGN KEY (target_document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id),
+                UNIQUE(source_document_id, target_document_id, relation_type),
+                CHECK (source_document_id != target_document_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_document_relations_target ON document_relations (target_document_id);
+
             -- User project access (granular user access)
             CREATE TABLE IF NOT EXISTS user_project_access (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -166,6 +484,115 @@ class DatabaseSchema {
                 FOREIGN KEY (granted_by) REFERENCES users (id)
             );
 
+            -- Background jobs (uploads, PDF splitting, OCR)
+            CREATE TABLE IF NOT EXISTS jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL,
+                status TEXT DEFAULT 'queued', -- queued, running, completed, failed, cancelled
+                document_id INTEGER,
+                project_id INTEGER,
+                payload TEXT, -- JSON string of job input
+                checkpoint TEXT, -- JSON string of progress state used to resume
+                result TEXT, -- JSON string of job output
+                progress_current INTEGER DEFAULT 0,
+                progress_total INTEGER DEFAULT 0,
+                progress_message TEXT,
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 3,
+                last_error TEXT,
+                cancel_requested BOOLEAN DEFAULT 0,
+                run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+                locked_by TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                started_at DATETIME,
+                completed_at DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after ON jobs (status, run_after);
+            CREATE INDEX IF NOT EXISTS idx_jobs_document ON jobs (document_id);
+
+            -- Search history (capped per user)
+            CREATE TABLE IF NOT EXISTS search_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                query TEXT,
+                filters TEXT, -- JSON string of search filters
+                result_count INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_search_history_user ON search_history (user_id, created_at);
+
+            -- Named saved searches, optionally shared with a role
+            CREATE TABLE IF NOT EXISTS saved_searches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                query TEXT,
+                filters TEXT, -- JSON string of search filters
+                sort TEXT DEFAULT 'relevance',
+                shared_role_id INTEGER,
+                last_run_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                FOREIGN KEY (shared_role_id) REFERENCES roles (id) ON DELETE SET NULL,
+                UNIQUE(user_id, name)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_saved_searches_shared_role ON saved_searches (shared_role_id);
+
+            -- Saved search alert subscriptions
+            CREATE TABLE IF NOT EXISTS search_subscriptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                saved_search_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                frequency TEXT DEFAULT 'immediate', -- immediate, hourly, daily (email delivery)
+                email_enabled BOOLEAN DEFAULT 1,
+                active BOOLEAN DEFAULT 1,
+                last_matched_at DATETIME,
+                last_emailed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (saved_search_id) REFERENCES saved_searches (id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                UNIQUE(saved_search_id, user_id)
+            );
+
+            -- Pages waiting to be checked against subscriptions (filled by triggers)
+            CREATE TABLE IF NOT EXISTS search_alert_queue (
+                page_id INTEGER PRIMARY KEY,
+                queued_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- In-app notifications
+            CREATE TABLE IF NOT EXISTS notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                type TEXT NOT NULL,
+                title TEXT NOT NULL,
+                message TEXT,
+                data TEXT, -- JSON string of notification details
+                subscription_id INTEGER,
+                document_id INTEGER,
+                read_at DATETIME,
+                email_status TEXT, -- pending, sent, skipped, failed (null when not emailed)
+                emailed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                FOREIGN KEY (subscription_id) REFERENCES search_subscriptions (id) ON DELETE CASCADE,
+                FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+                UNIQUE(subscription_id, document_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, read_at, created_at);
+            CREATE INDEX IF NOT EXISTS idx_notifications_email ON notifications (email_status, subscription_id);
+
             -- Audit log
             CREATE TABLE IF NOT EXISTS audit_log (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -181,23 +608,115 @@ class DatabaseSchema {
         `);
     }
 
-    createFTSTable() {
+    /**
+     * Full text search index: one row per active page (rowid = page id) with the document title,
+     * index field values and page text. Triggers keep it in sync with pages and documents.
+     */
+    createSearchIndex() {
         try {
+            // Earlier schema versions declared document_fts as external content over document_pages,
+            // which lacks the indexed columns; replace it and rebuild
+            const existing = this.db.prepare(`
+                SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'document_fts'
+            `).get();
+            const needsRebuild = !existing || !existing.sql.includes('index_values');
+
+            if (existing && needsRebuild) {
+                this.db.exec('DROP TABLE document_fts');
+                console.log('🔄 Replaced outdated document_fts table');
+            }
+
+            const active = STATUS.ACTIVE;
+            const indexColumns = 'rowid, document_title, index_values, page_text, document_id, project_id';
+            const sourceColumns = 'page_id, document_title, index_values, page_text, document_id, project_id';
+
             this.db.exec(`
-                -- Full Text Search virtual table for OCR content
                 CREATE VIRTUAL TABLE IF NOT EXISTS document_fts USING fts5(
-                    page_id,
-                    document_id,
-                    project_id,
                     document_title,
+                    index_values,
                     page_text,
-                    content='document_pages',
-                    content_rowid='id'
+                    document_id UNINDEXED,
+                    project_id UNINDEXED,
+                    tokenize = 'unicode61 remove_diacritics 2'
                 );
+
+                -- What the index should contain (also used by the consistency check)
+                DROP VIEW IF EXISTS search_index_source;
+                CREATE VIEW search_index_source AS
+                SELECT
+                    dp.id AS page_id,
+                    d.title AS document_title,
+                    COALESCE((
+                        SELECT group_concat(field_value, ' ') FROM (
+                            SELECT fv.field_value FROM document_field_values fv
+                            WHERE fv.document_id = d.id AND fv.field_value IS NOT NULL AND fv.field_value != ''
+                            ORDER BY fv.field_id, fv.id
+                        )
+                    ), '') AS index_values,
+                    COALESCE(dp.ocr_text, '') AS page_text,
+                    d.id AS document_id,
+                    d.project_id AS project_id
+                FROM document_pages dp
+                JOIN documents d ON d.id = dp.document_id
+                WHERE (dp.status IS NULL OR dp.status = '${active}') AND d.status = '${active}';
+
+                DROP TRIGGER IF EXISTS search_index_page_insert;
+                CREATE TRIGGER search_index_page_insert AFTER INSERT ON document_pages BEGIN
+                    INSERT INTO document_fts (${indexColumns})
+                    SELECT ${sourceColumns} FROM search_index_source WHERE page_id = new.id;
+                END;
+
+                -- OCR text changed, page soft deleted/restored or moved to another document
+                DROP TRIGGER IF EXISTS search_index_page_update;
+                CREATE TRIGGER search_index_page_update AFTER UPDATE OF ocr_text, status, document_id ON document_pages BEGIN
+                    DELETE FROM document_fts WHERE rowid = old.id;
+                    INSERT INTO document_fts (${indexColumns})
+                    SELECT ${sourceColumns} FROM search_index_source WHERE page_id = new.id;
+                END;
+
+                DROP TRIGGER IF EXISTS search_index_page_delete;
+                CREATE TRIGGER search_index_page_delete AFTER DELETE ON document_pages BEGIN
+                    DELETE FROM document_fts WHERE rowid = old.id;
+                END;
+
+                -- Title, status or project changed: re-index every page of the document
+                DROP TRIGGER IF EXISTS search_index_document_update;
+                CREATE TRIGGER search_index_document_update AFTER UPDATE OF title, status, project_id ON documents BEGIN
+                    DELETE FROM document_fts WHERE rowid IN (SELECT id FROM document_pages WHERE document_id = old.id);
+                    INSERT INTO document_fts (${indexColumns})
+                    SELECT ${sourceColumns} FROM search_index_source WHERE document_id = new.id;
+                END;
+
+                -- Index field values are saved in batches, so there is no per-row trigger (it would re-index
+                -- every page of the document once per field): code saving a document's fields calls
+                -- SearchIndex.rebuild(documentId) once afterwards
+
+                -- Newly added pages and new OCR text are queued for saved search alerts
+                DROP TRIGGER IF EXISTS search_alert_page_insert;
+                CREATE TRIGGER search_alert_page_insert AFTER INSERT ON document_pages
+                WHEN new.status IS NULL OR new.status = '${active}' BEGIN
+                    INSERT OR IGNORE INTO search_alert_queue (page_id) VALUES (new.id);
+                END;
+
+                DROP TRIGGER IF EXISTS search_alert_page_update;
+                CREATE TRIGGER search_alert_page_update AFTER UPDATE OF ocr_text ON document_pages
+                WHEN new.ocr_text IS NOT old.ocr_text AND COALESCE(new.ocr_text, '') != ''
+                    AND (new.status IS NULL OR new.status = '${active}') BEGIN
+                    INSERT OR IGNORE INTO search_alert_queue (page_id) VALUES (new.id);
+                END;
             `);
-            console.log('✅ Full Text Search table created');
+
+            if (needsRebuild) {
+                const result = this.db.prepare(`
+                    INSERT INTO document_fts (${indexColumns})
+                    SELECT ${sourceColumns} FROM search_index_source
+                `).run();
+                console.log(`✅ Search index built (${result.changes} pages)`);
+            }
+
+            console.log('✅ Full Text Search index and triggers ready');
         } catch (ftsError) {
-            console.log('⚠️  FTS table creation skipped (may already exist):', ftsError.message);
+            console.error('❌ Search index setup failed:', ftsError.message);
         }
     }
 
@@ -245,6 +764,32 @@ class DatabaseSchema {
                 definition: 'INTEGER DEFAULT 0',
                 updateExisting: "UPDATE document_pages SET word_count = 0 WHERE word_count IS NULL"
             },
+            { 
+                table: 'document_pages', 
+                column: 'ocr_layout', 
+                definition: 'TEXT',
+                updateExisting: null
+            },
+            { 
+                table: 'document_pages', 
+                column: 'text_source', 
+                definition: 'TEXT',
+                updateExisting: "UPDATE document_pages SET text_source = 'ocr' WHERE text_source IS NULL AND ocr_text IS NOT NULL AND ocr_text != ''"
+            },
+            
+            // Link pages to the original uploaded file
+            { 
+                table: 'document_pages', 
+                column: 'original_id', 
+                definition: 'INTEGER REFERENCES document_originals (id)',
+                updateExisting: null
+            },
+            { 
+                table: 'document_pages', 
+                column: 'original_page_index', 
+                definition: 'INTEGER',
+                updateExisting: null
+            },
             
             // Documents OCR columns
             { 
@@ -280,6 +825,52 @@ class DatabaseSchema {
                 definition: 'TEXT DEFAULT \'active\'',
                 updateExisting: "UPDATE document_pages SET status = 'active' WHERE status IS NULL"
             },
+            // Recycle bin: who deleted a page and when (pages deleted before this start their retention now)
+            { 
+                table: 'document_pages', 
+                column: 'deleted_at', 
+                definition: 'DATETIME',
+                updateExisting: "UPDATE document_pages SET deleted_at = CURRENT_TIMESTAMP WHERE status != 'active'"
+            },
+            { 
+                table: 'document_pages', 
+                column: 'deleted_by', 
+                definition: 'INTEGER REFERENCES users (id)',
+                updateExisting: null
+            },
+            { 
+                table: 'document_pages', 
+                column: 'deleted_with_document', 
+                definition: 'BOOLEAN DEFAULT 0',
+                updateExisting: "UPDATE document_pages SET deleted_with_document = 1 WHERE status != 'active' AND document_id IN (SELECT id FROM documents WHERE status != 'active')"
+            },
+            // Ingest clean-up decisions
+            { 
+                table: 'document_pages', 
+                column: 'ingest_report', 
+                definition: 'TEXT',
+                updateExisting: null
+            },
+            { 
+                table: 'document_pages', 
+                column: 'ingest_review', 
+                definition: 'BOOLEAN DEFAULT 0',
+                updateExisting: null
+            },
+            // PII detection
+            { 
+                table: 'document_pages', 
+                column: 'pii_scanned_at', 
+                definition: 'DATETIME',
+                updateExisting: null
+            },
+            // Originals withheld after redaction
+            { 
+                table: 'document_originals', 
+                column: 'redacted_at', 
+                definition: 'DATETIME',
+                updateExisting: null
+            },
             // Projects table migrations
             { 
                 table: 'projects', 
@@ -319,6 +910,26 @@ class DatabaseSchema {
                 definition: 'DATETIME',
                 updateExisting: "UPDATE documents SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE updated_at IS NULL"
             },
+            // Recycle bin: who deleted a document and when
+            { 
+                table: 'documents', 
+                column: 'deleted_at', 
+                definition: 'DATETIME',
+                updateExisting: "UPDATE documents SET deleted_at = COALESCE(updated_at, CURRENT_TIMESTAMP) WHERE status != 'active'"
+            },
+            { 
+                table: 'documents', 
+                column: 'deleted_by', 
+                definition: 'INTEGER REFERENCES users (id)',
+                updateExisting: null
+            },
+            // Folders (existing documents stay at the project root)
+            { 
+                table: 'documents', 
+                column: 'folder_id', 
+                definition: 'INTEGER REFERENCES folders (id) ON DELETE SET NULL',
+                updateExisting: null
+            },
             
             // Users table migrations
             { 
@@ -374,12 +985,52 @@ class DatabaseSchema {
                 }
             }
         });
+
+        // Indexes on migrated columns
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_documents_folder ON documents (folder_id);
+        `);
+    }
+
+    /**
+     * Snapshot documents that have no version yet so later changes can be diffed and rolled back
+     */
+    createInitialVersions() {
+        try {
+            const result = this.db.prepare(`
+                INSERT INTO document_versions (document_id, version_number, change_type, summary, pages, field_values, page_count, created_by)
+                SELECT d.id, 1, '${VERSION_CHANGE_TYPES.CREATED}', 'Existing document',
+                    COALESCE((SELECT json_group_array(id) FROM (
+                        SELECT id FROM document_pages
+                        WHERE document_id = d.id AND (status IS NULL OR status = '${STATUS.ACTIVE}')
+                        ORDER BY page_order, page_number
+                    )), '[]'),
+                    COALESCE((SELECT json_group_array(json_object('field_id', field_id, 'field_name', field_name, 'value', value)) FROM (
+                        SELECT dfv.field_id, pf.field_name, dfv.field_value as value
+                        FROM document_field_values dfv
+                        JOIN project_fields pf ON dfv.field_id = pf.id
+                        WHERE dfv.document_id = d.id
+                        ORDER BY pf.display_order, pf.id
+                    )), '[]'),
+                    (SELECT COUNT(*) FROM document_pages WHERE document_id = d.id AND (status IS NULL OR status = '${STATUS.ACTIVE}')),
+                    d.created_by
+                FROM documents d
+                WHERE NOT EXISTS (SELECT 1 FROM document_versions v WHERE v.document_id = d.id)
+            `).run();
+
+            if (result.changes > 0) {
+                console.log(`✅ Created initial versions for ${result.changes} document(s)`);
+            }
+        } catch (error) {
+            console.error('❌ Initial document versions failed:', error);
+            throw error;
+        }
     }
 
     seedInitialData() {
         try {
             // Create default roles
-            const adminRole = this.db.prepare(`
+            this.db.prepare(`
                 INSERT OR IGNORE INTO roles (name, description, permissions) 
                 VALUES (?, ?, ?)
             `).run(
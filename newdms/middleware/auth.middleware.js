@@ -1,6 +1,4 @@
 // newdms/middleware/auth.middleware.js
-const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/environment');
 const { HTTP_STATUS } = require('../config/constants');
 const AuthService = require('../services/authService');
 
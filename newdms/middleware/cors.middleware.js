@@ -18,8 +18,8 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-    exposedHeaders: ['X-Total-Count', 'X-Page-Count']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match'],
+    exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'ETag']
 };
 
 const corsMiddleware = cors(corsOptions);
@@ -1,6 +1,5 @@
 // newdms/middleware/static.middleware.js
 const express = require('express');
-const path = require('path');
 const { UPLOAD_DIR, IMAGE_DIR } = require('../config/environment');
 
 /**
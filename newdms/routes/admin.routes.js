@@ -0,0 +1,51 @@
+// newdms/routes/admin.routes.js
+const express = require('express');
+const router = express.Router();
+
+const { HTTP_STATUS, PERMISSIONS, AUDIT_ACTIONS } = require('../config/constants');
+const { AuthService, AuditService } = require('../services');
+
+// Rebuild the full text search index (whole index, or one document with { document_id })
+router.post('/search/reindex', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.SYSTEM_CONFIG, PERMISSIONS.ADMIN_ACCESS]), (req, res) => {
+    try {
+        const { document_id } = req.body || {};
+        
+        if (document_id && !req.models.Document.findById(document_id)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        const startTime = Date.now();
+        const indexedPages = req.models.SearchIndex.rebuild(document_id || null);
+        const duration = Date.now() - startTime;
+        
+        console.log(`🔎 Search index rebuilt${document_id ? ` for document ${document_id}` : ''}: ${indexedPages} pages in ${duration}ms`);
+        
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.REINDEX, 'document_fts', document_id || null, 
+            `Rebuilt search index${document_id ? ` for document ${document_id}` : ''} (${indexedPages} pages, ${duration}ms)`, req.ip);
+        
+        res.json({
+            success: true,
+            document_id: document_id || null,
+            indexed_pages: indexedPages,
+            duration_ms: duration,
+            consistency: req.models.SearchIndex.checkConsistency()
+        });
+    } catch (error) {
+        console.error('Error rebuilding search index:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Report drift between the search index and the pages/documents it should contain
+router.get('/search/consistency', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.SYSTEM_CONFIG, PERMISSIONS.ADMIN_ACCESS]), (req, res) => {
+    try {
+        const sampleLimit = Math.min(parseInt(req.query.sample) || 20, 500);
+        
+        res.json(req.models.SearchIndex.checkConsistency(sampleLimit));
+    } catch (error) {
+        console.error('Error checking search index:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 // newdms/routes/documentRoutes.js
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
 
 const { upload } = require('../config/multer');
@@ -7,7 +8,17 @@ const {
     PERMISSIONS, 
     HTTP_STATUS, 
     STATUS,
-    AUDIT_ACTIONS
+    AUDIT_ACTIONS,
+    JOB_STATUS,
+    JOB_TYPES,
+    PAGINATION,
+    VALIDATION,
+    VERSION_CHANGE_TYPES,
+    LOCK_CONFIG,
+    BULK_ACTIONS,
+    REDACTION_STATUS,
+    PII_TYPES,
+    PII_FINDING_STATUS
 } = require('../config/constants');
 
 const {
@@ -16,14 +27,469 @@ const {
     FileService,
     AuthService,
     AuditService,
-    OCRService
+    OCRService,
+    JobService,
+    PDFExportService,
+    IndexFieldService,
+    DocumentTransferService,
+    DocumentAssemblyService,
+    BulkOperationService,
+    PiiService
 } = require('../services');
 
-// Enhanced file upload route with PDF page splitting and OCR
-router.post('/:documentId/pages', AuthService.authenticateToken, upload.single('file'), async (req, res) => {
+// Validation schemas
+const createDocumentSchema = Joi.object({
+    project_id: Joi.number().integer().positive().required(),
+    title: Joi.string().trim().min(VALIDATION.DOCUMENT_TITLE.MIN_LENGTH).max(VALIDATION.DOCUMENT_TITLE.MAX_LENGTH).required(),
+    description: Joi.string().max(1000).optional().allow(''),
+    document_type: Joi.string().trim().max(100).optional().allow(''),
+    folder_id: Joi.number().integer().positive().optional().allow(null),
+    // Tag names; missing tags are created in the project
+    tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(50).default([]),
+    index_values: Joi.object().unknown(true).default({})
+});
+
+const listDocumentsSchema = Joi.object({
+    page: Joi.number().integer().min(1).default(PAGINATION.DEFAULT_PAGE),
+    limit: Joi.number().integer().min(1).max(PAGINATION.MAX_LIMIT).default(PAGINATION.DEFAULT_LIMIT),
+    sort: Joi.string().max(100).default('created_at'),
+    order: Joi.string().uppercase().valid('ASC', 'DESC').default(PAGINATION.DEFAULT_ORDER),
+    status: Joi.string().valid(...Object.values(STATUS)).default(STATUS.ACTIVE),
+    project_id: Joi.number().integer().positive().optional(),
+    document_type: Joi.string().max(100).optional(),
+    created_by: Joi.number().integer().positive().optional(),
+    search: Joi.string().max(200).optional().allow(''),
+    // Index field filters: ?fields[invoice_no]=1234
+    fields: Joi.object().pattern(Joi.string(), Joi.string().allow('')).default({}),
+    // Tag filters (?tag=urgent&tag=2024 or ?tag_id=3); documents must carry every tag
+    tag: Joi.alternatives().try(Joi.array().items(Joi.string().max(50)), Joi.string().max(50)).optional(),
+    tag_id: Joi.alternatives().try(Joi.array().items(Joi.number().integer().positive()), Joi.number().integer().positive()).optional(),
+    // Folder filter; 'none' lists documents at the project root
+    folder_id: Joi.alternatives().try(Joi.number().integer().positive(), Joi.string().valid('none')).optional(),
+    include_subfolders: Joi.boolean().default(false)
+});
+
+const documentIdsSchema = Joi.array().items(Joi.number().integer().positive()).min(1).max(1000).unique();
+
+const bulkTagsSchema = Joi.object({
+    document_ids: documentIdsSchema.required(),
+    add: Joi.array().items(Joi.string().trim().min(1).max(50)).max(50).default([]),
+    remove: Joi.array().items(Joi.string().trim().min(1).max(50)).max(50).default([])
+}).or('add', 'remove');
+
+const bulkMoveSchema = Joi.object({
+    document_ids: documentIdsSchema.required(),
+    // null moves the documents to their project root
+    folder_id: Joi.number().integer().positive().required().allow(null)
+});
+
+const bulkOperationSchema = Joi.object({
+    action: Joi.string().valid(...Object.values(BULK_ACTIONS)).required(),
+    document_ids: documentIdsSchema,
+    // Or the documents a search finds: q and the other GET /api/search parameters
+    search: Joi.object({ q: Joi.string().max(1000).allow('') }).unknown(true),
+    // set_index_values (only the given fields change) and move_project (target values)
+    index_values: Joi.object().unknown(true).when('action', {
+        is: BULK_ACTIONS.SET_INDEX_VALUES,
+        then: Joi.object().min(1).required(),
+        otherwise: Joi.object().default({})
+    }),
+    // move_project
+    project_id: Joi.number().integer().positive().when('action', { is: BULK_ACTIONS.MOVE_PROJECT, then: Joi.required() }),
+    folder_id: Joi.number().integer().positive().optional().allow(null),
+    field_mapping: Joi.object().pattern(Joi.string(), Joi.string().allow(null)).default({}),
+    // add_tags
+    tags: Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).max(50)
+        .when('action', { is: BULK_ACTIONS.ADD_TAGS, then: Joi.required() }),
+    // ocr
+    language: Joi.string().max(50).default('eng'),
+    force_reprocess: Joi.boolean().default(false),
+    // export: burn the annotations the user can see into the page images
+    annotations: Joi.boolean().default(false)
+}).xor('document_ids', 'search');
+
+const transferSchema = Joi.object({
+    project_id: Joi.number().integer().positive().required(),
+    folder_id: Joi.number().integer().positive().optional().allow(null),
+    // { source_field: target_field }; null drops the field. Unmapped fields go to the target field with the same name
+    field_mapping: Joi.object().pattern(Joi.string(), Joi.string().allow(null)).default({}),
+    // Target index values, e.g. for required fields the source project does not have
+    index_values: Joi.object().unknown(true).default({})
+});
+
+const moveSchema = transferSchema.keys({
+    version_number: Joi.number().integer().positive().optional()
+});
+
+const copySchema = transferSchema.keys({
+    title: Joi.string().trim().min(VALIDATION.DOCUMENT_TITLE.MIN_LENGTH).max(VALIDATION.DOCUMENT_TITLE.MAX_LENGTH).optional()
+});
+
+const splitSchema = Joi.object({
+    // Each part runs from its start_page to the page before the next part; earlier pages stay in the document
+    parts: Joi.array().items(Joi.object({
+        start_page: Joi.number().integer().min(2).required(),
+        title: Joi.string().trim().min(VALIDATION.DOCUMENT_TITLE.MIN_LENGTH).max(VALIDATION.DOCUMENT_TITLE.MAX_LENGTH).required(),
+        description: Joi.string().max(1000).optional().allow(''),
+        document_type: Joi.string().trim().max(100).optional().allow(''),
+        index_values: Joi.object().unknown(true).default({})
+    })).min(1).max(100).required(),
+    version_number: Joi.number().integer().positive().optional()
+});
+
+const mergeSchema = Joi.object({
+    // The first document receives the pages of the others, in this order
+    document_ids: Joi.array().items(Joi.number().integer().positive()).min(2).max(100).unique().required()
+});
+
+const checkoutSchema = Joi.object({
+    duration_minutes: Joi.number().integer().min(1).max(LOCK_CONFIG.MAX_DURATION_MINUTES).default(LOCK_CONFIG.DEFAULT_DURATION_MINUTES),
+    note: Joi.string().max(500).optional().allow(''),
+    // Admins may take over another user's lock
+    force: Joi.boolean().default(false)
+});
+
+// Create a document record (pages are added with POST /:documentId/pages)
+router.post('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_CREATE]), async (req, res) => {
+    try {
+        const { error, value } = createDocumentSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const project = await req.models.Project.findOne({ where: { id: value.project_id } });
+        if (!project || project.status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Project not found' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, project.id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        if (value.folder_id) {
+            const folder = req.models.Folder.findById(value.folder_id);
+            if (!folder || folder.project_id !== project.id) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Folder not found in this project' });
+            }
+        }
+
+        // Check index values against the project's field definitions
+        let fieldValues;
+        try {
+            fieldValues = IndexFieldService.validate(req.models.Document.getProjectFields(project.id), value.index_values);
+        } catch (validationError) {
+            return res.status(validationError.status || HTTP_STATUS.BAD_REQUEST).json({
+                error: validationError.message,
+                details: validationError.details
+            });
+        }
+
+        const document = req.models.Document.createDocument({
+            projectId: project.id,
+            title: value.title,
+            description: value.description,
+            documentType: value.document_type,
+            createdBy: req.user.id,
+            folderId: value.folder_id || null,
+            fieldValues
+        });
+        document.index_values = req.models.Document.getFieldValues(document.id);
+
+        req.models.Tag.resolveNames(project.id, value.tags, req.user.id)
+            .forEach(tag => req.models.Tag.addToDocuments(tag.id, [document.id], req.user.id));
+        document.tags = req.models.Tag.findByDocument(document.id);
+
+        req.models.DocumentVersion.createVersion(document.id, {
+            changeType: VERSION_CHANGE_TYPES.CREATED,
+            summary: 'Document created',
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'documents', document.id,
+            `Created document: ${document.title} in project ${project.name}`, req.ip);
+
+        console.log(`📄 Document ${document.id} created in project ${project.id} by user ${req.user.id}`);
+
+        res.status(HTTP_STATUS.CREATED).json(document);
+    } catch (error) {
+        console.error('Error creating document:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// List documents across all projects the user can access
+router.get('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_VIEW]), (req, res) => {
+    try {
+        const { error, value } = listDocumentsSchema.validate(req.query);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        // null = all projects (admin)
+        const projectIds = req.models.getAccessibleProjectIds(req.user.id);
+
+        if (value.project_id && !req.models.hasProjectAccess(req.user.id, value.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to specified project' });
+        }
+
+        const { documents, total } = req.models.Document.findPaginated({
+            projectIds,
+            projectId: value.project_id,
+            status: value.status,
+            documentType: value.document_type,
+            createdBy: value.created_by,
+            fieldFilters: value.fields,
+            tags: value.tag ? [].concat(value.tag) : [],
+            tagIds: value.tag_id ? [].concat(value.tag_id) : [],
+            folderId: value.folder_id,
+            includeSubfolders: value.include_subfolders,
+            search: value.search,
+            sort: value.sort,
+            order: value.order,
+            limit: value.limit,
+            offset: (value.page - 1) * value.limit
+        });
+
+        documents.forEach(document => {
+            document.tags = req.models.Tag.findByDocument(document.id);
+        });
+
+        res.json({
+            documents,
+            pagination: {
+                page: value.page,
+                limit: value.limit,
+                total,
+                pages: Math.ceil(total / value.limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error listing documents:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Add and/or remove tags on many documents; tags are matched by name in each document's project
+// and missing ones are created
+router.post('/bulk/tags', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const { error, value } = bulkTagsSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const { documents: found, failure } = findBulkDocuments(req, value.document_ids);
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.message });
+        }
+        const { documents, rejected } = splitChangeable(req, found);
+
+        let added = 0;
+        let removed = 0;
+        groupByProject(documents).forEach((projectDocuments, projectId) => {
+            const documentIds = projectDocuments.map(document => document.id);
+
+            req.models.Tag.resolveNames(projectId, value.add, req.user.id).forEach(tag => {
+                added += req.models.Tag.addToDocuments(tag.id, documentIds, req.user.id);
+            });
+            value.remove.forEach(name => {
+                const tag = req.models.Tag.findByName(projectId, name);
+                if (tag) {
+                    removed += req.models.Tag.removeFromDocuments(tag.id, documentIds);
+                }
+            });
+        });
+
+        const changes = [
+            value.add.length > 0 ? `added ${value.add.join(', ')}` : null,
+            value.remove.length > 0 ? `removed ${value.remove.join(', ')}` : null
+        ].filter(Boolean).join('; ');
+        documents.forEach(document => {
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', document.id,
+                `Tags on ${document.title}: ${changes}`, req.ip);
+        });
+
+        res.json({ success: true, documents: documents.length, added, removed, rejected });
+    } catch (error) {
+        console.error('Error tagging documents:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Move many documents into a folder (null = their project root); every move is audited
+router.post('/bulk/move', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const { error, value } = bulkMoveSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const { documents, failure } = findBulkDocuments(req, value.document_ids);
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.message });
+        }
+
+        let folder = null;
+        if (value.folder_id) {
+            folder = req.models.Folder.findWithDetails(value.folder_id);
+            if (!folder) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Folder not found' });
+            }
+            const outside = documents.find(document => document.project_id !== folder.project_id);
+            if (outside) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: `Document ${outside.id} is not in the folder's project` });
+            }
+        }
+
+        const { documents: changeable, rejected } = splitChangeable(req, documents);
+        const moving = changeable.filter(document => document.folder_id !== value.folder_id);
+        const moved = req.models.Folder.moveDocuments(moving.map(document => document.id), value.folder_id);
+
+        const destination = folder ? formatFolderPath(folder.path) : 'the project root';
+        moving.forEach(document => {
+            const source = document.folder_id ? formatFolderPath(req.models.Folder.getPath(document.folder_id)) : 'the project root';
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.MOVE, 'documents', document.id,
+                `Moved document ${document.title} from ${source} to ${destination}`, req.ip);
+        });
+
+        res.json({ success: true, moved, folder, rejected });
+    } catch (error) {
+        console.error('Error moving documents:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Queue a bulk operation on the listed documents or on everything a search finds; progress and
+// per-document results are on the returned job (GET /api/jobs/:id)
+router.post('/bulk', AuthService.authenticateToken, AuthService.authorize([
+    PERMISSIONS.DOCUMENT_EDIT,
+    PERMISSIONS.DOCUMENT_DELETE,
+    PERMISSIONS.DOCUMENT_OCR,
+    PERMISSIONS.DOCUMENT_DOWNLOAD,
+    PERMISSIONS.DOCUMENT_REDACT
+]), async (req, res) => {
+    try {
+        const { error, value } = bulkOperationSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        if (!AuthService.userHasPermission(req.user, BulkOperationService.getPermission(value.action))) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Insufficient permissions' });
+        }
+
+        const params = {};
+        if (value.action === BULK_ACTIONS.SET_INDEX_VALUES) {
+            params.index_values = value.index_values;
+        } else if (value.action === BULK_ACTIONS.MOVE_PROJECT) {
+            const project = await findTransferTarget(req, res, value);
+            if (!project) return;
+            Object.assign(params, {
+                project_id: project.id,
+                folder_id: value.folder_id || null,
+                field_mapping: value.field_mapping,
+                index_values: value.index_values
+            });
+        } else if (value.action === BULK_ACTIONS.ADD_TAGS) {
+            params.tags = value.tags;
+        } else if (value.action === BULK_ACTIONS.OCR) {
+            try {
+                params.language = OCRService.resolveLanguage(value.language);
+            } catch (languageError) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: languageError.message });
+            }
+            params.force_reprocess = value.force_reprocess;
+        } else if (value.action === BULK_ACTIONS.EXPORT) {
+            params.annotations = value.annotations;
+        }
+
+        let documentIds = value.document_ids;
+        if (!documentIds) {
+            try {
+                documentIds = BulkOperationService.findSearchDocuments(req.models, req.user, value.search);
+            } catch (searchError) {
+                if (!searchError.status) throw searchError;
+                return res.status(searchError.status).json({ error: searchError.message, code: searchError.code });
+            }
+        }
+
+        const job = JobService.enqueue(JOB_TYPES.BULK_OPERATION, {
+            createdBy: req.user.id,
+            payload: {
+                action: value.action,
+                document_ids: documentIds,
+                params,
+                ip_address: req.ip
+            }
+        });
+
+        console.log(`📦 Queued bulk ${value.action} of ${documentIds.length} document(s) by user ${req.user.id} (job ${job.id})`);
+
+        res.status(HTTP_STATUS.ACCEPTED).json({
+            success: true,
+            message: `Bulk ${value.action} queued for ${documentIds.length} document(s)`,
+            document_count: documentIds.length,
+            job
+        });
+    } catch (error) {
+        console.error('Error queueing bulk operation:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Merge documents of one project into the first one listed; the others go to the recycle bin
+router.post('/merge', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), async (req, res) => {
+    try {
+        const { error, value } = mergeSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const { documents, failure } = findBulkDocuments(req, value.document_ids);
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.message });
+        }
+
+        const [target, ...sources] = documents;
+        if (sources.some(source => source.project_id !== target.project_id)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Only documents in the same project can be merged' });
+        }
+
+        for (const document of documents) {
+            if (rejectIfHeld(req, res, document.id) || rejectIfLocked(req, res, document.id)) return;
+        }
+
+        const result = await DocumentAssemblyService.merge(req.models, documents, req.user.id);
+
+        const summary = sources.map(source => `${source.title} (${source.id})`).join(', ');
+        const version = req.models.DocumentVersion.createVersion(target.id, {
+            changeType: VERSION_CHANGE_TYPES.MERGED,
+            summary: `Merged ${result.pages_merged} page(s) from ${summary}`,
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', target.id,
+            `Merged ${result.pages_merged} page(s) into document ${target.title} from ${summary}`, req.ip);
+        sources.forEach(source => {
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DELETE, 'documents', source.id,
+                `Merged document ${source.title} into ${target.title} (${target.id}) and moved it to the recycle bin`, req.ip);
+        });
+
+        console.log(`📎 Documents ${sources.map(source => source.id).join(', ')} merged into ${target.id} by user ${req.user.id}`);
+
+        res.set('ETag', formatETag(target.id, version.version_number));
+        res.json({ success: true, ...result, version_number: version.version_number });
+    } catch (error) {
+        console.error('Error merging documents:', error);
+        res.status(error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// File upload route: PDF page splitting and OCR run as a background job
+router.post('/:documentId/pages', AuthService.authenticateToken, upload.single('file'), (req, res) => {
     try {
         const { documentId } = req.params;
-        const { perform_ocr } = req.body;
+        const { perform_ocr, ocr_language } = req.body;
         const file = req.file;
         
         console.log(`🔍 UPLOAD DEBUG - Document ID: ${documentId}`);
@@ -36,6 +502,10 @@ router.post('/:documentId/pages', AuthService.authenticateToken, upload.single('
             return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: fileValidation.error });
         }
         
+        if (!PDFService.validatePDFFile(file) && !ImageService.validateImageFile(file)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Unsupported file type' });
+        }
+        
         // Verify document exists using model
         const existingDoc = req.models.Document.findById(documentId);
         if (!existingDoc || existingDoc.status !== STATUS.ACTIVE) {
@@ -43,126 +513,549 @@ router.post('/:documentId/pages', AuthService.authenticateToken, upload.single('
             return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
         }
         
-        // Check project access
-        if (!req.models.hasProjectAccess(req.user.id, existingDoc.project_id)) {
+        // Check project access
+        if (!req.models.hasProjectAccess(req.user.id, existingDoc.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        if (rejectIfHeld(req, res, existingDoc.id) || rejectIfLocked(req, res, existingDoc.id)) return;
+        
+        const performOCRProcessing = perform_ocr === 'true';
+        
+        // Reject unsupported languages before queueing
+        let ocrLanguage = null;
+        if (performOCRProcessing) {
+            try {
+                ocrLanguage = OCRService.resolveLanguage(ocr_language);
+            } catch (languageError) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: languageError.message });
+            }
+        }
+        
+        const job = JobService.enqueue(JOB_TYPES.DOCUMENT_UPLOAD, {
+            documentId: existingDoc.id,
+            projectId: existingDoc.project_id,
+            createdBy: req.user.id,
+            payload: {
+                file: {
+                    path: file.path,
+                    originalname: file.originalname,
+                    mimetype: file.mimetype,
+                    size: file.size
+                },
+                perform_ocr: performOCRProcessing,
+                language: ocrLanguage,
+                ip_address: req.ip
+            }
+        });
+        
+        console.log(`✅ Queued ${file.originalname} for document: ${existingDoc.title} (job ${job.id})`);
+        
+        res.status(HTTP_STATUS.ACCEPTED).json({
+            success: true,
+            message: `File queued for processing${performOCRProcessing ? ' with OCR' : ''}`,
+            job,
+            file_type: PDFService.validatePDFFile(file) ? 'pdf' : 'image',
+            document_id: existingDoc.id,
+            ocr_requested: performOCRProcessing
+        });
+        
+    } catch (error) {
+        console.error('❌ File upload error:', error);
+        if (req.file) {
+            FileService.deleteFile(req.file.path);
+        }
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
+            error: 'File upload failed: ' + error.message
+        });
+    }
+});
+
+// Get document pages
+router.get('/:documentId/pages', AuthService.authenticateToken, (req, res) => {
+    try {
+        const { documentId } = req.params;
+        
+        const pages = req.models.DocumentPage.findByDocument(documentId);
+        
+        res.json(pages);
+    } catch (error) {
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Get background jobs for a document (newest first)
+router.get('/:documentId/jobs', AuthService.authenticateToken, (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const { status, limit = 50 } = req.query;
+        
+        const document = req.models.Document.findById(documentId);
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        if (status && !Object.values(JOB_STATUS).includes(status)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: `Invalid job status: ${status}` });
+        }
+        
+        const jobs = req.models.Job.findByDocument(documentId, {
+            status,
+            limit: Math.min(parseInt(limit) || 50, 200)
+        });
+        
+        res.json({
+            document_id: document.id,
+            jobs: jobs.map(job => JobService.formatJob(job))
+        });
+    } catch (error) {
+        console.error('Error fetching document jobs:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Ingest clean-up decisions for a document's pages (including blank pages dropped into the recycle bin);
+// ?review=true lists only the pages still flagged for review
+router.get('/:documentId/ingest', AuthService.authenticateToken, (req, res) => {
+    try {
+        const { documentId } = req.params;
+        
+        const document = req.models.Document.findById(documentId);
+        if (!document || document.status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const pages = req.models.DocumentPage.findIngestReports(documentId, { reviewOnly: req.query.review === 'true' });
+        
+        res.json({
+            document_id: document.id,
+            pages,
+            needs_review: pages.filter(page => page.ingest_review).length,
+            dropped: pages.filter(page => page.status !== STATUS.ACTIVE).length
+        });
+    } catch (error) {
+        console.error('Error fetching ingest report:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Redactions of a document's pages in page order, for review (?status=pending lists those waiting)
+router.get('/:documentId/redactions', AuthService.authenticateToken, (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const { status } = req.query;
+        
+        if (status && !Object.values(REDACTION_STATUS).includes(status)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: `Invalid redaction status: ${status}` });
+        }
+        
+        const document = req.models.Document.findById(documentId);
+        if (!document || document.status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const redactions = req.models.PageRedaction.findByDocument(documentId, { status });
+        
+        res.json({
+            document_id: document.id,
+            redactions,
+            pending: redactions.filter(redaction => redaction.status === REDACTION_STATUS.PENDING).length
+        });
+    } catch (error) {
+        console.error('Error fetching document redactions:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// PII findings on a document's pages in page order, with counts of those not dismissed by type
+router.get('/:documentId/pii', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_REDACT]), (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const { status, type } = req.query;
+        
+        if (status && !Object.values(PII_FINDING_STATUS).includes(status)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: `Invalid finding status: ${status}` });
+        }
+        if (type && !Object.values(PII_TYPES).includes(type)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: `Invalid PII type: ${type}` });
+        }
+        
+        const document = req.models.Document.findById(documentId);
+        if (!document || document.status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const findings = req.models.PagePiiFinding.findByDocument(documentId, { status, type });
+        const byType = {};
+        findings
+            .filter(finding => finding.status !== PII_FINDING_STATUS.DISMISSED)
+            .forEach(finding => { byType[finding.type] = (byType[finding.type] || 0) + 1; });
+        
+        res.json({
+            document_id: document.id,
+            findings,
+            by_type: byType
+        });
+    } catch (error) {
+        console.error('Error fetching document PII findings:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Look for personal data in the text of all of a document's pages again
+router.post('/:documentId/pii/scan', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_REDACT]), (req, res) => {
+    try {
+        const { documentId } = req.params;
+        
+        const document = req.models.Document.findById(documentId);
+        if (!document || document.status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const result = PiiService.scanPages(req.models, req.models.DocumentPage.findByDocument(documentId).map(page => page.id));
+        
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', document.id,
+            `Scanned ${result.pages_scanned} page(s) of document ${document.title} for PII: ${result.findings} finding(s)`, req.ip);
+        
+        res.json({
+            document_id: document.id,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error scanning document for PII:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// List the original uploaded files of a document
+router.get('/:documentId/originals', AuthService.authenticateToken, (req, res) => {
+    try {
+        const { documentId } = req.params;
+        
+        const document = req.models.Document.findById(documentId);
+        if (!document || document.status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const originals = req.models.DocumentOriginal.findByDocument(documentId).map(original => ({
+            ...original,
+            has_text_layer: !!original.has_text_layer,
+            metadata: original.metadata ? JSON.parse(original.metadata) : null
+        }));
+        
+        res.json({ document_id: document.id, originals });
+    } catch (error) {
+        console.error('Error fetching document originals:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Download an original uploaded file exactly as it was received (not once content from it was redacted)
+router.get('/:documentId/originals/:originalId/download', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_DOWNLOAD]), async (req, res) => {
+    try {
+        const { documentId, originalId } = req.params;
+        
+        const document = req.models.Document.findById(documentId);
+        if (!document || document.status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const original = req.models.DocumentOriginal.findForDocument(documentId, originalId);
+        if (!original) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Original file not found' });
+        }
+        
+        if (original.redacted_at) {
+            return res.status(HTTP_STATUS.CONFLICT).json({
+                error: 'Content of this file has been redacted; export the document instead',
+                code: 'ORIGINAL_REDACTED'
+            });
+        }
+        
+        if (!await FileService.fileExists(original.file_path)) {
+            console.error(`❌ Original file missing on disk: ${original.file_path}`);
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Original file is missing from storage' });
+        }
+        
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DOWNLOAD, 'document_originals', original.id, 
+            `Downloaded original file: ${original.original_name} (document ${document.id}, sha256 ${original.sha256})`, req.ip);
+        
+        res.set({
+            'Content-Type': original.mime_type || 'application/octet-stream',
+            'ETag': `"${original.sha256}"`
+        });
+        res.download(original.file_path, original.original_name);
+    } catch (error) {
+        console.error('Error downloading original file:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Reorder document pages
+router.put('/:documentId/pages/reorder', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const { page_order } = req.body;
+        
+        console.log(`🔄 Reordering pages for document ${documentId}`);
+        
+        // Validation
+        if (!page_order || !Array.isArray(page_order) || page_order.length === 0) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Page order array is required' });
+        }
+        
+        // Check if document exists and user has access
+        const document = req.models.Document.findByIdWithDetails(documentId);
+        
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        // Check project access
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        if (rejectIfHeld(req, res, document.id) || rejectIfLocked(req, res, document.id) || rejectIfStale(req, res, document.id)) return;
+        
+        // Validate page ownership and reorder using model
+        const updatedCount = req.models.DocumentPage.reorderPages(documentId, page_order);
+        
+        const version = req.models.DocumentVersion.createVersion(documentId, {
+            changeType: VERSION_CHANGE_TYPES.PAGES_REORDERED,
+            summary: `Reordered ${updatedCount} pages`,
+            createdBy: req.user.id
+        });
+        
+        // Log the reorder using service
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', documentId, 
+            `Reordered ${updatedCount} pages in document: ${document.title}`, req.ip);
+        
+        console.log(`✅ Successfully reordered ${updatedCount} pages for document ${documentId}`);
+        
+        res.set('ETag', formatETag(document.id, version.version_number));
+        res.json({ 
+            success: true, 
+            message: `Successfully reordered ${updatedCount} pages`,
+            updated_pages: updatedCount,
+            version_number: version.version_number
+        });
+        
+    } catch (error) {
+        console.error('❌ Error reordering pages:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to reorder pages: ' + error.message });
+    }
+});
+
+// List document versions
+router.get('/:id/versions', AuthService.authenticateToken, (req, res) => {
+    try {
+        const document = req.models.Document.findByIdWithDetails(req.params.id);
+        
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const versions = req.models.DocumentVersion.findByDocument(document.id);
+        
+        res.json({
+            document_id: document.id,
+            current_version: versions.length > 0 ? versions[0].version_number : null,
+            versions
+        });
+    } catch (error) {
+        console.error('Error fetching document versions:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Compare two versions (?from=1&to=3; to defaults to the latest version)
+router.get('/:id/versions/diff', AuthService.authenticateToken, (req, res) => {
+    try {
+        const document = req.models.Document.findByIdWithDetails(req.params.id);
+        
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const fromNumber = parseInt(req.query.from);
+        const latest = req.models.DocumentVersion.findByDocument(document.id)[0];
+        const toNumber = req.query.to !== undefined ? parseInt(req.query.to) : (latest && latest.version_number);
+        
+        if (isNaN(fromNumber) || !toNumber || isNaN(toNumber)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'from and to must be version numbers' });
+        }
+        
+        const from = req.models.DocumentVersion.findByNumber(document.id, fromNumber);
+        const to = req.models.DocumentVersion.findByNumber(document.id, toNumber);
+        
+        if (!from || !to) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: `Version ${!from ? fromNumber : toNumber} not found` });
+        }
+        
+        res.json(req.models.DocumentVersion.diff(from, to));
+    } catch (error) {
+        console.error('Error comparing document versions:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Get a version with its pages in that version's order and its index values
+router.get('/:id/versions/:version', AuthService.authenticateToken, (req, res) => {
+    try {
+        const document = req.models.Document.findByIdWithDetails(req.params.id);
+        
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
             return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
         }
         
-        console.log(`✅ Processing file for document: ${existingDoc.title} (ID: ${documentId})`);
-        
-        // Create directories using service
-        const { documentDir, thumbnailDir, pagesDir } = await FileService.createDirectories(documentId);
-        
-        let pageRecords = [];
-        const performOCRProcessing = perform_ocr === 'true';
-        
-        // Check if file is a PDF and process accordingly
-        if (PDFService.validatePDFFile(file)) {
-            console.log(`📄 Processing PDF: ${file.originalname} for document ${documentId}`);
-            pageRecords = await PDFService.processPDFPages(file, documentId, documentDir, pagesDir, thumbnailDir, performOCRProcessing, req.models);
-            console.log(`✅ PDF processed: ${pageRecords.length} pages created for document ${documentId}`);
-        } else if (ImageService.validateImageFile(file)) {
-            // Handle single image files
-            console.log(`🖼️ Processing image: ${file.originalname} for document ${documentId}`);
-            const pageRecord = await ImageService.processSingleImage(file, documentId, documentDir, thumbnailDir, performOCRProcessing, req.models);
-            pageRecords.push(pageRecord);
-            console.log(`✅ Image processed: 1 page created for document ${documentId}`);
-        } else {
-            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Unsupported file type' });
-        }
-        
-        // Update document page count and OCR status using model
-        const hasOCRText = pageRecords.some(page => page.ocr_text && page.ocr_text.length > 0);
-        const totalWords = pageRecords.reduce((sum, page) => sum + (page.word_count || 0), 0);
-        
-        req.models.Document.incrementPageCount(documentId, pageRecords.length);
+        const version = req.models.DocumentVersion.findByNumber(document.id, parseInt(req.params.version));
         
-        if (hasOCRText) {
-            req.models.Document.updateOCRStatus(documentId, true, 'eng');
-            console.log(`🔍 OCR completed: ${totalWords} total words extracted`);
+        if (!version) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Version not found' });
         }
         
-        // Log the upload using service
-        AuditService.logDocumentUpload(req.models, req.user.id, documentId, pageRecords.length, file.originalname, performOCRProcessing, req.ip);
+        const { field_values: fieldValues, ...details } = version;
         
         res.json({
-            success: true,
-            message: `Successfully processed ${pageRecords.length} page(s)${performOCRProcessing ? ' with OCR' : ''}`,
-            pages: pageRecords,
-            total_pages: pageRecords.length,
-            file_type: PDFService.validatePDFFile(file) ? 'pdf' : 'image',
-            document_id: documentId,
-            ocr_processed: performOCRProcessing,
-            ocr_words_found: totalWords,
-            has_ocr_text: hasOCRText
+            ...details,
+            pages: req.models.DocumentVersion.getPages(version),
+            index_values: fieldValues.reduce((acc, field) => {
+                acc[field.field_name] = field.value;
+                return acc;
+            }, {})
         });
-        
     } catch (error) {
-        console.error('❌ File processing error:', error);
-        console.error('Stack trace:', error.stack);
-        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
-            error: 'File processing failed: ' + error.message,
-            details: error.stack
-        });
+        console.error('Error fetching document version:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
     }
 });
 
-// Get document pages
-router.get('/:documentId/pages', AuthService.authenticateToken, (req, res) => {
+// Roll back pages and index values to a version (recorded as a new version)
+router.post('/:id/versions/:version/rollback', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
     try {
-        const { documentId } = req.params;
+        const document = req.models.Document.findByIdWithDetails(req.params.id);
         
-        const pages = req.models.DocumentPage.findByDocument(documentId);
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
         
-        res.json(pages);
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const version = req.models.DocumentVersion.findByNumber(document.id, parseInt(req.params.version));
+        
+        if (!version) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Version not found' });
+        }
+        
+        if (rejectIfHeld(req, res, document.id) || rejectIfLocked(req, res, document.id) || rejectIfStale(req, res, document.id)) return;
+        
+        const newVersion = req.models.DocumentVersion.rollback(document.id, version, req.user.id);
+        req.models.SearchIndex.rebuild(document.id);
+        
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', document.id, 
+            `Rolled back document ${document.title} to version ${version.version_number}`, req.ip);
+        
+        console.log(`⏪ Document ${document.id} rolled back to version ${version.version_number} (now version ${newVersion.version_number})`);
+        
+        res.set('ETag', formatETag(document.id, newVersion.version_number));
+        res.json({
+            success: true,
+            message: `Document rolled back to version ${version.version_number}`,
+            version_number: newVersion.version_number,
+            total_pages: newVersion.page_count
+        });
     } catch (error) {
-        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+        console.error('Error rolling back document:', error);
+        res.status(error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
     }
 });
 
-// Reorder document pages
-router.put('/:documentId/pages/reorder', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+// Export active pages as a searchable PDF (?pdfa=true for PDF/A-2b, ?annotations=true to burn in
+// the annotations the user can see)
+router.get('/:id/export.pdf', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_DOWNLOAD]), async (req, res) => {
     try {
-        const { documentId } = req.params;
-        const { page_order } = req.body;
-        
-        console.log(`🔄 Reordering pages for document ${documentId}`);
-        
-        // Validation
-        if (!page_order || !Array.isArray(page_order) || page_order.length === 0) {
-            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Page order array is required' });
-        }
+        const { id } = req.params;
+        const pdfa = ['true', '1'].includes(String(req.query.pdfa).toLowerCase());
+        const withAnnotations = ['true', '1'].includes(String(req.query.annotations).toLowerCase());
         
-        // Check if document exists and user has access
-        const document = req.models.Document.findByIdWithDetails(documentId);
+        const document = req.models.Document.findByIdWithDetails(id);
         
         if (!document) {
             return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
         }
         
-        // Check project access
         if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
             return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
         }
         
-        // Validate page ownership and reorder using model
-        const updatedCount = req.models.DocumentPage.reorderPages(documentId, page_order);
+        const pages = req.models.DocumentPage.findForExport(id);
         
-        // Log the reorder using service
-        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', documentId, 
-            `Reordered ${updatedCount} pages in document: ${document.title}`, req.ip);
+        if (pages.length === 0) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Document has no pages to export' });
+        }
         
-        console.log(`✅ Successfully reordered ${updatedCount} pages for document ${documentId}`);
+        const annotations = withAnnotations ? req.models.PageAnnotation.findVisibleByDocument(document.id, req.user.id) : [];
+        const pdfBuffer = await PDFExportService.exportDocument(document, pages, { pdfa, annotations });
         
-        res.json({ 
-            success: true, 
-            message: `Successfully reordered ${updatedCount} pages`,
-            updated_pages: updatedCount
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.EXPORT, 'documents', id, 
+            `Exported document as ${pdfa ? 'PDF/A-2b' : 'PDF'}: ${document.title} (${pages.length} pages` +
+            `${withAnnotations ? `, ${annotations.length} annotation(s) burned in` : ''})`, req.ip);
+        
+        const fileName = (document.title || `document-${id}`).replace(/[^\w.-]+/g, '_');
+        
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Length': pdfBuffer.length,
+            'Content-Disposition': `attachment; filename="${fileName}.pdf"`
         });
+        res.send(pdfBuffer);
         
     } catch (error) {
-        console.error('❌ Error reordering pages:', error);
-        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to reorder pages: ' + error.message });
+        console.error('Error exporting document:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
     }
 });
 
@@ -188,6 +1081,16 @@ router.get('/:id', AuthService.authenticateToken, (req, res) => {
         // Add field values
         document.index_values = req.models.Document.getFieldValues(document.id);
         
+        // The version number doubles as the ETag for optimistic concurrency (If-Match on writes)
+        document.version_number = req.models.DocumentVersion.getCurrentNumber(document.id);
+        document.lock = formatLock(req.models.DocumentLock.findActive(document.id), req.user.id);
+        document.legal_holds = req.models.LegalHold.findActiveForDocument(document.id);
+        document.retention = req.models.RetentionPolicy.findForDocument(document.id) || null;
+        document.tags = req.models.Tag.findByDocument(document.id);
+        document.folder = document.folder_id ? req.models.Folder.findWithDetails(document.folder_id) : null;
+        document.relations = req.models.DocumentRelation.findByDocument(document.id, req.models.getAccessibleProjectIds(req.user.id));
+        
+        res.set('ETag', formatETag(document.id, document.version_number));
         res.json(document);
     } catch (error) {
         console.error('Error fetching document:', error);
@@ -213,15 +1116,41 @@ router.put('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISS
             return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
         }
         
-        req.models.Document.updateFields(id, index_values || {});
+        if (rejectIfHeld(req, res, document.id) || rejectIfLocked(req, res, document.id) || rejectIfStale(req, res, document.id)) return;
+        
+        // Only the given fields change; each is checked against the project's field definitions
+        let fieldValues;
+        try {
+            fieldValues = IndexFieldService.validate(req.models.Document.getProjectFields(document.project_id),
+                index_values || {}, { partial: true });
+        } catch (validationError) {
+            return res.status(validationError.status || HTTP_STATUS.BAD_REQUEST).json({
+                error: validationError.message,
+                details: validationError.details
+            });
+        }
+        
+        req.models.Document.updateFields(id, fieldValues);
+        req.models.SearchIndex.rebuild(id);
+        
+        let version = null;
+        if (fieldValues.length > 0) {
+            version = req.models.DocumentVersion.createVersion(id, {
+                changeType: VERSION_CHANGE_TYPES.FIELDS_UPDATED,
+                summary: `Updated ${fieldValues.map(fieldValue => fieldValue.field_name).join(', ')}`,
+                createdBy: req.user.id
+            });
+        }
         
         // Log the update using service
         AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', id, 
             `Updated document index fields: ${document.title}`, req.ip);
         
+        res.set('ETag', formatETag(document.id, version ? version.version_number : req.models.DocumentVersion.getCurrentNumber(document.id)));
         res.json({ 
             success: true, 
-            message: 'Document updated successfully' 
+            message: 'Document updated successfully',
+            version_number: version ? version.version_number : null
         });
         
     } catch (error) {
@@ -247,15 +1176,17 @@ router.delete('/:id', AuthService.authenticateToken, AuthService.authorize([PERM
             return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
         }
         
-        const deletedPages = req.models.Document.softDeleteWithPages(id);
+        if (rejectIfHeld(req, res, document.id) || rejectIfLocked(req, res, document.id)) return;
+        
+        const deletedPages = req.models.Document.softDeleteWithPages(id, req.user.id);
         
         // Log the deletion using service
         AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DELETE, 'documents', id, 
-            `Soft deleted document: ${document.title} (${deletedPages} pages)`, req.ip);
+            `Moved document to the recycle bin: ${document.title} (${deletedPages} pages)`, req.ip);
         
         res.json({ 
             success: true, 
-            message: `Document and ${deletedPages} pages marked as inactive`,
+            message: `Document and ${deletedPages} pages moved to the recycle bin`,
             deleted_pages: deletedPages
         });
         
@@ -265,13 +1196,280 @@ router.delete('/:id', AuthService.authenticateToken, AuthService.authorize([PERM
     }
 });
 
+// Move a document to another project, mapping its index values onto the target project's fields
+router.post('/:id/move', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), async (req, res) => {
+    try {
+        const { error, value } = moveSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const document = req.models.Document.findByIdWithDetails(req.params.id);
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        if (value.project_id === document.project_id) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Document is already in this project' });
+        }
+
+        const project = await findTransferTarget(req, res, value);
+        if (!project) return;
+
+        if (rejectIfHeld(req, res, document.id) || rejectIfLocked(req, res, document.id) || rejectIfStale(req, res, document.id)) return;
+
+        const result = DocumentTransferService.move(req.models, document, {
+            projectId: project.id,
+            folderId: value.folder_id || null,
+            fieldMapping: value.field_mapping,
+            indexValues: value.index_values,
+            userId: req.user.id
+        });
+
+        const version = req.models.DocumentVersion.createVersion(document.id, {
+            changeType: VERSION_CHANGE_TYPES.MOVED,
+            summary: `Moved from project ${document.project_name} to ${project.name}`,
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.MOVE, 'documents', document.id,
+            `Moved document ${document.title} from project ${document.project_name} to ${project.name}` +
+            `${result.fields_dropped.length > 0 ? `; index fields not carried over: ${result.fields_dropped.join(', ')}` : ''}`, req.ip);
+
+        console.log(`📦 Document ${document.id} moved from project ${document.project_id} to ${project.id} by user ${req.user.id}`);
+
+        result.document.index_values = req.models.Document.getFieldValues(document.id);
+        result.document.tags = req.models.Tag.findByDocument(document.id);
+
+        res.set('ETag', formatETag(document.id, version.version_number));
+        res.json({ success: true, ...result, version_number: version.version_number });
+    } catch (error) {
+        console.error('Error moving document:', error);
+        res.status(error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message, details: error.details });
+    }
+});
+
+// Copy a document (pages, OCR text and originals) into a project, mapping its index values
+router.post('/:id/copy', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_CREATE]), async (req, res) => {
+    try {
+        const { error, value } = copySchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const document = req.models.Document.findByIdWithDetails(req.params.id);
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        const project = await findTransferTarget(req, res, value);
+        if (!project) return;
+
+        const result = await DocumentTransferService.copy(req.models, document, {
+            projectId: project.id,
+            folderId: value.folder_id || null,
+            title: value.title,
+            fieldMapping: value.field_mapping,
+            indexValues: value.index_values,
+            userId: req.user.id
+        });
+        const copy = result.document;
+
+        req.models.DocumentVersion.createVersion(copy.id, {
+            changeType: VERSION_CHANGE_TYPES.CREATED,
+            summary: `Copied from document ${document.id} (project ${document.project_name})`,
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'documents', copy.id,
+            `Copied document ${document.title} (${document.id}, project ${document.project_name}) to project ${project.name}: ` +
+            `${result.pages} page(s), ${result.originals} original(s)`, req.ip);
+
+        console.log(`📄 Document ${document.id} copied to document ${copy.id} in project ${project.id} by user ${req.user.id}`);
+
+        copy.index_values = req.models.Document.getFieldValues(copy.id);
+        copy.tags = req.models.Tag.findByDocument(copy.id);
+
+        res.status(HTTP_STATUS.CREATED).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error copying document:', error);
+        res.status(error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message, details: error.details });
+    }
+});
+
+// Split pages off into new documents, each with its own title and index values
+router.post('/:id/split', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), async (req, res) => {
+    try {
+        const { error, value } = splitSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const document = req.models.Document.findByIdWithDetails(req.params.id);
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        if (rejectIfHeld(req, res, document.id) || rejectIfLocked(req, res, document.id) || rejectIfStale(req, res, document.id)) return;
+
+        const result = await DocumentAssemblyService.split(req.models, document, value.parts, req.user.id);
+
+        result.documents.forEach(part => {
+            req.models.DocumentVersion.createVersion(part.id, {
+                changeType: VERSION_CHANGE_TYPES.CREATED,
+                summary: `Split from document ${document.id} (pages ${part.pages.from}-${part.pages.to})`,
+                createdBy: req.user.id
+            });
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'documents', part.id,
+                `Split document ${part.title} from ${document.title} (${document.id}), pages ${part.pages.from}-${part.pages.to}`, req.ip);
+            part.index_values = req.models.Document.getFieldValues(part.id);
+        });
+
+        const version = req.models.DocumentVersion.createVersion(document.id, {
+            changeType: VERSION_CHANGE_TYPES.SPLIT,
+            summary: `Split pages ${value.parts[0].start_page}-${document.page_count} into documents ${result.documents.map(part => part.id).join(', ')}`,
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', document.id,
+            `Split document ${document.title} into ${result.documents.length} new document(s); ${result.source_pages} page(s) kept`, req.ip);
+
+        console.log(`✂️ Document ${document.id} split into ${result.documents.map(part => part.id).join(', ')} by user ${req.user.id}`);
+
+        res.set('ETag', formatETag(document.id, version.version_number));
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            document: req.models.Document.findByIdWithDetails(document.id),
+            documents: result.documents,
+            version_number: version.version_number
+        });
+    } catch (error) {
+        console.error('Error splitting document:', error);
+        res.status(error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message, details: error.details });
+    }
+});
+
+// Check a document out: other users cannot change its pages or index values until check-in or expiry
+router.post('/:id/checkout', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const { error, value } = checkoutSchema.validate(req.body || {});
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+        
+        const document = req.models.Document.findByIdWithDetails(req.params.id);
+        
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const existingLock = req.models.DocumentLock.findBlocking(document.id, req.user.id);
+        const override = !!existingLock && value.force && req.models.isAdmin(req.user.id);
+        
+        if (existingLock && !override) {
+            return res.status(HTTP_STATUS.CONFLICT).json({
+                error: `Document is checked out by ${existingLock.locked_by_name} until ${existingLock.expires_at}`,
+                code: 'DOCUMENT_LOCKED',
+                lock: formatLock(existingLock, req.user.id)
+            });
+        }
+        
+        const lock = req.models.DocumentLock.acquire(document.id, req.user.id, value.duration_minutes, value.note || null);
+        
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', document.id, 
+            override
+                ? `Checked out document ${document.title}, overriding the lock held by ${existingLock.locked_by_name}`
+                : `Checked out document ${document.title} until ${lock.expires_at}`, req.ip);
+        
+        console.log(`🔒 Document ${document.id} checked out by user ${req.user.id}${override ? ` (override of user ${existingLock.user_id})` : ''}`);
+        
+        const versionNumber = req.models.DocumentVersion.getCurrentNumber(document.id);
+        res.set('ETag', formatETag(document.id, versionNumber));
+        res.json({
+            success: true,
+            lock: formatLock(lock, req.user.id),
+            version_number: versionNumber
+        });
+    } catch (error) {
+        console.error('Error checking out document:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Check a document in (the lock owner, or an admin to release someone else's lock)
+router.post('/:id/checkin', AuthService.authenticateToken, (req, res) => {
+    try {
+        const document = req.models.Document.findByIdWithDetails(req.params.id);
+        
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+        }
+        
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+        
+        const lock = req.models.DocumentLock.findActive(document.id);
+        
+        if (!lock) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: 'Document is not checked out' });
+        }
+        
+        const override = lock.user_id !== req.user.id;
+        if (override && !req.models.isAdmin(req.user.id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                error: `Document is checked out by ${lock.locked_by_name}`,
+                lock: formatLock(lock, req.user.id)
+            });
+        }
+        
+        req.models.DocumentLock.release(document.id);
+        
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', document.id, 
+            override
+                ? `Released the lock held by ${lock.locked_by_name} on document ${document.title}`
+                : `Checked in document ${document.title}`, req.ip);
+        
+        console.log(`🔓 Document ${document.id} checked in by user ${req.user.id}`);
+        
+        res.json({ success: true, message: 'Document checked in' });
+    } catch (error) {
+        console.error('Error checking in document:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
 // Batch OCR processing for document
-router.post('/:documentId/ocr', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_OCR]), async (req, res) => {
+router.post('/:documentId/ocr', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_OCR]), (req, res) => {
     try {
         const { documentId } = req.params;
         const { language = 'eng', force_reprocess = false } = req.body;
         
-        console.log(`🔍 Starting batch OCR for document ${documentId} with language: ${language}`);
+        // Reject unsupported languages before touching any page
+        let ocrLanguage;
+        try {
+            ocrLanguage = OCRService.resolveLanguage(language);
+        } catch (languageError) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: languageError.message });
+        }
+        
+        console.log(`🔍 Queueing batch OCR for document ${documentId} with language: ${ocrLanguage}`);
         
         // Check if document exists using model
         const document = req.models.Document.findByIdWithDetails(documentId);
@@ -285,6 +1483,8 @@ router.post('/:documentId/ocr', AuthService.authenticateToken, AuthService.autho
             return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
         }
         
+        if (rejectIfHeld(req, res, document.id) || rejectIfLocked(req, res, document.id)) return;
+        
         // Get pages that need OCR processing using model
         const pages = req.models.DocumentPage.findPagesNeedingOCR(documentId, force_reprocess);
         
@@ -296,64 +1496,26 @@ router.post('/:documentId/ocr', AuthService.authenticateToken, AuthService.autho
             });
         }
         
-        console.log(`📄 Found ${pages.length} pages to process for document ${documentId}`);
-        
-        let processedCount = 0;
-        let totalWords = 0;
-        let errors = [];
-        
-        // Process each page
-        for (const page of pages) {
-            try {
-                console.log(`🔍 Processing OCR for page ${page.page_number} (ID: ${page.id})`);
-                
-                // Check if file exists using service
-                const fileExists = await FileService.fileExists(page.file_path);
-                if (!fileExists) {
-                    errors.push(`Page ${page.page_number}: File not found`);
-                    continue;
-                }
-                
-                // Perform OCR using service
-                const ocrData = await OCRService.performOCR(page.file_path, language);
-                
-                // Update page with OCR data using model
-                const updateResult = req.models.DocumentPage.updateOCRData(page.id, ocrData.text, ocrData.confidence, language, ocrData.wordCount);
-                
-                if (updateResult.changes > 0) {
-                    // Update FTS index
-                    req.models.updateFTSIndex(page.id, documentId, document.project_id, document.title, ocrData.text);
-                    
-                    processedCount++;
-                    totalWords += ocrData.wordCount;
-                    console.log(`✅ OCR completed for page ${page.page_number}: ${ocrData.wordCount} words`);
-                }
-                
-            } catch (pageError) {
-                console.error(`❌ OCR failed for page ${page.page_number}:`, pageError.message);
-                errors.push(`Page ${page.page_number}: ${pageError.message}`);
+        const job = JobService.enqueue(JOB_TYPES.DOCUMENT_OCR, {
+            documentId: document.id,
+            projectId: document.project_id,
+            createdBy: req.user.id,
+            payload: {
+                language: ocrLanguage,
+                force_reprocess: !!force_reprocess,
+                ip_address: req.ip
             }
-        }
-        
-        // Update document OCR status
-        if (processedCount > 0) {
-            req.models.Document.updateOCRStatus(documentId, true, language);
-        }
-        
-        // Log the batch OCR processing using service
-        AuditService.logBatchOCR(req.models, req.user.id, documentId, processedCount, totalWords, req.ip);
+        });
         
-        console.log(`✅ Batch OCR completed for document ${documentId}: ${processedCount} pages processed`);
+        console.log(`📄 Queued OCR of ${pages.length} pages for document ${documentId} (job ${job.id})`);
         
-        res.json({
+        res.status(HTTP_STATUS.ACCEPTED).json({
             success: true,
-            message: `OCR processing completed for ${processedCount} pages`,
-            document_id: documentId,
-            processed_pages: processedCount,
+            message: `OCR queued for ${pages.length} pages`,
+            document_id: document.id,
             total_pages: pages.length,
-            total_words: totalWords,
-            language: language,
-            errors: errors.length > 0 ? errors : undefined
+            language: ocrLanguage,
+            job
         });
         
     } catch (error) {
@@ -364,4 +1526,156 @@ router.post('/:documentId/ocr', AuthService.authenticateToken, AuthService.autho
     }
 });
 
+// Documents are tagged by id and current version number
+function formatETag(documentId, versionNumber) {
+    return `"${documentId}-${versionNumber}"`;
+}
+
+function formatLock(lock, userId) {
+    if (!lock) return null;
+    return {
+        user_id: lock.user_id,
+        locked_by: lock.locked_by_name,
+        note: lock.note,
+        locked_at: lock.locked_at,
+        expires_at: lock.expires_at,
+        is_mine: lock.user_id === userId
+    };
+}
+
+// Respond 409 when another user has the document checked out
+function rejectIfLocked(req, res, documentId) {
+    const lock = req.models.DocumentLock.findBlocking(documentId, req.user.id);
+    if (!lock) return false;
+
+    res.status(HTTP_STATUS.CONFLICT).json({
+        error: `Document is checked out by ${lock.locked_by_name} until ${lock.expires_at}`,
+        code: 'DOCUMENT_LOCKED',
+        lock: formatLock(lock, req.user.id)
+    });
+    return true;
+}
+
+// Respond 409 when a legal hold covers the document
+function rejectIfHeld(req, res, documentId) {
+    const holds = req.models.LegalHold.findActiveForDocument(documentId);
+    if (holds.length === 0) return false;
+
+    res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'Document is under legal hold and cannot be changed',
+        code: 'LEGAL_HOLD',
+        legal_holds: holds.map(hold => ({ id: hold.id, name: hold.name }))
+    });
+    return true;
+}
+
+// Respond 409 when the If-Match header (or body version_number) names an older version,
+// and 428 when the write names no version at all
+function rejectIfStale(req, res, documentId) {
+    const ifMatch = req.get('If-Match');
+    const expected = req.body && req.body.version_number;
+
+    const current = req.models.DocumentVersion.getCurrentNumber(documentId);
+    const currentTag = formatETag(documentId, current);
+
+    if (!ifMatch && (expected === undefined || expected === null)) {
+        res.set('ETag', currentTag);
+        res.status(HTTP_STATUS.PRECONDITION_REQUIRED).json({
+            error: 'Send the document version you are changing (If-Match header or version_number)',
+            code: 'VERSION_REQUIRED',
+            current_version: current
+        });
+        return true;
+    }
+
+    const matches = ifMatch
+        ? ifMatch.trim() === '*' || ifMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === currentTag)
+        : parseInt(expected) === current;
+    if (matches) return false;
+
+    res.set('ETag', currentTag);
+    res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'Document was changed by someone else. Reload it and try again.',
+        code: 'VERSION_CONFLICT',
+        current_version: current
+    });
+    return true;
+}
+
+// Get the active target project of a move or copy and check the user's access and the target folder;
+// responds 404/403/400 and returns null otherwise
+async function findTransferTarget(req, res, value) {
+    const project = await req.models.Project.findOne({ where: { id: value.project_id } });
+    if (!project || project.status !== STATUS.ACTIVE) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Target project not found' });
+        return null;
+    }
+
+    if (!req.models.hasProjectAccess(req.user.id, project.id)) {
+        res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to the target project' });
+        return null;
+    }
+
+    if (value.folder_id) {
+        const folder = req.models.Folder.findById(value.folder_id);
+        if (!folder || folder.project_id !== project.id) {
+            res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Folder not found in the target project' });
+            return null;
+        }
+    }
+
+    return project;
+}
+
+// Get the active documents for a bulk operation; failure is { status, message } when one is
+// missing or in a project the user cannot access
+function findBulkDocuments(req, documentIds) {
+    const documents = [];
+    for (const documentId of documentIds) {
+        const document = req.models.Document.findById(documentId);
+        if (!document || document.status !== STATUS.ACTIVE) {
+            return { failure: { status: HTTP_STATUS.NOT_FOUND, message: `Document ${documentId} not found` } };
+        }
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return { failure: { status: HTTP_STATUS.FORBIDDEN, message: `Access denied to document ${documentId}` } };
+        }
+        documents.push(document);
+    }
+    return { documents };
+}
+
+// Split documents into the ones the user may change and the ones under legal hold or checked out by
+// someone else, reported as { id, code, error }
+function splitChangeable(req, documents) {
+    const changeable = [];
+    const rejected = [];
+    documents.forEach(document => {
+        const lock = req.models.DocumentLock.findBlocking(document.id, req.user.id);
+        if (req.models.LegalHold.isHeld(document.id)) {
+            rejected.push({ id: document.id, code: 'LEGAL_HOLD', error: 'Document is under legal hold and cannot be changed' });
+        } else if (lock) {
+            rejected.push({
+                id: document.id,
+                code: 'DOCUMENT_LOCKED',
+                error: `Document is checked out by ${lock.locked_by_name} until ${lock.expires_at}`
+            });
+        } else {
+            changeable.push(document);
+        }
+    });
+    return { documents: changeable, rejected };
+}
+
+function groupByProject(documents) {
+    return documents.reduce((groups, document) => {
+        groups.set(document.project_id, [...(groups.get(document.project_id) || []), document]);
+        return groups;
+    }, new Map());
+}
+
+// "/Contracts/2024" from a folder path
+function formatFolderPath(path) {
+    return `/${path.map(folder => folder.name).join('/')}`;
+}
+
 module.exports = router;
\ No newline at end of file
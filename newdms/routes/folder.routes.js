@@ -0,0 +1,196 @@
+// newdms/routes/folder.routes.js
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+
+const { HTTP_STATUS, PERMISSIONS, AUDIT_ACTIONS, STATUS } = require('../config/constants');
+const { AuthService, AuditService } = require('../services');
+
+// Validation schemas ('/' separates folders in paths)
+const folderNameSchema = Joi.string().trim().min(1).max(100).pattern(/^[^/]+$/);
+
+const listFoldersSchema = Joi.object({
+    project_id: Joi.number().integer().positive().required()
+});
+
+const createFolderSchema = Joi.object({
+    project_id: Joi.number().integer().positive().required(),
+    parent_id: Joi.number().integer().positive().optional().allow(null),
+    name: folderNameSchema.required()
+});
+
+const updateFolderSchema = Joi.object({
+    name: folderNameSchema.optional(),
+    // null moves the folder to the top level
+    parent_id: Joi.number().integer().positive().optional().allow(null)
+}).min(1);
+
+// Get the folder tree of a project
+router.get('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_VIEW]), (req, res) => {
+    try {
+        const { error, value } = listFoldersSchema.validate(req.query);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, value.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to specified project' });
+        }
+
+        res.json({ project_id: value.project_id, folders: req.models.Folder.getTree(value.project_id) });
+    } catch (error) {
+        console.error('Error fetching folders:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Get a folder with its path and subfolders
+router.get('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_VIEW]), (req, res) => {
+    try {
+        const folder = findAccessibleFolder(req, res);
+        if (!folder) return;
+
+        const subfolders = req.models.Folder.findByProject(folder.project_id)
+            .filter(subfolder => subfolder.parent_id === folder.id);
+
+        res.json({ folder, subfolders });
+    } catch (error) {
+        console.error('Error fetching folder:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Create a folder (top level or inside parent_id)
+router.post('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), async (req, res) => {
+    try {
+        const { error, value } = createFolderSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const project = await req.models.Project.findOne({ where: { id: value.project_id } });
+        if (!project || project.status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Project not found' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, project.id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        const parentId = value.parent_id || null;
+        if (parentId) {
+            const parent = req.models.Folder.findById(parentId);
+            if (!parent || parent.project_id !== project.id) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Parent folder not found in this project' });
+            }
+        }
+
+        if (req.models.Folder.findSibling(project.id, parentId, value.name)) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: `A folder named "${value.name}" already exists here` });
+        }
+
+        const folder = req.models.Folder.createFolder({
+            projectId: project.id,
+            parentId,
+            name: value.name,
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'folders', folder.id,
+            `Created folder ${formatPath(folder.path)} in project ${project.name}`, req.ip);
+
+        res.status(HTTP_STATUS.CREATED).json({ folder });
+    } catch (error) {
+        console.error('Error creating folder:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Rename a folder and/or move it under another parent in the same project
+router.put('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const folder = findAccessibleFolder(req, res);
+        if (!folder) return;
+
+        const { error, value } = updateFolderSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const parentId = value.parent_id !== undefined ? value.parent_id : folder.parent_id;
+        const moving = parentId !== folder.parent_id;
+
+        if (moving && parentId) {
+            const parent = req.models.Folder.findById(parentId);
+            if (!parent || parent.project_id !== folder.project_id) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Parent folder not found in this project' });
+            }
+            if (req.models.Folder.getDescendantIds(folder.id).includes(parentId)) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'A folder cannot be moved into itself or one of its subfolders' });
+            }
+        }
+
+        const name = value.name || folder.name;
+        if (req.models.Folder.findSibling(folder.project_id, parentId, name, folder.id)) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: `A folder named "${name}" already exists here` });
+        }
+
+        const updated = req.models.Folder.updateFolder(folder.id, value);
+
+        if (moving) {
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.MOVE, 'folders', folder.id,
+                `Moved folder ${formatPath(folder.path)} to ${formatPath(updated.path)}`, req.ip);
+        } else if (name !== folder.name) {
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'folders', folder.id,
+                `Renamed folder ${formatPath(folder.path)} to "${name}"`, req.ip);
+        }
+
+        res.json({ folder: updated });
+    } catch (error) {
+        console.error('Error updating folder:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Delete a folder; its documents and subfolders move up to the parent folder (or the project root)
+router.delete('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const folder = findAccessibleFolder(req, res);
+        if (!folder) return;
+
+        const result = req.models.Folder.deleteFolder(folder.id);
+        const destination = folder.path.length > 1 ? formatPath(folder.path.slice(0, -1)) : 'the project root';
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DELETE, 'folders', folder.id,
+            `Deleted folder ${formatPath(folder.path)}; moved ${result.documents_moved} document(s) and ` +
+            `${result.folders_moved} subfolder(s) to ${destination}`, req.ip);
+
+        res.json({ success: true, message: `Folder deleted; its contents moved to ${destination}`, ...result });
+    } catch (error) {
+        console.error('Error deleting folder:', error);
+        res.status(error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Get the folder named by :id if the user can access its project; responds 404/403 and returns null otherwise
+function findAccessibleFolder(req, res) {
+    const folder = req.models.Folder.findWithDetails(req.params.id);
+    if (!folder) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Folder not found' });
+        return null;
+    }
+
+    if (!req.models.hasProjectAccess(req.user.id, folder.project_id)) {
+        res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        return null;
+    }
+
+    return folder;
+}
+
+// "/Contracts/2024" from a folder path
+function formatPath(path) {
+    return `/${path.map(folder => folder.name).join('/')}`;
+}
+
+module.exports = router;
@@ -1,7 +1,6 @@
 // newdms/routes/index.js
 // Main route configuration and setup (now using modular routers)
 
-const express = require('express');
 const path = require('path');
 
 // Import modular routers
@@ -12,6 +11,15 @@ const projectRoutes = require('./project.routes');
 const documentRoutes = require('./document.routes');
 const pageRoutes = require('./page.routes');
 const searchRoutes = require('./search.routes');
+const jobRoutes = require('./job.routes');
+const adminRoutes = require('./admin.routes');
+const notificationRoutes = require('./notification.routes');
+const recycleBinRoutes = require('./recycleBin.routes');
+const retentionRoutes = require('./retention.routes');
+const legalHoldRoutes = require('./legalHold.routes');
+const tagRoutes = require('./tag.routes');
+const folderRoutes = require('./folder.routes');
+const relationRoutes = require('./relation.routes');
 
 /**
  * Setup all application routes
@@ -48,10 +56,18 @@ function setupRoutes(app, models, database) {
                 documents: '/api/documents/*',
                 pages: '/api/pages/*',
                 search: '/api/search',
+                jobs: '/api/jobs/*',
                 projects: '/api/projects/*',
                 users: '/api/users/*',
                 roles: '/api/roles/*',
-                admin: '/api/admin/*'
+                admin: '/api/admin/*',
+                notifications: '/api/notifications/*',
+                recycleBin: '/api/recycle-bin/*',
+                retention: '/api/retention/*',
+                legalHolds: '/api/legal-holds/*',
+                tags: '/api/tags/*',
+                folders: '/api/folders/*',
+                relations: '/api/relations/*'
             },
             features: [
                 'JWT Authentication',
@@ -59,6 +75,7 @@ function setupRoutes(app, models, database) {
                 'PDF Processing',
                 'OCR Text Extraction',
                 'Full-text Search',
+                'Background Jobs',
                 'File Upload',
                 'Audit Logging',
                 'Rate Limiting'
@@ -74,6 +91,15 @@ function setupRoutes(app, models, database) {
     app.use('/api/documents', documentRoutes);
     app.use('/api/pages', pageRoutes);
     app.use('/api/search', searchRoutes);
+    app.use('/api/jobs', jobRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/notifications', notificationRoutes);
+    app.use('/api/recycle-bin', recycleBinRoutes);
+    app.use('/api/retention', retentionRoutes);
+    app.use('/api/legal-holds', legalHoldRoutes);
+    app.use('/api/tags', tagRoutes);
+    app.use('/api/folders', folderRoutes);
+    app.use('/api/relations', relationRoutes);
 
     // Catch-all route for frontend SPA
     app.get('*', (req, res) => {
@@ -114,6 +140,12 @@ function setupRoutes(app, models, database) {
     console.log('  GET  /api/projects/:id - Get project by ID');
     console.log('  PUT  /api/projects/:id - Update project');
     console.log('  DELETE /api/projects/:id - Delete project');
+    console.log('  GET  /api/jobs/:id - Get background job progress');
+    console.log('  POST /api/jobs/:id/cancel - Cancel background job');
+    console.log('  POST /api/admin/search/reindex - Rebuild search index');
+    console.log('  GET  /api/admin/search/consistency - Check search index drift');
+    console.log('  PUT  /api/search/saved/:id/subscription - Subscribe to saved search alerts');
+    console.log('  GET  /api/notifications - List notifications');
     console.log('  ... and more via modular routers');
 }
 
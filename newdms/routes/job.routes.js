@@ -0,0 +1,90 @@
+// newdms/routes/job.routes.js
+const express = require('express');
+const router = express.Router();
+
+const { HTTP_STATUS, JOB_STATUS, JOB_TYPES, AUDIT_ACTIONS } = require('../config/constants');
+const { AuthService, AuditService, FileService, JobService, BulkOperationService } = require('../services');
+
+/**
+ * Load a job and check the user may see it (creator, or access to the job's project)
+ */
+function findAccessibleJob(req, res) {
+    const job = req.models.Job.findById(req.params.id);
+
+    if (!job) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Job not found' });
+        return null;
+    }
+
+    const isOwner = job.created_by === req.user.id;
+    if (!isOwner && !(job.project_id && req.models.hasProjectAccess(req.user.id, job.project_id))) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Job not found or access denied' });
+        return null;
+    }
+
+    return job;
+}
+
+// Get job status and progress
+router.get('/:id', AuthService.authenticateToken, (req, res) => {
+    try {
+        const job = findAccessibleJob(req, res);
+        if (!job) return;
+
+        res.json(JobService.formatJob(job));
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Download the combined PDF of a completed bulk export
+router.get('/:id/download', AuthService.authenticateToken, async (req, res) => {
+    try {
+        const job = findAccessibleJob(req, res);
+        if (!job) return;
+
+        const result = JobService.formatJob(job).result;
+        if (job.type !== JOB_TYPES.BULK_OPERATION || job.status !== JOB_STATUS.COMPLETED || !result || !result.export) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'This job has no export to download' });
+        }
+
+        const filePath = BulkOperationService.getExportPath(job.id);
+        if (!await FileService.fileExists(filePath)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Export file not found' });
+        }
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DOWNLOAD, 'jobs', job.id,
+            `Downloaded bulk export of ${result.export.documents} document(s)`, req.ip);
+
+        res.download(filePath, result.export.file_name);
+    } catch (error) {
+        console.error('Error downloading job export:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Cancel a queued or running job (running jobs stop after the current page)
+router.post('/:id/cancel', AuthService.authenticateToken, async (req, res) => {
+    try {
+        const job = findAccessibleJob(req, res);
+        if (!job) return;
+
+        if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: `Job is already ${job.status}` });
+        }
+
+        const cancelled = await JobService.cancel(job.id);
+
+        res.json({
+            success: true,
+            message: cancelled.status === JOB_STATUS.CANCELLED ? 'Job cancelled' : 'Cancellation requested',
+            job: cancelled
+        });
+    } catch (error) {
+        console.error('Error cancelling job:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+module.exports = router;
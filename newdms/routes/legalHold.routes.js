@@ -0,0 +1,203 @@
+// newdms/routes/legalHold.routes.js
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+
+const { HTTP_STATUS, PERMISSIONS, AUDIT_ACTIONS, LEGAL_HOLD_STATUS } = require('../config/constants');
+const { AuthService, AuditService } = require('../services');
+
+// Validation schemas
+const documentIdsSchema = Joi.array().items(Joi.number().integer().positive()).min(1).max(1000).unique();
+
+const createHoldSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    reason: Joi.string().max(2000).optional().allow('', null),
+    document_ids: documentIdsSchema.optional()
+});
+
+const addDocumentsSchema = Joi.object({
+    document_ids: documentIdsSchema.required()
+});
+
+const releaseSchema = Joi.object({
+    reason: Joi.string().max(2000).optional().allow('', null)
+});
+
+// List legal holds (active first; ?status=active|released)
+router.get('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.LEGAL_HOLD_MANAGE]), (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !Object.values(LEGAL_HOLD_STATUS).includes(status)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'status must be one of: active, released' });
+        }
+
+        res.json({ legal_holds: req.models.LegalHold.findAllHolds({ status }) });
+    } catch (error) {
+        console.error('Error fetching legal holds:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Create a legal hold, optionally with its documents
+router.post('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.LEGAL_HOLD_MANAGE]), (req, res) => {
+    try {
+        const { error, value } = createHoldSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const documentIds = value.document_ids || [];
+        const documentError = checkDocuments(req, documentIds);
+        if (documentError) {
+            return res.status(documentError.status).json({ error: documentError.message });
+        }
+
+        const hold = req.models.LegalHold.createHold({ name: value.name, reason: value.reason || null, createdBy: req.user.id });
+        req.models.LegalHold.addDocuments(hold.id, documentIds, req.user.id);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.LEGAL_HOLD, 'legal_holds', hold.id,
+            `Created legal hold "${hold.name}" on ${documentIds.length} document(s)${documentIds.length ? `: ${documentIds.join(', ')}` : ''}`, req.ip);
+
+        console.log(`⚖️ Legal hold ${hold.id} created by user ${req.user.id}`);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            legal_hold: req.models.LegalHold.findWithDetails(hold.id),
+            documents: req.models.LegalHold.getDocuments(hold.id)
+        });
+    } catch (error) {
+        console.error('Error creating legal hold:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Get a legal hold with its documents (only documents in accessible projects are listed)
+router.get('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.LEGAL_HOLD_MANAGE]), (req, res) => {
+    try {
+        const hold = req.models.LegalHold.findWithDetails(req.params.id);
+        if (!hold) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Legal hold not found' });
+        }
+
+        const projectIds = req.models.getAccessibleProjectIds(req.user.id);
+        const documents = req.models.LegalHold.getDocuments(hold.id)
+            .filter(document => !projectIds || projectIds.includes(document.project_id));
+
+        res.json({ legal_hold: hold, documents });
+    } catch (error) {
+        console.error('Error fetching legal hold:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Add documents to an active hold
+router.post('/:id/documents', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.LEGAL_HOLD_MANAGE]), (req, res) => {
+    try {
+        const hold = req.models.LegalHold.findWithDetails(req.params.id);
+        if (!hold) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Legal hold not found' });
+        }
+
+        if (hold.status !== LEGAL_HOLD_STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: 'Legal hold has been released' });
+        }
+
+        const { error, value } = addDocumentsSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const documentError = checkDocuments(req, value.document_ids);
+        if (documentError) {
+            return res.status(documentError.status).json({ error: documentError.message });
+        }
+
+        const added = req.models.LegalHold.addDocuments(hold.id, value.document_ids, req.user.id);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.LEGAL_HOLD, 'legal_holds', hold.id,
+            `Added ${added} document(s) to legal hold "${hold.name}": ${value.document_ids.join(', ')}`, req.ip);
+
+        res.json({ success: true, added, legal_hold: req.models.LegalHold.findWithDetails(hold.id) });
+    } catch (error) {
+        console.error('Error adding documents to legal hold:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Take a document out of an active hold
+router.delete('/:id/documents/:documentId', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.LEGAL_HOLD_MANAGE]), (req, res) => {
+    try {
+        const hold = req.models.LegalHold.findWithDetails(req.params.id);
+        if (!hold) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Legal hold not found' });
+        }
+
+        if (hold.status !== LEGAL_HOLD_STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: 'Legal hold has been released' });
+        }
+
+        const document = req.models.Document.findById(req.params.documentId);
+        if (document && !req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        if (!req.models.LegalHold.removeDocument(hold.id, req.params.documentId)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document is not under this legal hold' });
+        }
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.LEGAL_HOLD_RELEASE, 'documents', parseInt(req.params.documentId),
+            `Removed document from legal hold "${hold.name}"`, req.ip);
+
+        res.json({ success: true, message: 'Document removed from legal hold' });
+    } catch (error) {
+        console.error('Error removing document from legal hold:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Release a hold; its documents can be changed and purged again unless another hold covers them
+router.post('/:id/release', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.LEGAL_HOLD_MANAGE]), (req, res) => {
+    try {
+        const hold = req.models.LegalHold.findWithDetails(req.params.id);
+        if (!hold) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Legal hold not found' });
+        }
+
+        if (hold.status !== LEGAL_HOLD_STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: 'Legal hold has already been released' });
+        }
+
+        const { error, value } = releaseSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const released = req.models.LegalHold.release(hold.id, req.user.id, value.reason || null);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.LEGAL_HOLD_RELEASE, 'legal_holds', hold.id,
+            `Released legal hold "${hold.name}" (${hold.document_count} document(s))${value.reason ? `: ${value.reason}` : ''}`, req.ip);
+
+        console.log(`⚖️ Legal hold ${hold.id} released by user ${req.user.id}`);
+
+        res.json({ success: true, legal_hold: released });
+    } catch (error) {
+        console.error('Error releasing legal hold:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Check that the documents exist (active or in the recycle bin) in projects the user can access;
+// returns { status, message } or null
+function checkDocuments(req, documentIds) {
+    for (const documentId of documentIds) {
+        const document = req.models.Document.findById(documentId);
+        if (!document) {
+            return { status: HTTP_STATUS.NOT_FOUND, message: `Document ${documentId} not found` };
+        }
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return { status: HTTP_STATUS.FORBIDDEN, message: `Access denied to document ${documentId}` };
+        }
+    }
+    return null;
+}
+
+module.exports = router;
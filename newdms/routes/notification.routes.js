@@ -0,0 +1,96 @@
+// newdms/routes/notification.routes.js
+const express = require('express');
+const router = express.Router();
+
+const { HTTP_STATUS } = require('../config/constants');
+const { AuthService } = require('../services');
+
+/**
+ * Parse the JSON data column of a notification
+ */
+function formatNotification(notification) {
+    let data = null;
+    try {
+        data = notification.data ? JSON.parse(notification.data) : null;
+    } catch (error) {
+        data = null;
+    }
+
+    return {
+        id: notification.id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data,
+        document_id: notification.document_id,
+        read: !!notification.read_at,
+        read_at: notification.read_at,
+        email_status: notification.email_status,
+        created_at: notification.created_at
+    };
+}
+
+// List the user's notifications (?unread_only=true, limit, offset)
+router.get('/', AuthService.authenticateToken, (req, res) => {
+    try {
+        const { unread_only = 'false', limit = 50, offset = 0 } = req.query;
+
+        const notifications = req.models.Notification.findByUser(req.user.id, {
+            unreadOnly: unread_only === 'true',
+            limit: Math.min(parseInt(limit) || 50, 200),
+            offset: parseInt(offset) || 0
+        });
+
+        res.json({
+            notifications: notifications.map(formatNotification),
+            unread_count: req.models.Notification.countUnread(req.user.id)
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Mark all notifications as read
+router.post('/read-all', AuthService.authenticateToken, (req, res) => {
+    try {
+        const updated = req.models.Notification.markAllRead(req.user.id);
+        res.json({ success: true, updated });
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Mark one notification as read
+router.post('/:id/read', AuthService.authenticateToken, (req, res) => {
+    try {
+        const notification = req.models.Notification.findById(req.params.id);
+        if (!notification || notification.user_id !== req.user.id) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Notification not found' });
+        }
+
+        req.models.Notification.markRead(req.user.id, notification.id);
+        res.json(formatNotification(req.models.Notification.findById(notification.id)));
+    } catch (error) {
+        console.error('Error marking notification read:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Delete a notification
+router.delete('/:id', AuthService.authenticateToken, (req, res) => {
+    try {
+        const deleted = req.models.Notification.deleteNotification(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Notification not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting notification:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,12 @@
 // newdms/routes/page.routes.js
 const express = require('express');
+const Joi = require('joi');
 const path = require('path');
 const fs = require('fs').promises;
-const { OCRService, ImageService, AuditService } = require('../services');
+const {
+    OCRService, ImageService, AuditService, AuthService, FileService, PageTransformService, PDFExportService, RedactionService,
+    PiiService
+} = require('../services');
 const { 
     authenticateJWT, 
     requirePermission, 
@@ -10,11 +14,152 @@ const {
     auditLogger, 
     asyncHandler 
 } = require('../middleware');
-const { IMAGE_DIR } = require('../config/environment');
-const { HTTP_STATUS, AUDIT_ACTIONS, PERMISSIONS } = require('../config/constants');
+const {
+    HTTP_STATUS, STATUS, AUDIT_ACTIONS, PERMISSIONS, VERSION_CHANGE_TYPES, PAGE_TRANSFORMS, INGEST_COLOR_MODES, INGEST_CONFIG,
+    ANNOTATION_TYPES, ANNOTATION_VISIBILITY, ANNOTATION_STAMPS, ANNOTATION_CONFIG,
+    REDACTION_STATUS, REDACTION_REASONS, REDACTION_TEXT_ACTIONS, REDACTION_CONFIG, PII_TYPES, PII_FINDING_STATUS, PII_CONFIG
+} = require('../config/constants');
 
 const router = express.Router();
 
+// Validation schemas
+const pixelSchema = Joi.number().integer();
+const greyThresholdSchema = Joi.number().integer().min(0).max(255);
+
+const transformOperationSchema = Joi.object({
+    type: Joi.string().valid(...Object.values(PAGE_TRANSFORMS)).required(),
+    angle: Joi.when('type', {
+        is: PAGE_TRANSFORMS.ROTATE,
+        then: Joi.number().valid(90, 180, 270).required(),
+        otherwise: Joi.forbidden()
+    }),
+    // Crop rectangle in pixels of the image as it is at this step
+    left: Joi.when('type', { is: PAGE_TRANSFORMS.CROP, then: pixelSchema.min(0).required(), otherwise: Joi.forbidden() }),
+    top: Joi.when('type', { is: PAGE_TRANSFORMS.CROP, then: pixelSchema.min(0).required(), otherwise: Joi.forbidden() }),
+    width: Joi.when('type', { is: PAGE_TRANSFORMS.CROP, then: pixelSchema.min(1).required(), otherwise: Joi.forbidden() }),
+    height: Joi.when('type', { is: PAGE_TRANSFORMS.CROP, then: pixelSchema.min(1).required(), otherwise: Joi.forbidden() }),
+    // Auto-crop: how far border pixels may differ from the corner colour; binarize: grey level below which pixels turn black
+    threshold: Joi.when('type', {
+        is: Joi.valid(PAGE_TRANSFORMS.AUTO_CROP, PAGE_TRANSFORMS.BINARIZE),
+        then: greyThresholdSchema.optional(),
+        otherwise: Joi.forbidden()
+    }),
+    // Despeckle: median filter window
+    size: Joi.when('type', {
+        is: PAGE_TRANSFORMS.DESPECKLE,
+        then: Joi.number().integer().valid(3, 5, 7).optional(),
+        otherwise: Joi.forbidden()
+    }),
+    // Normalize: resample to a resolution and/or reduce the colour depth
+    dpi: Joi.when('type', {
+        is: PAGE_TRANSFORMS.NORMALIZE,
+        then: Joi.number().integer().min(INGEST_CONFIG.MIN_DPI).max(INGEST_CONFIG.MAX_DPI).optional(),
+        otherwise: Joi.forbidden()
+    }),
+    color_mode: Joi.when('type', {
+        is: PAGE_TRANSFORMS.NORMALIZE,
+        then: Joi.string().valid(INGEST_COLOR_MODES.GRAYSCALE, INGEST_COLOR_MODES.BILEVEL).optional(),
+        otherwise: Joi.forbidden()
+    })
+}).when(Joi.object({ type: PAGE_TRANSFORMS.NORMALIZE }).unknown(), {
+    then: Joi.object().or('dpi', 'color_mode')
+});
+
+const transformSchema = Joi.object({
+    operations: Joi.array().items(transformOperationSchema).min(1).max(10).required(),
+    ocr: Joi.boolean().default(false), // Re-run OCR on the transformed image
+    language: Joi.string().max(50).optional() // Defaults to the page's OCR language
+});
+
+// Annotation coordinates are fractions of the page image size (see ANNOTATION_TYPES)
+const fractionSchema = Joi.number().min(0).max(1);
+const pointSchema = Joi.array().ordered(fractionSchema.required(), fractionSchema.required()).length(2);
+const boxSchema = Joi.object({
+    x: fractionSchema.required(),
+    y: fractionSchema.required(),
+    width: fractionSchema.greater(0).required(),
+    height: fractionSchema.greater(0).required()
+});
+
+const annotationGeometrySchema = Joi.when('type', {
+    switch: [
+        { is: ANNOTATION_TYPES.HIGHLIGHT, then: Joi.object({ rects: Joi.array().items(boxSchema).min(1).max(100).required() }) },
+        { is: Joi.valid(ANNOTATION_TYPES.RECTANGLE, ANNOTATION_TYPES.TEXT, ANNOTATION_TYPES.STAMP), then: boxSchema },
+        {
+            is: ANNOTATION_TYPES.INK,
+            then: Joi.object({
+                paths: Joi.array().items(Joi.array().items(pointSchema).min(2)).min(1).required()
+                    .custom((paths, helpers) => paths.flat().length > ANNOTATION_CONFIG.MAX_INK_POINTS
+                        ? helpers.message(`Ink annotations are limited to ${ANNOTATION_CONFIG.MAX_INK_POINTS} points`)
+                        : paths)
+            })
+        },
+        { is: ANNOTATION_TYPES.NOTE, then: Joi.object({ x: fractionSchema.required(), y: fractionSchema.required() }) },
+        {
+            is: ANNOTATION_TYPES.ARROW,
+            then: Joi.object({
+                x1: fractionSchema.required(), y1: fractionSchema.required(),
+                x2: fractionSchema.required(), y2: fractionSchema.required()
+            })
+        }
+    ]
+});
+
+const annotationSchema = Joi.object({
+    type: Joi.string().valid(...Object.values(ANNOTATION_TYPES)).required(),
+    geometry: annotationGeometrySchema.required(),
+    // Text of notes and text boxes, kind of stamp
+    content: Joi.when('type', {
+        switch: [
+            { is: Joi.valid(ANNOTATION_TYPES.NOTE, ANNOTATION_TYPES.TEXT), then: Joi.string().trim().min(1).max(ANNOTATION_CONFIG.MAX_CONTENT_LENGTH).required() },
+            { is: ANNOTATION_TYPES.STAMP, then: Joi.string().valid(...Object.values(ANNOTATION_STAMPS)).required() }
+        ],
+        otherwise: Joi.forbidden()
+    }),
+    style: Joi.object({
+        color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/),
+        opacity: Joi.number().min(0.05).max(1),
+        stroke_width: Joi.number().min(0.25).max(20), // Points
+        font_size: Joi.number().min(4).max(72) // Points
+    }).allow(null),
+    visibility: Joi.string().valid(...Object.values(ANNOTATION_VISIBILITY)).default(ANNOTATION_VISIBILITY.SHARED)
+});
+
+// Changes are checked against the annotation's type; the type itself cannot change
+const updateAnnotationSchema = Joi.object({
+    geometry: Joi.any(),
+    content: Joi.any(),
+    style: Joi.any(),
+    visibility: Joi.any()
+}).min(1);
+
+const redactionNoteSchema = Joi.when('reason', {
+    is: REDACTION_REASONS.OTHER,
+    then: Joi.string().trim().min(1).max(REDACTION_CONFIG.MAX_NOTE_LENGTH).required(),
+    otherwise: Joi.string().trim().max(REDACTION_CONFIG.MAX_NOTE_LENGTH).allow('', null)
+});
+
+const redactionSchema = Joi.object({
+    regions: Joi.array().items(boxSchema).min(1).max(REDACTION_CONFIG.MAX_REGIONS).required(),
+    reason: Joi.string().valid(...Object.values(REDACTION_REASONS)).required(),
+    note: redactionNoteSchema
+});
+
+// Redaction of the regions of PII findings; the reason defaults to the one suggested for their kind
+const piiRedactionSchema = Joi.object({
+    finding_ids: Joi.array().items(Joi.number().integer().positive()).min(1).max(PII_CONFIG.MAX_FINDINGS_PER_PAGE).unique().required(),
+    reason: Joi.string().valid(...Object.values(REDACTION_REASONS)).optional(),
+    note: redactionNoteSchema
+});
+
+const redactionReviewSchema = Joi.object({
+    note: Joi.string().trim().max(REDACTION_CONFIG.MAX_NOTE_LENGTH).allow('', null)
+});
+
+const redactionRejectSchema = Joi.object({
+    note: Joi.string().trim().min(1).max(REDACTION_CONFIG.MAX_NOTE_LENGTH).required()
+});
+
 /**
  * GET /api/pages/:pageId/content
  * Get page image content
@@ -24,57 +169,24 @@ router.get('/:pageId/content',
     requirePermission(PERMISSIONS.DOCUMENT_VIEW),
     validateId('pageId'),
     asyncHandler(async (req, res) => {
-        const { pageId } = req.params;
-
         try {
-            const page = await req.models.Page.findByPk(pageId, {
-                include: [{ 
-                    model: req.models.Document, 
-                    as: 'document',
-                    include: [{ model: req.models.Project, as: 'project' }]
-                }]
-            });
-
-            if (!page) {
-                return res.status(HTTP_STATUS.NOT_FOUND).json({
-                    error: 'Page not found'
-                });
-            }
-
-            // Check if user has access to this project
-            const hasAccess = await req.models.ProjectUser.findOne({
-                where: {
-                    projectId: page.document.projectId,
-                    userId: req.user.id
-                }
-            });
-
-            if (!hasAccess && req.user.role !== 'Administrator') {
-                return res.status(HTTP_STATUS.FORBIDDEN).json({
-                    error: 'Access denied to this project'
-                });
-            }
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
 
-            const imagePath = path.join(IMAGE_DIR, page.imagePath);
-            
-            // Check if file exists
-            try {
-                await fs.access(imagePath);
-            } catch (error) {
+            if (!await FileService.fileExists(page.file_path)) {
                 return res.status(HTTP_STATUS.NOT_FOUND).json({
                     error: 'Page image not found'
                 });
             }
 
-            // Set appropriate headers
+            // Transforms and redactions replace the image behind the same URL, so caches must revalidate
             res.set({
-                'Content-Type': 'image/jpeg',
-                'Cache-Control': 'public, max-age=3600', // 1 hour cache
-                'Content-Disposition': `inline; filename="page-${pageId}.jpg"`
+                'Content-Type': page.mime_type || 'image/jpeg',
+                'Cache-Control': 'private, no-cache',
+                'Content-Disposition': `inline; filename="page-${page.id}${path.extname(page.file_path)}"`
             });
 
-            // Send file
-            res.sendFile(path.resolve(imagePath));
+            res.sendFile(path.resolve(page.file_path));
 
         } catch (error) {
             console.error('Error serving page content:', error);
@@ -87,64 +199,37 @@ router.get('/:pageId/content',
 
 /**
  * GET /api/pages/:pageId/thumbnail
- * Get page thumbnail
+ * Get page thumbnail (generated when missing)
  */
 router.get('/:pageId/thumbnail',
     authenticateJWT,
     requirePermission(PERMISSIONS.DOCUMENT_VIEW),
     validateId('pageId'),
     asyncHandler(async (req, res) => {
-        const { pageId } = req.params;
-
         try {
-            const page = await req.models.Page.findByPk(pageId, {
-                include: [{ 
-                    model: req.models.Document, 
-                    as: 'document',
-                    include: [{ model: req.models.Project, as: 'project' }]
-                }]
-            });
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
 
-            if (!page) {
-                return res.status(HTTP_STATUS.NOT_FOUND).json({
-                    error: 'Page not found'
-                });
-            }
+            let thumbnailPath = page.thumbnail_path;
 
-            // Check access
-            const hasAccess = await req.models.ProjectUser.findOne({
-                where: {
-                    projectId: page.document.projectId,
-                    userId: req.user.id
+            if (!thumbnailPath || !await FileService.fileExists(thumbnailPath)) {
+                if (!await FileService.fileExists(page.file_path)) {
+                    return res.status(HTTP_STATUS.NOT_FOUND).json({
+                        error: 'Page image not found'
+                    });
                 }
-            });
-
-            if (!hasAccess && req.user.role !== 'Administrator') {
-                return res.status(HTTP_STATUS.FORBIDDEN).json({
-                    error: 'Access denied to this project'
-                });
-            }
 
-            let thumbnailPath;
-            
-            if (page.thumbnailPath) {
-                thumbnailPath = path.join(IMAGE_DIR, page.thumbnailPath);
-            } else {
-                // Generate thumbnail if it doesn't exist
-                const imagePath = path.join(IMAGE_DIR, page.imagePath);
-                thumbnailPath = await ImageService.generateThumbnail(imagePath, pageId);
-                
-                // Update page with thumbnail path
-                await page.update({ 
-                    thumbnailPath: path.relative(IMAGE_DIR, thumbnailPath) 
-                });
+                const { thumbnailDir } = await FileService.createDirectories(page.document_id);
+                thumbnailPath = thumbnailPath || path.join(thumbnailDir, `thumb_${page.id}.jpg`);
+                await ImageService.createThumbnail(page.file_path, thumbnailPath);
+                req.models.DocumentPage.updateThumbnailPath(page.id, thumbnailPath);
             }
 
-            // Set headers
+            // Regenerated in place after transforms and redactions, so caches must revalidate
             res.set({
                 'Content-Type': 'image/jpeg',
-                'Cache-Control': 'public, max-age=86400', // 24 hour cache
-                'Content-Disposition': `inline; filename="thumb-${pageId}.jpg"`
+                'Cache-Control': 'private, no-cache',
+                'Content-Disposition': `inline; filename="thumb-${page.id}.jpg"`
             });
 
             res.sendFile(path.resolve(thumbnailPath));
@@ -163,20 +248,51 @@ router.get('/:pageId/thumbnail',
  * Get OCR text for a page
  */
 router.get('/:pageId/ocr',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_VIEW),
+    validateId('pageId'),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            res.json({
+                pageId: page.id,
+                ocrText: page.ocr_text || '',
+                ocrProcessed: !!page.ocr_processed_at,
+                ocrProcessedAt: page.ocr_processed_at,
+                confidence: page.ocr_confidence || 0
+            });
+
+        } catch (error) {
+            console.error('Error getting OCR text:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to get OCR text'
+            });
+        }
+    })
+);
+
+/**
+ * GET /api/pages/:pageId/ocr/highlights?q=term
+ * Get hit rectangles for a query from the page's stored OCR word geometry
+ */
+router.get('/:pageId/ocr/highlights',
     authenticateJWT,
     requirePermission(PERMISSIONS.DOCUMENT_VIEW),
     validateId('pageId'),
     asyncHandler(async (req, res) => {
         const { pageId } = req.params;
+        const query = (req.query.q || '').trim();
 
-        try {
-            const page = await req.models.Page.findByPk(pageId, {
-                include: [{ 
-                    model: req.models.Document, 
-                    as: 'document',
-                    include: [{ model: req.models.Project, as: 'project' }]
-                }]
+        if (!query) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                error: 'Query parameter q is required'
             });
+        }
+
+        try {
+            const page = req.models.DocumentPage.findByIdWithDocument(pageId);
 
             if (!page) {
                 return res.status(HTTP_STATUS.NOT_FOUND).json({
@@ -184,32 +300,30 @@ router.get('/:pageId/ocr',
                 });
             }
 
-            // Check access
-            const hasAccess = await req.models.ProjectUser.findOne({
-                where: {
-                    projectId: page.document.projectId,
-                    userId: req.user.id
-                }
-            });
-
-            if (!hasAccess && req.user.role !== 'Administrator') {
+            if (!req.models.hasProjectAccess(req.user.id, page.project_id)) {
                 return res.status(HTTP_STATUS.FORBIDDEN).json({
                     error: 'Access denied to this project'
                 });
             }
 
+            const layout = req.models.DocumentPage.getOCRLayout(pageId);
+            const hits = OCRService.findHighlights(layout, query);
+
             res.json({
-                pageId: page.id,
-                ocrText: page.ocrText || '',
-                ocrProcessed: !!page.ocrText,
-                ocrProcessedAt: page.ocrProcessedAt,
-                confidence: page.ocrConfidence || 0
+                page_id: page.id,
+                document_id: page.document_id,
+                query,
+                has_layout: !!layout,
+                image_width: layout ? layout.width : null,
+                image_height: layout ? layout.height : null,
+                total_hits: hits.length,
+                hits
             });
 
         } catch (error) {
-            console.error('Error getting OCR text:', error);
+            console.error('Error getting OCR highlights:', error);
             res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-                error: 'Failed to get OCR text'
+                error: 'Failed to get OCR highlights'
             });
         }
     })
@@ -225,56 +339,25 @@ router.post('/:pageId/ocr',
     validateId('pageId'),
     auditLogger(AUDIT_ACTIONS.OCR),
     asyncHandler(async (req, res) => {
-        const { pageId } = req.params;
-
         try {
-            const page = await req.models.Page.findByPk(pageId, {
-                include: [{ 
-                    model: req.models.Document, 
-                    as: 'document',
-                    include: [{ model: req.models.Project, as: 'project' }]
-                }]
-            });
-
-            if (!page) {
-                return res.status(HTTP_STATUS.NOT_FOUND).json({
-                    error: 'Page not found'
-                });
-            }
-
-            // Check access
-            const hasAccess = await req.models.ProjectUser.findOne({
-                where: {
-                    projectId: page.document.projectId,
-                    userId: req.user.id
-                }
-            });
-
-            if (!hasAccess && req.user.role !== 'Administrator') {
-                return res.status(HTTP_STATUS.FORBIDDEN).json({
-                    error: 'Access denied to this project'
-                });
-            }
-
-            const imagePath = path.join(IMAGE_DIR, page.imagePath);
+            const page = findAccessiblePage(req, res);
+            if (!page || rejectIfUnchangeable(req, res, page)) return;
 
             // Process OCR
-            const ocrResult = await OCRService.processImage(imagePath);
+            const ocrResult = await OCRService.performOCR(page.file_path, req.body.language || page.ocr_language);
 
             // Update page with OCR results
-            await page.update({
-                ocrText: ocrResult.text,
-                ocrConfidence: ocrResult.confidence,
-                ocrProcessedAt: new Date()
-            });
+            req.models.DocumentPage.updateOCRData(page.id, ocrResult.text, ocrResult.confidence, ocrResult.language,
+                ocrResult.wordCount, OCRService.buildLayout(ocrResult));
+            PiiService.scanPages(req.models, [page.id]);
 
             // Log the action
             await AuditService.log({
                 action: AUDIT_ACTIONS.OCR,
                 userId: req.user.id,
-                details: `OCR processed for page ${pageId}`,
+                details: `OCR processed for page ${page.page_number} of document ${page.document_title}`,
                 entityType: 'page',
-                entityId: pageId
+                entityId: page.id
             });
 
             res.json({
@@ -286,6 +369,11 @@ router.post('/:pageId/ocr',
 
         } catch (error) {
             console.error('Error processing OCR:', error);
+            if (error.code === 'OCR_LANGUAGE_NOT_SUPPORTED') {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.message
+                });
+            }
             res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
                 error: 'Failed to process OCR'
             });
@@ -294,74 +382,1126 @@ router.post('/:pageId/ocr',
 );
 
 /**
- * DELETE /api/pages/:pageId
- * Soft delete a page
+ * GET /api/pages/:pageId/transforms
+ * List the image transforms of a page that can still be undone, newest first
  */
-router.delete('/:pageId',
+router.get('/:pageId/transforms',
     authenticateJWT,
-    requirePermission(PERMISSIONS.DOCUMENT_DELETE),
+    requirePermission(PERMISSIONS.DOCUMENT_VIEW),
     validateId('pageId'),
-    auditLogger(AUDIT_ACTIONS.DELETE),
     asyncHandler(async (req, res) => {
-        const { pageId } = req.params;
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            res.json({
+                pageId: page.id,
+                transforms: req.models.PageTransform.findByPage(page.id)
+            });
 
+        } catch (error) {
+            console.error('Error fetching page transforms:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to fetch page transforms'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/transform
+ * Rotate, deskew, crop, auto-crop, despeckle, binarize or normalize a page image (operations applied in order).
+ * The previous image is kept so the transform can be undone.
+ */
+router.post('/:pageId/transform',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_EDIT),
+    validateId('pageId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
         try {
-            const page = await req.models.Page.findByPk(pageId, {
-                include: [{ 
-                    model: req.models.Document, 
-                    as: 'document',
-                    include: [{ model: req.models.Project, as: 'project' }]
-                }]
+            const { error, value } = transformSchema.validate(req.body);
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            if (value.ocr && !AuthService.userHasPermission(req.user, PERMISSIONS.DOCUMENT_OCR)) {
+                return res.status(HTTP_STATUS.FORBIDDEN).json({
+                    error: 'Insufficient permissions to re-run OCR'
+                });
+            }
+
+            const page = findAccessiblePage(req, res);
+            if (!page || rejectIfUnchangeable(req, res, page)) return;
+
+            const language = value.ocr ? OCRService.resolveLanguage(value.language || page.ocr_language) : undefined;
+
+            const result = await PageTransformService.transform(req.models, page, value.operations, {
+                ocr: value.ocr,
+                language,
+                userId: req.user.id
             });
+            const description = PageTransformService.describe(result.transform.operations);
 
-            if (!page) {
-                return res.status(HTTP_STATUS.NOT_FOUND).json({
-                    error: 'Page not found'
+            const version = req.models.DocumentVersion.createVersion(page.document_id, {
+                changeType: VERSION_CHANGE_TYPES.PAGE_TRANSFORMED,
+                summary: `Transformed page ${page.page_number}: ${description}`,
+                createdBy: req.user.id
+            });
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'document_pages', page.id,
+                `Transformed page ${page.page_number} of document ${page.document_title}: ${description}` +
+                `${value.ocr ? (result.ocr_error ? ' (OCR failed)' : ' and re-ran OCR') : ''}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                transform: {
+                    id: result.transform.id,
+                    operations: result.transform.operations,
+                    created_at: result.transform.created_at
+                },
+                width: result.width,
+                height: result.height,
+                ocr: value.ocr ? {
+                    processed: !result.ocr_error,
+                    error: result.ocr_error
+                } : undefined,
+                version_number: version.version_number
+            });
+
+        } catch (error) {
+            console.error('Error transforming page:', error);
+            if (error.status) {
+                return res.status(error.status).json({
+                    error: error.message,
+                    code: error.code
                 });
             }
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to transform page'
+            });
+        }
+    })
+);
 
-            // Check access
-            const hasAccess = await req.models.ProjectUser.findOne({
-                where: {
-                    projectId: page.document.projectId,
-                    userId: req.user.id
-                }
+/**
+ * POST /api/pages/:pageId/transform/undo
+ * Revert the latest transform of a page (image, thumbnail and OCR data)
+ */
+router.post('/:pageId/transform/undo',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_EDIT),
+    validateId('pageId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page || rejectIfUnchangeable(req, res, page)) return;
+
+            const transform = await PageTransformService.undo(req.models, page);
+            const description = PageTransformService.describe(transform.operations);
+
+            const version = req.models.DocumentVersion.createVersion(page.document_id, {
+                changeType: VERSION_CHANGE_TYPES.PAGE_TRANSFORMED,
+                summary: `Undid transform of page ${page.page_number}: ${description}`,
+                createdBy: req.user.id
             });
 
-            if (!hasAccess && req.user.role !== 'Administrator') {
-                return res.status(HTTP_STATUS.FORBIDDEN).json({
-                    error: 'Access denied to this project'
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'document_pages', page.id,
+                `Undid transform of page ${page.page_number} of document ${page.document_title}: ${description}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                undone: {
+                    id: transform.id,
+                    operations: transform.operations,
+                    created_at: transform.created_at
+                },
+                remaining: req.models.PageTransform.findByPage(page.id).length,
+                version_number: version.version_number
+            });
+
+        } catch (error) {
+            console.error('Error undoing page transform:', error);
+            if (error.status) {
+                return res.status(error.status).json({
+                    error: error.message
+                });
+            }
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to undo page transform'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/ingest/accept
+ * Accept the ingest clean-up decisions for a page, clearing its review flag
+ */
+router.post('/:pageId/ingest/accept',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_EDIT),
+    validateId('pageId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res, { includeRecycled: true });
+            if (!page) return;
+
+            if (!page.ingest_report) {
+                return res.status(HTTP_STATUS.CONFLICT).json({
+                    error: 'Page has no ingest clean-up to review'
                 });
             }
 
-            // Soft delete
-            await page.update({ 
-                deleted: true,
-                deletedAt: new Date(),
-                deletedBy: req.user.id
+            const report = {
+                ...JSON.parse(page.ingest_report),
+                reviewed_at: new Date().toISOString(),
+                reviewed_by: req.user.id
+            };
+            req.models.DocumentPage.recordIngest(page.id, report, false);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'document_pages', page.id,
+                `Accepted ingest clean-up of page ${page.page_number} of document ${page.document_title}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                ingest_report: report,
+                ingest_review: false
             });
 
-            // Log the action
-            await AuditService.log({
-                action: AUDIT_ACTIONS.DELETE,
-                userId: req.user.id,
-                details: `Page ${pageId} soft deleted`,
-                entityType: 'page',
-                entityId: pageId
+        } catch (error) {
+            console.error('Error accepting ingest clean-up:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to accept ingest clean-up'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/ingest/revert
+ * Reverse the ingest clean-up of a page: undo its rotation or normalization and restore it if it was
+ * dropped as blank (recorded as a new document version)
+ */
+router.post('/:pageId/ingest/revert',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_EDIT),
+    validateId('pageId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res, { includeRecycled: true });
+            if (!page || rejectIfUnchangeable(req, res, page)) return;
+
+            const report = await PageTransformService.revertIngest(req.models, page, req.user.id);
+            const restored = page.status !== STATUS.ACTIVE;
+            const current = req.models.DocumentPage.findById(page.id);
+            const description = restored ? `restored blank page ${current.page_number}` : `reverted clean-up of page ${page.page_number}`;
+
+            const version = req.models.DocumentVersion.createVersion(page.document_id, {
+                changeType: restored ? VERSION_CHANGE_TYPES.PAGE_RESTORED : VERSION_CHANGE_TYPES.PAGE_TRANSFORMED,
+                summary: `Ingest clean-up: ${description}`,
+                createdBy: req.user.id
             });
 
-            res.json({ 
-                message: 'Page deleted successfully',
-                pageId: pageId
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'document_pages', page.id,
+                `Ingest clean-up of document ${page.document_title}: ${description}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                page_number: current.page_number,
+                restored,
+                ingest_report: report,
+                version_number: version.version_number
             });
 
         } catch (error) {
-            console.error('Error deleting page:', error);
+            console.error('Error reverting ingest clean-up:', error);
+            if (error.status) {
+                return res.status(error.status).json({
+                    error: error.message
+                });
+            }
             res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-                error: 'Failed to delete page'
+                error: 'Failed to revert ingest clean-up'
+            });
+        }
+    })
+);
+
+/**
+ * GET /api/pages/:pageId/annotations
+ * List the annotations of a page the user can see (shared ones and their own private ones); ?type= filters
+ */
+router.get('/:pageId/annotations',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_ANNOTATE),
+    validateId('pageId'),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const type = req.query.type;
+            if (type && !Object.values(ANNOTATION_TYPES).includes(type)) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: `Invalid annotation type: ${type}`
+                });
+            }
+
+            res.json({
+                pageId: page.id,
+                annotations: req.models.PageAnnotation.findVisible(page.id, req.user.id, { type })
+            });
+
+        } catch (error) {
+            console.error('Error fetching annotations:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to fetch annotations'
             });
         }
     })
 );
 
+/**
+ * POST /api/pages/:pageId/annotations
+ * Add an annotation to a page
+ */
+router.post('/:pageId/annotations',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_ANNOTATE),
+    validateId('pageId'),
+    auditLogger(AUDIT_ACTIONS.CREATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = annotationSchema.validate(req.body);
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            if (req.models.PageAnnotation.countByPage(page.id) >= ANNOTATION_CONFIG.MAX_PER_PAGE) {
+                return res.status(HTTP_STATUS.CONFLICT).json({
+                    error: `Page already has the maximum of ${ANNOTATION_CONFIG.MAX_PER_PAGE} annotations`
+                });
+            }
+
+            const annotation = req.models.PageAnnotation.createAnnotation(page.id, {
+                ...value,
+                createdBy: req.user.id
+            });
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'page_annotations', annotation.id,
+                `Added ${annotation.visibility} ${annotation.type} annotation to page ${page.page_number} of document ${page.document_title}`, req.ip);
+
+            res.status(HTTP_STATUS.CREATED).json({
+                pageId: page.id,
+                annotation
+            });
+
+        } catch (error) {
+            console.error('Error creating annotation:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to create annotation'
+            });
+        }
+    })
+);
+
+/**
+ * PUT /api/pages/:pageId/annotations/:annotationId
+ * Change the geometry, content, style or visibility of one of the user's own annotations
+ */
+router.put('/:pageId/annotations/:annotationId',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_ANNOTATE),
+    validateId('pageId'),
+    validateId('annotationId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error: keyError } = updateAnnotationSchema.validate(req.body);
+            if (keyError) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: keyError.details[0].message
+                });
+            }
+
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const annotation = findVisibleAnnotation(req, res, page);
+            if (!annotation) return;
+
+            if (annotation.created_by !== req.user.id) {
+                return res.status(HTTP_STATUS.FORBIDDEN).json({
+                    error: 'Only the author can change an annotation'
+                });
+            }
+
+            const { error, value } = annotationSchema.validate({
+                type: annotation.type,
+                geometry: annotation.geometry,
+                content: annotation.content === null ? undefined : annotation.content,
+                style: annotation.style,
+                visibility: annotation.visibility,
+                ...req.body
+            });
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const updates = Object.fromEntries(Object.keys(req.body).map(key => [key, value[key]]));
+            const updated = req.models.PageAnnotation.updateAnnotation(annotation.id, updates, req.user.id);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'page_annotations', annotation.id,
+                `Changed ${Object.keys(updates).join(', ')} of ${annotation.type} annotation on page ${page.page_number} of document ${page.document_title}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                annotation: updated
+            });
+
+        } catch (error) {
+            console.error('Error updating annotation:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to update annotation'
+            });
+        }
+    })
+);
+
+/**
+ * DELETE /api/pages/:pageId/annotations/:annotationId
+ * Delete an annotation (the author's own, or a shared one by an administrator)
+ */
+router.delete('/:pageId/annotations/:annotationId',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_ANNOTATE),
+    validateId('pageId'),
+    validateId('annotationId'),
+    auditLogger(AUDIT_ACTIONS.DELETE),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const annotation = findVisibleAnnotation(req, res, page);
+            if (!annotation) return;
+
+            if (annotation.created_by !== req.user.id && !AuthService.userHasPermission(req.user, PERMISSIONS.ADMIN_ACCESS)) {
+                return res.status(HTTP_STATUS.FORBIDDEN).json({
+                    error: 'Only the author or an administrator can delete an annotation'
+                });
+            }
+
+            req.models.PageAnnotation.deleteAnnotation(annotation.id);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DELETE, 'page_annotations', annotation.id,
+                `Deleted ${annotation.type} annotation by ${annotation.created_by_name} from page ${page.page_number} of document ${page.document_title}`, req.ip);
+
+            res.json({
+                message: 'Annotation deleted successfully',
+                pageId: page.id,
+                annotationId: annotation.id
+            });
+
+        } catch (error) {
+            console.error('Error deleting annotation:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to delete annotation'
+            });
+        }
+    })
+);
+
+/**
+ * GET /api/pages/:pageId/export
+ * Download the page image as exported (redactions applied); ?annotations=true burns in the
+ * annotations the user can see
+ */
+router.get('/:pageId/export',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_DOWNLOAD),
+    validateId('pageId'),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            if (!await fs.access(page.file_path).then(() => true, () => false)) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    error: 'Page image not found'
+                });
+            }
+
+            const withAnnotations = ['true', '1'].includes(String(req.query.annotations).toLowerCase());
+            const annotations = withAnnotations ? req.models.PageAnnotation.findVisible(page.id, req.user.id) : [];
+            const image = await PDFExportService.loadPageImage(page.file_path, PDFExportService.getRedactionBoxes(page), annotations);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.EXPORT, 'document_pages', page.id,
+                `Exported page ${page.page_number} of document ${page.document_title} as an image` +
+                `${withAnnotations ? ` (${annotations.length} annotation(s) burned in)` : ''}`, req.ip);
+
+            res.set({
+                'Content-Type': `image/${image.format}`,
+                'Content-Length': image.bytes.length,
+                'Content-Disposition': `attachment; filename="page-${page.page_number}.${image.format === 'jpeg' ? 'jpg' : 'png'}"`
+            });
+            res.send(image.bytes);
+
+        } catch (error) {
+            console.error('Error exporting page image:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to export page image'
+            });
+        }
+    })
+);
+
+/**
+ * GET /api/pages/:pageId/redactions
+ * List the redactions of a page, newest first; pending ones list the words they cover for review
+ */
+router.get('/:pageId/redactions',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_VIEW),
+    validateId('pageId'),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const status = req.query.status;
+            if (status && !Object.values(REDACTION_STATUS).includes(status)) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: `Invalid redaction status: ${status}`
+                });
+            }
+
+            const redactions = req.models.PageRedaction.findByPage(page.id, { status }).map(redaction =>
+                redaction.status === REDACTION_STATUS.PENDING
+                    ? { ...redaction, covered_words: RedactionService.coveredWords(page, redaction.regions) }
+                    : redaction
+            );
+
+            res.json({
+                pageId: page.id,
+                redactions
+            });
+
+        } catch (error) {
+            console.error('Error fetching redactions:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to fetch redactions'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/redactions
+ * Request a redaction of page regions; it is applied once someone else approves it
+ */
+router.post('/:pageId/redactions',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_REDACT),
+    validateId('pageId'),
+    auditLogger(AUDIT_ACTIONS.CREATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = redactionSchema.validate(req.body);
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const redaction = req.models.PageRedaction.createRedaction(page.id, {
+                regions: value.regions,
+                reason: value.reason,
+                note: value.note || null,
+                pageFilePath: page.file_path,
+                requestedBy: req.user.id
+            });
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'page_redactions', redaction.id,
+                `Requested redaction of ${redaction.regions.length} region(s) on page ${page.page_number} of document ` +
+                `${page.document_title} (${redaction.reason})`, req.ip);
+
+            res.status(HTTP_STATUS.CREATED).json({
+                pageId: page.id,
+                redaction: {
+                    ...redaction,
+                    covered_words: RedactionService.coveredWords(page, redaction.regions)
+                }
+            });
+
+        } catch (error) {
+            console.error('Error requesting redaction:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to request redaction'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/redactions/:redactionId/approve
+ * Approve a redaction requested by someone else and apply it: the regions are blacked out in a new page
+ * image and the covered words removed from the page text and search index. This cannot be undone.
+ */
+router.post('/:pageId/redactions/:redactionId/approve',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_REDACT_APPROVE),
+    validateId('pageId'),
+    validateId('redactionId'),
+    auditLogger(AUDIT_ACTIONS.REDACT),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = redactionReviewSchema.validate(req.body || {});
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const page = findAccessiblePage(req, res);
+            if (!page || rejectIfUnchangeable(req, res, page)) return;
+
+            const redaction = findPendingRedaction(req, res, page);
+            if (!redaction) return;
+
+            if (redaction.requested_by === req.user.id) {
+                return res.status(HTTP_STATUS.FORBIDDEN).json({
+                    error: 'A redaction must be approved by someone other than the person who requested it'
+                });
+            }
+
+            const result = await RedactionService.apply(req.models, page, redaction, {
+                userId: req.user.id,
+                note: value.note || null
+            });
+            const applied = result.redaction;
+
+            const version = req.models.DocumentVersion.createVersion(page.document_id, {
+                changeType: VERSION_CHANGE_TYPES.PAGE_REDACTED,
+                summary: `Redacted ${applied.regions.length} region(s) of page ${page.page_number} (${applied.reason})`,
+                createdBy: req.user.id
+            });
+
+            const textSummary = {
+                [REDACTION_TEXT_ACTIONS.WORDS_REMOVED]: `${applied.words_removed} word(s) removed from the text`,
+                [REDACTION_TEXT_ACTIONS.OCR]: 'text re-read by OCR',
+                [REDACTION_TEXT_ACTIONS.CLEARED]: 'text dropped (OCR failed)'
+            }[applied.text_action];
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.REDACT, 'document_pages', page.id,
+                `Redacted ${applied.regions.length} region(s) on page ${page.page_number} of document ${page.document_title} ` +
+                `(${applied.reason}, requested by ${applied.requested_by_name}, redaction ${applied.id})` +
+                `${textSummary ? `; ${textSummary}` : ''}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                redaction: applied,
+                width: result.width,
+                height: result.height,
+                version_number: version.version_number
+            });
+
+        } catch (error) {
+            console.error('Error applying redaction:', error);
+            if (error.status) {
+                return res.status(error.status).json({
+                    error: error.message,
+                    code: error.code
+                });
+            }
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to apply redaction'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/redactions/:redactionId/reject
+ * Reject a pending redaction, with a note for the requester
+ */
+router.post('/:pageId/redactions/:redactionId/reject',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_REDACT_APPROVE),
+    validateId('pageId'),
+    validateId('redactionId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = redactionRejectSchema.validate(req.body || {});
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const redaction = findPendingRedaction(req, res, page);
+            if (!redaction) return;
+
+            req.models.PageRedaction.close(redaction.id, REDACTION_STATUS.REJECTED, req.user.id, value.note);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'page_redactions', redaction.id,
+                `Rejected redaction of ${redaction.regions.length} region(s) on page ${page.page_number} of document ` +
+                `${page.document_title} requested by ${redaction.requested_by_name}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                redaction: req.models.PageRedaction.findWithNames(redaction.id)
+            });
+
+        } catch (error) {
+            console.error('Error rejecting redaction:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to reject redaction'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/redactions/:redactionId/withdraw
+ * Withdraw one's own redaction request before it is reviewed
+ */
+router.post('/:pageId/redactions/:redactionId/withdraw',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_REDACT),
+    validateId('pageId'),
+    validateId('redactionId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const redaction = findPendingRedaction(req, res, page);
+            if (!redaction) return;
+
+            if (redaction.requested_by !== req.user.id) {
+                return res.status(HTTP_STATUS.FORBIDDEN).json({
+                    error: 'Only the requester can withdraw a redaction'
+                });
+            }
+
+            req.models.PageRedaction.close(redaction.id, REDACTION_STATUS.WITHDRAWN, req.user.id);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'page_redactions', redaction.id,
+                `Withdrew redaction request for page ${page.page_number} of document ${page.document_title}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                redaction: req.models.PageRedaction.findWithNames(redaction.id)
+            });
+
+        } catch (error) {
+            console.error('Error withdrawing redaction:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to withdraw redaction'
+            });
+        }
+    })
+);
+
+/**
+ * GET /api/pages/:pageId/pii
+ * List the personal data found in the page text (masked values), with the page regions covering each
+ */
+router.get('/:pageId/pii',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_REDACT),
+    validateId('pageId'),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const { status, type } = req.query;
+            if (status && !Object.values(PII_FINDING_STATUS).includes(status)) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: `Invalid finding status: ${status}`
+                });
+            }
+            if (type && !Object.values(PII_TYPES).includes(type)) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: `Invalid PII type: ${type}`
+                });
+            }
+
+            res.json({
+                pageId: page.id,
+                scanned_at: page.pii_scanned_at,
+                findings: req.models.PagePiiFinding.findByPage(page.id, { status, type })
+            });
+
+        } catch (error) {
+            console.error('Error fetching PII findings:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to fetch PII findings'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/pii/scan
+ * Look for personal data in the page text again (e.g. after the project's PII rules changed)
+ */
+router.post('/:pageId/pii/scan',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_REDACT),
+    validateId('pageId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const findings = PiiService.scanPage(req.models, page);
+
+            res.json({
+                pageId: page.id,
+                scanned_at: req.models.DocumentPage.findById(page.id).pii_scanned_at,
+                findings
+            });
+
+        } catch (error) {
+            console.error('Error scanning page for PII:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to scan page for PII'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/pii/redact
+ * Request a redaction of the regions of open PII findings. It goes through the usual review; the findings
+ * wait on it and are open again if it is rejected or withdrawn.
+ */
+router.post('/:pageId/pii/redact',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_REDACT),
+    validateId('pageId'),
+    auditLogger(AUDIT_ACTIONS.CREATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = piiRedactionSchema.validate(req.body);
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const findings = value.finding_ids.map(id => req.models.PagePiiFinding.findWithPage(id));
+            const missing = value.finding_ids.filter((id, index) => !findings[index] || findings[index].page_id !== page.id);
+            if (missing.length > 0) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    error: `PII finding(s) not found on this page: ${missing.join(', ')}`
+                });
+            }
+
+            const closed = findings.filter(finding => finding.status !== PII_FINDING_STATUS.OPEN);
+            if (closed.length > 0) {
+                return res.status(HTTP_STATUS.CONFLICT).json({
+                    error: `PII finding(s) not open: ${closed.map(finding => `${finding.id} (${finding.status})`).join(', ')}`
+                });
+            }
+
+            const unplaced = findings.filter(finding => finding.regions.length === 0);
+            if (unplaced.length > 0) {
+                return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+                    error: `PII finding(s) without a position on the page image: ${unplaced.map(finding => finding.id).join(', ')}; ` +
+                        'request the redaction by drawing its regions instead'
+                });
+            }
+
+            const suggested = PiiService.suggestRedaction(findings);
+            if (suggested.regions.length > REDACTION_CONFIG.MAX_REGIONS) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: `A redaction is limited to ${REDACTION_CONFIG.MAX_REGIONS} regions; request fewer findings at a time`
+                });
+            }
+
+            const redaction = req.models.PageRedaction.createRedaction(page.id, {
+                regions: suggested.regions,
+                reason: value.reason || suggested.reason,
+                note: value.note || null,
+                pageFilePath: page.file_path,
+                requestedBy: req.user.id
+            });
+            req.models.PagePiiFinding.setStatus(value.finding_ids, PII_FINDING_STATUS.REDACTION_REQUESTED, req.user.id, redaction.id);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'page_redactions', redaction.id,
+                `Requested redaction of ${findings.length} PII finding(s) (${[...new Set(findings.map(finding => finding.type))].join(', ')}) ` +
+                `on page ${page.page_number} of document ${page.document_title} (${redaction.reason})`, req.ip);
+
+            res.status(HTTP_STATUS.CREATED).json({
+                pageId: page.id,
+                redaction: {
+                    ...redaction,
+                    covered_words: RedactionService.coveredWords(page, redaction.regions)
+                },
+                findings: value.finding_ids.map(id => req.models.PagePiiFinding.findWithPage(id))
+            });
+
+        } catch (error) {
+            console.error('Error requesting PII redaction:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to request redaction'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/pii/:findingId/dismiss
+ * Mark an open PII finding as not sensitive; rescans keep it dismissed
+ */
+router.post('/:pageId/pii/:findingId/dismiss',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_REDACT),
+    validateId('pageId'),
+    validateId('findingId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const finding = findPiiFinding(req, res, page, PII_FINDING_STATUS.OPEN);
+            if (!finding) return;
+
+            req.models.PagePiiFinding.setStatus([finding.id], PII_FINDING_STATUS.DISMISSED, req.user.id);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'page_pii_findings', finding.id,
+                `Dismissed ${finding.label || finding.type} finding ${finding.masked_value} on page ${page.page_number} ` +
+                `of document ${page.document_title}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                finding: req.models.PagePiiFinding.findWithPage(finding.id)
+            });
+
+        } catch (error) {
+            console.error('Error dismissing PII finding:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to dismiss PII finding'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/pages/:pageId/pii/:findingId/reopen
+ * Take back the dismissal of a PII finding
+ */
+router.post('/:pageId/pii/:findingId/reopen',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_REDACT),
+    validateId('pageId'),
+    validateId('findingId'),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page) return;
+
+            const finding = findPiiFinding(req, res, page, PII_FINDING_STATUS.DISMISSED);
+            if (!finding) return;
+
+            req.models.PagePiiFinding.setStatus([finding.id], PII_FINDING_STATUS.OPEN, req.user.id);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'page_pii_findings', finding.id,
+                `Reopened ${finding.label || finding.type} finding ${finding.masked_value} on page ${page.page_number} ` +
+                `of document ${page.document_title}`, req.ip);
+
+            res.json({
+                pageId: page.id,
+                finding: req.models.PagePiiFinding.findWithPage(finding.id)
+            });
+
+        } catch (error) {
+            console.error('Error reopening PII finding:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to reopen PII finding'
+            });
+        }
+    })
+);
+
+/**
+ * DELETE /api/pages/:pageId
+ * Soft delete a page (recorded as a new document version)
+ */
+router.delete('/:pageId',
+    authenticateJWT,
+    requirePermission(PERMISSIONS.DOCUMENT_DELETE),
+    validateId('pageId'),
+    auditLogger(AUDIT_ACTIONS.DELETE),
+    asyncHandler(async (req, res) => {
+        try {
+            const page = findAccessiblePage(req, res);
+            if (!page || rejectIfUnchangeable(req, res, page)) return;
+
+            const remainingPages = req.models.DocumentPage.softDeletePage(page.id, req.user.id);
+
+            const version = req.models.DocumentVersion.createVersion(page.document_id, {
+                changeType: VERSION_CHANGE_TYPES.PAGE_DELETED,
+                summary: `Deleted page ${page.page_number}`,
+                createdBy: req.user.id
+            });
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DELETE, 'document_pages', page.id,
+                `Moved page ${page.page_number} of document ${page.document_title} to the recycle bin`, req.ip);
+
+            res.json({ 
+                message: 'Page deleted successfully',
+                pageId: page.id,
+                remaining_pages: remainingPages,
+                version_number: version.version_number
+            });
+
+        } catch (error) {
+            console.error('Error deleting page:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to delete page'
+            });
+        }
+    })
+);
+
+// Get the active page named by :pageId (with its document title and project) if the user can access
+// its project; responds 404 or 403 and returns null otherwise. includeRecycled also finds a page deleted
+// on its own (not with its document)
+function findAccessiblePage(req, res, { includeRecycled = false } = {}) {
+    let page = req.models.DocumentPage.findByIdWithDocument(req.params.pageId);
+    if (!page && includeRecycled) {
+        const deleted = req.models.DocumentPage.findDeletedById(req.params.pageId);
+        page = deleted && !deleted.deleted_with_document ? deleted : undefined;
+    }
+
+    if (!page) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Page not found'
+        });
+        return null;
+    }
+
+    if (!req.models.hasProjectAccess(req.user.id, page.project_id)) {
+        res.status(HTTP_STATUS.FORBIDDEN).json({
+            error: 'Access denied to this project'
+        });
+        return null;
+    }
+
+    return page;
+}
+
+// Get the annotation named by :annotationId on the page if the user can see it; responds 404 and returns
+// null otherwise (other users' private annotations are not revealed)
+function findVisibleAnnotation(req, res, page) {
+    const annotation = req.models.PageAnnotation.findWithAuthor(req.params.annotationId);
+
+    if (!annotation || annotation.page_id !== page.id ||
+        (annotation.visibility === ANNOTATION_VISIBILITY.PRIVATE && annotation.created_by !== req.user.id)) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Annotation not found'
+        });
+        return null;
+    }
+
+    return annotation;
+}
+
+// Get the redaction named by :redactionId on the page if it is still pending; responds 404 or 409 and
+// returns null otherwise
+function findPendingRedaction(req, res, page) {
+    const redaction = req.models.PageRedaction.findWithNames(req.params.redactionId);
+
+    if (!redaction || redaction.page_id !== page.id) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Redaction not found'
+        });
+        return null;
+    }
+
+    if (redaction.status !== REDACTION_STATUS.PENDING) {
+        res.status(HTTP_STATUS.CONFLICT).json({
+            error: `Redaction is already ${redaction.status}`
+        });
+        return null;
+    }
+
+    return redaction;
+}
+
+// Get the PII finding named by :findingId on the page if it has the given status; responds 404 or 409 and
+// returns null otherwise
+function findPiiFinding(req, res, page, status) {
+    const finding = req.models.PagePiiFinding.findWithPage(req.params.findingId);
+
+    if (!finding || finding.page_id !== page.id) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'PII finding not found'
+        });
+        return null;
+    }
+
+    if (finding.status !== status) {
+        res.status(HTTP_STATUS.CONFLICT).json({
+            error: `PII finding is ${finding.status.replace('_', ' ')}`
+        });
+        return null;
+    }
+
+    return finding;
+}
+
+// Respond 409 and return true if the page's document is under legal hold or checked out by someone else
+function rejectIfUnchangeable(req, res, page) {
+    if (req.models.LegalHold.isHeld(page.document_id)) {
+        res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Document is under legal hold and cannot be changed',
+            code: 'LEGAL_HOLD'
+        });
+        return true;
+    }
+
+    const lock = req.models.DocumentLock.findBlocking(page.document_id, req.user.id);
+    if (lock) {
+        res.status(HTTP_STATUS.CONFLICT).json({
+            error: `Document is checked out by ${lock.locked_by_name} until ${lock.expires_at}`,
+            code: 'DOCUMENT_LOCKED'
+        });
+        return true;
+    }
+
+    return false;
+}
+
 module.exports = router;
\ No newline at end of file
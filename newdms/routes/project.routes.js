@@ -1,14 +1,15 @@
 // newdms/routes/projectRoutes.js
 const express = require('express');
 const Joi = require('joi');
-const { AuthService, AuditService } = require('../services');
+const { AuthService, AuditService, PiiService } = require('../services');
 const { 
-    authRateLimit, 
     validateRequired, 
     auditLogger, 
     asyncHandler 
 } = require('../middleware');
-const { HTTP_STATUS, AUDIT_ACTIONS, PERMISSIONS } = require('../config/constants');
+const {
+    HTTP_STATUS, STATUS, AUDIT_ACTIONS, PERMISSIONS, INGEST_BLANK_ACTIONS, INGEST_COLOR_MODES, INGEST_CONFIG, PII_CONFIG
+} = require('../config/constants');
 
 const router = express.Router();
 
@@ -41,6 +42,33 @@ const updateProjectSchema = Joi.object({
     index_fields: Joi.array().items(indexFieldSchema).optional()
 });
 
+// Scan clean-up applied to pages added to a project's documents
+const ingestSettingsSchema = Joi.object({
+    enabled: Joi.boolean().optional(),
+    blank_page_action: Joi.string().valid(...Object.values(INGEST_BLANK_ACTIONS)).optional(),
+    // Share of the page (inside the margins) that must be ink for it to count as not blank
+    blank_threshold: Joi.number().min(0).max(0.1).optional(),
+    auto_rotate: Joi.boolean().optional(),
+    target_dpi: Joi.number().integer().min(INGEST_CONFIG.MIN_DPI).max(INGEST_CONFIG.MAX_DPI).allow(null).optional(),
+    color_mode: Joi.string().valid(...Object.values(INGEST_COLOR_MODES)).optional()
+}).min(1);
+
+// Custom PII rule: a regular expression for personal data the built-in detectors do not know. With a group
+// named value, only that part of a match is reported and redacted
+const piiRuleSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    pattern: Joi.string().min(1).max(PII_CONFIG.MAX_PATTERN_LENGTH).required(),
+    case_sensitive: Joi.boolean().default(false),
+    enabled: Joi.boolean().default(true)
+});
+
+const updatePiiRuleSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    pattern: Joi.string().min(1).max(PII_CONFIG.MAX_PATTERN_LENGTH).optional(),
+    case_sensitive: Joi.boolean().optional(),
+    enabled: Joi.boolean().optional()
+}).min(1);
+
 /**
  * GET /api/projects
  * List all projects (filtered by user access)
@@ -48,8 +76,6 @@ const updateProjectSchema = Joi.object({
 router.get('/',
     AuthService.authenticateToken,
     asyncHandler(async (req, res) => {
-        console.log('>>> /api/projects route handler called');
-        throw new Error('Test error: Is this visible in the console?');
         try {
             const { page = 1, limit = 50, search, status } = req.query;
             const offset = (page - 1) * limit;
@@ -632,6 +658,233 @@ router.get('/:id/documents',
     })
 );
 
+/**
+ * GET /api/projects/:id/ingest-settings
+ * Get the scan clean-up settings for pages added to the project
+ */
+router.get('/:id/ingest-settings',
+    AuthService.authenticateToken,
+    asyncHandler(async (req, res) => {
+        try {
+            const project = await findAccessibleProject(req, res);
+            if (!project) return;
+
+            res.json({
+                settings: req.models.ProjectIngestSettings.findByProject(project.id)
+            });
+
+        } catch (error) {
+            console.error('Error fetching ingest settings:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to fetch ingest settings'
+            });
+        }
+    })
+);
+
+/**
+ * PUT /api/projects/:id/ingest-settings
+ * Change the scan clean-up settings (applies to pages uploaded from now on)
+ */
+router.put('/:id/ingest-settings',
+    AuthService.authenticateToken,
+    AuthService.authorize([PERMISSIONS.PROJECT_EDIT, PERMISSIONS.ADMIN_ACCESS]),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = ingestSettingsSchema.validate(req.body);
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const project = await findAccessibleProject(req, res);
+            if (!project) return;
+
+            const settings = req.models.ProjectIngestSettings.saveSettings(project.id, value, req.user.id);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'project_ingest_settings', project.id,
+                `${settings.enabled ? 'Updated' : 'Disabled'} scan clean-up for project ${project.name}: ` +
+                Object.entries(value).map(([key, setting]) => `${key}=${setting}`).join(', '), req.ip);
+
+            res.json({
+                message: 'Ingest settings updated',
+                settings
+            });
+
+        } catch (error) {
+            console.error('Error updating ingest settings:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to update ingest settings'
+            });
+        }
+    })
+);
+
+/**
+ * GET /api/projects/:id/pii-rules
+ * List the project's custom PII rules
+ */
+router.get('/:id/pii-rules',
+    AuthService.authenticateToken,
+    asyncHandler(async (req, res) => {
+        try {
+            const project = await findAccessibleProject(req, res);
+            if (!project) return;
+
+            res.json({
+                rules: req.models.ProjectPiiRule.findByProject(project.id)
+            });
+
+        } catch (error) {
+            console.error('Error fetching PII rules:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to fetch PII rules'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/projects/:id/pii-rules
+ * Add a custom PII rule (applies to page text scanned from now on; rescan documents to apply it to them)
+ */
+router.post('/:id/pii-rules',
+    AuthService.authenticateToken,
+    AuthService.authorize([PERMISSIONS.PROJECT_EDIT, PERMISSIONS.ADMIN_ACCESS]),
+    auditLogger(AUDIT_ACTIONS.CREATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = piiRuleSchema.validate(req.body);
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+            PiiService.validatePattern(value.pattern, value.case_sensitive);
+
+            const project = await findAccessibleProject(req, res);
+            if (!project) return;
+
+            if (req.models.ProjectPiiRule.countByProject(project.id) >= PII_CONFIG.MAX_RULES_PER_PROJECT) {
+                return res.status(HTTP_STATUS.CONFLICT).json({
+                    error: `A project can have at most ${PII_CONFIG.MAX_RULES_PER_PROJECT} PII rules`
+                });
+            }
+
+            const rule = req.models.ProjectPiiRule.createRule(project.id, {
+                name: value.name,
+                pattern: value.pattern,
+                caseSensitive: value.case_sensitive,
+                enabled: value.enabled,
+                createdBy: req.user.id
+            });
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'project_pii_rules', rule.id,
+                `Added PII rule ${rule.name} to project ${project.name}`, req.ip);
+
+            res.status(HTTP_STATUS.CREATED).json({
+                message: 'PII rule added',
+                rule
+            });
+
+        } catch (error) {
+            console.error('Error adding PII rule:', error);
+            if (error.status) {
+                return res.status(error.status).json({
+                    error: error.message
+                });
+            }
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to add PII rule'
+            });
+        }
+    })
+);
+
+/**
+ * PUT /api/projects/:id/pii-rules/:ruleId
+ * Change a custom PII rule
+ */
+router.put('/:id/pii-rules/:ruleId',
+    AuthService.authenticateToken,
+    AuthService.authorize([PERMISSIONS.PROJECT_EDIT, PERMISSIONS.ADMIN_ACCESS]),
+    auditLogger(AUDIT_ACTIONS.UPDATE),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = updatePiiRuleSchema.validate(req.body);
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const project = await findAccessibleProject(req, res);
+            if (!project) return;
+
+            const rule = findProjectPiiRule(req, res, project);
+            if (!rule) return;
+
+            PiiService.validatePattern(value.pattern ?? rule.pattern, value.case_sensitive ?? rule.case_sensitive);
+            const updated = req.models.ProjectPiiRule.updateRule(rule.id, value);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'project_pii_rules', rule.id,
+                `Updated PII rule ${updated.name} of project ${project.name}: ${Object.keys(value).join(', ')}`, req.ip);
+
+            res.json({
+                message: 'PII rule updated',
+                rule: updated
+            });
+
+        } catch (error) {
+            console.error('Error updating PII rule:', error);
+            if (error.status) {
+                return res.status(error.status).json({
+                    error: error.message
+                });
+            }
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to update PII rule'
+            });
+        }
+    })
+);
+
+/**
+ * DELETE /api/projects/:id/pii-rules/:ruleId
+ * Delete a custom PII rule; what it found stays until the pages are scanned again
+ */
+router.delete('/:id/pii-rules/:ruleId',
+    AuthService.authenticateToken,
+    AuthService.authorize([PERMISSIONS.PROJECT_EDIT, PERMISSIONS.ADMIN_ACCESS]),
+    auditLogger(AUDIT_ACTIONS.DELETE),
+    asyncHandler(async (req, res) => {
+        try {
+            const project = await findAccessibleProject(req, res);
+            if (!project) return;
+
+            const rule = findProjectPiiRule(req, res, project);
+            if (!rule) return;
+
+            req.models.ProjectPiiRule.deleteRule(rule.id);
+
+            AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DELETE, 'project_pii_rules', rule.id,
+                `Deleted PII rule ${rule.name} of project ${project.name}`, req.ip);
+
+            res.json({
+                message: 'PII rule deleted'
+            });
+
+        } catch (error) {
+            console.error('Error deleting PII rule:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to delete PII rule'
+            });
+        }
+    })
+);
+
 /**
  * Helper function to check project access
  */
@@ -652,4 +905,31 @@ async function checkProjectAccess(req, projectId) {
     return !!projectRole;
 }
 
+// Get the active project named by :id if the user can access it; responds 404 or 403 and returns null otherwise
+async function findAccessibleProject(req, res) {
+    const project = await req.models.Project.findOne({ where: { id: req.params.id } });
+    if (!project || project.status !== STATUS.ACTIVE) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Project not found' });
+        return null;
+    }
+
+    if (!req.models.hasProjectAccess(req.user.id, project.id)) {
+        res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        return null;
+    }
+
+    return project;
+}
+
+// Get the PII rule named by :ruleId if it belongs to the project; responds 404 and returns null otherwise
+function findProjectPiiRule(req, res, project) {
+    const rule = req.models.ProjectPiiRule.findWithCreator(req.params.ruleId);
+    if (!rule || rule.project_id !== project.id) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'PII rule not found' });
+        return null;
+    }
+
+    return rule;
+}
+
 module.exports = router;
\ No newline at end of file
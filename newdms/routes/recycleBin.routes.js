@@ -0,0 +1,214 @@
+// newdms/routes/recycleBin.routes.js
+const express = require('express');
+const router = express.Router();
+
+const {
+    HTTP_STATUS,
+    PERMISSIONS,
+    AUDIT_ACTIONS,
+    PAGINATION,
+    STATUS,
+    VERSION_CHANGE_TYPES
+} = require('../config/constants');
+const { AuthService, AuditService, RecycleBinService } = require('../services');
+
+/**
+ * Add the auto-purge date to a recycle bin item (null when auto-purge is off)
+ */
+function withPurgeDate(item) {
+    const days = RecycleBinService.getRetentionDays();
+    let purgeAt = null;
+    if (days > 0 && item.deleted_at) {
+        const deletedAt = new Date(`${item.deleted_at.replace(' ', 'T')}Z`);
+        purgeAt = new Date(deletedAt.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+    return { ...item, purge_at: purgeAt };
+}
+
+// List deleted documents and pages in projects the user can access
+// (?type=documents|pages, project_id, document_id, page, limit)
+router.get('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_DELETE]), (req, res) => {
+    try {
+        const { type = 'all', project_id, document_id } = req.query;
+        const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+        const offset = (page - 1) * limit;
+
+        if (!['all', 'documents', 'pages'].includes(type)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'type must be one of: all, documents, pages' });
+        }
+
+        if (project_id && !req.models.hasProjectAccess(req.user.id, project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to specified project' });
+        }
+
+        // null = all projects (admin)
+        const projectIds = req.models.getAccessibleProjectIds(req.user.id);
+        const response = { retention_days: RecycleBinService.getRetentionDays() };
+
+        if (type !== 'pages') {
+            const { documents, total } = req.models.Document.findDeleted({ projectIds, projectId: project_id, limit, offset });
+            response.documents = documents.map(withPurgeDate);
+            response.documents_total = total;
+        }
+
+        if (type !== 'documents') {
+            const { pages, total } = req.models.DocumentPage.findDeleted({
+                projectIds,
+                projectId: project_id,
+                documentId: document_id,
+                limit,
+                offset
+            });
+            response.pages = pages.map(withPurgeDate);
+            response.pages_total = total;
+        }
+
+        response.pagination = { page, limit };
+        res.json(response);
+    } catch (error) {
+        console.error('Error fetching recycle bin:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Restore a deleted document with the pages deleted along with it
+router.post('/documents/:id/restore', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_DELETE]), (req, res) => {
+    try {
+        const document = req.models.Document.findById(req.params.id);
+
+        if (!document || document.status === STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found in the recycle bin' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        const restoredPages = req.models.Document.restoreWithPages(document.id);
+        const totalPages = req.models.DocumentPage.renumberPages(document.id);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.RESTORE, 'documents', document.id,
+            `Restored document from the recycle bin: ${document.title} (${restoredPages} pages)`, req.ip);
+
+        console.log(`♻️ Document ${document.id} restored by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: `Document and ${restoredPages} pages restored`,
+            restored_pages: restoredPages,
+            total_pages: totalPages
+        });
+    } catch (error) {
+        console.error('Error restoring document:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Restore a deleted page into its former place in the document
+router.post('/pages/:id/restore', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_DELETE]), (req, res) => {
+    try {
+        const page = req.models.DocumentPage.findDeletedById(req.params.id);
+
+        if (!page) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Page not found in the recycle bin' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, page.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        if (page.document_status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: 'The page\'s document is deleted; restore the document first' });
+        }
+
+        if (req.models.LegalHold.isHeld(page.document_id)) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: 'Document is under legal hold and cannot be changed', code: 'LEGAL_HOLD' });
+        }
+
+        const lock = req.models.DocumentLock.findBlocking(page.document_id, req.user.id);
+        if (lock) {
+            return res.status(HTTP_STATUS.CONFLICT).json({
+                error: `Document is checked out by ${lock.locked_by_name} until ${lock.expires_at}`,
+                code: 'DOCUMENT_LOCKED'
+            });
+        }
+
+        const totalPages = req.models.DocumentPage.restorePage(page.id);
+        const restored = req.models.DocumentPage.findById(page.id);
+
+        const version = req.models.DocumentVersion.createVersion(page.document_id, {
+            changeType: VERSION_CHANGE_TYPES.PAGE_RESTORED,
+            summary: `Restored page ${restored.page_number}`,
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.RESTORE, 'document_pages', page.id,
+            `Restored page ${restored.page_number} of document ${page.document_title} from the recycle bin`, req.ip);
+
+        res.json({
+            success: true,
+            message: `Page restored as page ${restored.page_number}`,
+            page_number: restored.page_number,
+            total_pages: totalPages,
+            version_number: version.version_number
+        });
+    } catch (error) {
+        console.error('Error restoring page:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Permanently delete a document in the recycle bin (rows, page images, thumbnails, originals)
+router.delete('/documents/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_PURGE]), async (req, res) => {
+    try {
+        const document = req.models.Document.findById(req.params.id);
+
+        if (!document || document.status === STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found in the recycle bin' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, document.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        const filesRemoved = await RecycleBinService.purgeDocument(document.id);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.PURGE, 'documents', document.id,
+            `Permanently deleted document: ${document.title} (${filesRemoved} files removed)`, req.ip);
+
+        console.log(`🗑️ Document ${document.id} purged by user ${req.user.id}`);
+
+        res.json({ success: true, message: 'Document permanently deleted', files_removed: filesRemoved });
+    } catch (error) {
+        console.error('Error purging document:', error);
+        res.status(error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message, code: error.code });
+    }
+});
+
+// Permanently delete a page in the recycle bin (row, image, thumbnail)
+router.delete('/pages/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_PURGE]), async (req, res) => {
+    try {
+        const page = req.models.DocumentPage.findDeletedById(req.params.id);
+
+        if (!page) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Page not found in the recycle bin' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, page.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        const filesRemoved = await RecycleBinService.purgePage(page.id);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.PURGE, 'document_pages', page.id,
+            `Permanently deleted page ${page.page_number} of document ${page.document_title} (${filesRemoved} files removed)`, req.ip);
+
+        res.json({ success: true, message: 'Page permanently deleted', files_removed: filesRemoved });
+    } catch (error) {
+        console.error('Error purging page:', error);
+        res.status(error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message, code: error.code });
+    }
+});
+
+module.exports = router;
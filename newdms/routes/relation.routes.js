@@ -0,0 +1,183 @@
+// newdms/routes/relation.routes.js
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+
+const { HTTP_STATUS, PERMISSIONS, AUDIT_ACTIONS, STATUS, RELATION_TYPES } = require('../config/constants');
+const { AuthService, AuditService } = require('../services');
+
+// Validation schemas
+const relationTypeSchema = Joi.string().valid(...Object.values(RELATION_TYPES));
+const relationNoteSchema = Joi.string().trim().max(500).allow('', null);
+
+const listRelationsSchema = Joi.object({
+    document_id: Joi.number().integer().positive().required()
+});
+
+const createRelationSchema = Joi.object({
+    // "source <relation_type> target", e.g. an amendment (source) amends a contract (target)
+    source_document_id: Joi.number().integer().positive().required(),
+    target_document_id: Joi.number().integer().positive().invalid(Joi.ref('source_document_id')).required()
+        .messages({ 'any.invalid': 'A document cannot be related to itself' }),
+    relation_type: relationTypeSchema.required(),
+    // Also list the relation on the target document (under the inverse type, e.g. amended_by)
+    bidirectional: Joi.boolean().default(true),
+    note: relationNoteSchema.optional()
+});
+
+const updateRelationSchema = Joi.object({
+    relation_type: relationTypeSchema.optional(),
+    bidirectional: Joi.boolean().optional(),
+    note: relationNoteSchema.optional()
+}).min(1);
+
+// List the relations of a document (only those to documents the user can view)
+router.get('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_VIEW]), (req, res) => {
+    try {
+        const { error, value } = listRelationsSchema.validate(req.query);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const document = findViewableDocument(req, value.document_id);
+        if (!document) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found or access denied' });
+        }
+
+        const relations = req.models.DocumentRelation.findByDocument(document.id, req.models.getAccessibleProjectIds(req.user.id));
+
+        res.json({ document_id: document.id, relations });
+    } catch (error) {
+        console.error('Error fetching relations:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Get a relation
+router.get('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_VIEW]), (req, res) => {
+    try {
+        const relation = findAccessibleRelation(req, res);
+        if (!relation) return;
+
+        res.json({ relation });
+    } catch (error) {
+        console.error('Error fetching relation:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Relate two documents
+router.post('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const { error, value } = createRelationSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const source = findViewableDocument(req, value.source_document_id);
+        const target = findViewableDocument(req, value.target_document_id);
+        if (!source || !target) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found or access denied' });
+        }
+
+        if (req.models.DocumentRelation.findExisting(source.id, target.id, value.relation_type)) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: 'These documents already have this relation' });
+        }
+
+        const relation = req.models.DocumentRelation.createRelation({
+            sourceDocumentId: source.id,
+            targetDocumentId: target.id,
+            relationType: value.relation_type,
+            bidirectional: value.bidirectional,
+            note: value.note || null,
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'document_relations', relation.id,
+            `Related documents: ${describeRelation(relation)}`, req.ip);
+
+        res.status(HTTP_STATUS.CREATED).json({ relation });
+    } catch (error) {
+        console.error('Error creating relation:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Change the type, direction flag or note of a relation
+router.put('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const relation = findAccessibleRelation(req, res);
+        if (!relation) return;
+
+        const { error, value } = updateRelationSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        if (value.relation_type && req.models.DocumentRelation.findExisting(
+            relation.source_document_id, relation.target_document_id, value.relation_type, relation.id)) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: 'These documents already have this relation' });
+        }
+
+        const updated = req.models.DocumentRelation.updateRelation(relation.id, {
+            ...value,
+            note: value.note === '' ? null : value.note
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'document_relations', relation.id,
+            `Updated relation: ${describeRelation(relation)}` +
+            `${updated.relation_type !== relation.relation_type ? ` (now ${updated.relation_type})` : ''}`, req.ip);
+
+        res.json({ relation: updated });
+    } catch (error) {
+        console.error('Error updating relation:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Remove a relation; the documents themselves are untouched
+router.delete('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const relation = findAccessibleRelation(req, res);
+        if (!relation) return;
+
+        req.models.DocumentRelation.deleteRelation(relation.id);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DELETE, 'document_relations', relation.id,
+            `Removed relation: ${describeRelation(relation)}`, req.ip);
+
+        res.json({ success: true, message: 'Relation removed' });
+    } catch (error) {
+        console.error('Error deleting relation:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Get an active document the user can view, or null
+function findViewableDocument(req, documentId) {
+    const document = req.models.Document.findById(documentId);
+    if (!document || document.status !== STATUS.ACTIVE || !req.models.hasProjectAccess(req.user.id, document.project_id)) {
+        return null;
+    }
+    return document;
+}
+
+// Get the relation named by :id if the user can view both documents; responds 404 and returns null otherwise
+// (relations to documents the user cannot view are not revealed)
+function findAccessibleRelation(req, res) {
+    const relation = req.models.DocumentRelation.findWithDetails(req.params.id);
+    if (!relation || !findViewableDocument(req, relation.source_document_id) || !findViewableDocument(req, relation.target_document_id)) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Relation not found' });
+        return null;
+    }
+
+    return relation;
+}
+
+// 'document 7 "Amendment 2" amends document 3 "Lease"'
+function describeRelation(relation) {
+    return `document ${relation.source_document_id} "${relation.source_title}" ${relation.relation_type} ` +
+        `document ${relation.target_document_id} "${relation.target_title}"`;
+}
+
+module.exports = router;
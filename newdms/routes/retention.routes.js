@@ -0,0 +1,313 @@
+// newdms/routes/retention.routes.js
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+
+const {
+    HTTP_STATUS,
+    PERMISSIONS,
+    AUDIT_ACTIONS,
+    PAGINATION,
+    RETENTION_UNITS,
+    DISPOSITION_STATUS
+} = require('../config/constants');
+const { AuthService, AuditService, RetentionService } = require('../services');
+
+// Validation schemas
+const policySchema = Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().max(1000).optional().allow('', null),
+    // null = all projects / all document types
+    project_id: Joi.number().integer().positive().allow(null).default(null),
+    document_type: Joi.string().trim().max(100).allow('', null).default(null),
+    retention_period: Joi.number().integer().min(1).max(1000).required(),
+    retention_unit: Joi.string().valid(...Object.values(RETENTION_UNITS)).default(RETENTION_UNITS.YEARS),
+    // Date index field the period counts from (default: document creation date)
+    trigger_field: Joi.string().trim().max(100).allow('', null).default(null),
+    active: Joi.boolean().default(true)
+});
+
+const updatePolicySchema = Joi.object({
+    name: Joi.string().trim().min(1).max(200).optional(),
+    description: Joi.string().max(1000).optional().allow('', null),
+    project_id: Joi.number().integer().positive().allow(null).optional(),
+    document_type: Joi.string().trim().max(100).allow('', null).optional(),
+    retention_period: Joi.number().integer().min(1).max(1000).optional(),
+    retention_unit: Joi.string().valid(...Object.values(RETENTION_UNITS)).optional(),
+    trigger_field: Joi.string().trim().max(100).allow('', null).optional(),
+    active: Joi.boolean().optional()
+}).min(1);
+
+const listDispositionsSchema = Joi.object({
+    status: Joi.string().valid(...Object.values(DISPOSITION_STATUS)).optional(),
+    project_id: Joi.number().integer().positive().optional(),
+    page: Joi.number().integer().min(1).default(PAGINATION.DEFAULT_PAGE),
+    limit: Joi.number().integer().min(1).max(PAGINATION.MAX_LIMIT).default(PAGINATION.DEFAULT_LIMIT)
+});
+
+const reviewSchema = Joi.object({
+    notes: Joi.string().max(2000).optional().allow('', null),
+    // Retained documents are flagged again after this date (never when omitted)
+    retain_until: Joi.date().iso().greater('now').optional().allow(null)
+});
+
+// List retention policies (global ones and those of accessible projects)
+router.get('/policies', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.RETENTION_MANAGE]), (req, res) => {
+    try {
+        const policies = req.models.RetentionPolicy.findAllPolicies({
+            projectIds: req.models.getAccessibleProjectIds(req.user.id),
+            projectId: req.query.project_id
+        });
+
+        res.json({ policies });
+    } catch (error) {
+        console.error('Error fetching retention policies:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Create a retention policy
+router.post('/policies', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.RETENTION_MANAGE]), async (req, res) => {
+    try {
+        const { error, value } = policySchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const scopeError = await validatePolicyScope(req, value);
+        if (scopeError) {
+            return res.status(scopeError.status).json({ error: scopeError.message });
+        }
+
+        const policy = req.models.RetentionPolicy.createPolicy({
+            name: value.name,
+            description: value.description || null,
+            projectId: value.project_id,
+            documentType: value.document_type || null,
+            retentionPeriod: value.retention_period,
+            retentionUnit: value.retention_unit,
+            triggerField: value.trigger_field || null,
+            active: value.active,
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'retention_policies', policy.id,
+            `Created retention policy: ${policy.name} (${policy.retention_period} ${policy.retention_unit})`, req.ip);
+
+        res.status(HTTP_STATUS.CREATED).json({ policy });
+    } catch (error) {
+        console.error('Error creating retention policy:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Update a retention policy
+router.put('/policies/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.RETENTION_MANAGE]), async (req, res) => {
+    try {
+        const existing = req.models.RetentionPolicy.findWithDetails(req.params.id);
+        if (!existing || !canManagePolicy(req, existing)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Retention policy not found' });
+        }
+
+        const { error, value } = updatePolicySchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const merged = {
+            project_id: value.project_id !== undefined ? value.project_id : existing.project_id,
+            document_type: value.document_type !== undefined ? value.document_type || null : existing.document_type,
+            trigger_field: value.trigger_field !== undefined ? value.trigger_field || null : existing.trigger_field
+        };
+
+        const scopeError = await validatePolicyScope(req, merged, existing.id);
+        if (scopeError) {
+            return res.status(scopeError.status).json({ error: scopeError.message });
+        }
+
+        const policy = req.models.RetentionPolicy.updatePolicy(existing.id, {
+            name: value.name,
+            description: value.description,
+            project_id: merged.project_id,
+            document_type: merged.document_type,
+            retention_period: value.retention_period,
+            retention_unit: value.retention_unit,
+            trigger_field: merged.trigger_field,
+            active: value.active === undefined ? undefined : (value.active ? 1 : 0)
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'retention_policies', policy.id,
+            `Updated retention policy: ${policy.name} (${policy.retention_period} ${policy.retention_unit})`, req.ip);
+
+        res.json({ policy });
+    } catch (error) {
+        console.error('Error updating retention policy:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Delete a retention policy
+router.delete('/policies/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.RETENTION_MANAGE]), (req, res) => {
+    try {
+        const policy = req.models.RetentionPolicy.findWithDetails(req.params.id);
+        if (!policy || !canManagePolicy(req, policy)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Retention policy not found' });
+        }
+
+        req.models.RetentionPolicy.deletePolicy(policy.id);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DELETE, 'retention_policies', policy.id,
+            `Deleted retention policy: ${policy.name}`, req.ip);
+
+        res.json({ success: true, message: 'Retention policy deleted' });
+    } catch (error) {
+        console.error('Error deleting retention policy:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// List disposition reviews (pending first)
+router.get('/dispositions', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.RETENTION_MANAGE]), (req, res) => {
+    try {
+        const { error, value } = listDispositionsSchema.validate(req.query);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        if (value.project_id && !req.models.hasProjectAccess(req.user.id, value.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to specified project' });
+        }
+
+        const { dispositions, total } = req.models.DocumentDisposition.findPaginated({
+            projectIds: req.models.getAccessibleProjectIds(req.user.id),
+            projectId: value.project_id,
+            status: value.status,
+            limit: value.limit,
+            offset: (value.page - 1) * value.limit
+        });
+
+        res.json({
+            dispositions,
+            pagination: {
+                page: value.page,
+                limit: value.limit,
+                total,
+                pages: Math.ceil(total / value.limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching dispositions:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Check retention policies now instead of waiting for the scheduled run
+router.post('/dispositions/run', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.RETENTION_MANAGE]), (req, res) => {
+    try {
+        const flagged = RetentionService.flagExpired();
+        res.json({ success: true, flagged });
+    } catch (error) {
+        console.error('Error running retention check:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Get a disposition with its certificate of destruction
+router.get('/dispositions/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.RETENTION_MANAGE]), (req, res) => {
+    try {
+        const disposition = req.models.DocumentDisposition.findWithDetails(req.params.id);
+        if (!disposition || !req.models.hasProjectAccess(req.user.id, disposition.project_id)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Disposition not found' });
+        }
+
+        res.json({ disposition });
+    } catch (error) {
+        console.error('Error fetching disposition:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Approve destruction: permanently delete the document and record the certificate of destruction
+router.post('/dispositions/:id/destroy', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.RETENTION_MANAGE]), async (req, res) => {
+    try {
+        const disposition = req.models.DocumentDisposition.findWithDetails(req.params.id);
+        if (!disposition || !req.models.hasProjectAccess(req.user.id, disposition.project_id)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Disposition not found' });
+        }
+
+        const { error, value } = reviewSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const destroyed = await RetentionService.destroy(disposition, req.user.id, value.notes || null, req.ip);
+
+        res.json({ success: true, message: 'Document destroyed', disposition: destroyed });
+    } catch (error) {
+        console.error('Error destroying document:', error);
+        res.status(error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message, code: error.code });
+    }
+});
+
+// Keep the document past its retention period (optionally until a date, when it is flagged again)
+router.post('/dispositions/:id/retain', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.RETENTION_MANAGE]), (req, res) => {
+    try {
+        const disposition = req.models.DocumentDisposition.findWithDetails(req.params.id);
+        if (!disposition || !req.models.hasProjectAccess(req.user.id, disposition.project_id)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Disposition not found' });
+        }
+
+        if (disposition.status !== DISPOSITION_STATUS.PENDING) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: `Disposition is already ${disposition.status}` });
+        }
+
+        const { error, value } = reviewSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const retainUntil = value.retain_until ? value.retain_until.toISOString().slice(0, 10) : null;
+        const retained = req.models.DocumentDisposition.markRetained(disposition.id, req.user.id, value.notes || null, retainUntil);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'documents', disposition.document_id,
+            `Retained document past its retention period${retainUntil ? ` until ${retainUntil}` : ''}${value.notes ? `: ${value.notes}` : ''}`, req.ip);
+
+        res.json({ success: true, disposition: retained });
+    } catch (error) {
+        console.error('Error retaining document:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Global policies are admin-only; project policies need access to the project
+function canManagePolicy(req, policy) {
+    return policy.project_id
+        ? req.models.hasProjectAccess(req.user.id, policy.project_id)
+        : req.models.isAdmin(req.user.id);
+}
+
+// Check project access, scope uniqueness and the trigger field; returns { status, message } or null
+async function validatePolicyScope(req, { project_id, document_type, trigger_field }, excludeId = null) {
+    if (!canManagePolicy(req, { project_id })) {
+        return project_id
+            ? { status: HTTP_STATUS.FORBIDDEN, message: 'Access denied to specified project' }
+            : { status: HTTP_STATUS.FORBIDDEN, message: 'Only administrators can manage policies for all projects' };
+    }
+
+    if (project_id && !(await req.models.Project.findOne({ where: { id: project_id } }))) {
+        return { status: HTTP_STATUS.BAD_REQUEST, message: 'Project not found' };
+    }
+
+    const duplicate = req.models.RetentionPolicy.findByScope(project_id, document_type || null, excludeId);
+    if (duplicate) {
+        return { status: HTTP_STATUS.CONFLICT, message: `Policy "${duplicate.name}" already covers this project and document type` };
+    }
+
+    if (trigger_field && !req.models.RetentionPolicy.isDateField(trigger_field, project_id)) {
+        return { status: HTTP_STATUS.BAD_REQUEST, message: `"${trigger_field}" is not a date index field` };
+    }
+
+    return null;
+}
+
+module.exports = router;
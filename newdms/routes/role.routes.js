@@ -3,7 +3,6 @@ const express = require('express');
 const Joi = require('joi');
 const { AuthService, AuditService } = require('../services');
 const { 
-    authRateLimit, 
     validateRequired, 
     auditLogger, 
     asyncHandler 
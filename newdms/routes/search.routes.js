@@ -1,239 +1,87 @@
 // newdms/routes/searchRoutes.js
 const express = require('express');
-const { AuthService } = require('../services');
-const { HTTP_STATUS, PERMISSIONS } = require('../config/constants');
+const Joi = require('joi');
+const { AuthService, OCRService, SearchQueryService } = require('../services');
+const {
+    HTTP_STATUS,
+    PERMISSIONS,
+    SEARCH_SORT,
+    SEARCH_HISTORY_CONFIG,
+    ALERT_FREQUENCY,
+    PII_TYPES
+} = require('../config/constants');
 const { asyncHandler } = require('../middleware');
 
 const router = express.Router();
 
+// Any of these allows searching; SEARCH_* decide which query features are available
+const SEARCH_PERMISSIONS = [
+    PERMISSIONS.SEARCH_BASIC,
+    PERMISSIONS.SEARCH_ADVANCED,
+    PERMISSIONS.SEARCH_FULLTEXT,
+    PERMISSIONS.ADMIN_ACCESS
+];
+
+// Validation schemas
+const savedSearchFiltersSchema = Joi.object({
+    project_id: Joi.number().integer().positive().optional(),
+    document_type: Joi.string().max(100).optional(),
+    created_by: Joi.alternatives(Joi.number().integer().positive(), Joi.string().max(100)).optional(),
+    created_from: Joi.string().max(10).optional(),
+    created_to: Joi.string().max(10).optional(),
+    tag: Joi.alternatives(Joi.array().items(Joi.string().max(50)), Joi.string().max(50)).optional(),
+    folder_id: Joi.number().integer().positive().optional(),
+    related_to: Joi.number().integer().positive().optional(),
+    pii: Joi.string().valid('any', ...Object.values(PII_TYPES)).optional(),
+    facet_filters: Joi.object().optional()
+});
+
+const savedSearchSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    query: Joi.string().trim().max(1000).allow('').default(''),
+    filters: savedSearchFiltersSchema.default({}),
+    sort: Joi.string().valid(...Object.values(SEARCH_SORT)).default(SEARCH_SORT.RELEVANCE),
+    share_with_role: Joi.boolean().default(false)
+});
+
+const updateSavedSearchSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    query: Joi.string().trim().max(1000).allow('').optional(),
+    filters: savedSearchFiltersSchema.optional(),
+    sort: Joi.string().valid(...Object.values(SEARCH_SORT)).optional(),
+    share_with_role: Joi.boolean().optional()
+});
+
+const subscriptionSchema = Joi.object({
+    frequency: Joi.string().valid(...Object.values(ALERT_FREQUENCY)).default(ALERT_FREQUENCY.IMMEDIATE),
+    email_enabled: Joi.boolean().default(true),
+    active: Joi.boolean().default(true)
+});
+
 /**
  * GET /api/search
- * Full-text search across documents
+ * Full-text search across documents.
+ * q uses the search query language (see SearchQueryService); document_type, created_by,
+ * created_from, created_to, tag (repeatable), folder_id (includes subfolders), related_to
+ * (documents related to that document) and pii (any, or a PII type: documents with personal data
+ * found in their pages) narrow the results like the matching filters in q.
+ * facet_filters is a JSON object of facet values to drill down on, e.g.
+ * {"project": [1], "created_month": ["2024-03"], "fields": {"status": ["Open"]}}
+ * sort is relevance (default), newest, oldest or title.
  */
 router.get('/',
     AuthService.authenticateToken,
-    AuthService.authorize([PERMISSIONS.DOCUMENT_VIEW, PERMISSIONS.ADMIN_ACCESS]),
+    AuthService.authorize(SEARCH_PERMISSIONS),
     asyncHandler(async (req, res) => {
         try {
-            const { 
-                q: query,
-                project_id,
-                limit = 20,
-                offset = 0,
-                include_content = 'true'
-            } = req.query;
-
-            if (!query || query.trim().length < 2) {
-                return res.status(HTTP_STATUS.BAD_REQUEST).json({
-                    error: 'Search query must be at least 2 characters long'
-                });
-            }
-
-            const searchQuery = query.trim();
-            const searchLimit = Math.min(parseInt(limit), 100); // Max 100 results
-            const searchOffset = parseInt(offset);
-
-            // Build base where clause for user access
-            let projectAccessClause = {};
-            
-            // Check if user has admin access
-            const hasAdminAccess = req.user.permissions && req.user.permissions.includes(PERMISSIONS.ADMIN_ACCESS);
-            
-            if (!hasAdminAccess) {
-                // Regular users can only search in projects they have access to
-                const accessibleProjects = await req.models.Project.findAll({
-                    include: [{
-                        model: req.models.ProjectRole,
-                        as: 'projectRoles',
-                        where: { roleId: req.user.roleId },
-                        attributes: []
-                    }],
-                    attributes: ['id']
-                });
-                
-                const projectIds = accessibleProjects.map(p => p.id);
-                
-                if (projectIds.length === 0) {
-                    return res.json({
-                        results: [],
-                        total: 0,
-                        query: searchQuery,
-                        limit: searchLimit,
-                        offset: searchOffset
-                    });
-                }
-                
-                projectAccessClause = {
-                    project_id: { [req.models.Sequelize.Op.in]: projectIds }
-                };
-            }
-
-            // Add project filter if specified
-            if (project_id) {
-                // Verify user has access to this specific project
-                if (!hasAdminAccess) {
-                    const hasProjectAccess = await checkProjectAccess(req, project_id);
-                    if (!hasProjectAccess) {
-                        return res.status(HTTP_STATUS.FORBIDDEN).json({
-                            error: 'Access denied to specified project'
-                        });
-                    }
-                }
-                projectAccessClause.project_id = project_id;
-            }
-
-            let searchResults = [];
-            let totalCount = 0;
-
-            // Try FTS search first (if available)
-            try {
-                const ftsQuery = `
-                    SELECT 
-                        fts.document_id,
-                        fts.page_id,
-                        fts.page_number,
-                        fts.content,
-                        snippet(document_search, '[', ']') as snippet,
-                        rank as relevance,
-                        d.title as document_title,
-                        d.description as document_description,
-                        d.project_id,
-                        p.name as project_name
-                    FROM document_search fts
-                    JOIN documents d ON fts.document_id = d.id
-                    JOIN projects p ON d.project_id = p.id
-                    WHERE document_search MATCH ?
-                    ${project_id ? 'AND d.project_id = ?' : ''}
-                    ${!hasAdminAccess ? `AND d.project_id IN (${accessibleProjects.map(p => p.id).join(',')})` : ''}
-                    AND d.status = 'active'
-                    ORDER BY rank
-                    LIMIT ? OFFSET ?
-                `;
-
-                const queryParams = [searchQuery];
-                if (project_id) queryParams.push(project_id);
-                queryParams.push(searchLimit, searchOffset);
-
-                const ftsResults = await req.models.sequelize.query(ftsQuery, {
-                    replacements: queryParams,
-                    type: req.models.Sequelize.QueryTypes.SELECT
-                });
-
-                // Get total count for FTS
-                const countQuery = `
-                    SELECT COUNT(*) as total
-                    FROM document_search fts
-                    JOIN documents d ON fts.document_id = d.id
-                    WHERE document_search MATCH ?
-                    ${project_id ? 'AND d.project_id = ?' : ''}
-                    ${!hasAdminAccess ? `AND d.project_id IN (${accessibleProjects.map(p => p.id).join(',')})` : ''}
-                    AND d.status = 'active'
-                `;
-
-                const countParams = [searchQuery];
-                if (project_id) countParams.push(project_id);
-
-                const countResult = await req.models.sequelize.query(countQuery, {
-                    replacements: countParams,
-                    type: req.models.Sequelize.QueryTypes.SELECT
-                });
-
-                totalCount = countResult[0]?.total || 0;
-                searchResults = ftsResults;
-
-            } catch (ftsError) {
-                console.warn('FTS search failed, falling back to basic search:', ftsError.message);
-                
-                // Fallback to basic document title/description search
-                const whereClause = {
-                    ...projectAccessClause,
-                    status: 'active',
-                    [req.models.Sequelize.Op.or]: [
-                        { title: { [req.models.Sequelize.Op.like]: `%${searchQuery}%` } },
-                        { description: { [req.models.Sequelize.Op.like]: `%${searchQuery}%` } }
-                    ]
-                };
-
-                const { count, rows: documents } = await req.models.Document.findAndCountAll({
-                    where: whereClause,
-                    include: [
-                        {
-                            model: req.models.Project,
-                            as: 'project',
-                            attributes: ['id', 'name']
-                        },
-                        {
-                            model: req.models.DocumentPage,
-                            as: 'pages',
-                            attributes: ['id', 'pageNumber'],
-                            where: { status: 'active' },
-                            required: false,
-                            limit: 1
-                        }
-                    ],
-                    limit: searchLimit,
-                    offset: searchOffset,
-                    order: [['updatedAt', 'DESC']]
-                });
+            const { status, body } = runSearch(req, req.query);
 
-                totalCount = count;
-                
-                // Transform to match FTS result format
-                searchResults = documents.map(doc => ({
-                    document_id: doc.id,
-                    page_id: doc.pages[0]?.id || null,
-                    page_number: doc.pages[0]?.pageNumber || 1,
-                    document_title: doc.title,
-                    document_description: doc.description,
-                    project_id: doc.project.id,
-                    project_name: doc.project.name,
-                    snippet: doc.description || doc.title,
-                    relevance: 1.0,
-                    content: include_content === 'true' ? (doc.description || '') : null
-                }));
+            // Record the first page of each successful search in the user's history
+            if (status === HTTP_STATUS.OK && body.offset === 0) {
+                recordHistory(req, body);
             }
 
-            // Group results by document
-            const documentMap = new Map();
-            
-            searchResults.forEach(result => {
-                const docId = result.document_id;
-                
-                if (!documentMap.has(docId)) {
-                    documentMap.set(docId, {
-                        document_id: docId,
-                        title: result.document_title,
-                        description: result.document_description,
-                        project_id: result.project_id,
-                        project_name: result.project_name,
-                        matches: [],
-                        total_relevance: 0
-                    });
-                }
-                
-                const doc = documentMap.get(docId);
-                doc.matches.push({
-                    page_id: result.page_id,
-                    page_number: result.page_number,
-                    snippet: result.snippet,
-                    relevance: result.relevance,
-                    content: result.content
-                });
-                doc.total_relevance += result.relevance;
-            });
-
-            // Convert map to array and sort by relevance
-            const groupedResults = Array.from(documentMap.values())
-                .sort((a, b) => b.total_relevance - a.total_relevance);
-
-            res.json({
-                results: groupedResults,
-                total: totalCount,
-                query: searchQuery,
-                limit: searchLimit,
-                offset: searchOffset,
-                search_type: searchResults.length > 0 && searchResults[0].snippet ? 'fts' : 'basic'
-            });
+            res.status(status).json(body);
 
         } catch (error) {
             console.error('Search error:', error);
@@ -324,12 +172,16 @@ router.get('/recent',
     asyncHandler(async (req, res) => {
         try {
             const { limit = 10 } = req.query;
+            const historyLimit = Math.min(parseInt(limit) || 10, SEARCH_HISTORY_CONFIG.MAX_ENTRIES);
+
+            const recentSearches = req.models.SearchHistory.findByUser(req.user.id, historyLimit)
+                .map(entry => ({
+                    ...entry,
+                    filters: parseJSON(entry.filters)
+                }));
 
-            // This would typically come from a search_history table
-            // For now, return empty array as this feature needs additional implementation
             res.json({
-                recent_searches: [],
-                message: 'Recent searches feature not yet implemented'
+                recent_searches: recentSearches
             });
 
         } catch (error) {
@@ -342,31 +194,124 @@ router.get('/recent',
 );
 
 /**
- * POST /api/search/save
- * Save a search query for the user
+ * DELETE /api/search/recent
+ * Clear the user's search history
  */
-router.post('/save',
+router.delete('/recent',
     AuthService.authenticateToken,
     asyncHandler(async (req, res) => {
         try {
-            const { query, name } = req.body;
+            const deleted = req.models.SearchHistory.clear(req.user.id);
 
-            if (!query || !name) {
-                return res.status(HTTP_STATUS.BAD_REQUEST).json({
-                    error: 'Query and name are required'
+            res.json({
+                message: 'Search history cleared',
+                deleted
+            });
+
+        } catch (error) {
+            console.error('Clear search history error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to clear search history'
+            });
+        }
+    })
+);
+
+/**
+ * DELETE /api/search/recent/:id
+ * Remove one entry from the user's search history
+ */
+router.delete('/recent/:id',
+    AuthService.authenticateToken,
+    asyncHandler(async (req, res) => {
+        try {
+            const deleted = req.models.SearchHistory.deleteEntry(req.user.id, req.params.id);
+
+            if (!deleted) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    error: 'Search history entry not found'
                 });
             }
 
-            // This would typically save to a saved_searches table
-            // For now, return success message as this feature needs additional implementation
             res.json({
+                message: 'Search history entry removed'
+            });
+
+        } catch (error) {
+            console.error('Delete search history entry error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to remove search history entry'
+            });
+        }
+    })
+);
+
+/**
+ * GET /api/search/saved
+ * List the user's saved searches and those shared with their role
+ */
+router.get('/saved',
+    AuthService.authenticateToken,
+    AuthService.authorize(SEARCH_PERMISSIONS),
+    asyncHandler(async (req, res) => {
+        try {
+            const savedSearches = req.models.SavedSearch.findVisible(req.user.id, req.user.role_id)
+                .map(saved => formatSavedSearch(saved, req.user.id));
+
+            res.json({
+                saved_searches: savedSearches
+            });
+
+        } catch (error) {
+            console.error('List saved searches error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to get saved searches'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/search/saved
+ * Save a named search (POST /api/search/save is kept for older clients)
+ */
+router.post(['/saved', '/save'],
+    AuthService.authenticateToken,
+    AuthService.authorize(SEARCH_PERMISSIONS),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = savedSearchSchema.validate(req.body);
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const validationError = validateSavedSearch(value);
+            if (validationError) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json(validationError);
+            }
+
+            if (req.models.SavedSearch.findByName(req.user.id, value.name)) {
+                return res.status(HTTP_STATUS.CONFLICT).json({
+                    error: 'A saved search with this name already exists'
+                });
+            }
+
+            const saved = req.models.SavedSearch.createSearch({
+                userId: req.user.id,
+                name: value.name,
+                query: value.query,
+                filters: value.filters,
+                sort: value.sort,
+                sharedRoleId: value.share_with_role ? req.user.role_id : null
+            });
+
+            console.log(`💾 Saved search "${value.name}" for user ${req.user.id}`);
+
+            res.status(HTTP_STATUS.CREATED).json({
                 message: 'Search saved successfully',
-                saved_search: {
-                    id: Date.now(), // Temporary ID
-                    name,
-                    query,
-                    created_at: new Date()
-                }
+                saved_search: formatSavedSearch(saved, req.user.id)
             });
 
         } catch (error) {
@@ -379,23 +324,519 @@ router.post('/save',
 );
 
 /**
- * Helper function to check project access
+ * GET /api/search/saved/:id
+ * Get a saved search
+ */
+router.get('/saved/:id',
+    AuthService.authenticateToken,
+    AuthService.authorize(SEARCH_PERMISSIONS),
+    asyncHandler(async (req, res) => {
+        try {
+            const saved = req.models.SavedSearch.findVisibleById(req.params.id, req.user.id, req.user.role_id);
+
+            if (!saved) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    error: 'Saved search not found'
+                });
+            }
+
+            res.json({
+                saved_search: formatSavedSearch(saved, req.user.id)
+            });
+
+        } catch (error) {
+            console.error('Get saved search error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to get saved search'
+            });
+        }
+    })
+);
+
+/**
+ * PUT /api/search/saved/:id
+ * Update a saved search (owner only)
+ */
+router.put('/saved/:id',
+    AuthService.authenticateToken,
+    AuthService.authorize(SEARCH_PERMISSIONS),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = updateSavedSearchSchema.validate(req.body);
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const saved = req.models.SavedSearch.findVisibleById(req.params.id, req.user.id, req.user.role_id);
+            if (!saved) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    error: 'Saved search not found'
+                });
+            }
+
+            if (saved.user_id !== req.user.id) {
+                return res.status(HTTP_STATUS.FORBIDDEN).json({
+                    error: 'Only the owner can change a saved search'
+                });
+            }
+
+            const validationError = validateSavedSearch({
+                query: value.query !== undefined ? value.query : saved.query,
+                filters: value.filters !== undefined ? value.filters : parseJSON(saved.filters)
+            });
+            if (validationError) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json(validationError);
+            }
+
+            if (value.name && value.name !== saved.name && req.models.SavedSearch.findByName(req.user.id, value.name)) {
+                return res.status(HTTP_STATUS.CONFLICT).json({
+                    error: 'A saved search with this name already exists'
+                });
+            }
+
+            const updated = req.models.SavedSearch.updateSearch(saved.id, {
+                name: value.name,
+                query: value.query,
+                filters: value.filters,
+                sort: value.sort,
+                sharedRoleId: value.share_with_role === undefined
+                    ? undefined
+                    : (value.share_with_role ? req.user.role_id : null)
+            });
+
+            res.json({
+                message: 'Saved search updated successfully',
+                saved_search: formatSavedSearch(updated, req.user.id)
+            });
+
+        } catch (error) {
+            console.error('Update saved search error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to update saved search'
+            });
+        }
+    })
+);
+
+/**
+ * DELETE /api/search/saved/:id
+ * Delete a saved search (owner only)
+ */
+router.delete('/saved/:id',
+    AuthService.authenticateToken,
+    AuthService.authorize(SEARCH_PERMISSIONS),
+    asyncHandler(async (req, res) => {
+        try {
+            const saved = req.models.SavedSearch.findVisibleById(req.params.id, req.user.id, req.user.role_id);
+            if (!saved) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    error: 'Saved search not found'
+                });
+            }
+
+            if (saved.user_id !== req.user.id) {
+                return res.status(HTTP_STATUS.FORBIDDEN).json({
+                    error: 'Only the owner can delete a saved search'
+                });
+            }
+
+            req.models.SavedSearch.deleteSearch(saved.id);
+
+            res.json({
+                message: 'Saved search deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Delete saved search error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to delete saved search'
+            });
+        }
+    })
+);
+
+/**
+ * POST /api/search/saved/:id/run
+ * Re-run a saved search with the current user's permissions and project access.
+ * Body may override limit, offset and the include_* options.
+ */
+router.post('/saved/:id/run',
+    AuthService.authenticateToken,
+    AuthService.authorize(SEARCH_PERMISSIONS),
+    asyncHandler(async (req, res) => {
+        try {
+            const saved = req.models.SavedSearch.findVisibleById(req.params.id, req.user.id, req.user.role_id);
+            if (!saved) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    error: 'Saved search not found'
+                });
+            }
+
+            const { limit, offset, include_content, include_highlights, include_facets, facet_limit } = req.body || {};
+            const overrides = { limit, offset, include_content, include_highlights, include_facets, facet_limit };
+            Object.keys(overrides).forEach(key => {
+                if (overrides[key] === undefined) {
+                    delete overrides[key];
+                } else {
+                    overrides[key] = String(overrides[key]);
+                }
+            });
+
+            const { status, body } = runSearch(req, {
+                ...(parseJSON(saved.filters) || {}),
+                q: saved.query,
+                sort: saved.sort || SEARCH_SORT.RELEVANCE,
+                ...overrides
+            });
+
+            if (status === HTTP_STATUS.OK) {
+                req.models.SavedSearch.markRun(saved.id);
+                if (body.offset === 0) {
+                    recordHistory(req, body);
+                }
+                body.saved_search = formatSavedSearch(saved, req.user.id);
+            }
+
+            res.status(status).json(body);
+
+        } catch (error) {
+            console.error('Run saved search error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to run saved search'
+            });
+        }
+    })
+);
+
+/**
+ * GET /api/search/subscriptions
+ * List the user's saved search alert subscriptions
+ */
+router.get('/subscriptions',
+    AuthService.authenticateToken,
+    AuthService.authorize(SEARCH_PERMISSIONS),
+    asyncHandler(async (req, res) => {
+        try {
+            const subscriptions = req.models.SearchSubscription.findByUser(req.user.id)
+                .map(formatSubscription);
+
+            res.json({
+                subscriptions
+            });
+
+        } catch (error) {
+            console.error('List subscriptions error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to get subscriptions'
+            });
+        }
+    })
+);
+
+/**
+ * PUT /api/search/saved/:id/subscription
+ * Subscribe to alerts for a saved search (own or shared), or change the subscription.
+ * Matches always create in-app notifications; email is sent immediately or as an hourly/daily digest.
  */
-async function checkProjectAccess(req, projectId) {
-    // Admin users have access to all projects
-    if (req.user.permissions && req.user.permissions.includes(PERMISSIONS.ADMIN_ACCESS)) {
-        return true;
+router.put('/saved/:id/subscription',
+    AuthService.authenticateToken,
+    AuthService.authorize(SEARCH_PERMISSIONS),
+    asyncHandler(async (req, res) => {
+        try {
+            const { error, value } = subscriptionSchema.validate(req.body || {});
+            if (error) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    error: error.details[0].message
+                });
+            }
+
+            const saved = req.models.SavedSearch.findVisibleById(req.params.id, req.user.id, req.user.role_id);
+            if (!saved) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    error: 'Saved search not found'
+                });
+            }
+
+            const existing = req.models.SearchSubscription.findForSavedSearch(saved.id, req.user.id);
+            const subscription = req.models.SearchSubscription.upsert(saved.id, req.user.id, {
+                frequency: value.frequency,
+                emailEnabled: value.email_enabled,
+                active: value.active
+            });
+
+            console.log(`🔔 User ${req.user.id} ${existing ? 'updated' : 'subscribed to'} saved search ${saved.id} (${value.frequency})`);
+
+            res.status(existing ? HTTP_STATUS.OK : HTTP_STATUS.CREATED).json({
+                message: existing ? 'Subscription updated' : 'Subscribed to saved search',
+                subscription: formatSubscription(subscription)
+            });
+
+        } catch (error) {
+            console.error('Subscribe error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to update subscription'
+            });
+        }
+    })
+);
+
+/**
+ * DELETE /api/search/saved/:id/subscription
+ * Unsubscribe from a saved search
+ */
+router.delete('/saved/:id/subscription',
+    AuthService.authenticateToken,
+    asyncHandler(async (req, res) => {
+        try {
+            const deleted = req.models.SearchSubscription.deleteForSavedSearch(req.params.id, req.user.id);
+
+            if (!deleted) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    error: 'Subscription not found'
+                });
+            }
+
+            res.json({
+                message: 'Unsubscribed from saved search'
+            });
+
+        } catch (error) {
+            console.error('Unsubscribe error:', error);
+            res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+                error: 'Failed to unsubscribe'
+            });
+        }
+    })
+);
+
+/**
+ * Helper function to shape a subscription for responses
+ */
+function formatSubscription(subscription) {
+    return {
+        id: subscription.id,
+        saved_search_id: subscription.saved_search_id,
+        saved_search_name: subscription.saved_search_name,
+        frequency: subscription.frequency,
+        email_enabled: !!subscription.email_enabled,
+        active: !!subscription.active,
+        last_matched_at: subscription.last_matched_at,
+        last_emailed_at: subscription.last_emailed_at,
+        created_at: subscription.created_at,
+        updated_at: subscription.updated_at
+    };
+}
+
+/**
+ * Helper function to check a saved search's query and facet filters.
+ * Returns a response body for invalid input, or null.
+ */
+function validateSavedSearch({ query, filters }) {
+    if (query) {
+        try {
+            SearchQueryService.parse(query);
+        } catch (error) {
+            if (error.code === 'SEARCH_SYNTAX_ERROR') {
+                return { error: error.message, code: error.code, position: error.position };
+            }
+            throw error;
+        }
+    } else if (Object.keys(filters || {}).length === 0) {
+        return { error: 'A saved search needs a query or at least one filter' };
     }
 
-    // Check if user's role is assigned to this project
-    const projectRole = await req.models.ProjectRole.findOne({
-        where: {
-            projectId: projectId,
-            roleId: req.user.roleId
+    try {
+        SearchQueryService.parseFacetFilters(filters && filters.facet_filters);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    return null;
+}
+
+/**
+ * Helper function to shape a saved search for responses
+ */
+function formatSavedSearch(saved, userId) {
+    return {
+        id: saved.id,
+        name: saved.name,
+        query: saved.query,
+        filters: parseJSON(saved.filters) || {},
+        sort: saved.sort,
+        owner_id: saved.user_id,
+        owner_name: saved.owner_name,
+        is_owner: saved.user_id === userId,
+        shared_role_id: saved.shared_role_id,
+        shared_role_name: saved.shared_role_name,
+        last_run_at: saved.last_run_at,
+        created_at: saved.created_at,
+        updated_at: saved.updated_at
+    };
+}
+
+/**
+ * Helper function to parse a JSON column, returning null when empty or invalid
+ */
+function parseJSON(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Helper function to run a search for the requesting user.
+ * params has the GET /api/search query parameters; returns the response status and body.
+ */
+function runSearch(req, params) {
+    const {
+        limit = 20,
+        offset = 0,
+        include_content = 'true',
+        include_highlights = 'true',
+        include_facets = 'true',
+        facet_limit = 20
+    } = params;
+
+    let prepared;
+    try {
+        prepared = SearchQueryService.buildSearch(req.models, req.user, params);
+    } catch (error) {
+        if (error.status) {
+            return {
+                status: error.status,
+                body: { error: error.message, code: error.code, position: error.position }
+            };
+        }
+        throw error;
+    }
+
+    const { searchQuery, sort } = prepared;
+    const searchLimit = Math.min(parseInt(limit) || 20, 100); // Max 100 results
+    const searchOffset = parseInt(offset) || 0;
+
+    const searchOptions = {
+        ...prepared.options,
+        limit: searchLimit,
+        offset: searchOffset,
+        includeContent: include_content === 'true' &&
+            AuthService.userHasPermission(req.user, PERMISSIONS.SEARCH_FULLTEXT)
+    };
+
+    const { results: searchResults, total: totalCount } = req.models.SearchIndex.search(searchOptions);
+    const facets = include_facets === 'true'
+        ? req.models.SearchIndex.facets(searchOptions, Math.min(parseInt(facet_limit) || 20, 100))
+        : undefined;
+
+    // Group results by document
+    const documentMap = new Map();
+    
+    searchResults.forEach(result => {
+        const docId = result.document_id;
+        
+        if (!documentMap.has(docId)) {
+            documentMap.set(docId, {
+                document_id: docId,
+                title: result.document_title,
+                description: result.document_description,
+                project_id: result.project_id,
+                project_name: result.project_name,
+                matches: [],
+                total_relevance: 0
+            });
         }
+        
+        const doc = documentMap.get(docId);
+        doc.matches.push({
+            page_id: result.page_id,
+            page_number: result.page_number,
+            snippet: result.snippet,
+            relevance: result.relevance,
+            content: result.content,
+            highlights: include_highlights === 'true' && result.page_id && searchQuery
+                ? getPageHighlights(req, result.page_id, searchQuery)
+                : []
+        });
+        doc.total_relevance += result.relevance;
     });
 
-    return !!projectRole;
+    // Convert map to array; other sort orders keep the order of the first match
+    const groupedResults = Array.from(documentMap.values());
+    if (sort === SEARCH_SORT.RELEVANCE) {
+        groupedResults.sort((a, b) => b.total_relevance - a.total_relevance);
+    }
+
+    return {
+        status: HTTP_STATUS.OK,
+        body: {
+            results: groupedResults,
+            total: totalCount,
+            query: searchQuery,
+            filters: pickSearchFilters(params),
+            sort,
+            limit: searchLimit,
+            offset: searchOffset,
+            facets,
+            facet_filters: prepared.options.facetFilters,
+            search_type: 'fts'
+        }
+    };
+}
+
+/**
+ * Helper function to pick the saved/recorded filter parameters of a search
+ */
+function pickSearchFilters(params) {
+    const filters = {};
+    ['project_id', 'document_type', 'created_by', 'created_from', 'created_to', 'tag', 'folder_id', 'related_to', 'pii'].forEach(key => {
+        if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+            filters[key] = params[key];
+        }
+    });
+    return filters;
+}
+
+/**
+ * Helper function to add a search to the user's capped history
+ */
+function recordHistory(req, body) {
+    try {
+        const filters = { ...body.filters };
+        if (Object.keys(body.facet_filters).length > 0) {
+            filters.facet_filters = body.facet_filters;
+        }
+        if (body.sort !== SEARCH_SORT.RELEVANCE) {
+            filters.sort = body.sort;
+        }
+
+        req.models.SearchHistory.record(req.user.id, {
+            query: body.query,
+            filters: Object.keys(filters).length > 0 ? filters : null,
+            resultCount: body.total
+        }, SEARCH_HISTORY_CONFIG.MAX_ENTRIES);
+    } catch (error) {
+        console.warn('Failed to record search history:', error.message);
+    }
+}
+
+/**
+ * Helper function to get hit rectangles for a page from its stored OCR layout
+ */
+function getPageHighlights(req, pageId, query) {
+    try {
+        const layout = req.models.DocumentPage.getOCRLayout(pageId);
+        return OCRService.findHighlights(layout, query);
+    } catch (error) {
+        console.warn(`Failed to get highlights for page ${pageId}:`, error.message);
+        return [];
+    }
 }
 
 module.exports = router;
\ No newline at end of file
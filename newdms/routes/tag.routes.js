@@ -0,0 +1,156 @@
+// newdms/routes/tag.routes.js
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+
+const { HTTP_STATUS, PERMISSIONS, AUDIT_ACTIONS, STATUS } = require('../config/constants');
+const { AuthService, AuditService } = require('../services');
+
+// Validation schemas
+const tagNameSchema = Joi.string().trim().min(1).max(50);
+const tagColorSchema = Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/);
+
+const listTagsSchema = Joi.object({
+    project_id: Joi.number().integer().positive().optional(),
+    // Autocomplete: tags starting with q, most used first
+    q: Joi.string().trim().max(50).optional().allow(''),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+const createTagSchema = Joi.object({
+    project_id: Joi.number().integer().positive().required(),
+    name: tagNameSchema.required(),
+    color: tagColorSchema.default('#667eea')
+});
+
+const updateTagSchema = Joi.object({
+    name: tagNameSchema.optional(),
+    color: tagColorSchema.optional()
+}).min(1);
+
+// List tags of the accessible projects (?project_id, ?q for autocomplete)
+router.get('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_VIEW]), (req, res) => {
+    try {
+        const { error, value } = listTagsSchema.validate(req.query);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        if (value.project_id && !req.models.hasProjectAccess(req.user.id, value.project_id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to specified project' });
+        }
+
+        const tags = req.models.Tag.findAllTags({
+            projectIds: req.models.getAccessibleProjectIds(req.user.id),
+            projectId: value.project_id,
+            search: value.q,
+            limit: value.limit
+        });
+
+        res.json({ tags });
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Create a tag in a project
+router.post('/', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), async (req, res) => {
+    try {
+        const { error, value } = createTagSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        const project = await req.models.Project.findOne({ where: { id: value.project_id } });
+        if (!project || project.status !== STATUS.ACTIVE) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Project not found' });
+        }
+
+        if (!req.models.hasProjectAccess(req.user.id, project.id)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        }
+
+        if (req.models.Tag.findByName(project.id, value.name)) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: `Tag "${value.name}" already exists in this project` });
+        }
+
+        const tag = req.models.Tag.createTag({
+            projectId: project.id,
+            name: value.name,
+            color: value.color,
+            createdBy: req.user.id
+        });
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.CREATE, 'tags', tag.id,
+            `Created tag "${tag.name}" in project ${project.name}`, req.ip);
+
+        res.status(HTTP_STATUS.CREATED).json({ tag });
+    } catch (error) {
+        console.error('Error creating tag:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Rename or recolor a tag
+router.put('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const tag = findAccessibleTag(req, res);
+        if (!tag) return;
+
+        const { error, value } = updateTagSchema.validate(req.body);
+        if (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.details[0].message });
+        }
+
+        if (value.name && req.models.Tag.findByName(tag.project_id, value.name, tag.id)) {
+            return res.status(HTTP_STATUS.CONFLICT).json({ error: `Tag "${value.name}" already exists in this project` });
+        }
+
+        const updated = req.models.Tag.updateTag(tag.id, value);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.UPDATE, 'tags', tag.id,
+            `Updated tag "${tag.name}"${value.name && value.name !== tag.name ? ` (renamed to "${value.name}")` : ''}`, req.ip);
+
+        res.json({ tag: updated });
+    } catch (error) {
+        console.error('Error updating tag:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Delete a tag; documents keep everything else
+router.delete('/:id', AuthService.authenticateToken, AuthService.authorize([PERMISSIONS.DOCUMENT_EDIT]), (req, res) => {
+    try {
+        const tag = findAccessibleTag(req, res);
+        if (!tag) return;
+
+        req.models.Tag.deleteTag(tag.id);
+
+        AuditService.createAuditLog(req.models, req.user.id, AUDIT_ACTIONS.DELETE, 'tags', tag.id,
+            `Deleted tag "${tag.name}" from project ${tag.project_name} (removed from ${tag.document_count} document(s))`, req.ip);
+
+        res.json({ success: true, message: 'Tag deleted', documents_untagged: tag.document_count });
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: error.message });
+    }
+});
+
+// Get the tag named by :id if the user can access its project; responds 404/403 and returns null otherwise
+function findAccessibleTag(req, res) {
+    const tag = req.models.Tag.findWithDetails(req.params.id);
+    if (!tag) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Tag not found' });
+        return null;
+    }
+
+    if (!req.models.hasProjectAccess(req.user.id, tag.project_id)) {
+        res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied to this project' });
+        return null;
+    }
+
+    return tag;
+}
+
+module.exports = router;
@@ -5,7 +5,6 @@ const { AuditService } = require('../services');
 const { 
     authenticateJWT, 
     requirePermission, 
-    requireAdmin,
     validateRequired, 
     validateId,
     validatePagination,
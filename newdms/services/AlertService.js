@@ -0,0 +1,289 @@
+// newdms/services/AlertService.js
+const {
+    ALERT_POLL_INTERVAL,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_USER,
+    SMTP_PASS,
+    SMTP_SECURE,
+    SMTP_FROM
+} = require('../config/environment');
+const {
+    ALERT_FREQUENCY,
+    ALERT_CONFIG,
+    NOTIFICATION_TYPES,
+    EMAIL_STATUS,
+    SEARCH_SORT
+} = require('../config/constants');
+const SearchQueryService = require('./SearchQueryService');
+
+/**
+ * Saved search alerts. Triggers queue pages when they are added or get new OCR text;
+ * each pass checks the queued pages against every active subscription, adds in-app
+ * notifications and sends email right away or as hourly/daily digests.
+ */
+class AlertService {
+    constructor() {
+        this.models = null;
+        this.isInitialized = false;
+        this.isRunning = false;
+        this.isProcessing = false;
+        this.pollTimer = null;
+        this.transporter = null;
+    }
+
+    /**
+     * Initialize alert service with database models
+     */
+    async initialize(models) {
+        try {
+            this.models = models;
+            this.isInitialized = true;
+            this.start();
+            console.log(`✅ AlertService initialized - email ${this.isEmailEnabled() ? `via ${SMTP_HOST}` : 'disabled (no SMTP_HOST)'}`);
+            return true;
+        } catch (error) {
+            console.error('❌ AlertService initialization failed:', error);
+            throw error;
+        }
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.schedulePoll(0);
+    }
+
+    async stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    schedulePoll(delay) {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(async () => {
+            await this.runOnce();
+            if (this.isRunning) {
+                this.schedulePoll(ALERT_POLL_INTERVAL);
+            }
+        }, delay);
+    }
+
+    /**
+     * Process the alert queue and send due digests
+     */
+    async runOnce() {
+        if (!this.isInitialized || this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            await this.processQueue();
+            await this.sendDueDigests();
+        } catch (error) {
+            console.error('❌ Saved search alert pass failed:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Check queued pages against subscriptions until the queue is empty
+     * @returns {number} Notifications created
+     */
+    async processQueue() {
+        let created = 0;
+        let pageIds;
+
+        while ((pageIds = this.models.SearchSubscription.dequeuePages(ALERT_CONFIG.QUEUE_BATCH_SIZE)).length > 0) {
+            const subscriptions = this.models.SearchSubscription.findActive();
+
+            for (const subscription of subscriptions) {
+                const notifications = this.evaluate(subscription, pageIds);
+                created += notifications.length;
+
+                if (subscription.frequency === ALERT_FREQUENCY.IMMEDIATE) {
+                    await this.sendEmail(subscription, notifications.filter(notification =>
+                        notification.email_status === EMAIL_STATUS.PENDING));
+                }
+            }
+        }
+
+        if (created > 0) {
+            console.log(`🔔 Created ${created} saved search notification(s)`);
+        }
+        return created;
+    }
+
+    /**
+     * Run a subscription's saved search over the given pages, with the subscriber's own
+     * permissions and project access, and add one notification per newly matching document
+     * @returns {Array} Created notifications
+     */
+    evaluate(subscription, pageIds) {
+        const user = {
+            id: subscription.user_id,
+            permissions: parseJSON(subscription.permissions) || []
+        };
+
+        let prepared;
+        try {
+            prepared = SearchQueryService.buildSearch(this.models, user, {
+                ...(parseJSON(subscription.filters) || {}),
+                q: subscription.query
+            });
+        } catch (error) {
+            // e.g. the subscriber lost a permission the saved search needs
+            console.warn(`⚠️ Skipping subscription ${subscription.id}: ${error.message}`);
+            return [];
+        }
+
+        const { results } = this.models.SearchIndex.search({
+            ...prepared.options,
+            conditions: [...prepared.options.conditions, `f.rowid IN (${pageIds.map(() => '?').join(', ')})`],
+            params: [...prepared.options.params, ...pageIds],
+            sort: SEARCH_SORT.NEWEST,
+            limit: ALERT_CONFIG.MAX_MATCHES,
+            offset: 0
+        });
+
+        // Group matching pages by document
+        const documents = new Map();
+        results.forEach(result => {
+            if (!documents.has(result.document_id)) {
+                documents.set(result.document_id, { ...result, pages: [] });
+            }
+            documents.get(result.document_id).pages.push({ page_id: result.page_id, page_number: result.page_number });
+        });
+
+        const emailStatus = !subscription.email_enabled
+            ? null
+            : (this.isEmailEnabled() && subscription.email ? EMAIL_STATUS.PENDING : EMAIL_STATUS.SKIPPED);
+
+        const notifications = [];
+        documents.forEach(document => {
+            const pageNumbers = document.pages.map(page => page.page_number).sort((a, b) => a - b);
+            const notification = this.models.Notification.createNotification({
+                userId: subscription.user_id,
+                type: NOTIFICATION_TYPES.SEARCH_ALERT,
+                title: `New match for "${subscription.saved_search_name}"`,
+                message: `"${document.document_title}"${document.project_name ? ` in ${document.project_name}` : ''} matches on page${pageNumbers.length > 1 ? 's' : ''} ${pageNumbers.join(', ')}`,
+                data: {
+                    saved_search_id: subscription.saved_search_id,
+                    saved_search_name: subscription.saved_search_name,
+                    document_id: document.document_id,
+                    document_title: document.document_title,
+                    project_id: document.project_id,
+                    project_name: document.project_name,
+                    pages: document.pages,
+                    snippet: document.snippet
+                },
+                subscriptionId: subscription.id,
+                documentId: document.document_id,
+                emailStatus
+            });
+
+            if (notification) {
+                notifications.push(notification);
+            }
+        });
+
+        if (notifications.length > 0) {
+            this.models.SearchSubscription.markMatched(subscription.id);
+        }
+
+        return notifications;
+    }
+
+    /**
+     * Send hourly/daily digests whose period has passed
+     */
+    async sendDueDigests() {
+        const now = Date.now();
+        const subscriptions = this.models.SearchSubscription.findWithPendingEmail(EMAIL_STATUS.PENDING);
+
+        for (const subscription of subscriptions) {
+            const interval = ALERT_CONFIG.DIGEST_INTERVALS[subscription.frequency] || 0;
+            // The first digest goes out one period after subscribing
+            const periodStart = subscription.last_emailed_at || subscription.created_at;
+            const periodStartTime = new Date(`${periodStart.replace(' ', 'T')}Z`).getTime();
+
+            if (now - periodStartTime >= interval) {
+                const notifications = this.models.Notification.findByEmailStatus(subscription.id, EMAIL_STATUS.PENDING);
+                await this.sendEmail(subscription, notifications);
+            }
+        }
+    }
+
+    /**
+     * Email a batch of notifications for a subscription
+     */
+    async sendEmail(subscription, notifications) {
+        const ids = notifications.map(notification => notification.id);
+        if (ids.length === 0) return;
+
+        if (!this.isEmailEnabled() || !subscription.email) {
+            this.models.Notification.setEmailStatus(ids, EMAIL_STATUS.SKIPPED);
+            return;
+        }
+
+        const isDigest = subscription.frequency !== ALERT_FREQUENCY.IMMEDIATE;
+        const count = notifications.length;
+        const subject = `${isDigest ? `${subscription.frequency === ALERT_FREQUENCY.HOURLY ? 'Hourly' : 'Daily'} digest: ` : ''}` +
+            `${count} new match${count > 1 ? 'es' : ''} for "${subscription.saved_search_name}"`;
+
+        const lines = notifications.map(notification => {
+            const data = parseJSON(notification.data) || {};
+            return `- ${notification.message} (document ${data.document_id})${data.snippet ? `\n  ${data.snippet}` : ''}`;
+        });
+
+        try {
+            await this.getTransporter().sendMail({
+                from: SMTP_FROM,
+                to: subscription.email,
+                subject,
+                text: `Hello ${subscription.username},\n\n` +
+                    `New documents match your saved search "${subscription.saved_search_name}":\n\n` +
+                    `${lines.join('\n')}\n\n` +
+                    'You can change or stop these alerts from your saved searches.'
+            });
+
+            this.models.Notification.setEmailStatus(ids, EMAIL_STATUS.SENT);
+            this.models.SearchSubscription.markEmailed(subscription.id);
+            console.log(`📧 Sent ${isDigest ? 'digest' : 'alert'} for subscription ${subscription.id} (${count} match(es))`);
+        } catch (error) {
+            this.models.Notification.setEmailStatus(ids, EMAIL_STATUS.FAILED);
+            console.error(`❌ Failed to email subscription ${subscription.id}:`, error.message);
+        }
+    }
+
+    isEmailEnabled() {
+        return !!SMTP_HOST;
+    }
+
+    getTransporter() {
+        if (!this.transporter) {
+            const nodemailer = require('nodemailer');
+            this.transporter = nodemailer.createTransport({
+                host: SMTP_HOST,
+                port: SMTP_PORT,
+                secure: SMTP_SECURE,
+                auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+            });
+        }
+        return this.transporter;
+    }
+}
+
+function parseJSON(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Export singleton instance
+module.exports = new AlertService();
@@ -0,0 +1,186 @@
+// newdms/services/AnnotationService.js
+const { ANNOTATION_TYPES, ANNOTATION_CONFIG } = require('../config/constants');
+
+// Average glyph width of the overlay font, as a share of its size (for wrapping text)
+const GLYPH_WIDTH = 0.55;
+const LINE_HEIGHT = 1.25;
+
+/**
+ * Drawing page annotations onto page images. All annotations of a page are rendered into one SVG the
+ * size of the image, which is composited over the pixels when annotations are burned into an export.
+ */
+class AnnotationService {
+    /**
+     * Render annotations as an SVG overlay for a page image
+     * @param {Array} annotations - Annotation rows (parsed geometry and style), in drawing order
+     * @param {Object} image - { width, height, density } of the page image in pixels and dpi
+     * @returns {Buffer} SVG document
+     */
+    static renderOverlay(annotations, { width, height, density }) {
+        const frame = { width, height, point: density / 72 };
+        const shapes = annotations.map(annotation => AnnotationService.renderAnnotation(annotation, frame)).join('\n');
+
+        return Buffer.from(
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            `${shapes}\n</svg>`
+        );
+    }
+
+    /**
+     * Render one annotation as SVG elements
+     * @param {Object} annotation - Annotation row
+     * @param {Object} frame - { width, height, point } with point the size of a point in pixels
+     * @returns {string}
+     */
+    static renderAnnotation(annotation, frame) {
+        const style = { ...ANNOTATION_CONFIG.DEFAULT_STYLES[annotation.type], ...(annotation.style || {}) };
+        const geometry = annotation.geometry;
+        const x = value => AnnotationService.round(value * frame.width);
+        const y = value => AnnotationService.round(value * frame.height);
+        const stroke = AnnotationService.round(Math.max((style.stroke_width || 1) * frame.point, 1));
+        const opacity = style.opacity !== undefined && annotation.type !== ANNOTATION_TYPES.HIGHLIGHT
+            ? ` opacity="${style.opacity}"`
+            : '';
+
+        switch (annotation.type) {
+            case ANNOTATION_TYPES.HIGHLIGHT:
+                return geometry.rects.map(rect =>
+                    `<rect x="${x(rect.x)}" y="${y(rect.y)}" width="${x(rect.width)}" height="${y(rect.height)}" ` +
+                    `fill="${style.color}" fill-opacity="${style.opacity ?? 0.4}"/>`
+                ).join('');
+
+            case ANNOTATION_TYPES.RECTANGLE:
+                return `<rect x="${x(geometry.x)}" y="${y(geometry.y)}" width="${x(geometry.width)}" height="${y(geometry.height)}" ` +
+                    `fill="none" stroke="${style.color}" stroke-width="${stroke}"${opacity}/>`;
+
+            case ANNOTATION_TYPES.INK:
+                return geometry.paths.map(points =>
+                    `<polyline points="${points.map(([px, py]) => `${x(px)},${y(py)}`).join(' ')}" fill="none" ` +
+                    `stroke="${style.color}" stroke-width="${stroke}" stroke-linecap="round" stroke-linejoin="round"${opacity}/>`
+                ).join('');
+
+            case ANNOTATION_TYPES.ARROW:
+                return AnnotationService.renderArrow(
+                    { x: x(geometry.x1), y: y(geometry.y1) }, { x: x(geometry.x2), y: y(geometry.y2) }, style.color, stroke, opacity
+                );
+
+            case ANNOTATION_TYPES.NOTE: {
+                const fontSize = style.font_size * frame.point;
+                const noteWidth = Math.min(ANNOTATION_CONFIG.NOTE_WIDTH * frame.point, frame.width - x(geometry.x));
+                const padding = fontSize * 0.5;
+                const lines = AnnotationService.wrapText(annotation.content, noteWidth - 2 * padding, fontSize);
+                const noteHeight = lines.length * fontSize * LINE_HEIGHT + 2 * padding;
+
+                return `<g${opacity}><rect x="${x(geometry.x)}" y="${y(geometry.y)}" width="${AnnotationService.round(noteWidth)}" ` +
+                    `height="${AnnotationService.round(noteHeight)}" fill="${style.color}" stroke="#9e9d24" stroke-width="${AnnotationService.round(frame.point)}"/>` +
+                    AnnotationService.renderText(lines, x(geometry.x) + padding, y(geometry.y) + padding, fontSize, '#212121') +
+                    '</g>';
+            }
+
+            case ANNOTATION_TYPES.TEXT: {
+                const fontSize = style.font_size * frame.point;
+                const maxLines = Math.max(1, Math.floor(y(geometry.height) / (fontSize * LINE_HEIGHT)));
+                const lines = AnnotationService.wrapText(annotation.content, x(geometry.width), fontSize).slice(0, maxLines);
+
+                return `<g${opacity}>${AnnotationService.renderText(lines, x(geometry.x), y(geometry.y), fontSize, style.color)}</g>`;
+            }
+
+            case ANNOTATION_TYPES.STAMP: {
+                const color = style.color || ANNOTATION_CONFIG.STAMP_COLORS[annotation.content] || '#000000';
+                const box = { x: x(geometry.x), y: y(geometry.y), width: x(geometry.width), height: y(geometry.height) };
+                const label = String(annotation.content || '').toUpperCase();
+                // Largest label that fits, leaving room for the author and date underneath
+                const labelSize = Math.min(box.height * 0.45, box.width * 0.9 / Math.max(label.length * 0.8, 1));
+                const byline = [annotation.created_by_name, String(annotation.created_at || '').slice(0, 10)].filter(Boolean).join(' · ');
+                const bylineSize = labelSize * 0.35;
+
+                return `<g${opacity}><rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="${AnnotationService.round(box.height * 0.1)}" ` +
+                    `fill="none" stroke="${color}" stroke-width="${stroke}"/>` +
+                    `<text x="${AnnotationService.round(box.x + box.width / 2)}" y="${AnnotationService.round(box.y + box.height * 0.55)}" ` +
+                    `font-family="sans-serif" font-weight="bold" font-size="${AnnotationService.round(labelSize)}" fill="${color}" ` +
+                    `text-anchor="middle">${AnnotationService.escape(label)}</text>` +
+                    (byline ? `<text x="${AnnotationService.round(box.x + box.width / 2)}" y="${AnnotationService.round(box.y + box.height * 0.85)}" ` +
+                        `font-family="sans-serif" font-size="${AnnotationService.round(bylineSize)}" fill="${color}" ` +
+                        `text-anchor="middle">${AnnotationService.escape(byline)}</text>` : '') +
+                    '</g>';
+            }
+
+            default:
+                return '';
+        }
+    }
+
+    // Line from tail to head with a filled arrowhead sized to the stroke
+    static renderArrow(tail, head, color, stroke, opacity) {
+        const angle = Math.atan2(head.y - tail.y, head.x - tail.x);
+        const length = Math.max(stroke * 4, 8);
+        const spread = Math.PI / 7;
+        const wing = side => ({
+            x: AnnotationService.round(head.x - length * Math.cos(angle + side * spread)),
+            y: AnnotationService.round(head.y - length * Math.sin(angle + side * spread))
+        });
+        const [left, right] = [wing(-1), wing(1)];
+        // The shaft stops inside the head so its end does not poke through the tip
+        const shaftEnd = {
+            x: AnnotationService.round(head.x - length * 0.8 * Math.cos(angle)),
+            y: AnnotationService.round(head.y - length * 0.8 * Math.sin(angle))
+        };
+
+        return `<g${opacity}><line x1="${tail.x}" y1="${tail.y}" x2="${shaftEnd.x}" y2="${shaftEnd.y}" stroke="${color}" ` +
+            `stroke-width="${stroke}" stroke-linecap="round"/>` +
+            `<polygon points="${head.x},${head.y} ${left.x},${left.y} ${right.x},${right.y}" fill="${color}"/></g>`;
+    }
+
+    // Lines of text from the top-left corner of their box
+    static renderText(lines, left, top, fontSize, color) {
+        const spans = lines.map((line, index) =>
+            `<tspan x="${AnnotationService.round(left)}" y="${AnnotationService.round(top + fontSize * (LINE_HEIGHT * index + 1))}">` +
+            `${AnnotationService.escape(line)}</tspan>`
+        ).join('');
+
+        return `<text font-family="sans-serif" font-size="${AnnotationService.round(fontSize)}" fill="${color}">${spans}</text>`;
+    }
+
+    // Break text into lines that fit a width (estimated from the font size); keeps the text's own line breaks
+    static wrapText(text, width, fontSize) {
+        const maxChars = Math.max(1, Math.floor(width / (fontSize * GLYPH_WIDTH)));
+        const lines = [];
+
+        String(text || '').split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                while (word.length > maxChars) {
+                    if (line) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    lines.push(word.slice(0, maxChars));
+                    word = word.slice(maxChars);
+                }
+                if (line && line.length + 1 + word.length > maxChars) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = line ? `${line} ${word}` : word;
+                }
+            });
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+module.exports = AnnotationService;
@@ -1,4 +1,5 @@
 // newdms/services/AuditService.js
+const { AUDIT_ACTIONS } = require('../config/constants');
 
 class AuditService {
     constructor() {
@@ -91,6 +92,34 @@ class AuditService {
         }
     }
 
+    /**
+     * Write a row to the audit_log table through the models helper (synchronous)
+     */
+    createAuditLog(models, userId, action, tableName, recordId, details, ipAddress = null) {
+        try {
+            return models.createAuditLog(userId, action, tableName, recordId, details, ipAddress);
+        } catch (error) {
+            console.error('❌ Failed to write audit log:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Log a file upload to a document
+     */
+    logDocumentUpload(models, userId, documentId, pageCount, fileName, ocrPerformed, ipAddress = null) {
+        return this.createAuditLog(models, userId, AUDIT_ACTIONS.UPLOAD, 'documents', documentId,
+            `Uploaded ${fileName}: ${pageCount} page(s)${ocrPerformed ? ' with OCR' : ''}`, ipAddress);
+    }
+
+    /**
+     * Log batch OCR processing of a document
+     */
+    logBatchOCR(models, userId, documentId, processedCount, totalWords, ipAddress = null) {
+        return this.createAuditLog(models, userId, AUDIT_ACTIONS.OCR, 'documents', documentId,
+            `Batch OCR processed ${processedCount} page(s), ${totalWords} words`, ipAddress);
+    }
+
     /**
      * Log authentication events
      */
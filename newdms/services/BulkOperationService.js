@@ -0,0 +1,350 @@
+// newdms/services/BulkOperationService.js
+const fs = require('fs');
+const path = require('path');
+const { JOB_MAX_ATTEMPTS } = require('../config/environment');
+const {
+    HTTP_STATUS,
+    STATUS,
+    PERMISSIONS,
+    JOB_TYPES,
+    AUDIT_ACTIONS,
+    BULK_ACTIONS,
+    BULK_ITEM_STATUS,
+    BULK_CONFIG,
+    VERSION_CHANGE_TYPES
+} = require('../config/constants');
+const FileService = require('./FileService');
+const AuditService = require('./AuditService');
+const PDFExportService = require('./pdfExportService');
+const IndexFieldService = require('./IndexFieldService');
+const SearchQueryService = require('./SearchQueryService');
+const DocumentTransferService = require('./DocumentTransferService');
+const PiiService = require('./PiiService');
+
+// Permission each action needs, the same as its single-document endpoint
+const ACTION_PERMISSIONS = {
+    [BULK_ACTIONS.DELETE]: PERMISSIONS.DOCUMENT_DELETE,
+    [BULK_ACTIONS.RESTORE]: PERMISSIONS.DOCUMENT_DELETE,
+    [BULK_ACTIONS.SET_INDEX_VALUES]: PERMISSIONS.DOCUMENT_EDIT,
+    [BULK_ACTIONS.OCR]: PERMISSIONS.DOCUMENT_OCR,
+    [BULK_ACTIONS.MOVE_PROJECT]: PERMISSIONS.DOCUMENT_EDIT,
+    [BULK_ACTIONS.ADD_TAGS]: PERMISSIONS.DOCUMENT_EDIT,
+    [BULK_ACTIONS.EXPORT]: PERMISSIONS.DOCUMENT_DOWNLOAD,
+    [BULK_ACTIONS.PII_SCAN]: PERMISSIONS.DOCUMENT_REDACT
+};
+
+const EXPORT_FILE_NAME = 'export.pdf';
+
+/**
+ * Bulk document operations, run as a background job (JOB_TYPES.BULK_OPERATION).
+ * Each document is checked on its own (project access, legal holds, check-out locks) and gets
+ * its own result, so one failure does not stop the rest. The job writes one grouped audit entry.
+ */
+class BulkOperationService {
+    /**
+     * Permission needed to queue an action
+     */
+    static getPermission(action) {
+        return ACTION_PERMISSIONS[action];
+    }
+
+    /**
+     * Ids of the documents a search finds for the user (GET /api/search parameters)
+     * @throws {Error} status 400/403 for invalid searches, or 400 when nothing or too much matches
+     */
+    static findSearchDocuments(models, user, params) {
+        const { options } = SearchQueryService.buildSearch(models, user, params);
+        const documentIds = models.SearchIndex.findDocumentIds(options, BULK_CONFIG.MAX_DOCUMENTS + 1);
+
+        if (documentIds.length === 0) {
+            throw BulkOperationService.requestError('The search matches no documents');
+        }
+        if (documentIds.length > BULK_CONFIG.MAX_DOCUMENTS) {
+            throw BulkOperationService.requestError(`The search matches more than ${BULK_CONFIG.MAX_DOCUMENTS} documents; narrow it down`);
+        }
+        return documentIds;
+    }
+
+    /**
+     * Job handler. The payload holds { action, document_ids, params, ip_address };
+     * the checkpoint keeps the results so far so a restarted job carries on with the next document.
+     * @returns {Object} { action, total, succeeded, failed, skipped, items, export }
+     */
+    static async run(models, job, context) {
+        const { payload, checkpoint } = context;
+        const { action, document_ids: documentIds, params = {} } = payload;
+        const items = checkpoint.items || [];
+        let nextIndex = checkpoint.next_index || 0;
+
+        const saveProgress = (message) => context.progress(nextIndex, documentIds.length, message, {
+            next_index: nextIndex,
+            items
+        });
+
+        saveProgress(`${action} on ${documentIds.length} document(s)`);
+
+        while (nextIndex < documentIds.length) {
+            context.throwIfInterrupted();
+
+            items.push(await BulkOperationService.runItem(models, job, action, documentIds[nextIndex], params, job.created_by));
+
+            nextIndex++;
+            saveProgress(`Document ${nextIndex} of ${documentIds.length}`);
+        }
+
+        const result = BulkOperationService.summarize(action, items);
+        if (action === BULK_ACTIONS.EXPORT) {
+            result.export = await BulkOperationService.combineExport(job, items);
+        }
+
+        BulkOperationService.audit(models, job, items);
+        return result;
+    }
+
+    /**
+     * Audit what a cancelled or failed job got done, and drop its partial export
+     */
+    static async cleanup(models, job) {
+        const current = models.Job.findById(job.id) || job;
+        const checkpoint = BulkOperationService.parseJSON(current.checkpoint) || {};
+
+        if (checkpoint.items && checkpoint.items.length > 0) {
+            BulkOperationService.audit(models, current, checkpoint.items, current.status);
+        }
+        await FileService.deleteDirectory(FileService.getExportDir(job.id));
+    }
+
+    /**
+     * Apply the action to one document
+     * @returns {Object} { document_id, title, status, error, ...action details }
+     */
+    static async runItem(models, job, action, documentId, params, userId) {
+        const document = models.Document.findById(documentId);
+        if (!document || !models.hasProjectAccess(userId, document.project_id)) {
+            return { document_id: documentId, status: BULK_ITEM_STATUS.FAILED, error: 'Document not found or access denied' };
+        }
+
+        const item = { document_id: document.id, title: document.title };
+        try {
+            const outcome = await BulkOperationService.applyAction(models, job, action, document, params, userId);
+            return { ...item, status: BULK_ITEM_STATUS.SUCCEEDED, ...outcome };
+        } catch (error) {
+            if (!error.status) {
+                console.error(`❌ Bulk ${action} failed for document ${document.id}:`, error);
+            }
+            return { ...item, status: BULK_ITEM_STATUS.FAILED, error: error.message, details: error.details };
+        }
+    }
+
+    /**
+     * Do the work of one action on one document; returns details for its result,
+     * or { status: skipped, reason } when there is nothing to do
+     * @throws {Error} with the reason the document failed
+     */
+    static async applyAction(models, job, action, document, params, userId) {
+        if (action === BULK_ACTIONS.RESTORE) {
+            if (document.status === STATUS.ACTIVE) {
+                return BulkOperationService.skip('Document is not in the recycle bin');
+            }
+            const restoredPages = models.Document.restoreWithPages(document.id);
+            models.DocumentPage.renumberPages(document.id);
+            return { restored_pages: restoredPages };
+        }
+
+        if (document.status !== STATUS.ACTIVE) {
+            if (action === BULK_ACTIONS.DELETE) {
+                return BulkOperationService.skip('Document is already in the recycle bin');
+            }
+            throw BulkOperationService.requestError('Document is in the recycle bin', HTTP_STATUS.NOT_FOUND);
+        }
+
+        switch (action) {
+            case BULK_ACTIONS.DELETE: {
+                BulkOperationService.assertChangeable(models, document.id, userId);
+                return { deleted_pages: models.Document.softDeleteWithPages(document.id, userId) };
+            }
+
+            case BULK_ACTIONS.SET_INDEX_VALUES: {
+                BulkOperationService.assertChangeable(models, document.id, userId);
+                const fieldValues = IndexFieldService.validate(models.Document.getProjectFields(document.project_id),
+                    params.index_values, { partial: true });
+                models.Document.updateFields(document.id, fieldValues);
+                models.SearchIndex.rebuild(document.id);
+                const version = models.DocumentVersion.createVersion(document.id, {
+                    changeType: VERSION_CHANGE_TYPES.FIELDS_UPDATED,
+                    summary: `Updated ${fieldValues.map(fieldValue => fieldValue.field_name).join(', ')} (bulk job ${job.id})`,
+                    createdBy: userId
+                });
+                return { fields: fieldValues.map(fieldValue => fieldValue.field_name), version_number: version.version_number };
+            }
+
+            case BULK_ACTIONS.OCR: {
+                BulkOperationService.assertChangeable(models, document.id, userId);
+                const pages = models.DocumentPage.findPagesNeedingOCR(document.id, !!params.force_reprocess);
+                if (pages.length === 0) {
+                    return BulkOperationService.skip('No pages need OCR processing');
+                }
+
+                // Runs as the usual per-document OCR job once a worker is free
+                const ocrJob = models.Job.enqueue({
+                    type: JOB_TYPES.DOCUMENT_OCR,
+                    documentId: document.id,
+                    projectId: document.project_id,
+                    createdBy: userId,
+                    maxAttempts: JOB_MAX_ATTEMPTS,
+                    payload: { language: params.language, force_reprocess: !!params.force_reprocess, ip_address: null }
+                });
+                console.log(`📥 Job ${ocrJob.id} queued: ${JOB_TYPES.DOCUMENT_OCR} for document ${document.id} (bulk job ${job.id})`);
+                return { pages: pages.length, job_id: ocrJob.id };
+            }
+
+            case BULK_ACTIONS.MOVE_PROJECT: {
+                if (document.project_id === params.project_id) {
+                    return BulkOperationService.skip('Document is already in this project');
+                }
+                BulkOperationService.assertChangeable(models, document.id, userId);
+
+                const details = models.Document.findByIdWithDetails(document.id);
+                const result = DocumentTransferService.move(models, details, {
+                    projectId: params.project_id,
+                    folderId: params.folder_id || null,
+                    fieldMapping: params.field_mapping,
+                    indexValues: params.index_values,
+                    userId: userId
+                });
+                const version = models.DocumentVersion.createVersion(document.id, {
+                    changeType: VERSION_CHANGE_TYPES.MOVED,
+                    summary: `Moved from project ${details.project_name} to ${result.document.project_name} (bulk job ${job.id})`,
+                    createdBy: userId
+                });
+                return { from_project_id: document.project_id, fields_dropped: result.fields_dropped, version_number: version.version_number };
+            }
+
+            case BULK_ACTIONS.ADD_TAGS: {
+                BulkOperationService.assertChangeable(models, document.id, userId);
+                const added = models.Tag.resolveNames(document.project_id, params.tags, userId)
+                    .reduce((count, tag) => count + models.Tag.addToDocuments(tag.id, [document.id], userId), 0);
+                return added > 0 ? { added } : BulkOperationService.skip('Document already has these tags');
+            }
+
+            case BULK_ACTIONS.EXPORT: {
+                const pages = models.DocumentPage.findForExport(document.id);
+                if (pages.length === 0) {
+                    return BulkOperationService.skip('Document has no pages to export');
+                }
+
+                const annotations = params.annotations ? models.PageAnnotation.findVisibleByDocument(document.id, userId) : [];
+                const pdfBuffer = await PDFExportService.exportDocument(models.Document.findByIdWithDetails(document.id), pages, { annotations });
+                const exportDir = FileService.getExportDir(job.id);
+                await fs.promises.mkdir(exportDir, { recursive: true });
+                await fs.promises.writeFile(path.join(exportDir, `document_${document.id}.pdf`), pdfBuffer);
+                return { pages: pages.length };
+            }
+
+            case BULK_ACTIONS.PII_SCAN: {
+                const pageIds = models.DocumentPage.findByDocument(document.id).map(page => page.id);
+                if (pageIds.length === 0) {
+                    return BulkOperationService.skip('Document has no pages to scan');
+                }
+                return PiiService.scanPages(models, pageIds);
+            }
+
+            default:
+                throw new Error(`Unknown bulk action: ${action}`);
+        }
+    }
+
+    /**
+     * Combine the exported documents into the job's download
+     * @returns {Object|null} { file_name, documents, size }
+     */
+    static async combineExport(job, items) {
+        const exported = items.filter(item => item.status === BULK_ITEM_STATUS.SUCCEEDED);
+        if (exported.length === 0) {
+            return null;
+        }
+
+        const exportDir = FileService.getExportDir(job.id);
+        const buffer = await PDFExportService.combineFiles(
+            exported.map(item => path.join(exportDir, `document_${item.document_id}.pdf`)),
+            { title: `Export of ${exported.length} document(s)` }
+        );
+        await fs.promises.writeFile(path.join(exportDir, EXPORT_FILE_NAME), buffer);
+        await Promise.all(exported.map(item => FileService.deleteFile(path.join(exportDir, `document_${item.document_id}.pdf`))));
+
+        return { file_name: `bulk-export-${job.id}.pdf`, documents: exported.length, size: buffer.length };
+    }
+
+    /**
+     * Path of a finished bulk export
+     */
+    static getExportPath(jobId) {
+        return path.join(FileService.getExportDir(jobId), EXPORT_FILE_NAME);
+    }
+
+    /**
+     * Counts per item status alongside the items
+     */
+    static summarize(action, items) {
+        const count = (status) => items.filter(item => item.status === status).length;
+        return {
+            action,
+            total: items.length,
+            succeeded: count(BULK_ITEM_STATUS.SUCCEEDED),
+            failed: count(BULK_ITEM_STATUS.FAILED),
+            skipped: count(BULK_ITEM_STATUS.SKIPPED),
+            items
+        };
+    }
+
+    /**
+     * The single audit entry for a bulk job, e.g. "Bulk delete of 3 document(s): 2 succeeded (4, 7), 1 failed (9)".
+     * outcome is set when the job did not complete
+     */
+    static audit(models, job, items, outcome = null) {
+        const payload = BulkOperationService.parseJSON(job.payload) || {};
+        const total = (payload.document_ids || items).length;
+
+        const parts = Object.values(BULK_ITEM_STATUS).map(status => {
+            const documentIds = items.filter(item => item.status === status).map(item => item.document_id);
+            return documentIds.length > 0 ? `${documentIds.length} ${status} (${documentIds.join(', ')})` : null;
+        }).filter(Boolean);
+
+        AuditService.createAuditLog(models, job.created_by, AUDIT_ACTIONS.BULK_OPERATION, 'jobs', job.id,
+            `Bulk ${payload.action} of ${total} document(s)` +
+            `${outcome ? ` (job ${outcome} after ${items.length})` : ''}: ${parts.join(', ') || 'nothing done'}`, payload.ip_address);
+    }
+
+    // Documents under legal hold or checked out by someone else cannot be changed
+    static assertChangeable(models, documentId, userId) {
+        if (models.LegalHold.findActiveForDocument(documentId).length > 0) {
+            throw BulkOperationService.requestError('Document is under legal hold and cannot be changed', HTTP_STATUS.CONFLICT);
+        }
+
+        const lock = models.DocumentLock.findBlocking(documentId, userId);
+        if (lock) {
+            throw BulkOperationService.requestError(`Document is checked out by ${lock.locked_by_name} until ${lock.expires_at}`, HTTP_STATUS.CONFLICT);
+        }
+    }
+
+    static skip(reason) {
+        return { status: BULK_ITEM_STATUS.SKIPPED, reason };
+    }
+
+    static requestError(message, status = HTTP_STATUS.BAD_REQUEST) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    static parseJSON(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = BulkOperationService;
@@ -1,5 +1,4 @@
 // newdms/services/DatabaseService.js
-const path = require('path');
 
 class DatabaseService {
     constructor() {
@@ -0,0 +1,205 @@
+// newdms/services/DocumentAssemblyService.js
+const fs = require('fs');
+const path = require('path');
+const { HTTP_STATUS } = require('../config/constants');
+const FileService = require('./FileService');
+const IndexFieldService = require('./IndexFieldService');
+const DocumentTransferService = require('./DocumentTransferService');
+
+/**
+ * Splitting and merging documents at page boundaries. Page rows (with their OCR text) are
+ * handed over to the receiving document and their files moved into its storage directory,
+ * so nothing is re-rasterized; the search index follows the rows through its triggers.
+ */
+class DocumentAssemblyService {
+    /**
+     * Split pages off into new documents in the same project. Each part starts at its start_page
+     * and runs to the page before the next part; pages before the first part stay in the document.
+     * @param {Array} parts - [{ start_page, title, description, document_type, index_values }]
+     * @returns {Object} { documents: [new documents], source_pages }
+     * @throws {Error} status 400 (parts or index values, with details) or 409 (active jobs)
+     */
+    static async split(models, document, parts, userId) {
+        DocumentTransferService.assertNoActiveJobs(models, document.id);
+
+        const pages = models.DocumentPage.findForExport(document.id);
+        const ranges = DocumentAssemblyService.getRanges(parts, pages.length);
+
+        const projectFields = models.Document.getProjectFields(document.project_id);
+        const fieldValues = parts.map((part, index) => {
+            try {
+                return IndexFieldService.validate(projectFields, part.index_values || {});
+            } catch (error) {
+                error.message = `Part ${index + 1}: ${error.message}`;
+                error.details = error.details.map(detail => ({ ...detail, part: index + 1 }));
+                throw error;
+            }
+        });
+
+        const created = models.db.transaction(() => parts.map((part, index) => models.Document.createDocument({
+            projectId: document.project_id,
+            title: part.title,
+            description: part.description,
+            documentType: part.document_type !== undefined ? part.document_type : document.document_type,
+            createdBy: userId,
+            folderId: document.folder_id,
+            fieldValues: fieldValues[index]
+        })))();
+
+        const moves = [];
+        const copies = [];
+        const taken = new Set();
+        const plans = created.map((target, index) => {
+            const originals = new Map();
+            const partPages = pages.slice(ranges[index].from - 1, ranges[index].to).map(page => {
+                if (page.original_id && !originals.has(page.original_id)) {
+                    const original = models.DocumentOriginal.findForDocument(document.id, page.original_id);
+                    if (original) {
+                        const to = DocumentAssemblyService.planPath(original.file_path, document.id, target.id, taken);
+                        copies.push({ from: original.file_path, to });
+                        originals.set(page.original_id, to);
+                    }
+                }
+                return DocumentAssemblyService.planPage(page, document.id, target.id, taken, moves);
+            });
+            return { target, pages: partPages, originals };
+        });
+
+        let moved = false;
+        try {
+            await FileService.moveFiles(moves);
+            moved = true;
+            await FileService.copyFiles(copies);
+
+            models.db.transaction(() => {
+                plans.forEach(plan => {
+                    const originalIds = new Map([...plan.originals].map(([originalId, filePath]) =>
+                        [originalId, models.DocumentOriginal.copyToDocument(originalId, plan.target.id, filePath)]));
+                    models.DocumentPage.reassignPages(plan.target.id, plan.pages.map(page =>
+                        ({ ...page, original_id: originalIds.get(page.original_id) || null })));
+                    models.DocumentPage.renumberPages(plan.target.id);
+                });
+                models.DocumentPage.renumberPages(document.id);
+            })();
+        } catch (error) {
+            if (moved) {
+                await FileService.moveFiles(moves.map(({ from, to }) => ({ from: to, to: from }))).catch(() => {});
+            }
+            for (const target of created) {
+                models.Document.purge(target.id);
+                await FileService.deleteDirectory(FileService.getDocumentDir(target.id));
+            }
+            throw error;
+        }
+
+        return {
+            documents: created.map((target, index) => ({
+                ...models.Document.findByIdWithDetails(target.id),
+                pages: ranges[index]
+            })),
+            source_pages: ranges[0].from - 1
+        };
+    }
+
+    /**
+     * Merge documents of one project into the first one, appending their pages in the given order.
+     * Their originals move along; the emptied documents go to the recycle bin.
+     * @returns {Object} { document, pages_merged }
+     * @throws {Error} status 409 (active jobs)
+     */
+    static async merge(models, documents, userId) {
+        documents.forEach(document => DocumentTransferService.assertNoActiveJobs(models, document.id));
+
+        const [target, ...sources] = documents;
+        const moves = [];
+        const taken = new Set();
+
+        const originals = sources.flatMap(source => models.DocumentOriginal.findByDocument(source.id).map(({ id }) => {
+            const original = models.DocumentOriginal.findForDocument(source.id, id);
+            const to = DocumentAssemblyService.planPath(original.file_path, source.id, target.id, taken);
+            moves.push({ from: original.file_path, to });
+            return { id, file_path: to };
+        }));
+        const pages = sources.flatMap(source => models.DocumentPage.findForExport(source.id)
+            .map(page => DocumentAssemblyService.planPage(page, source.id, target.id, taken, moves)));
+
+        await FileService.moveFiles(moves);
+        try {
+            models.db.transaction(() => {
+                originals.forEach(original => models.DocumentOriginal.reassign(original.id, target.id, original.file_path));
+
+                const targetPages = models.DocumentPage.renumberPages(target.id);
+                models.DocumentPage.reassignPages(target.id, pages, targetPages + 1);
+                models.DocumentPage.renumberPages(target.id);
+
+                sources.forEach(source => {
+                    models.Tag.findByDocument(source.id).forEach(tag => models.Tag.addToDocuments(tag.id, [target.id], userId));
+                    models.Document.softDeleteWithPages(source.id, userId);
+                });
+            })();
+        } catch (error) {
+            await FileService.moveFiles(moves.map(({ from, to }) => ({ from: to, to: from }))).catch(() => {});
+            throw error;
+        }
+
+        return { document: models.Document.findByIdWithDetails(target.id), pages_merged: pages.length };
+    }
+
+    /**
+     * Page ranges ({ from, to }, 1-based and inclusive) covered by the parts of a split
+     * @throws {Error} status 400
+     */
+    static getRanges(parts, pageCount) {
+        const starts = parts.map(part => part.start_page);
+
+        if (starts.some((start, index) => index > 0 && start <= starts[index - 1])) {
+            throw DocumentAssemblyService.requestError('start_page values must be in ascending order');
+        }
+        if (starts[0] < 2) {
+            throw DocumentAssemblyService.requestError('The first part must start after page 1; earlier pages stay in the document');
+        }
+        if (starts[starts.length - 1] > pageCount) {
+            throw DocumentAssemblyService.requestError(`Document has only ${pageCount} page(s)`);
+        }
+
+        return starts.map((from, index) => ({ from, to: index + 1 < starts.length ? starts[index + 1] - 1 : pageCount }));
+    }
+
+    // Row update for a page moving to another document; queues its file moves
+    static planPage(page, fromDocumentId, toDocumentId, taken, moves) {
+        const relocate = filePath => {
+            if (!filePath) return null;
+            const to = DocumentAssemblyService.planPath(filePath, fromDocumentId, toDocumentId, taken);
+            moves.push({ from: filePath, to });
+            return to;
+        };
+
+        return {
+            id: page.id,
+            file_path: relocate(page.file_path),
+            thumbnail_path: relocate(page.thumbnail_path),
+            original_id: page.original_id
+        };
+    }
+
+    // Path in the receiving document's storage directory that is neither on disk nor planned yet
+    static planPath(filePath, fromDocumentId, toDocumentId, taken) {
+        const target = FileService.relocatePath(filePath, fromDocumentId, toDocumentId);
+        const { dir, name, ext } = path.parse(target);
+
+        let candidate = target;
+        for (let suffix = 1; taken.has(candidate) || fs.existsSync(candidate); suffix++) {
+            candidate = path.join(dir, `${name}_${suffix}${ext}`);
+        }
+        taken.add(candidate);
+        return candidate;
+    }
+
+    static requestError(message, status = HTTP_STATUS.BAD_REQUEST) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = DocumentAssemblyService;
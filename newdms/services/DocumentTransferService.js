@@ -0,0 +1,162 @@
+// newdms/services/DocumentTransferService.js
+const { HTTP_STATUS, FIELD_TYPES } = require('../config/constants');
+const FileService = require('./FileService');
+const IndexFieldService = require('./IndexFieldService');
+
+/**
+ * Moving and copying documents between projects. Index values are carried over through a
+ * field mapping ({ source_field: target_field }, null drops a field); unmapped fields go to
+ * the target field with the same name if there is one. Tags follow by name.
+ */
+class DocumentTransferService {
+    /**
+     * Move a document to another project; page files stay where they are
+     * @returns {Object} { document, fields_dropped }
+     * @throws {Error} status 400 (index values, with details) or 409 (active jobs)
+     */
+    static move(models, document, { projectId, folderId = null, fieldMapping = {}, indexValues = {}, userId }) {
+        DocumentTransferService.assertNoActiveJobs(models, document.id);
+
+        const { fieldValues, dropped } = DocumentTransferService.mapIndexValues(models, document, projectId, fieldMapping, indexValues);
+        const tagNames = models.Tag.findByDocument(document.id).map(tag => tag.name);
+
+        const moved = models.Document.moveToProject(document.id, { projectId, folderId, fieldValues });
+        models.SearchIndex.rebuild(moved.id);
+        DocumentTransferService.applyTags(models, moved.id, projectId, tagNames, userId);
+
+        return { document: moved, fields_dropped: dropped };
+    }
+
+    /**
+     * Copy a document with its active pages, OCR text and originals into a project (which may be its own)
+     * @returns {Object} { document, pages, originals, files, fields_dropped }
+     * @throws {Error} status 400 (index values, with details) or 409 (active jobs)
+     */
+    static async copy(models, document, { projectId, folderId = null, title = null, fieldMapping = {}, indexValues = {}, userId }) {
+        DocumentTransferService.assertNoActiveJobs(models, document.id);
+
+        const { fieldValues, dropped } = DocumentTransferService.mapIndexValues(models, document, projectId, fieldMapping, indexValues);
+
+        const copy = models.Document.createDocument({
+            projectId,
+            title: title || document.title,
+            description: document.description,
+            documentType: document.document_type,
+            createdBy: userId,
+            folderId,
+            fieldValues
+        });
+
+        try {
+            const { pages, originals, files } = models.Document.copyContents(document.id, copy.id,
+                filePath => FileService.relocatePath(filePath, document.id, copy.id));
+            const copied = await FileService.copyFiles(files);
+
+            DocumentTransferService.applyTags(models, copy.id, projectId,
+                models.Tag.findByDocument(document.id).map(tag => tag.name), userId);
+
+            return { document: models.Document.findByIdWithDetails(copy.id), pages, originals, files: copied, fields_dropped: dropped };
+        } catch (error) {
+            // Leave nothing half-copied behind
+            models.Document.purge(copy.id);
+            await FileService.deleteDirectory(FileService.getDocumentDir(copy.id));
+            throw error;
+        }
+    }
+
+    /**
+     * Build the target project's index values from the document's values, the field mapping
+     * and explicit target values, and validate them (required target fields included)
+     * @returns {Object} { fieldValues: [{ field_id, field_name, value }], dropped: [source field names] }
+     * @throws {Error} status 400 with details: [{ field, message }]
+     */
+    static mapIndexValues(models, document, projectId, fieldMapping = {}, indexValues = {}) {
+        const sourceFields = models.Document.getProjectFields(document.project_id);
+        const targetFields = models.Document.getProjectFields(projectId);
+        const findField = (fields, name) => fields.find(field => field.field_name.toLowerCase() === String(name).toLowerCase());
+
+        const errors = [];
+        const mapping = new Map();
+        Object.entries(fieldMapping).forEach(([sourceName, targetName]) => {
+            const source = findField(sourceFields, sourceName);
+            if (!source) {
+                errors.push({ field: sourceName, message: `Unknown source index field "${sourceName}"` });
+            } else if (targetName === null) {
+                mapping.set(source.field_name, null);
+            } else if (!findField(targetFields, targetName)) {
+                errors.push({ field: sourceName, message: `Unknown target index field "${targetName}"` });
+            } else {
+                mapping.set(source.field_name, findField(targetFields, targetName));
+            }
+        });
+
+        const values = {};
+        const dropped = [];
+        const storedValues = models.Document.getFieldValues(document.id);
+        sourceFields.forEach(source => {
+            const stored = storedValues[source.field_name];
+            if (stored === undefined || stored === null) return;
+
+            const target = mapping.has(source.field_name) ? mapping.get(source.field_name) : findField(targetFields, source.field_name);
+            if (!target) {
+                dropped.push(source.field_name);
+                return;
+            }
+
+            if (values[target.field_name] !== undefined) {
+                errors.push({ field: source.field_name, message: `More than one field is mapped to "${target.field_name}"` });
+                return;
+            }
+            values[target.field_name] = DocumentTransferService.convertValue(source, target, stored);
+        });
+
+        if (errors.length > 0) {
+            throw IndexFieldService.validationError(errors);
+        }
+
+        // Explicit target values win over mapped ones
+        Object.entries(indexValues).forEach(([name, value]) => {
+            const target = findField(targetFields, name);
+            delete values[target ? target.field_name : name];
+            values[name] = value;
+        });
+
+        return { fieldValues: IndexFieldService.validate(targetFields, values), dropped };
+    }
+
+    /**
+     * Turn a stored value into input for the target field (checkbox option lists become arrays,
+     * or comma-separated text for other field types)
+     */
+    static convertValue(source, target, stored) {
+        if (source.field_type !== FIELD_TYPES.CHECKBOX) {
+            return stored;
+        }
+
+        let checked;
+        try {
+            checked = JSON.parse(stored);
+        } catch {
+            return stored;
+        }
+        if (!Array.isArray(checked)) {
+            return stored;
+        }
+        return target.field_type === FIELD_TYPES.CHECKBOX ? checked : checked.join(', ');
+    }
+
+    static applyTags(models, documentId, projectId, tagNames, userId) {
+        models.Tag.resolveNames(projectId, tagNames, userId)
+            .forEach(tag => models.Tag.addToDocuments(tag.id, [documentId], userId));
+    }
+
+    static assertNoActiveJobs(models, documentId) {
+        if (models.Job.countActive(documentId) > 0) {
+            const error = new Error('Document has queued or running jobs; wait for them to finish or cancel them');
+            error.status = HTTP_STATUS.CONFLICT;
+            throw error;
+        }
+    }
+}
+
+module.exports = DocumentTransferService;
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { IMAGE_DIR, MAX_FILE_SIZE } = require('../config/environment');
+const { ALLOWED_EXTENSIONS, FILE_TYPES, ERROR_MESSAGES } = require('../config/constants');
 
 class FileService {
   static async initializeUploadDirectories() {
@@ -14,6 +17,173 @@ class FileService {
       }
     });
   }
+
+  /**
+   * Validate an uploaded file (type and size)
+   */
+  static validateFile(file) {
+    if (!file) {
+      return { valid: false, error: ERROR_MESSAGES.NO_FILE_PROVIDED };
+    }
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(ext) || !Object.values(FILE_TYPES).includes(file.mimetype)) {
+      return { valid: false, error: ERROR_MESSAGES.INVALID_FILE_TYPE };
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      return { valid: false, error: ERROR_MESSAGES.FILE_TOO_LARGE };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Storage directory holding a document's pages, thumbnails and original uploads
+   */
+  static getDocumentDir(documentId) {
+    return path.join(IMAGE_DIR, `document_${documentId}`);
+  }
+
+  /**
+   * Working directory of a bulk export job (per-document PDFs and the combined export)
+   */
+  static getExportDir(jobId) {
+    return path.join(IMAGE_DIR, 'exports', `job_${jobId}`);
+  }
+
+  /**
+   * Directory keeping page images replaced by transforms, until they are undone or pruned.
+   * Kept outside the document directories so it stays put when pages change documents.
+   */
+  static getPageHistoryDir() {
+    return path.join(IMAGE_DIR, 'page_history');
+  }
+
+  /**
+   * Create the storage directories for a document's pages, thumbnails and original uploads
+   */
+  static async createDirectories(documentId) {
+    const documentDir = this.getDocumentDir(documentId);
+    const pagesDir = path.join(documentDir, 'pages');
+    const thumbnailDir = path.join(documentDir, 'thumbnails');
+    const originalsDir = path.join(documentDir, 'originals');
+    for (const dir of [documentDir, pagesDir, thumbnailDir, originalsDir]) {
+      await fs.promises.mkdir(dir, { recursive: true });
+    }
+    return { documentDir, pagesDir, thumbnailDir, originalsDir };
+  }
+
+  /**
+   * Compute the SHA-256 hash of a file (hex)
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Copy an uploaded file unchanged into the originals directory, named by its hash.
+   * The upload itself is left in place for page processing.
+   */
+  static async storeOriginal(file, originalsDir) {
+    const sha256 = await this.hashFile(file.path);
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    const filePath = path.join(originalsDir, `${sha256}${ext}`);
+
+    if (!(await this.fileExists(filePath))) {
+      await fs.promises.copyFile(file.path, filePath);
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    return { filePath, sha256, fileSize: stats.size };
+  }
+
+  /**
+   * Check if file exists
+   */
+  static async fileExists(filePath) {
+    try {
+      await fs.promises.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Delete a directory and its contents if it exists (never throws)
+   */
+  static async deleteDirectory(dirPath) {
+    try {
+      await fs.promises.rm(dirPath, { recursive: true, force: true });
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to delete directory ${dirPath}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Delete file if it exists (never throws)
+   */
+  static async deleteFile(filePath) {
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to delete file ${filePath}:`, error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Path of a document's stored file inside another document's storage directory
+   * (files outside the document directory go to its pages directory)
+   */
+  static relocatePath(filePath, fromDocumentId, toDocumentId) {
+    const relative = path.relative(this.getDocumentDir(fromDocumentId), filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return path.join(this.getDocumentDir(toDocumentId), 'pages', path.basename(filePath));
+    }
+    return path.join(this.getDocumentDir(toDocumentId), relative);
+  }
+
+  /**
+   * Move files ([{ from, to }]), creating target directories. If one fails the files already
+   * moved are put back before the error is thrown.
+   */
+  static async moveFiles(moves) {
+    const done = [];
+    try {
+      for (const move of moves) {
+        await fs.promises.mkdir(path.dirname(move.to), { recursive: true });
+        await fs.promises.rename(move.from, move.to);
+        done.push(move);
+      }
+    } catch (error) {
+      for (const { from, to } of done.reverse()) {
+        await fs.promises.rename(to, from).catch(() => {});
+      }
+      throw error;
+    }
+    return moves.length;
+  }
+
+  /**
+   * Copy files ([{ from, to }]), creating target directories; returns the number copied
+   */
+  static async copyFiles(copies) {
+    for (const { from, to } of copies) {
+      await fs.promises.mkdir(path.dirname(to), { recursive: true });
+      await fs.promises.copyFile(from, to);
+    }
+    return copies.length;
+  }
 }
 
 module.exports = FileService;
\ No newline at end of file
@@ -0,0 +1,191 @@
+// newdms/services/IndexFieldService.js
+const { HTTP_STATUS, FIELD_TYPES, VALIDATION } = require('../config/constants');
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const PHONE_PATTERN = /^\+?[0-9 ().-]{5,20}$/;
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Validation of document index values against a project's project_fields definitions.
+ * Values are keyed by field_name and stored as text in document_field_values;
+ * checkbox fields with options hold a JSON array of the checked options.
+ */
+class IndexFieldService {
+    /**
+     * Validate and normalize index values
+     * @param {Array} fields - project_fields rows for the document's project
+     * @param {Object} values - { field_name: value }
+     * @param {Object} options - partial: only check the given fields (required flags are skipped)
+     * @returns {Array} [{ field_id, field_name, value }] with values ready to store (null clears a field)
+     * @throws {Error} status 400 with details: [{ field, message }]
+     */
+    static validate(fields, values = {}, { partial = false } = {}) {
+        if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+            throw IndexFieldService.validationError([{ field: null, message: 'index_values must be an object' }]);
+        }
+
+        const byName = new Map(fields.map(field => [field.field_name.toLowerCase(), field]));
+        const errors = [];
+        const normalized = [];
+
+        Object.keys(values).forEach(name => {
+            if (!byName.has(name.toLowerCase())) {
+                errors.push({ field: name, message: `Unknown index field "${name}"` });
+            }
+        });
+
+        fields.forEach(field => {
+            const key = Object.keys(values).find(name => name.toLowerCase() === field.field_name.toLowerCase());
+            const provided = key !== undefined;
+
+            if (!provided && partial) return;
+
+            const raw = provided ? values[key] : undefined;
+            const empty = IndexFieldService.isEmpty(raw);
+
+            if (empty) {
+                if (field.required) {
+                    errors.push({ field: field.field_name, message: `${field.field_label} is required` });
+                } else if (provided) {
+                    normalized.push({ field_id: field.id, field_name: field.field_name, value: null });
+                }
+                return;
+            }
+
+            try {
+                normalized.push({
+                    field_id: field.id,
+                    field_name: field.field_name,
+                    value: IndexFieldService.normalizeValue(field, raw)
+                });
+            } catch (error) {
+                errors.push({ field: field.field_name, message: `${field.field_label} ${error.message}` });
+            }
+        });
+
+        if (errors.length > 0) {
+            throw IndexFieldService.validationError(errors);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Convert a single value to its stored text form according to the field type
+     */
+    static normalizeValue(field, value) {
+        const options = IndexFieldService.getOptions(field);
+
+        switch (field.field_type) {
+            case FIELD_TYPES.NUMBER: {
+                const text = String(value).trim();
+                if (typeof value === 'boolean' || !NUMBER_PATTERN.test(text)) {
+                    throw new Error('must be a number');
+                }
+                return String(Number(text));
+            }
+
+            case FIELD_TYPES.DATE: {
+                const text = String(value).trim();
+                const match = text.match(DATE_PATTERN);
+                const date = match && new Date(`${text}T00:00:00Z`);
+                if (!match || isNaN(date) || date.toISOString().slice(0, 10) !== text) {
+                    throw new Error('must be a valid date (YYYY-MM-DD)');
+                }
+                return text;
+            }
+
+            case FIELD_TYPES.DROPDOWN: {
+                const text = String(value).trim();
+                if (options.length > 0 && !options.includes(text)) {
+                    throw new Error(`must be one of: ${options.join(', ')}`);
+                }
+                return text;
+            }
+
+            case FIELD_TYPES.CHECKBOX: {
+                if (options.length > 0) {
+                    const checked = (Array.isArray(value) ? value : [value]).map(item => String(item).trim());
+                    const invalid = checked.filter(item => !options.includes(item));
+                    if (invalid.length > 0) {
+                        throw new Error(`must only contain: ${options.join(', ')}`);
+                    }
+                    return JSON.stringify([...new Set(checked)]);
+                }
+
+                const text = String(value).trim().toLowerCase();
+                if (TRUE_VALUES.includes(text)) return 'true';
+                if (FALSE_VALUES.includes(text)) return 'false';
+                throw new Error('must be true or false');
+            }
+
+            case FIELD_TYPES.EMAIL: {
+                const text = String(value).trim();
+                if (text.length > VALIDATION.EMAIL.MAX_LENGTH || !VALIDATION.EMAIL.PATTERN.test(text)) {
+                    throw new Error('must be a valid email address');
+                }
+                return text;
+            }
+
+            case FIELD_TYPES.URL: {
+                const text = String(value).trim();
+                let url;
+                try {
+                    url = new URL(text);
+                } catch (error) {
+                    url = null;
+                }
+                if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                    throw new Error('must be a valid http(s) URL');
+                }
+                return text;
+            }
+
+            case FIELD_TYPES.PHONE: {
+                const text = String(value).trim();
+                if (!PHONE_PATTERN.test(text)) {
+                    throw new Error('must be a valid phone number');
+                }
+                return text;
+            }
+
+            default: {
+                // text, textarea
+                if (typeof value === 'object') {
+                    throw new Error('must be text');
+                }
+                return String(value);
+            }
+        }
+    }
+
+    /**
+     * Parsed dropdown/checkbox options of a field
+     */
+    static getOptions(field) {
+        if (!field.field_options) return [];
+        try {
+            const options = JSON.parse(field.field_options);
+            return Array.isArray(options) ? options.map(option => String(option)) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static isEmpty(value) {
+        return value === undefined || value === null ||
+            (typeof value === 'string' && value.trim() === '') ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    static validationError(details) {
+        const error = new Error(details.length === 1 ? details[0].message : 'Invalid index values');
+        error.status = HTTP_STATUS.BAD_REQUEST;
+        error.details = details;
+        return error;
+    }
+}
+
+module.exports = IndexFieldService;
@@ -0,0 +1,598 @@
+// newdms/services/JobService.js
+const os = require('os');
+const {
+    JOB_WORKERS,
+    JOB_POLL_INTERVAL,
+    JOB_MAX_ATTEMPTS,
+    JOB_RETRY_DELAY
+} = require('../config/environment');
+const { JOB_STATUS, JOB_TYPES, STATUS, VERSION_CHANGE_TYPES } = require('../config/constants');
+const PDFService = require('./pdfService');
+const ImageService = require('./imageService');
+const OCRService = require('./OCRService');
+const FileService = require('./FileService');
+const AuditService = require('./AuditService');
+const BulkOperationService = require('./BulkOperationService');
+const PiiService = require('./PiiService');
+
+class JobService {
+    constructor() {
+        this.models = null;
+        this.isInitialized = false;
+        this.isRunning = false;
+        this.pollTimer = null;
+        this.activeJobs = new Map();
+        this.workerId = `${os.hostname()}-${process.pid}`;
+
+        // Handlers receive (job, context). cleanup runs once a job is cancelled or has failed for good.
+        this.handlers = {
+            [JOB_TYPES.DOCUMENT_UPLOAD]: {
+                run: (job, context) => this.runDocumentUpload(job, context),
+                cleanup: (job) => this.cleanupDocumentUpload(job)
+            },
+            [JOB_TYPES.DOCUMENT_OCR]: {
+                run: (job, context) => this.runDocumentOCR(job, context)
+            },
+            [JOB_TYPES.BULK_OPERATION]: {
+                run: (job, context) => BulkOperationService.run(this.models, job, context),
+                cleanup: (job) => BulkOperationService.cleanup(this.models, job)
+            }
+        };
+    }
+
+    /**
+     * Initialize job service with database models.
+     * Jobs left running by a previous process are queued again and resume from their checkpoint.
+     */
+    async initialize(models) {
+        try {
+            this.models = models;
+
+            const requeued = this.models.Job.requeueInterrupted();
+            if (requeued > 0) {
+                console.log(`🔄 Requeued ${requeued} interrupted job(s)`);
+            }
+
+            this.isInitialized = true;
+            this.start();
+            console.log(`✅ JobService initialized - ${JOB_WORKERS} worker(s)`);
+            return true;
+        } catch (error) {
+            console.error('❌ JobService initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a job to the queue and wake the workers
+     * @param {string} type - One of JOB_TYPES
+     * @param {Object} options - { documentId, projectId, payload, createdBy, maxAttempts }
+     * @returns {Object} Formatted job
+     */
+    enqueue(type, { documentId = null, projectId = null, payload = {}, createdBy = null, maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+        if (!this.handlers[type]) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const job = this.models.Job.enqueue({ type, documentId, projectId, payload, maxAttempts, createdBy });
+        console.log(`📥 Job ${job.id} queued: ${type}${documentId ? ` for document ${documentId}` : ''}`);
+
+        if (this.isRunning) {
+            this.schedulePoll(0);
+        }
+
+        return this.formatJob(job);
+    }
+
+    /**
+     * Request cancellation of a job.
+     * A queued job is cancelled at once and never reaches its handler, so its cleanup runs here.
+     */
+    async cancel(jobId) {
+        const previous = this.models.Job.findById(jobId);
+        const job = this.models.Job.requestCancel(jobId);
+        if (!job) {
+            return null;
+        }
+
+        if (previous.status === JOB_STATUS.QUEUED && job.status === JOB_STATUS.CANCELLED) {
+            await this.runCleanup(this.handlers[job.type], job);
+        }
+
+        return this.formatJob(job);
+    }
+
+    /**
+     * Start polling for queued jobs
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.schedulePoll(0);
+    }
+
+    /**
+     * Stop polling and wait for running jobs to reach a page boundary.
+     * Interrupted jobs go back to the queue and resume on the next start.
+     */
+    async stop() {
+        if (!this.isRunning) return;
+
+        console.log('🧹 Stopping background jobs...');
+        this.isRunning = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+
+        await Promise.allSettled(Array.from(this.activeJobs.values()));
+        console.log('✅ Background jobs stopped');
+    }
+
+    schedulePoll(delay) {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => this.poll(), delay);
+    }
+
+    /**
+     * Claim jobs until all worker slots are busy
+     */
+    poll() {
+        if (!this.isRunning) return;
+
+        try {
+            while (this.activeJobs.size < JOB_WORKERS) {
+                const job = this.models.Job.claimNext(this.workerId);
+                if (!job) break;
+
+                const promise = this.runJob(job).finally(() => {
+                    this.activeJobs.delete(job.id);
+                    if (this.isRunning) {
+                        this.schedulePoll(0);
+                    }
+                });
+                this.activeJobs.set(job.id, promise);
+            }
+        } catch (error) {
+            console.error('❌ Job polling failed:', error);
+        }
+
+        if (this.isRunning) {
+            this.schedulePoll(JOB_POLL_INTERVAL);
+        }
+    }
+
+    /**
+     * Run a claimed job and record its outcome
+     */
+    async runJob(job) {
+        const handler = this.handlers[job.type];
+        const context = this.createContext(job);
+
+        console.log(`⚙️ Job ${job.id} started: ${job.type} (attempt ${job.attempts}/${job.max_attempts})`);
+
+        try {
+            if (!handler) {
+                throw new Error(`Unknown job type: ${job.type}`);
+            }
+
+            const result = await handler.run(job, context);
+            this.models.Job.complete(job.id, result);
+            console.log(`✅ Job ${job.id} completed`);
+
+        } catch (error) {
+            if (error.code === 'JOB_CANCELLED') {
+                this.models.Job.markCancelled(job.id);
+                console.log(`⏹️ Job ${job.id} cancelled`);
+                await this.runCleanup(handler, job);
+                return;
+            }
+
+            if (error.code === 'JOB_INTERRUPTED') {
+                this.models.Job.requeue(job.id);
+                console.log(`⏸️ Job ${job.id} paused for shutdown`);
+                return;
+            }
+
+            if (job.attempts < job.max_attempts) {
+                const delay = JOB_RETRY_DELAY * Math.pow(2, job.attempts - 1);
+                this.models.Job.retryLater(job.id, error.message, delay);
+                console.warn(`⚠️ Job ${job.id} failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+                return;
+            }
+
+            this.models.Job.fail(job.id, error.message);
+            console.error(`❌ Job ${job.id} failed after ${job.attempts} attempt(s):`, error);
+            await this.runCleanup(handler, job);
+        }
+    }
+
+    async runCleanup(handler, job) {
+        if (!handler || !handler.cleanup) return;
+
+        try {
+            await handler.cleanup(job);
+        } catch (error) {
+            console.error(`❌ Cleanup failed for job ${job.id}:`, error);
+        }
+    }
+
+    /**
+     * Build the helper object passed to job handlers
+     */
+    createContext(job) {
+        return {
+            payload: this.parseJSON(job.payload) || {},
+            checkpoint: this.parseJSON(job.checkpoint) || {},
+
+            // Save progress (and optionally the resume state) after each unit of work
+            progress: (current, total, message = null, checkpoint = undefined) => {
+                this.models.Job.updateProgress(job.id, { current, total, message, checkpoint });
+            },
+
+            // Call between units of work: throws when the job was cancelled or the server is stopping
+            throwIfInterrupted: () => {
+                if (this.models.Job.isCancelRequested(job.id)) {
+                    const error = new Error('Job cancelled');
+                    error.code = 'JOB_CANCELLED';
+                    throw error;
+                }
+                if (!this.isRunning) {
+                    const error = new Error('Job interrupted by shutdown');
+                    error.code = 'JOB_INTERRUPTED';
+                    throw error;
+                }
+            }
+        };
+    }
+
+    /**
+     * Upload handler: keep the original file, then split a PDF (or store an image) page by page.
+     * PDF pages with embedded text use it; other pages get OCR when requested.
+     * The checkpoint records the original and the next PDF page so a restarted job does not duplicate them.
+     */
+    async runDocumentUpload(job, context) {
+        const { payload, checkpoint } = context;
+        const { file, perform_ocr: performOCRProcessing, language } = payload;
+        const documentId = job.document_id;
+
+        const document = this.models.Document.findById(documentId);
+        if (!document || document.status !== STATUS.ACTIVE) {
+            throw new Error(`Document ${documentId} not found`);
+        }
+
+        const { documentDir, thumbnailDir, pagesDir, originalsDir } = await FileService.createDirectories(documentId);
+        const pageIds = checkpoint.page_ids || [];
+        const droppedPageIds = checkpoint.dropped_page_ids || [];
+        const ingest = this.models.ProjectIngestSettings.findEnabled(document.project_id);
+        let totalWords = checkpoint.total_words || 0;
+        let originalId = checkpoint.original_id || null;
+        let fileType = 'image';
+
+        if (PDFService.validatePDFFile(file)) {
+            fileType = 'pdf';
+            const textLayer = await this.readTextLayer(file);
+            if (!originalId) {
+                originalId = (await this.storeOriginal(job, file, originalsDir, textLayer)).id;
+            }
+            const totalPages = checkpoint.total_pages || await PDFService.getPDFPageCount(file.path);
+            const startingPageNumber = checkpoint.starting_page_number || this.models.DocumentPage.getNextPageNumber(documentId);
+
+            if (totalPages === 0) {
+                throw new Error(`Could not read page count of ${file.originalname}`);
+            }
+
+            context.progress(pageIds.length, totalPages, `Processing ${file.originalname}`, {
+                ...checkpoint,
+                original_id: originalId,
+                total_pages: totalPages,
+                starting_page_number: startingPageNumber,
+                page_ids: pageIds,
+                total_words: totalWords
+            });
+
+            for (let pageIndex = pageIds.length; pageIndex < totalPages; pageIndex++) {
+                context.throwIfInterrupted();
+
+                const pageNumber = startingPageNumber + pageIndex;
+
+                // A crash between saving the page and the checkpoint leaves the page in place
+                // (a blank page dropped in that window is simply processed again)
+                let page = this.models.DocumentPage.findByPageNumber(documentId, pageNumber);
+                if (!page || page.source_file_name !== file.originalname) {
+                    page = await PDFService.processPDFPage(file, pageIndex, pageNumber, documentId, pagesDir, thumbnailDir, performOCRProcessing, this.models, {
+                        language,
+                        originalId,
+                        nativeText: textLayer ? textLayer.pages[pageIndex] : null,
+                        ingest,
+                        userId: job.created_by
+                    });
+                    this.models.Document.fixPageCount(documentId);
+                }
+
+                pageIds.push(page.id);
+                if (page.ingest_dropped) {
+                    droppedPageIds.push(page.id);
+                }
+                totalWords += page.word_count || 0;
+
+                context.progress(pageIds.length, totalPages, `Page ${pageIndex + 1} of ${totalPages}`, {
+                    original_id: originalId,
+                    total_pages: totalPages,
+                    starting_page_number: startingPageNumber,
+                    page_ids: pageIds,
+                    dropped_page_ids: droppedPageIds,
+                    total_words: totalWords
+                });
+            }
+        } else if (ImageService.validateImageFile(file)) {
+            if (pageIds.length === 0) {
+                // Stored before processSingleImage moves the upload into the pages directory
+                if (!originalId) {
+                    originalId = (await this.storeOriginal(job, file, originalsDir)).id;
+                }
+                context.progress(0, 1, `Processing ${file.originalname}`, { original_id: originalId });
+
+                const page = await ImageService.processSingleImage(file, documentId, documentDir, thumbnailDir, performOCRProcessing, this.models, {
+                    language,
+                    originalId,
+                    ingest,
+                    userId: job.created_by
+                });
+                this.models.Document.fixPageCount(documentId);
+
+                pageIds.push(page.id);
+                if (page.ingest_dropped) {
+                    droppedPageIds.push(page.id);
+                }
+                totalWords += page.word_count || 0;
+                context.progress(1, 1, 'Image processed', {
+                    original_id: originalId,
+                    page_ids: pageIds,
+                    dropped_page_ids: droppedPageIds,
+                    total_words: totalWords
+                });
+            }
+        } else {
+            throw new Error('Unsupported file type');
+        }
+
+        await FileService.deleteFile(file.path);
+
+        // Blank pages the clean-up dropped leave gaps in the numbering
+        if (droppedPageIds.length > 0) {
+            this.models.DocumentPage.renumberPages(documentId);
+        }
+        const addedPages = pageIds.length - droppedPageIds.length;
+
+        // Embedded PDF text counts as well as OCR output
+        if (totalWords > 0) {
+            this.models.Document.updateOCRStatus(documentId, true, language || document.ocr_language || 'eng');
+        }
+
+        // Flag personal data in the new pages' text (embedded or OCR) so it can be found and redacted
+        const addedPageIds = pageIds.filter(id => !droppedPageIds.includes(id));
+        const pii = PiiService.scanPages(this.models, addedPageIds);
+
+        AuditService.logDocumentUpload(this.models, job.created_by, documentId, addedPages, file.originalname, performOCRProcessing, payload.ip_address);
+
+        if (addedPages > 0) {
+            const dropped = droppedPageIds.length > 0 ? `, ${droppedPageIds.length} blank page(s) removed` : '';
+            this.models.DocumentVersion.createVersion(documentId, {
+                changeType: VERSION_CHANGE_TYPES.PAGES_ADDED,
+                summary: `Added ${addedPages} page(s) from ${file.originalname}${dropped}`,
+                createdBy: job.created_by
+            });
+        }
+
+        return {
+            page_ids: addedPageIds,
+            total_pages: addedPages,
+            blank_pages_dropped: droppedPageIds,
+            original_id: originalId,
+            file_type: fileType,
+            ocr_processed: !!performOCRProcessing,
+            ocr_words_found: totalWords,
+            pii_findings: pii.findings
+        };
+    }
+
+    /**
+     * Copy the upload into the document's originals store and record it.
+     * Re-uploading an identical file reuses the existing record.
+     * @returns {Promise<Object>} document_originals row
+     */
+    async storeOriginal(job, file, originalsDir, textLayer = null) {
+        const payload = this.parseJSON(job.payload) || {};
+        const stored = await FileService.storeOriginal(file, originalsDir);
+
+        const existing = this.models.DocumentOriginal.findByHash(job.document_id, stored.sha256);
+        if (existing) {
+            console.log(`📦 Original ${file.originalname} already stored for document ${job.document_id} (original ${existing.id})`);
+            return existing;
+        }
+
+        const isPDF = PDFService.validatePDFFile(file);
+        const original = this.models.DocumentOriginal.createOriginal({
+            documentId: job.document_id,
+            filePath: stored.filePath,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            fileSize: stored.fileSize,
+            sha256: stored.sha256,
+            pageCount: isPDF ? (textLayer ? textLayer.pages.length : null) : 1,
+            hasTextLayer: !!textLayer && textLayer.pages.some(page => PDFService.hasNativeText(page)),
+            metadata: {
+                upload_size: file.size,
+                ocr_requested: !!payload.perform_ocr,
+                ocr_language: payload.language || null,
+                job_id: job.id,
+                pdf_info: textLayer ? textLayer.info : undefined
+            },
+            uploadedBy: job.created_by,
+            uploadIp: payload.ip_address || null
+        });
+
+        console.log(`📦 Stored original ${file.originalname} for document ${job.document_id} (sha256 ${stored.sha256.slice(0, 12)}…)`);
+        return original;
+    }
+
+    /**
+     * Read a PDF's embedded text; a PDF that pdfjs cannot parse is simply treated as scanned
+     */
+    async readTextLayer(file) {
+        try {
+            return await PDFService.extractTextLayer(file.path);
+        } catch (error) {
+            console.error(`⚠️ Could not read text layer of ${file.originalname}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Remove the uploaded temp file when an upload job will not run again
+     */
+    async cleanupDocumentUpload(job) {
+        const payload = this.parseJSON(job.payload) || {};
+        if (payload.file && payload.file.path) {
+            await FileService.deleteFile(payload.file.path);
+        }
+    }
+
+    /**
+     * Batch OCR handler: recognize the document's pages one by one.
+     * The page list is fixed on the first run and the checkpoint tracks how far it got.
+     */
+    async runDocumentOCR(job, context) {
+        const { payload, checkpoint } = context;
+        const documentId = job.document_id;
+        const language = payload.language;
+
+        const document = this.models.Document.findById(documentId);
+        if (!document || document.status !== STATUS.ACTIVE) {
+            throw new Error(`Document ${documentId} not found`);
+        }
+
+        const pageIds = checkpoint.page_ids ||
+            this.models.DocumentPage.findPagesNeedingOCR(documentId, !!payload.force_reprocess).map(page => page.id);
+        let nextIndex = checkpoint.next_index || 0;
+        let processedCount = checkpoint.processed_count || 0;
+        let totalWords = checkpoint.total_words || 0;
+        let piiFindings = checkpoint.pii_findings || 0;
+        const errors = checkpoint.errors || [];
+
+        const saveProgress = (message) => context.progress(nextIndex, pageIds.length, message, {
+            page_ids: pageIds,
+            next_index: nextIndex,
+            processed_count: processedCount,
+            total_words: totalWords,
+            pii_findings: piiFindings,
+            errors
+        });
+
+        saveProgress(`OCR ${pageIds.length} page(s)`);
+
+        while (nextIndex < pageIds.length) {
+            context.throwIfInterrupted();
+
+            const page = this.models.DocumentPage.findById(pageIds[nextIndex]);
+
+            if (!page || (page.status && page.status !== STATUS.ACTIVE)) {
+                errors.push(`Page ${pageIds[nextIndex]}: Page not found`);
+            } else if (!await FileService.fileExists(page.file_path)) {
+                errors.push(`Page ${page.page_number}: File not found`);
+            } else {
+                try {
+                    const ocrData = await OCRService.performOCR(page.file_path, language);
+                    const updateResult = this.models.DocumentPage.updateOCRData(page.id, ocrData.text, ocrData.confidence, ocrData.language, ocrData.wordCount, OCRService.buildLayout(ocrData));
+
+                    if (updateResult.changes > 0) {
+                        processedCount++;
+                        totalWords += ocrData.wordCount;
+                        piiFindings += PiiService.scanPages(this.models, [page.id]).findings;
+                    }
+                } catch (pageError) {
+                    // Language errors apply to every page, so fail the job instead of each page
+                    if (pageError.code === 'OCR_LANGUAGE_NOT_SUPPORTED') {
+                        throw pageError;
+                    }
+                    console.error(`❌ OCR failed for page ${page.page_number}:`, pageError.message);
+                    errors.push(`Page ${page.page_number}: ${pageError.message}`);
+                }
+            }
+
+            nextIndex++;
+            saveProgress(`Page ${nextIndex} of ${pageIds.length}`);
+        }
+
+        if (processedCount > 0) {
+            this.models.Document.updateOCRStatus(documentId, true, language || 'eng');
+        }
+
+        AuditService.logBatchOCR(this.models, job.created_by, documentId, processedCount, totalWords, payload.ip_address);
+
+        return {
+            processed_pages: processedCount,
+            total_pages: pageIds.length,
+            total_words: totalWords,
+            pii_findings: piiFindings,
+            errors: errors.length > 0 ? errors : undefined
+        };
+    }
+
+    /**
+     * Shape a job row for API responses (payload and checkpoint stay internal)
+     */
+    formatJob(job) {
+        const total = job.progress_total || 0;
+        const current = job.progress_current || 0;
+
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            document_id: job.document_id,
+            project_id: job.project_id,
+            progress: {
+                current,
+                total,
+                percent: total > 0 ? Math.round((current / total) * 100) : (job.status === JOB_STATUS.COMPLETED ? 100 : 0),
+                message: job.progress_message
+            },
+            attempts: job.attempts,
+            max_attempts: job.max_attempts,
+            cancel_requested: !!job.cancel_requested,
+            last_error: job.last_error,
+            result: this.parseJSON(job.result),
+            run_after: job.run_after,
+            created_by: job.created_by,
+            created_at: job.created_at,
+            started_at: job.started_at,
+            completed_at: job.completed_at,
+            updated_at: job.updated_at
+        };
+    }
+
+    parseJSON(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get service status
+     */
+    getStatus() {
+        return {
+            initialized: this.isInitialized,
+            running: this.isRunning,
+            workerId: this.workerId,
+            activeJobs: Array.from(this.activeJobs.keys()),
+            maxWorkers: JOB_WORKERS
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new JobService();
@@ -1,31 +1,48 @@
-// newdms/services/OCRService.js - FIXED VERSION
+// newdms/services/OCRService.js
 const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { createWorker, OEM } = require('tesseract.js');
+const {
+    ENABLE_OCR,
+    OCR_DEFAULT_LANGUAGE,
+    OCR_TIMEOUT,
+    OCR_MAX_WORKERS,
+    OCR_LANG_PATH,
+    OCR_CACHE_PATH
+} = require('../config/environment');
+const { OCR_LANGUAGES, ERROR_MESSAGES, HTTP_STATUS } = require('../config/constants');
+
+// Bump when the shape of the stored page layout changes
+const LAYOUT_VERSION = 1;
 
 class OCRService {
     constructor() {
         this.workers = new Map();
+        this.waitQueue = [];
+        this.workerSequence = 0;
         this.isInitialized = false;
     }
 
     /**
      * Check if OCR service is available (INSTANCE METHOD)
+     * Warms up one worker for the default language so the first upload does not pay the start-up cost.
      */
     async checkOCRAvailability() {
+        if (!ENABLE_OCR) {
+            console.log('⏭️  OCR disabled by configuration (ENABLE_OCR=false)');
+            return false;
+        }
+
         try {
             console.log('🔍 Checking OCR availability...');
-            
-            // For now, return true without loading Tesseract to avoid dependency issues
-            console.log('✅ OCR service is available (mock mode)');
-            return true;
-            
-            // Uncomment this when you want to test real Tesseract
-            /*
-            const Tesseract = require('tesseract.js');
-            const worker = await Tesseract.createWorker();
-            await worker.terminate();
-            console.log('✅ OCR service (Tesseract.js) is available');
+
+            const entry = await this.acquireWorker(OCR_DEFAULT_LANGUAGE);
+            this.releaseWorker(entry);
+
+            this.isInitialized = true;
+            console.log(`✅ OCR service (Tesseract.js) is available - pool size ${OCR_MAX_WORKERS}`);
             return true;
-            */
         } catch (error) {
             console.warn('⚠️ OCR service unavailable:', error.message);
             return false;
@@ -33,88 +50,500 @@ class OCRService {
     }
 
     /**
-     * Initialize OCR worker
+     * Get the list of supported OCR language codes
+     */
+    getSupportedLanguages() {
+        return Object.values(OCR_LANGUAGES);
+    }
+
+    /**
+     * Normalize and validate a language string (supports combined languages such as "eng+deu")
+     */
+    resolveLanguage(language) {
+        const requested = (language || OCR_DEFAULT_LANGUAGE).toString().trim().toLowerCase();
+        const supported = this.getSupportedLanguages();
+        const parts = requested.split('+').map(part => part.trim()).filter(Boolean);
+
+        if (parts.length === 0 || parts.some(part => !supported.includes(part))) {
+            const error = new Error(`${ERROR_MESSAGES.OCR_LANGUAGE_NOT_SUPPORTED}: ${requested}`);
+            error.status = HTTP_STATUS.BAD_REQUEST;
+            error.code = 'OCR_LANGUAGE_NOT_SUPPORTED';
+            throw error;
+        }
+
+        return parts.join('+');
+    }
+
+    /**
+     * Initialize OCR worker for a language
+     * The pool entry is registered before the worker finishes loading so concurrent
+     * callers see it when checking the pool size.
      */
-    async initializeWorker(workerId = 'default') {
+    async initializeWorker(language = OCR_DEFAULT_LANGUAGE) {
+        this.workerSequence += 1;
+        const workerId = `${language}-${this.workerSequence}`;
+        const entry = {
+            id: workerId,
+            language,
+            worker: null,
+            busy: true,
+            jobs: 0,
+            createdAt: Date.now(),
+            lastUsedAt: null
+        };
+
+        this.workers.set(workerId, entry);
+
         try {
-            if (this.workers.has(workerId)) {
-                return this.workers.get(workerId);
+            console.log(`🔄 Initializing OCR worker: ${workerId}`);
+
+            const workerOptions = {};
+            if (OCR_LANG_PATH) workerOptions.langPath = OCR_LANG_PATH;
+            if (OCR_CACHE_PATH) {
+                await fs.mkdir(OCR_CACHE_PATH, { recursive: true });
+                workerOptions.cachePath = OCR_CACHE_PATH;
             }
 
-            console.log(`🔄 Initializing OCR worker: ${workerId} (mock mode)`);
-            
-            // Mock worker for now
-            const mockWorker = {
-                id: workerId,
-                initialized: true,
-                terminate: async () => console.log(`✅ Mock worker ${workerId} terminated`)
-            };
+            entry.worker = await createWorker(language, OEM.LSTM_ONLY, workerOptions);
 
-            this.workers.set(workerId, mockWorker);
             console.log(`✅ OCR worker initialized: ${workerId}`);
-
-            return mockWorker;
+            return entry;
         } catch (error) {
+            this.workers.delete(workerId);
             console.error(`❌ Failed to initialize OCR worker ${workerId}:`, error);
+
+            // The slot is free again: let the next waiting job try to take it
+            const next = this.waitQueue.shift();
+            if (next) {
+                this.acquireWorker(next.language).then(next.resolve, next.reject);
+            }
             throw error;
         }
     }
 
     /**
-     * Process OCR on image file (mock version)
+     * Take a worker for the given language out of the pool.
+     * Reuses an idle worker of the same language, grows the pool up to OCR_MAX_WORKERS,
+     * recycles an idle worker of another language, or waits for a worker to be released.
      */
-    async processOCR(imagePath, options = {}) {
-        const startTime = Date.now();
+    async acquireWorker(language) {
+        const entries = Array.from(this.workers.values());
+
+        const idle = entries.find(entry => !entry.busy && entry.language === language);
+        if (idle) {
+            idle.busy = true;
+            return idle;
+        }
+
+        if (this.workers.size < OCR_MAX_WORKERS) {
+            return this.initializeWorker(language);
+        }
+
+        const spare = entries.find(entry => !entry.busy);
+        if (spare) {
+            // Pool is full: recycle an idle worker loaded with a different language
+            this.workers.delete(spare.id);
+            this.terminateEntry(spare);
+            return this.initializeWorker(language);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.waitQueue.push({ language, resolve, reject });
+        });
+    }
+
+    /**
+     * Return a worker to the pool and hand capacity to the next waiting job
+     */
+    releaseWorker(entry) {
+        if (entry && this.workers.has(entry.id)) {
+            entry.busy = false;
+            entry.lastUsedAt = Date.now();
+        }
+
+        const next = this.waitQueue.shift();
+        if (next) {
+            this.acquireWorker(next.language).then(next.resolve, next.reject);
+        }
+    }
 
+    /**
+     * Terminate a worker entry without throwing
+     */
+    async terminateEntry(entry) {
         try {
-            console.log(`🔍 Starting OCR processing: ${path.basename(imagePath)} (mock mode)`);
+            if (entry.worker) {
+                await entry.worker.terminate();
+            }
+        } catch (error) {
+            console.error(`❌ Failed to terminate OCR worker ${entry.id}:`, error);
+        }
+    }
 
-            // Mock OCR processing
-            await new Promise(resolve => setTimeout(resolve, 100)); // Simulate processing time
+    /**
+     * Run a recognition job, enforcing OCR_TIMEOUT.
+     * A timed-out worker is discarded because Tesseract jobs cannot be cancelled.
+     */
+    async recognizeWithTimeout(entry, imagePath, timeout) {
+        let timer = null;
 
-            const processingTime = Date.now() - startTime;
-            
-            console.log(`✅ OCR completed in ${processingTime}ms (mock)`);
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`${ERROR_MESSAGES.OCR_FAILED}: timed out after ${timeout}ms`);
+                error.code = 'OCR_TIMEOUT';
+                reject(error);
+            }, timeout);
+        });
 
-            return {
-                text: `Mock OCR text extracted from ${path.basename(imagePath)}`,
-                confidence: 85,
-                words: [],
-                lines: [],
-                paragraphs: [],
-                blocks: [],
-                processingTime,
-                metadata: {
-                    language: 'eng',
-                    imagePath: path.basename(imagePath),
-                    timestamp: new Date().toISOString(),
-                    mode: 'mock'
-                }
+        try {
+            return await Promise.race([
+                entry.worker.recognize(imagePath, {}, { text: true, blocks: true, hocr: false, tsv: false }),
+                timeoutPromise
+            ]);
+        } catch (error) {
+            if (error.code === 'OCR_TIMEOUT') {
+                this.workers.delete(entry.id);
+                this.terminateEntry(entry);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Perform OCR on an image file
+     * @param {string} imagePath - Image to recognize
+     * @param {string} language - Tesseract language code(s), e.g. "eng" or "eng+deu"
+     * @param {Object} options - { timeout }
+     * @returns {Promise<Object>} OCR result with text, confidence, wordCount, words, lines, paragraphs and blocks
+     */
+    async performOCR(imagePath, language = OCR_DEFAULT_LANGUAGE, options = {}) {
+        if (!ENABLE_OCR) {
+            throw new Error(`${ERROR_MESSAGES.OCR_FAILED}: OCR is disabled`);
+        }
+
+        const ocrLanguage = this.resolveLanguage(language);
+        const timeout = options.timeout || OCR_TIMEOUT;
+        const startTime = Date.now();
+
+        console.log(`🔍 Starting OCR processing: ${path.basename(imagePath)} (${ocrLanguage})`);
+
+        const entry = await this.acquireWorker(ocrLanguage);
+
+        try {
+            const { data } = await this.recognizeWithTimeout(entry, imagePath, timeout);
+            entry.jobs += 1;
+
+            const result = this.formatResult(data);
+            const dimensions = await this.getImageDimensions(imagePath);
+            result.imageWidth = dimensions.width;
+            result.imageHeight = dimensions.height;
+            result.processingTime = Date.now() - startTime;
+            result.language = ocrLanguage;
+            result.metadata = {
+                language: ocrLanguage,
+                imagePath: path.basename(imagePath),
+                timestamp: new Date().toISOString(),
+                workerId: entry.id,
+                mode: 'tesseract'
             };
 
+            console.log(`✅ OCR completed in ${result.processingTime}ms: ${result.wordCount} words, ${result.confidence}% confidence`);
+            return result;
+        } finally {
+            this.releaseWorker(entry);
+        }
+    }
+
+    /**
+     * Process OCR on image file
+     * Never throws - failures are reported through the `error` property.
+     */
+    async processOCR(imagePath, options = {}) {
+        const startTime = Date.now();
+        const language = options.language || OCR_DEFAULT_LANGUAGE;
+
+        try {
+            return await this.performOCR(imagePath, language, options);
         } catch (error) {
             const processingTime = Date.now() - startTime;
             console.error(`❌ OCR processing failed after ${processingTime}ms:`, error);
-            
+
             return {
                 text: '',
                 confidence: 0,
+                wordCount: 0,
                 words: [],
                 lines: [],
                 paragraphs: [],
                 blocks: [],
+                imageWidth: null,
+                imageHeight: null,
                 processingTime,
+                language,
                 error: error.message,
                 metadata: {
-                    language: 'eng',
+                    language,
                     imagePath: path.basename(imagePath),
                     timestamp: new Date().toISOString(),
-                    mode: 'mock'
+                    mode: 'tesseract'
                 }
             };
         }
     }
 
+    /**
+     * Convert Tesseract page data into plain, serializable structures.
+     * Words and lines carry the index of the line / block they belong to.
+     */
+    formatResult(data) {
+        const round = (value) => Math.round((value || 0) * 100) / 100;
+        const toBox = (bbox) => ({ x0: bbox.x0, y0: bbox.y0, x1: bbox.x1, y1: bbox.y1 });
+
+        const words = [];
+        const lines = [];
+        const paragraphs = [];
+        const blocks = [];
+
+        (data.blocks || []).forEach((block) => {
+            const blockIndex = blocks.length;
+            blocks.push({
+                text: block.text.trim(),
+                confidence: round(block.confidence),
+                bbox: toBox(block.bbox),
+                blocktype: block.blocktype
+            });
+
+            (block.paragraphs || []).forEach((paragraph) => {
+                paragraphs.push({
+                    text: paragraph.text.trim(),
+                    confidence: round(paragraph.confidence),
+                    bbox: toBox(paragraph.bbox),
+                    block: blockIndex
+                });
+
+                (paragraph.lines || []).forEach((line) => {
+                    const lineIndex = lines.length;
+                    lines.push({
+                        text: line.text.trim(),
+                        confidence: round(line.confidence),
+                        bbox: toBox(line.bbox),
+                        block: blockIndex
+                    });
+
+                    (line.words || []).forEach((word) => {
+                        if (!word.text || !word.text.trim()) return;
+                        words.push({
+                            text: word.text,
+                            confidence: round(word.confidence),
+                            bbox: toBox(word.bbox),
+                            line: lineIndex,
+                            block: blockIndex
+                        });
+                    });
+                });
+            });
+        });
+
+        const text = (data.text || '').trim();
+
+        return {
+            text,
+            confidence: round(data.confidence),
+            wordCount: words.length,
+            words,
+            lines,
+            paragraphs,
+            blocks
+        };
+    }
+
+    /**
+     * Read pixel dimensions of the recognized image so stored boxes can be scaled by the viewer
+     */
+    async getImageDimensions(imagePath) {
+        try {
+            const { width, height } = await sharp(imagePath).metadata();
+            return { width: width || null, height: height || null };
+        } catch (error) {
+            console.warn(`⚠️ Could not read image dimensions for ${path.basename(imagePath)}:`, error.message);
+            return { width: null, height: null };
+        }
+    }
+
+    /**
+     * Build the page layout stored in document_pages.ocr_layout
+     * Keeps words, lines and blocks with their bounding boxes (pixels of the OCR'd image).
+     */
+    buildLayout(ocrResult) {
+        if (!ocrResult || ocrResult.error || !Array.isArray(ocrResult.words) || ocrResult.words.length === 0) {
+            return null;
+        }
+
+        return {
+            version: LAYOUT_VERSION,
+            width: ocrResult.imageWidth || null,
+            height: ocrResult.imageHeight || null,
+            language: ocrResult.language || null,
+            confidence: ocrResult.confidence || 0,
+            words: ocrResult.words.map(word => ({
+                text: word.text,
+                confidence: word.confidence,
+                bbox: word.bbox,
+                line: word.line,
+                block: word.block
+            })),
+            lines: (ocrResult.lines || []).map(line => ({
+                text: line.text,
+                confidence: line.confidence,
+                bbox: line.bbox,
+                block: line.block
+            })),
+            blocks: (ocrResult.blocks || []).map(block => ({
+                text: block.text,
+                confidence: block.confidence,
+                bbox: block.bbox,
+                blocktype: block.blocktype
+            }))
+        };
+    }
+
+    /**
+     * Normalize a word or query term for matching (case, accents and punctuation are ignored)
+     */
+    normalizeTerm(value) {
+        return (value || '')
+            .toString()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '');
+    }
+
+    /**
+     * Split a search query into terms to highlight.
+     * Quoted phrases are kept together, a trailing * marks a prefix term, and boolean
+     * operators, NOT/- exclusions and field:value filters are skipped.
+     */
+    parseHighlightTerms(query) {
+        const terms = [];
+        const pattern = /(-?)"([^"]+)"|(\S+)/g;
+        let skipNext = false;
+        let match;
+
+        while ((match = pattern.exec(query || '')) !== null) {
+            const excluded = match[1] === '-' || skipNext;
+            skipNext = false;
+
+            if (match[2] !== undefined) {
+                if (excluded) continue;
+                const tokens = match[2].split(/\s+/).map(token => this.normalizeTerm(token)).filter(Boolean);
+                if (tokens.length > 0) {
+                    terms.push({ term: match[2].trim(), tokens, prefix: false });
+                }
+                continue;
+            }
+
+            const raw = match[3].replace(/^NEAR\(/i, '').replace(/^[(+]+|[),]+$/g, '');
+            const operator = raw.toUpperCase();
+
+            if (operator === 'NOT') {
+                skipNext = true;
+                continue;
+            }
+            if (['AND', 'OR', 'NEAR'].includes(operator) || /^NEAR\/\d+$/.test(operator)) continue;
+            if (excluded || raw.startsWith('-') || raw.includes(':')) continue;
+
+            const prefix = raw.endsWith('*');
+            const token = this.normalizeTerm(raw);
+            if (token) {
+                terms.push({ term: raw, tokens: [token], prefix });
+            }
+        }
+
+        return terms;
+    }
+
+    /**
+     * Find hit rectangles for a query in a stored page layout.
+     * Multi-word hits are merged into one rectangle per OCR line. Each hit carries the
+     * pixel bbox and a rect relative to the page size (0..1) when the size is known.
+     */
+    findHighlights(layout, query) {
+        if (!layout || !Array.isArray(layout.words) || layout.words.length === 0) {
+            return [];
+        }
+
+        const terms = this.parseHighlightTerms(query);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const words = layout.words
+            .map(word => ({ ...word, key: this.normalizeTerm(word.text) }))
+            .filter(word => word.key);
+
+        const hits = [];
+
+        terms.forEach(({ term, tokens, prefix }) => {
+            for (let start = 0; start + tokens.length <= words.length; start++) {
+                const matched = tokens.every((token, offset) => {
+                    const key = words[start + offset].key;
+                    const isLast = offset === tokens.length - 1;
+                    return prefix && isLast ? key.startsWith(token) : key === token;
+                });
+
+                if (!matched) continue;
+
+                const hitWords = words.slice(start, start + tokens.length);
+                const byLine = new Map();
+                hitWords.forEach(word => {
+                    if (!byLine.has(word.line)) byLine.set(word.line, []);
+                    byLine.get(word.line).push(word);
+                });
+
+                byLine.forEach((lineWords, line) => {
+                    const bbox = {
+                        x0: Math.min(...lineWords.map(word => word.bbox.x0)),
+                        y0: Math.min(...lineWords.map(word => word.bbox.y0)),
+                        x1: Math.max(...lineWords.map(word => word.bbox.x1)),
+                        y1: Math.max(...lineWords.map(word => word.bbox.y1))
+                    };
+                    const confidence = lineWords.reduce((sum, word) => sum + (word.confidence || 0), 0) / lineWords.length;
+
+                    hits.push({
+                        term,
+                        text: lineWords.map(word => word.text).join(' '),
+                        line,
+                        confidence: Math.round(confidence * 100) / 100,
+                        bbox,
+                        rect: this.toRelativeRect(bbox, layout.width, layout.height)
+                    });
+                });
+            }
+        });
+
+        return hits.sort((a, b) => (a.bbox.y0 - b.bbox.y0) || (a.bbox.x0 - b.bbox.x0));
+    }
+
+    /**
+     * Convert a pixel bbox into left/top/width/height fractions of the page
+     */
+    toRelativeRect(bbox, width, height) {
+        if (!width || !height) {
+            return null;
+        }
+
+        const round = (value) => Math.round(value * 10000) / 10000;
+        return {
+            left: round(bbox.x0 / width),
+            top: round(bbox.y0 / height),
+            width: round((bbox.x1 - bbox.x0) / width),
+            height: round((bbox.y1 - bbox.y0) / height)
+        };
+    }
+
     /**
      * Extract text summary from OCR result
      */
@@ -131,11 +560,11 @@ class OCRService {
         // Find the last complete word within the limit
         const truncated = text.substring(0, maxLength);
         const lastSpace = truncated.lastIndexOf(' ');
-        
+
         if (lastSpace > maxLength * 0.8) { // If we can get at least 80% of target length
             return truncated.substring(0, lastSpace) + '...';
         }
-        
+
         return truncated + '...';
     }
 
@@ -143,20 +572,36 @@ class OCRService {
      * Get OCR quality metrics
      */
     getQualityMetrics(ocrResult) {
-        if (!ocrResult || !ocrResult.words) {
+        if (!ocrResult || !ocrResult.words || ocrResult.words.length === 0) {
             return {
-                confidence: 0,
+                confidence: ocrResult ? ocrResult.confidence || 0 : 0,
                 wordCount: 0,
                 averageWordConfidence: 0,
+                lowConfidenceWords: 0,
                 qualityScore: 'poor'
             };
         }
 
+        const { words } = ocrResult;
+        const totalConfidence = words.reduce((sum, word) => sum + (word.confidence || 0), 0);
+        const averageWordConfidence = Math.round((totalConfidence / words.length) * 100) / 100;
+        const lowConfidenceWords = words.filter(word => (word.confidence || 0) < 60).length;
+
+        let qualityScore = 'poor';
+        if (averageWordConfidence >= 90) {
+            qualityScore = 'excellent';
+        } else if (averageWordConfidence >= 75) {
+            qualityScore = 'good';
+        } else if (averageWordConfidence >= 50) {
+            qualityScore = 'fair';
+        }
+
         return {
             confidence: ocrResult.confidence || 0,
-            wordCount: 0,
-            averageWordConfidence: 0,
-            qualityScore: 'mock'
+            wordCount: words.length,
+            averageWordConfidence,
+            lowConfidenceWords,
+            qualityScore
         };
     }
 
@@ -165,18 +610,16 @@ class OCRService {
      */
     async cleanup() {
         console.log('🧹 Cleaning up OCR workers...');
-        
-        for (const [workerId, worker] of this.workers) {
-            try {
-                if (worker.terminate) {
-                    await worker.terminate();
-                }
-                console.log(`✅ OCR worker terminated: ${workerId}`);
-            } catch (error) {
-                console.error(`❌ Failed to terminate OCR worker ${workerId}:`, error);
-            }
+
+        // Fail anything still waiting for a worker
+        const pending = this.waitQueue.splice(0);
+        pending.forEach(({ reject }) => reject(new Error('OCR service is shutting down')));
+
+        for (const [workerId, entry] of this.workers) {
+            await this.terminateEntry(entry);
+            console.log(`✅ OCR worker terminated: ${workerId}`);
         }
-        
+
         this.workers.clear();
         this.isInitialized = false;
         console.log('✅ OCR cleanup completed');
@@ -186,13 +629,19 @@ class OCRService {
      * Get worker status
      */
     getWorkerStatus() {
+        const entries = Array.from(this.workers.values());
+
         return {
             activeWorkers: this.workers.size,
+            busyWorkers: entries.filter(entry => entry.busy).length,
+            queuedJobs: this.waitQueue.length,
+            maxWorkers: OCR_MAX_WORKERS,
             isInitialized: this.isInitialized,
-            workerIds: Array.from(this.workers.keys())
+            workerIds: Array.from(this.workers.keys()),
+            languages: [...new Set(entries.map(entry => entry.language))]
         };
     }
 }
 
-// Export singleton instance (FIXED - method is now instance method)
-module.exports = new OCRService();
\ No newline at end of file
+// Export singleton instance
+module.exports = new OCRService();
@@ -0,0 +1,189 @@
+// newdms/services/PageTransformService.js
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { HTTP_STATUS, STATUS, PAGE_TRANSFORMS, PAGE_TRANSFORM_CONFIG } = require('../config/constants');
+const FileService = require('./FileService');
+const ImageService = require('./imageService');
+const OCRService = require('./OCRService');
+const DocumentTransferService = require('./DocumentTransferService');
+const PiiService = require('./PiiService');
+
+/**
+ * Rotating, straightening, cropping and cleaning up page images. The transformed image gets a new
+ * file next to the old one; the old image moves to the page history directory together with a record
+ * of the page's OCR data, so the latest transform of a page can be undone (up to MAX_HISTORY deep).
+ * Changes made by the ingest clean-up are recorded the same way and reverted through revertIngest().
+ */
+class PageTransformService {
+    /**
+     * Apply operations to a page image, regenerate its thumbnail and optionally re-run OCR on the result.
+     * Without OCR the page keeps its text but loses its word geometry, which no longer fits the image.
+     * @param {Object} page - Page row
+     * @param {Array} operations - [{ type, ...options }] applied in order
+     * @param {Object} options - { ocr, language, userId }
+     * @returns {Object} { transform, width, height, ocr_error }
+     * @throws {Error} status 400 (operations), 404 (image missing) or 409 (active jobs)
+     */
+    static async transform(models, page, operations, { ocr = false, language, userId }) {
+        DocumentTransferService.assertNoActiveJobs(models, page.document_id);
+        if (!await FileService.fileExists(page.file_path)) {
+            throw PageTransformService.requestError('Page image not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const filePath = PageTransformService.newImagePath(page.file_path);
+        const image = await ImageService.transformImage(page.file_path, filePath, operations);
+
+        let ocrData = null;
+        let ocrError;
+        if (ocr) {
+            try {
+                const result = await OCRService.performOCR(filePath, language);
+                ocrData = {
+                    text: result.text,
+                    confidence: result.confidence,
+                    language: result.language,
+                    wordCount: result.wordCount,
+                    layout: OCRService.buildLayout(result)
+                };
+            } catch (error) {
+                console.error(`⚠️ OCR failed for transformed page ${page.id}:`, error.message);
+                ocrError = error.message;
+            }
+        }
+
+        const previousFilePath = path.join(FileService.getPageHistoryDir(), `page_${page.id}_${path.basename(page.file_path)}`);
+        await FileService.moveFiles([{ from: page.file_path, to: previousFilePath }]);
+
+        let transform;
+        try {
+            transform = models.PageTransform.record(page.id, {
+                operations: image.operations,
+                previousFilePath,
+                filePath,
+                fileSize: image.size,
+                ocr: ocrData,
+                createdBy: userId
+            });
+        } catch (error) {
+            await FileService.moveFiles([{ from: previousFilePath, to: page.file_path }]).catch(() => {});
+            await FileService.deleteFile(filePath);
+            throw error;
+        }
+
+        await PageTransformService.refreshThumbnail(page, filePath);
+        // The regions of PII findings follow the page's new word positions (or are gone without them)
+        PiiService.scanPages(models, [page.id]);
+
+        const dropped = models.PageTransform.prune(page.id, PAGE_TRANSFORM_CONFIG.MAX_HISTORY);
+        await Promise.all(dropped.map(filePath => FileService.deleteFile(filePath)));
+
+        return { transform, width: image.width, height: image.height, ocr_error: ocrError };
+    }
+
+    /**
+     * Revert the latest transform of a page: its earlier image, thumbnail and OCR data come back
+     * @returns {Object} The transform undone
+     * @throws {Error} status 409 (nothing to undo or active jobs)
+     */
+    static async undo(models, page) {
+        DocumentTransferService.assertNoActiveJobs(models, page.document_id);
+
+        const transform = models.PageTransform.findLatest(page.id);
+        if (!transform) {
+            throw PageTransformService.requestError('Page has no transforms to undo', HTTP_STATUS.CONFLICT);
+        }
+
+        const restoredPath = PageTransformService.newImagePath(page.file_path, transform.previous_file_path);
+        await FileService.moveFiles([{ from: transform.previous_file_path, to: restoredPath }]);
+
+        try {
+            models.PageTransform.undo(transform, restoredPath);
+        } catch (error) {
+            await FileService.moveFiles([{ from: restoredPath, to: transform.previous_file_path }]).catch(() => {});
+            throw error;
+        }
+
+        await FileService.deleteFile(page.file_path);
+        await PageTransformService.refreshThumbnail(page, restoredPath);
+        PiiService.scanPages(models, [page.id]);
+
+        return transform;
+    }
+
+    /**
+     * Reverse the ingest clean-up of a page: undo the image change it made and bring back a blank page it
+     * dropped into the recycle bin. The decisions stay in the page's ingest report, marked as reverted.
+     * @param {Object} page - Page row, active or in the recycle bin
+     * @returns {Object} The updated ingest report
+     * @throws {Error} status 409 (nothing to revert, later transforms in the way or active jobs)
+     */
+    static async revertIngest(models, page, userId) {
+        DocumentTransferService.assertNoActiveJobs(models, page.document_id);
+
+        const report = page.ingest_report ? JSON.parse(page.ingest_report) : null;
+        if (!report || report.reverted_at) {
+            throw PageTransformService.requestError('Page has no ingest clean-up to revert', HTTP_STATUS.CONFLICT);
+        }
+
+        const dropped = report.blank?.action === 'dropped' && page.status !== STATUS.ACTIVE;
+        // The change may already be gone through an ordinary undo
+        const transform = report.transform_id ? models.PageTransform.findById(report.transform_id) : null;
+        if (!dropped && !transform) {
+            throw PageTransformService.requestError('Ingest clean-up made no change to this page that is left to revert', HTTP_STATUS.CONFLICT);
+        }
+        if (transform && models.PageTransform.findLatest(page.id).id !== transform.id) {
+            throw PageTransformService.requestError('Undo the later transforms of this page first', HTTP_STATUS.CONFLICT);
+        }
+
+        if (dropped) {
+            models.DocumentPage.restorePage(page.id);
+        }
+        if (transform) {
+            await PageTransformService.undo(models, page);
+        }
+
+        const reverted = { ...report, reverted_at: new Date().toISOString(), reverted_by: userId };
+        models.DocumentPage.recordIngest(page.id, reverted, false);
+        return reverted;
+    }
+
+    // Regenerate the page thumbnail in place, so version snapshots referring to it stay valid
+    static async refreshThumbnail(page, imagePath) {
+        if (page.thumbnail_path) {
+            await ImageService.createThumbnail(imagePath, page.thumbnail_path);
+        }
+    }
+
+    // Fresh file name in the directory of the page's current image, with the extension of sourcePath
+    static newImagePath(currentPath, sourcePath = currentPath) {
+        return path.join(path.dirname(currentPath), `${uuidv4()}${path.extname(sourcePath)}`);
+    }
+
+    // 'rotate 90°, deskew (2.5°), crop 1200x1600 at 40,60, normalize (300 dpi, grayscale)'
+    static describe(operations) {
+        return operations.map(operation => {
+            switch (operation.type) {
+                case PAGE_TRANSFORMS.ROTATE:
+                    return `rotate ${operation.angle}°`;
+                case PAGE_TRANSFORMS.DESKEW:
+                    return operation.angle !== undefined ? `deskew (${operation.angle}°)` : 'deskew';
+                case PAGE_TRANSFORMS.CROP:
+                    return `crop ${operation.width}x${operation.height} at ${operation.left},${operation.top}`;
+                case PAGE_TRANSFORMS.NORMALIZE: {
+                    const settings = [operation.dpi && `${operation.dpi} dpi`, operation.color_mode].filter(Boolean);
+                    return settings.length > 0 ? `normalize (${settings.join(', ')})` : 'normalize';
+                }
+                default:
+                    return operation.type.replace('_', ' ');
+            }
+        }).join(', ');
+    }
+
+    static requestError(message, status = HTTP_STATUS.BAD_REQUEST) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = PageTransformService;
@@ -0,0 +1,348 @@
+// newdms/services/PiiService.js
+const { HTTP_STATUS, PII_TYPES, PII_CONFIG, PII_FINDING_STATUS, PII_REDACTION_REASONS, REDACTION_REASONS } = require('../config/constants');
+const PDFExportService = require('./pdfExportService');
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}[./-]\\d{1,2}[./-](?:\\d{4}|\\d{2})|` +
+    `\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4})`;
+
+// Built-in detectors, in order of precedence where matches overlap. The value group (the whole match when
+// there is none) is what is reported and redacted; valid() trims a candidate to the part that passes its
+// checksum, or rejects it with null
+const DETECTORS = [
+    {
+        type: PII_TYPES.EMAIL,
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/gd
+    },
+    {
+        type: PII_TYPES.IBAN,
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/gd,
+        valid: value => PiiService.trimToValid(value, 15, PiiService.isValidIban)
+    },
+    {
+        type: PII_TYPES.CREDIT_CARD,
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/gd,
+        valid: value => PiiService.trimToValid(value, 13, PiiService.isValidCardNumber)
+    },
+    {
+        type: PII_TYPES.SSN,
+        pattern: /\b(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}\b/gd
+    },
+    {
+        type: PII_TYPES.SSN,
+        pattern: /\b(?:SSN|social security (?:number|no\.?))\s*[:#]?\s*(?<value>\d{9})\b/gdi
+    },
+    {
+        type: PII_TYPES.DATE_OF_BIRTH,
+        pattern: new RegExp(`\\b(?:DOB|D\\.O\\.B\\.?|date of birth|birth\\s?date|born(?:\\s+on)?)\\s*[:.-]?\\s*(?<value>${DATE})`, 'gdi')
+    },
+    {
+        type: PII_TYPES.PHONE,
+        pattern: /(?<!\w)\+\d{1,3}(?:[ .-]?\(?\d{1,4}\)?){2,5}(?!\w)/gd,
+        valid: value => PiiService.hasDigits(value, 8, 15) ? value : null
+    },
+    {
+        type: PII_TYPES.PHONE,
+        pattern: /(?<!\w)(?:\(\d{3}\) ?|\d{3}[ .-])\d{3}[ .-]\d{4}\b/gd
+    },
+    {
+        type: PII_TYPES.PHONE,
+        pattern: /\b(?:phone|tel|telephone|mobile|cell|fax)\.?(?:\s+(?:no\.?|number))?\s*[:#]?\s*(?<value>\+?\(?\d[\d ().-]{5,18}\d)/gdi,
+        valid: value => PiiService.hasDigits(value, 7, 15) ? value : null
+    }
+];
+
+/**
+ * Finding personal data in page text: SSNs, card numbers, IBANs, phone numbers, email addresses, dates of
+ * birth, and whatever a project's own rules match. Each finding gets the page regions covering it (from the
+ * stored word positions), ready to be requested as a redaction. Findings keep a masked value only.
+ */
+class PiiService {
+    /**
+     * Look for personal data in a page's text and store what is found (replacing the page's earlier findings)
+     * @param {Object} page - Page row (with project_id, or it is looked up)
+     * @param {Array} rules - Enabled custom rules of the page's project; looked up when not given
+     * @returns {Array} Findings of the page
+     */
+    static scanPage(models, page, rules = null) {
+        if (!rules) {
+            const projectId = page.project_id || models.Document.findById(page.document_id).project_id;
+            rules = models.ProjectPiiRule.findEnabled(projectId);
+        }
+
+        const { text, spans, layout } = PiiService.pageText(page);
+        const findings = PiiService.detect(text, rules).map(match => ({
+            type: match.type,
+            ruleId: match.ruleId,
+            label: match.label,
+            maskedValue: PiiService.mask(match.type, match.value),
+            regions: PiiService.regionsFor(match, spans, layout)
+        }));
+
+        return models.PagePiiFinding.replaceForPage(page.id, findings);
+    }
+
+    /**
+     * Scan pages one by one. A page that fails to scan is logged and skipped, so this never fails the
+     * upload or OCR run it follows.
+     * @param {Array<number>} pageIds - Pages to scan; ones no longer active are skipped
+     * @returns {Object} { pages_scanned, findings } with findings the number not dismissed
+     */
+    static scanPages(models, pageIds) {
+        const rulesByProject = new Map();
+        let pagesScanned = 0;
+        let findings = 0;
+
+        pageIds.forEach(pageId => {
+            const page = models.DocumentPage.findByIdWithDocument(pageId);
+            if (!page) return;
+
+            try {
+                if (!rulesByProject.has(page.project_id)) {
+                    rulesByProject.set(page.project_id, models.ProjectPiiRule.findEnabled(page.project_id));
+                }
+                findings += PiiService.scanPage(models, page, rulesByProject.get(page.project_id))
+                    .filter(finding => finding.status !== PII_FINDING_STATUS.DISMISSED).length;
+                pagesScanned++;
+            } catch (error) {
+                console.error(`⚠️ PII scan failed for page ${pageId}:`, error.message);
+            }
+        });
+
+        return { pages_scanned: pagesScanned, findings };
+    }
+
+    /**
+     * Find personal data in text. Overlapping matches go to the detector listed first; custom rules come last.
+     * A custom rule with a group named value reports only that group.
+     * @param {string} text
+     * @param {Array} rules - Custom rules ({ id, name, pattern, case_sensitive })
+     * @returns {Array} [{ type, ruleId, label, start, end, value }] in text order
+     */
+    static detect(text, rules = []) {
+        const candidates = [];
+
+        DETECTORS.forEach(detector => {
+            PiiService.collect(text, detector.pattern, detector.valid).forEach(match => {
+                candidates.push({ type: detector.type, ruleId: null, label: null, ...match });
+            });
+        });
+
+        rules.forEach(rule => {
+            let pattern;
+            try {
+                pattern = new RegExp(rule.pattern, `gd${rule.case_sensitive ? '' : 'i'}`);
+            } catch (error) {
+                console.error(`⚠️ Skipping invalid PII rule ${rule.id}:`, error.message);
+                return;
+            }
+            PiiService.collect(text, pattern).forEach(match => {
+                candidates.push({ type: PII_TYPES.CUSTOM, ruleId: rule.id, label: rule.name, ...match });
+            });
+        });
+
+        const accepted = [];
+        candidates.forEach(candidate => {
+            if (!accepted.some(match => candidate.start < match.end && candidate.end > match.start)) {
+                accepted.push(candidate);
+            }
+        });
+
+        return accepted
+            .sort((a, b) => a.start - b.start)
+            .slice(0, PII_CONFIG.MAX_FINDINGS_PER_PAGE);
+    }
+
+    // Matches of a pattern as { start, end, value }, using its value group when it has one
+    static collect(text, pattern, valid = null) {
+        const matches = [];
+
+        for (const match of text.matchAll(pattern)) {
+            const hasValue = match.groups && match.groups.value !== undefined;
+            let value = hasValue ? match.groups.value : match[0];
+            const start = hasValue ? match.indices.groups.value[0] : match.index;
+
+            if (valid) {
+                value = valid(value);
+            }
+            if (value) {
+                matches.push({ start, end: start + value.length, value });
+            }
+        }
+
+        return matches;
+    }
+
+    // Longest leading part of a value (ending before a space or dash) that passes a check, or null
+    static trimToValid(value, minLength, check) {
+        for (let end = value.length; end >= minLength; end--) {
+            if ((end === value.length || /[ -]/.test(value[end])) && /[A-Za-z0-9]/.test(value[end - 1]) &&
+                check(value.slice(0, end).replace(/[ -]/g, ''))) {
+                return value.slice(0, end);
+            }
+        }
+        return null;
+    }
+
+    // Luhn checksum, rejecting numbers of a single repeated digit
+    static isValidCardNumber(digits) {
+        if (digits.length < 13 || digits.length > 19 || /^(\d)\1+$/.test(digits)) {
+            return false;
+        }
+
+        let sum = 0;
+        for (let index = 0; index < digits.length; index++) {
+            let digit = Number(digits[digits.length - 1 - index]);
+            if (index % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    // ISO 13616 check digits (mod 97 of the rearranged number)
+    static isValidIban(iban) {
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+            return false;
+        }
+
+        const rearranged = iban.slice(4) + iban.slice(0, 4);
+        let remainder = 0;
+        for (const char of rearranged) {
+            const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+            for (const digit of digits) {
+                remainder = (remainder * 10 + Number(digit)) % 97;
+            }
+        }
+        return remainder === 1;
+    }
+
+    static hasDigits(value, min, max) {
+        const count = (value.match(/\d/g) || []).length;
+        return count >= min && count <= max;
+    }
+
+    /**
+     * Mask a found value for storage: emails keep their first character and domain, everything else its
+     * last (up to four) letters and digits
+     */
+    static mask(type, value) {
+        const normalized = value.replace(/\s+/g, ' ').trim();
+
+        if (type === PII_TYPES.EMAIL) {
+            const at = normalized.lastIndexOf('@');
+            return `${normalized[0]}***${normalized.slice(at)}`;
+        }
+
+        const total = (normalized.match(/[A-Za-z0-9]/g) || []).length;
+        const keep = Math.min(4, Math.floor(total / 2));
+        let seen = 0;
+        return normalized.replace(/[A-Za-z0-9]/g, char => ++seen > total - keep ? char : '*');
+    }
+
+    /**
+     * Text to scan, and where each layout word sits in it. With a word layout the text is rebuilt from the
+     * words the same way redaction rebuilds it, so matches can be traced back to word positions.
+     * @returns {Object} { text, spans: [{ word, start, end }] or null, layout }
+     */
+    static pageText(page) {
+        const layout = PDFExportService.parseJSON(page.ocr_layout);
+        if (!layout || !Array.isArray(layout.words) || layout.words.length === 0) {
+            return { text: page.ocr_text || '', spans: null, layout: null };
+        }
+
+        let text = '';
+        const spans = layout.words.map((word, index) => {
+            const previous = layout.words[index - 1];
+            if (previous) {
+                text += previous.block !== word.block ? '\n\n' : previous.line !== word.line ? '\n' : ' ';
+            }
+            const start = text.length;
+            text += word.text;
+            return { word, start, end: text.length };
+        });
+
+        return { text, spans, layout };
+    }
+
+    /**
+     * Page regions covering a match: one box per layout line around the words it touches, padded a little
+     * @returns {Array} [{ x, y, width, height }] as fractions of the page image size; empty without word positions
+     */
+    static regionsFor(match, spans, layout) {
+        if (!spans || !layout.width || !layout.height) {
+            return [];
+        }
+
+        const lines = new Map();
+        spans
+            .filter(span => span.start < match.end && span.end > match.start && span.word.bbox)
+            .forEach(({ word }) => {
+                const key = `${word.block}:${word.line}`;
+                const box = lines.get(key);
+                lines.set(key, box ? {
+                    x0: Math.min(box.x0, word.bbox.x0),
+                    y0: Math.min(box.y0, word.bbox.y0),
+                    x1: Math.max(box.x1, word.bbox.x1),
+                    y1: Math.max(box.y1, word.bbox.y1)
+                } : { ...word.bbox });
+            });
+
+        // Rounded to 1/10000 of the page, outwards so the region never shrinks
+        const padding = PII_CONFIG.REGION_PADDING;
+        const floor = value => Math.max(0, Math.floor(value * 10000));
+        const ceil = value => Math.min(10000, Math.ceil(value * 10000));
+
+        return [...lines.values()].map(box => {
+            const x = floor(box.x0 / layout.width - padding);
+            const y = floor(box.y0 / layout.height - padding);
+            return {
+                x: x / 10000,
+                y: y / 10000,
+                width: (ceil(box.x1 / layout.width + padding) - x) / 10000,
+                height: (ceil(box.y1 / layout.height + padding) - y) / 10000
+            };
+        }).filter(region => region.width > 0 && region.height > 0);
+    }
+
+    /**
+     * Redaction covering findings: all their regions, with the reason suggested for their kind
+     * (financial when every finding is a card or account number, personal data otherwise)
+     * @returns {Object} { regions, reason }
+     */
+    static suggestRedaction(findings) {
+        const reasons = new Set(findings.map(finding => PII_REDACTION_REASONS[finding.type] || REDACTION_REASONS.PERSONAL_DATA));
+
+        return {
+            regions: findings.flatMap(finding => finding.regions),
+            reason: reasons.size === 1 ? [...reasons][0] : REDACTION_REASONS.PERSONAL_DATA
+        };
+    }
+
+    /**
+     * Check a custom rule's pattern before it is stored
+     * @throws {Error} status 400 when it does not compile or matches empty text
+     */
+    static validatePattern(pattern, caseSensitive = false) {
+        let regex;
+        try {
+            regex = new RegExp(pattern, caseSensitive ? '' : 'i');
+        } catch (error) {
+            throw PiiService.requestError(`Invalid pattern: ${error.message}`);
+        }
+
+        if (regex.test('')) {
+            throw PiiService.requestError('Pattern must not match empty text');
+        }
+    }
+
+    static requestError(message, status = HTTP_STATUS.BAD_REQUEST) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = PiiService;
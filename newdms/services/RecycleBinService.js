@@ -0,0 +1,166 @@
+// newdms/services/RecycleBinService.js
+const { RECYCLE_BIN_RETENTION_DAYS, RECYCLE_BIN_PURGE_INTERVAL } = require('../config/environment');
+const { HTTP_STATUS, AUDIT_ACTIONS } = require('../config/constants');
+const FileService = require('./FileService');
+const AuditService = require('./AuditService');
+
+/**
+ * Permanent removal of recycle bin items: database rows (search index entries go with them),
+ * page images, thumbnails and original uploads. When RECYCLE_BIN_RETENTION_DAYS is set,
+ * items deleted longer ago than that are purged automatically.
+ */
+class RecycleBinService {
+    constructor() {
+        this.models = null;
+        this.isInitialized = false;
+        this.isRunning = false;
+        this.purgeTimer = null;
+    }
+
+    /**
+     * Initialize recycle bin service with database models
+     */
+    async initialize(models) {
+        try {
+            this.models = models;
+            this.isInitialized = true;
+            if (this.getRetentionDays() > 0) {
+                this.start();
+            }
+            console.log(`✅ RecycleBinService initialized - ${this.getRetentionDays() > 0 ? `auto-purge after ${this.getRetentionDays()} day(s)` : 'auto-purge disabled'}`);
+            return true;
+        } catch (error) {
+            console.error('❌ RecycleBinService initialization failed:', error);
+            throw error;
+        }
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.schedulePurge(0);
+    }
+
+    async stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        clearTimeout(this.purgeTimer);
+        this.purgeTimer = null;
+    }
+
+    schedulePurge(delay) {
+        clearTimeout(this.purgeTimer);
+        this.purgeTimer = setTimeout(async () => {
+            try {
+                await this.purgeExpired();
+            } catch (error) {
+                console.error('❌ Recycle bin auto-purge failed:', error);
+            }
+            if (this.isRunning) {
+                this.schedulePurge(RECYCLE_BIN_PURGE_INTERVAL);
+            }
+        }, delay);
+    }
+
+    getRetentionDays() {
+        return Math.max(0, RECYCLE_BIN_RETENTION_DAYS || 0);
+    }
+
+    /**
+     * Permanently delete a document in the recycle bin with all its pages and files
+     * @returns {number} Files removed
+     */
+    async purgeDocument(documentId) {
+        this.assertNotHeld(documentId);
+
+        if (this.models.Job.countActive(documentId) > 0) {
+            const error = new Error('Document has queued or running jobs; cancel them before purging');
+            error.status = HTTP_STATUS.CONFLICT;
+            throw error;
+        }
+
+        const files = this.models.Document.purge(documentId);
+
+        let removed = 0;
+        for (const filePath of files) {
+            if (await FileService.deleteFile(filePath)) removed++;
+        }
+        await FileService.deleteDirectory(FileService.getDocumentDir(documentId));
+
+        return removed;
+    }
+
+    /**
+     * Permanently delete a page in the recycle bin and its image and thumbnail
+     * @returns {number} Files removed
+     */
+    async purgePage(pageId) {
+        const page = this.models.DocumentPage.findById(pageId);
+        if (page) {
+            this.assertNotHeld(page.document_id);
+        }
+
+        const files = this.models.DocumentPage.purge(pageId);
+
+        let removed = 0;
+        for (const filePath of files) {
+            if (await FileService.deleteFile(filePath)) removed++;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Throw 409 when a legal hold covers the document
+     */
+    assertNotHeld(documentId) {
+        if (this.models.LegalHold.isHeld(documentId)) {
+            const error = new Error('Document is under legal hold and cannot be purged');
+            error.status = HTTP_STATUS.CONFLICT;
+            error.code = 'LEGAL_HOLD';
+            throw error;
+        }
+    }
+
+    /**
+     * Purge documents and pages deleted more than the retention period ago
+     * @returns {Object} { documents, pages } purged
+     */
+    async purgeExpired() {
+        const days = this.getRetentionDays();
+        if (!this.isInitialized || days === 0) {
+            return { documents: 0, pages: 0 };
+        }
+
+        let documents = 0;
+        for (const documentId of this.models.Document.findDeletedBefore(days)) {
+            try {
+                await this.purgeDocument(documentId);
+                documents++;
+            } catch (error) {
+                console.warn(`⚠️ Skipped auto-purge of document ${documentId}: ${error.message}`);
+            }
+        }
+
+        let pages = 0;
+        for (const pageId of this.models.DocumentPage.findDeletedBefore(days)) {
+            try {
+                await this.purgePage(pageId);
+                pages++;
+            } catch (error) {
+                console.warn(`⚠️ Skipped auto-purge of page ${pageId}: ${error.message}`);
+            }
+        }
+
+        if (documents > 0 || pages > 0) {
+            AuditService.createAuditLog(this.models, null, AUDIT_ACTIONS.PURGE, 'documents', null,
+                `Auto-purged ${documents} document(s) and ${pages} page(s) deleted more than ${days} day(s) ago`, null);
+            console.log(`🗑️ Auto-purged ${documents} document(s) and ${pages} page(s) from the recycle bin`);
+        }
+
+        return { documents, pages };
+    }
+}
+
+// Export singleton instance
+module.exports = new RecycleBinService();
@@ -0,0 +1,188 @@
+// newdms/services/RedactionService.js
+const { HTTP_STATUS, REDACTION_TEXT_ACTIONS, REDACTION_CONFIG } = require('../config/constants');
+const FileService = require('./FileService');
+const ImageService = require('./imageService');
+const OCRService = require('./OCRService');
+const PDFExportService = require('./pdfExportService');
+const PageTransformService = require('./PageTransformService');
+const DocumentTransferService = require('./DocumentTransferService');
+const PiiService = require('./PiiService');
+
+/**
+ * Redacting page regions for good. An approved redaction paints its regions black in a new page image
+ * (the image it replaces is deleted) and takes the covered words out of the page text, word layout and
+ * search index. The page history goes too, and the original uploaded file the page came from is
+ * withheld from download from then on.
+ */
+class RedactionService {
+    /**
+     * Apply a pending redaction to its page
+     * @param {Object} page - Page row
+     * @param {Object} redaction - Pending redaction of the page
+     * @param {Object} options - { userId, note } of the reviewer
+     * @returns {Object} { redaction, width, height }
+     * @throws {Error} status 404 (image missing) or 409 (page image changed since the request, or active jobs)
+     */
+    static async apply(models, page, redaction, { userId, note = null }) {
+        DocumentTransferService.assertNoActiveJobs(models, page.document_id);
+        if (redaction.page_file_path !== page.file_path) {
+            throw RedactionService.requestError('The page image has changed since the redaction was requested; ' +
+                'reject it and request it again on the current image', HTTP_STATUS.CONFLICT);
+        }
+        if (!await FileService.fileExists(page.file_path)) {
+            throw RedactionService.requestError('Page image not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const filePath = PageTransformService.newImagePath(page.file_path);
+        const image = await ImageService.redactImage(page.file_path, filePath, redaction.regions);
+
+        let result;
+        try {
+            const text = await RedactionService.redactText(page, redaction.regions, image, filePath);
+            result = models.PageRedaction.apply(redaction, {
+                filePath,
+                fileSize: image.size,
+                text,
+                reviewedBy: userId,
+                reviewNote: note
+            });
+        } catch (error) {
+            await FileService.deleteFile(filePath);
+            throw error;
+        }
+
+        await Promise.all([page.file_path, ...result.discarded].map(filePath => FileService.deleteFile(filePath)));
+        await PageTransformService.refreshThumbnail(page, filePath);
+        // Merge the search index segments so the removed words drop out of them (secure_delete zeroes the
+        // pages they leave), then give a bounded batch of free pages back so the file does not keep growing
+        models.SearchIndex.optimize();
+        models.reclaimFreePages(REDACTION_CONFIG.RECLAIM_PAGES);
+        // Findings the redaction covered are gone; anything else is checked against the text that is left
+        PiiService.scanPages(models, [page.id]);
+
+        return { redaction: result.redaction, width: image.width, height: image.height };
+    }
+
+    /**
+     * Work out the page text without the redacted regions. Stored word positions are used when there are
+     * any; otherwise OCR is run on the redacted image, and if that fails the text is dropped.
+     * @param {Object} page - Page row
+     * @param {Array} regions - Redacted regions
+     * @param {Object} image - { width, height } of the redacted image
+     * @param {string} imagePath - Redacted image
+     * @returns {Promise<Object|null>} { action, ocr, removed } (see PageRedaction.apply); null for a page without text
+     */
+    static async redactText(page, regions, image, imagePath) {
+        const layout = RedactionService.parseLayout(page.ocr_layout);
+        if (layout) {
+            const redacted = RedactionService.redactLayout(layout, regions, image);
+            return {
+                action: REDACTION_TEXT_ACTIONS.WORDS_REMOVED,
+                ocr: { text: redacted.text, wordCount: redacted.layout.words.length, layout: redacted.layout },
+                removed: redacted.removed
+            };
+        }
+
+        if (!page.ocr_text) {
+            return null;
+        }
+
+        try {
+            const result = await OCRService.performOCR(imagePath, OCRService.resolveLanguage(page.ocr_language));
+            return {
+                action: REDACTION_TEXT_ACTIONS.OCR,
+                ocr: {
+                    text: result.text,
+                    confidence: result.confidence,
+                    language: result.language,
+                    wordCount: result.wordCount,
+                    layout: OCRService.buildLayout(result)
+                }
+            };
+        } catch (error) {
+            console.error(`⚠️ OCR failed for redacted page ${page.id}, dropping its text:`, error.message);
+            return { action: REDACTION_TEXT_ACTIONS.CLEARED, ocr: null };
+        }
+    }
+
+    /**
+     * Take the words touching any region out of a word layout and rebuild the text from the words left:
+     * a line per layout line, a blank line between blocks. Lines and blocks keep their places, with the
+     * text that is left of them.
+     * @param {Object} layout - Stored word layout (see OCRService.buildLayout)
+     * @param {Array} regions - [{ x, y, width, height }] as fractions of the page image size
+     * @param {Object} image - { width, height } of the page image, for layouts without their own size
+     * @returns {Object} { layout, text, removed }
+     */
+    static redactLayout(layout, regions, image) {
+        const boxes = RedactionService.layoutBoxes(layout, regions, image);
+        const words = layout.words.filter(word => !(word.bbox && PDFExportService.intersectsAny(word.bbox, boxes)));
+
+        const lines = (layout.lines || []).map((line, index) => ({
+            ...line,
+            text: words.filter(word => word.line === index).map(word => word.text).join(' ')
+        }));
+        const blocks = (layout.blocks || []).map((block, index) => ({
+            ...block,
+            text: lines.filter(line => line.block === index && line.text).map(line => line.text).join('\n')
+        }));
+
+        let text = '';
+        words.forEach((word, index) => {
+            const previous = words[index - 1];
+            if (previous) {
+                text += previous.block !== word.block ? '\n\n' : previous.line !== word.line ? '\n' : ' ';
+            }
+            text += word.text;
+        });
+
+        return {
+            layout: { ...layout, words, lines, blocks },
+            text,
+            removed: layout.words.length - words.length
+        };
+    }
+
+    /**
+     * Words of a page layout touching any of the regions, for reviewing a redaction before it is applied
+     * @returns {Array<string>|null} null when the page has no word positions (or no size to place them by)
+     */
+    static coveredWords(page, regions) {
+        const layout = RedactionService.parseLayout(page.ocr_layout);
+        if (!layout || !layout.width || !layout.height) {
+            return null;
+        }
+
+        const boxes = RedactionService.layoutBoxes(layout, regions, layout);
+        return layout.words
+            .filter(word => word.bbox && PDFExportService.intersectsAny(word.bbox, boxes))
+            .map(word => word.text);
+    }
+
+    // Regions as { x0, y0, x1, y1 } boxes in the pixels the layout was measured in
+    static layoutBoxes(layout, regions, image) {
+        const width = layout.width || image.width;
+        const height = layout.height || image.height;
+
+        return regions.map(region => ({
+            x0: region.x * width,
+            y0: region.y * height,
+            x1: (region.x + region.width) * width,
+            y1: (region.y + region.height) * height
+        }));
+    }
+
+    // Stored word layout, or null when the page has no word positions to go by
+    static parseLayout(value) {
+        const layout = PDFExportService.parseJSON(value);
+        return layout && Array.isArray(layout.words) && layout.words.length > 0 ? layout : null;
+    }
+
+    static requestError(message, status = HTTP_STATUS.BAD_REQUEST) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = RedactionService;
@@ -0,0 +1,146 @@
+// newdms/services/RetentionService.js
+const { RETENTION_CHECK_INTERVAL } = require('../config/environment');
+const { HTTP_STATUS, AUDIT_ACTIONS, DISPOSITION_STATUS } = require('../config/constants');
+const AuditService = require('./AuditService');
+const RecycleBinService = require('./RecycleBinService');
+
+/**
+ * Records retention: periodically flags documents past their retention policy for
+ * disposition review. Approved dispositions permanently destroy the document and
+ * write a certificate of destruction to the audit log.
+ */
+class RetentionService {
+    constructor() {
+        this.models = null;
+        this.isInitialized = false;
+        this.isRunning = false;
+        this.checkTimer = null;
+    }
+
+    /**
+     * Initialize retention service with database models
+     */
+    async initialize(models) {
+        try {
+            this.models = models;
+            this.isInitialized = true;
+            this.start();
+            console.log('✅ RetentionService initialized');
+            return true;
+        } catch (error) {
+            console.error('❌ RetentionService initialization failed:', error);
+            throw error;
+        }
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.scheduleCheck(0);
+    }
+
+    async stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        clearTimeout(this.checkTimer);
+        this.checkTimer = null;
+    }
+
+    scheduleCheck(delay) {
+        clearTimeout(this.checkTimer);
+        this.checkTimer = setTimeout(() => {
+            try {
+                this.flagExpired();
+            } catch (error) {
+                console.error('❌ Retention check failed:', error);
+            }
+            if (this.isRunning) {
+                this.scheduleCheck(RETENTION_CHECK_INTERVAL);
+            }
+        }, delay);
+    }
+
+    /**
+     * Flag documents past their retention period for disposition review
+     * @returns {number} Documents flagged
+     */
+    flagExpired() {
+        if (!this.isInitialized) return 0;
+
+        const expired = this.models.RetentionPolicy.findExpiredDocuments();
+        if (expired.length === 0) return 0;
+
+        const flagged = this.models.DocumentDisposition.flagDocuments(expired);
+        AuditService.createAuditLog(this.models, null, AUDIT_ACTIONS.UPDATE, 'document_dispositions', null,
+            `Flagged ${flagged} document(s) past retention for disposition review`, null);
+        console.log(`📋 Flagged ${flagged} document(s) for disposition review`);
+
+        return flagged;
+    }
+
+    /**
+     * Permanently destroy the document of a pending disposition and record the certificate of destruction
+     * @returns {Object} Updated disposition (with certificate)
+     */
+    async destroy(disposition, userId, notes = null, ipAddress = null) {
+        if (disposition.status !== DISPOSITION_STATUS.PENDING) {
+            const error = new Error(`Disposition is already ${disposition.status}`);
+            error.status = HTTP_STATUS.CONFLICT;
+            throw error;
+        }
+
+        const document = this.models.Document.findByIdWithDetails(disposition.document_id);
+        if (!document) {
+            const error = new Error('Document no longer exists');
+            error.status = HTTP_STATUS.NOT_FOUND;
+            throw error;
+        }
+
+        // Contents recorded before destruction
+        const pageCount = this.models.db.prepare(`
+            SELECT COUNT(*) as count FROM document_pages WHERE document_id = ?
+        `).get(document.id).count;
+        const originals = this.models.DocumentOriginal.findByDocument(document.id);
+        const reviewer = await this.models.User.findOne({ where: { id: userId } });
+
+        // Legal holds and active jobs are checked here
+        const filesRemoved = await RecycleBinService.purgeDocument(document.id);
+
+        const certificate = {
+            document_id: document.id,
+            title: document.title,
+            document_type: document.document_type,
+            project_id: document.project_id,
+            project_name: document.project_name,
+            created_at: document.created_at,
+            policy_id: disposition.policy_id,
+            policy_name: disposition.policy_name,
+            retention: `${disposition.retention_period} ${disposition.retention_unit} from ${disposition.trigger_field || 'creation date'}`,
+            trigger_date: disposition.trigger_date,
+            eligible_date: disposition.eligible_date,
+            pages_destroyed: pageCount,
+            originals_destroyed: originals.map(original => ({ name: original.original_name, sha256: original.sha256 })),
+            files_removed: filesRemoved,
+            approved_by: userId,
+            approved_by_name: reviewer ? reviewer.username : null,
+            notes,
+            destroyed_at: new Date().toISOString()
+        };
+
+        const updated = this.models.DocumentDisposition.markDestroyed(disposition.id, userId, notes, certificate);
+
+        AuditService.createAuditLog(this.models, userId, AUDIT_ACTIONS.DESTROY, 'documents', document.id,
+            `Certificate of destruction #${disposition.id}: document "${document.title}" (project ${document.project_name}, ` +
+            `type ${document.document_type || 'none'}) destroyed under retention policy "${disposition.policy_name}" ` +
+            `(${certificate.retention}, eligible ${disposition.eligible_date}); ${pageCount} page(s), ` +
+            `${originals.length} original(s), ${filesRemoved} file(s) removed; approved by ${certificate.approved_by_name}`,
+            ipAddress);
+
+        console.log(`🗑️ Document ${document.id} destroyed under retention policy (disposition ${disposition.id})`);
+
+        return updated;
+    }
+}
+
+// Export singleton instance
+module.exports = new RetentionService();
@@ -0,0 +1,991 @@
+// newdms/services/SearchQueryService.js
+const { HTTP_STATUS, FIELD_TYPES, PERMISSIONS, SEARCH_FACETS, SEARCH_SORT, STATUS, PII_TYPES, PII_FINDING_STATUS } = require('../config/constants');
+const AuthService = require('./authService');
+
+// Field names with a fixed meaning; anything else must be a project index field
+const TEXT_COLUMNS = {
+    title: 'document_title',
+    index: 'index_values',
+    text: 'page_text',
+    content: 'page_text'
+};
+const FILTERS = ['project', 'type', 'creator', 'created', 'tag', 'folder', 'related', 'pii'];
+
+const DATE_PATTERN = /^\d{4}(-\d{2}){0,2}$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.*)$/;
+
+/**
+ * Search query language:
+ *   invoice "late payment" pay*           terms, phrases and prefix wildcards (implicit AND)
+ *   a AND b, a OR b, NOT a, -a, ( ... )   boolean operators and grouping
+ *   NEAR(a b, 5), a NEAR/5 b              proximity
+ *   title:report, text:"net profit"       terms scoped to the title, index values or page text
+ *   invoice_no:1234, amount:>500          project index fields (=, >, >=, <, <=, * wildcard)
+ *   date:2024-01..2024-06                 ranges (either end may be left open)
+ *   project:, type:, creator:, created:   document filters
+ *   tag:urgent, folder:Contracts          tags and folders (with their subfolders), by name or id
+ *   related:42, related:"Lease 2024"      documents related to a document, by id or title
+ *   pii:any, pii:ssn                      documents with PII found in their pages (any kind, or one of PII_TYPES)
+ */
+class SearchQueryService {
+    /**
+     * Parse a query string into a syntax tree
+     * @param {string} query - Query text
+     * @returns {Object} Root node
+     * @throws {Error} code SEARCH_SYNTAX_ERROR, status 400
+     */
+    static parse(query) {
+        const tokens = SearchQueryService.tokenize(query || '');
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const isOperator = (token, value) => token && token.type === 'operator' && token.value === value;
+
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (isOperator(peek(), 'OR')) {
+                const operator = next();
+                if (!peek() || peek().type === 'rparen' || peek().type === 'operator' && peek().value !== 'NOT') {
+                    throw SearchQueryService.syntaxError('Expected a term after OR', operator.position);
+                }
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        };
+
+        const parseAnd = () => {
+            const children = [];
+            while (peek() && peek().type !== 'rparen' && !isOperator(peek(), 'OR')) {
+                const token = peek();
+                if (token.type === 'comma') {
+                    next();
+                    continue;
+                }
+                if (isOperator(token, 'AND')) {
+                    if (children.length === 0) {
+                        throw SearchQueryService.syntaxError('AND needs a term on both sides', token.position);
+                    }
+                    next();
+                    const following = peek();
+                    if (!following || following.type === 'rparen' || isOperator(following, 'OR') || isOperator(following, 'AND')) {
+                        throw SearchQueryService.syntaxError('AND needs a term on both sides', token.position);
+                    }
+                    continue;
+                }
+                children.push(parseUnary());
+            }
+
+            if (children.length === 0) {
+                const token = peek();
+                throw SearchQueryService.syntaxError(
+                    token ? `Unexpected ${SearchQueryService.describeToken(token)}` : 'Expected a search term',
+                    token ? token.position : (query || '').length
+                );
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        };
+
+        const parseUnary = () => {
+            const token = peek();
+            if (isOperator(token, 'NOT') || token.type === 'minus') {
+                next();
+                if (!peek() || peek().type === 'rparen' || peek().type === 'operator' && peek().value !== 'NOT') {
+                    throw SearchQueryService.syntaxError('Expected a term after NOT', token.position);
+                }
+                return { type: 'not', child: parseUnary() };
+            }
+            return parseNear();
+        };
+
+        // a NEAR/5 b NEAR/5 c
+        const parseNear = () => {
+            const left = parsePrimary();
+            if (!peek() || peek().type !== 'near') {
+                return left;
+            }
+
+            const terms = [left];
+            let distance = null;
+            while (peek() && peek().type === 'near') {
+                const operator = next();
+                distance = distance === null ? operator.distance : Math.max(distance, operator.distance);
+                if (!peek() || !['term', 'phrase'].includes(peek().type)) {
+                    throw SearchQueryService.syntaxError('NEAR must be followed by a term or phrase', operator.position);
+                }
+                terms.push(parsePrimary());
+            }
+
+            if (!terms.every(term => ['term', 'phrase'].includes(term.type))) {
+                throw SearchQueryService.syntaxError('NEAR only combines terms and phrases', tokens[index - 1].position);
+            }
+            return { type: 'near', terms, distance };
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+
+            if (token.type === 'lparen') {
+                if (peek() && peek().type === 'rparen') {
+                    throw SearchQueryService.syntaxError('Empty parentheses', token.position);
+                }
+                const node = parseOr();
+                if (!peek() || peek().type !== 'rparen') {
+                    throw SearchQueryService.syntaxError('Missing closing parenthesis', token.position);
+                }
+                next();
+                return { type: 'group', child: node };
+            }
+
+            if (token.type === 'near_group') {
+                const terms = [];
+                let distance = null;
+                while (peek() && peek().type !== 'rparen') {
+                    const item = next();
+                    if (item.type === 'comma') {
+                        const distanceToken = next();
+                        if (!distanceToken || distanceToken.type !== 'term' || !/^\d+$/.test(distanceToken.value)) {
+                            throw SearchQueryService.syntaxError('NEAR distance must be a whole number', item.position);
+                        }
+                        distance = parseInt(distanceToken.value, 10);
+                        break;
+                    }
+                    if (!['term', 'phrase'].includes(item.type)) {
+                        throw SearchQueryService.syntaxError('NEAR(...) only accepts terms and phrases', item.position);
+                    }
+                    terms.push({ type: item.type, value: item.value, prefix: item.prefix });
+                }
+                if (!peek() || peek().type !== 'rparen') {
+                    throw SearchQueryService.syntaxError('Missing closing parenthesis for NEAR', token.position);
+                }
+                next();
+                if (terms.length < 2) {
+                    throw SearchQueryService.syntaxError('NEAR needs at least two terms', token.position);
+                }
+                return { type: 'near', terms, distance };
+            }
+
+            if (token.type === 'term' || token.type === 'phrase') {
+                return { type: token.type, value: token.value, prefix: token.prefix };
+            }
+
+            if (token.type === 'field') {
+                return SearchQueryService.parseField(token);
+            }
+
+            throw SearchQueryService.syntaxError(`Unexpected ${SearchQueryService.describeToken(token)}`, token.position);
+        };
+
+        if (tokens.length === 0) {
+            throw SearchQueryService.syntaxError('Search query is empty', 0);
+        }
+
+        const root = parseOr();
+        if (index < tokens.length) {
+            const token = tokens[index];
+            throw SearchQueryService.syntaxError(`Unexpected ${SearchQueryService.describeToken(token)}`, token.position);
+        }
+        return root;
+    }
+
+    /**
+     * Split a query string into tokens
+     */
+    static tokenize(query) {
+        const tokens = [];
+        let position = 0;
+
+        const readQuoted = (start) => {
+            const end = query.indexOf('"', start + 1);
+            if (end === -1) {
+                throw SearchQueryService.syntaxError('Unterminated quoted phrase', start);
+            }
+            return { text: query.slice(start + 1, end), end: end + 1 };
+        };
+
+        while (position < query.length) {
+            const char = query[position];
+
+            if (/\s/.test(char)) {
+                position++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position });
+                position++;
+                continue;
+            }
+
+            if (char === ',') {
+                tokens.push({ type: 'comma', position });
+                position++;
+                continue;
+            }
+
+            if (char === '-' && position + 1 < query.length && !/[\s)]/.test(query[position + 1]) &&
+                (position === 0 || /[\s(]/.test(query[position - 1]))) {
+                tokens.push({ type: 'minus', position });
+                position++;
+                continue;
+            }
+
+            if (char === '"') {
+                const { text, end } = readQuoted(position);
+                const prefix = query[end] === '*';
+                if (!text.trim()) {
+                    throw SearchQueryService.syntaxError('Empty quoted phrase', position);
+                }
+                tokens.push({ type: 'phrase', value: text.trim(), prefix, position });
+                position = end + (prefix ? 1 : 0);
+                continue;
+            }
+
+            // Bare word, operator or field:value
+            const start = position;
+            while (position < query.length && !/[\s(),"]/.test(query[position])) {
+                position++;
+            }
+            let word = query.slice(start, position);
+
+            if (word === 'NEAR' && query[position] === '(') {
+                tokens.push({ type: 'near_group', position: start });
+                position++;
+                continue;
+            }
+
+            const nearMatch = word.match(/^NEAR(?:\/(\d+))?$/);
+            if (nearMatch) {
+                tokens.push({ type: 'near', distance: nearMatch[1] ? parseInt(nearMatch[1], 10) : 10, position: start });
+                continue;
+            }
+
+            if (['AND', 'OR', 'NOT'].includes(word)) {
+                tokens.push({ type: 'operator', value: word, position: start });
+                continue;
+            }
+
+            const fieldMatch = word.match(/^([A-Za-z_][\w.]*):(.*)$/);
+            if (fieldMatch) {
+                let value = fieldMatch[2];
+                let quoted = false;
+                if (value === '' && query[position] === '"') {
+                    const phrase = readQuoted(position);
+                    value = phrase.text;
+                    quoted = true;
+                    position = phrase.end;
+                }
+                if (value === '') {
+                    throw SearchQueryService.syntaxError(`Missing value for field '${fieldMatch[1]}'`, start);
+                }
+                tokens.push({ type: 'field', name: fieldMatch[1].toLowerCase(), value, quoted, position: start });
+                continue;
+            }
+
+            let prefix = false;
+            if (word.endsWith('*')) {
+                prefix = true;
+                word = word.replace(/\*+$/, '');
+            }
+            if (word.includes('*')) {
+                throw SearchQueryService.syntaxError('Wildcards are only supported at the end of a term', start + word.indexOf('*'));
+            }
+            if (!word) {
+                throw SearchQueryService.syntaxError('A wildcard needs at least one character before it', start);
+            }
+            tokens.push({ type: 'term', value: word, prefix, position: start });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Turn a field token into a column-scoped text node or a field/filter condition
+     */
+    static parseField(token) {
+        if (TEXT_COLUMNS[token.name]) {
+            const prefix = !token.quoted && token.value.endsWith('*');
+            const value = prefix ? token.value.replace(/\*+$/, '') : token.value;
+            if (!value || value.includes('*') && !token.quoted) {
+                throw SearchQueryService.syntaxError(`Invalid value for '${token.name}'`, token.position);
+            }
+            return {
+                type: 'column',
+                column: TEXT_COLUMNS[token.name],
+                child: { type: token.quoted ? 'phrase' : 'term', value, prefix }
+            };
+        }
+
+        const node = {
+            type: FILTERS.includes(token.name) ? 'filter' : 'field',
+            name: token.name,
+            position: token.position
+        };
+
+        const rangeIndex = token.quoted ? -1 : token.value.indexOf('..');
+        if (rangeIndex !== -1) {
+            node.operator = 'range';
+            node.from = token.value.slice(0, rangeIndex) || null;
+            node.to = token.value.slice(rangeIndex + 2) || null;
+            if (!node.from && !node.to) {
+                throw SearchQueryService.syntaxError(`Range for '${token.name}' needs at least one bound`, token.position);
+            }
+            return node;
+        }
+
+        const [, operator, value] = token.quoted ? [null, null, token.value] : token.value.match(COMPARISON_PATTERN);
+        if (!value) {
+            throw SearchQueryService.syntaxError(`Missing value for field '${token.name}'`, token.position);
+        }
+        node.operator = operator || '=';
+        node.value = value;
+        node.quoted = token.quoted;
+        return node;
+    }
+
+    /**
+     * Compile a syntax tree for the search index.
+     * Plain text parts become the FTS MATCH expression (ranked, with snippets); field terms,
+     * filters and text mixed into them under OR/NOT become SQL conditions.
+     * Aliases available to conditions: f (document_fts), d (documents).
+     * @param {Object} root - parse() result
+     * @param {Object} options - { fields: [{ field_name, field_type }], columns: allowed FTS columns }
+     * @returns {Object} { match, conditions, params }
+     */
+    static compile(root, { fields = [], columns = null, projectIds = null } = {}) {
+        const fieldTypes = new Map();
+        fields.forEach(field => {
+            const name = field.field_name.toLowerCase();
+            if (!fieldTypes.has(name)) {
+                fieldTypes.set(name, new Set());
+            }
+            fieldTypes.get(name).add(field.field_type);
+        });
+
+        const compiler = new QueryCompiler(fieldTypes, columns, projectIds);
+        const conjuncts = root.type === 'and' ? root.children : [root];
+        const positive = [];
+        const negative = [];
+        const conditions = [];
+        const params = [];
+
+        conjuncts.forEach(node => {
+            if (compiler.isText(node)) {
+                positive.push(compiler.toFTS(node));
+            } else if (node.type === 'not' && compiler.isText(node.child)) {
+                negative.push(compiler.toFTS(node.child));
+            } else {
+                const condition = compiler.toSQL(node);
+                conditions.push(condition.sql);
+                params.push(...condition.params);
+            }
+        });
+
+        let match = null;
+        if (positive.length > 0) {
+            match = compiler.restrict(positive.map(part => `(${part})`).join(' AND '));
+            negative.forEach(part => {
+                match += ` NOT ${compiler.restrict(`(${part})`)}`;
+            });
+        } else {
+            negative.forEach(part => {
+                conditions.push('f.rowid NOT IN (SELECT rowid FROM document_fts WHERE document_fts MATCH ?)');
+                params.push(compiler.restrict(`(${part})`));
+            });
+        }
+
+        return { match, conditions, params };
+    }
+
+    /**
+     * List the language features a query uses (to check SEARCH_* permissions)
+     * @returns {Set<string>} or, not, near, group, field, filter, column:<name>
+     */
+    static getFeatures(root) {
+        const features = new Set();
+        const visit = (node) => {
+            switch (node.type) {
+                case 'and':
+                    node.children.forEach(visit);
+                    break;
+                case 'or':
+                    features.add('or');
+                    node.children.forEach(visit);
+                    break;
+                case 'not':
+                    features.add('not');
+                    visit(node.child);
+                    break;
+                case 'group':
+                    features.add('group');
+                    visit(node.child);
+                    break;
+                case 'near':
+                    features.add('near');
+                    break;
+                case 'column':
+                    features.add(`column:${node.column}`);
+                    break;
+                case 'field':
+                case 'filter':
+                    features.add(node.type);
+                    break;
+                default:
+                    break;
+            }
+        };
+        visit(root);
+        return features;
+    }
+
+    /**
+     * Collect the plain words and phrases of a query (for highlighting)
+     */
+    static getTextTerms(root) {
+        const terms = [];
+        const visit = (node) => {
+            if (node.type === 'term' || node.type === 'phrase') {
+                terms.push(node.type === 'phrase' ? `"${node.value}"` : `${node.value}${node.prefix ? '*' : ''}`);
+            } else if (node.type === 'near') {
+                node.terms.forEach(visit);
+            } else if (node.type === 'column') {
+                visit(node.child);
+            } else if (node.type === 'group') {
+                visit(node.child);
+            } else if (node.children) {
+                node.children.forEach(visit);
+            }
+        };
+        visit(root);
+        return terms.join(' ');
+    }
+
+    /**
+     * Validate search parameters and compile them for SearchIndex.search/facets,
+     * applying the user's project access and SEARCH_* permissions
+     * @param {Object} models - Database models
+     * @param {Object} user - { id, permissions }
+     * @param {Object} params - GET /api/search parameters (q, project_id, document_type, created_by,
+     *                          created_from, created_to, tag, folder_id, related_to, pii, facet_filters, sort)
+     * @returns {Object} { searchQuery, sort, options }
+     * @throws {Error} with status 400 or 403
+     */
+    static buildSearch(models, user, params) {
+        const { q: query, project_id, sort = SEARCH_SORT.RELEVANCE } = params;
+
+        const searchQuery = (query || '').trim();
+        const filters = SearchQueryService.buildFilterNodes(params);
+        const facetFilters = SearchQueryService.parseFacetFilters(params.facet_filters);
+        const hasFacetFilters = Object.keys(facetFilters).length > 0;
+
+        if (searchQuery.length < 2 && filters.length === 0 && !hasFacetFilters) {
+            throw SearchQueryService.requestError('Search query must be at least 2 characters long');
+        }
+
+        if (!Object.values(SEARCH_SORT).includes(sort)) {
+            throw SearchQueryService.requestError(`sort must be one of: ${Object.values(SEARCH_SORT).join(', ')}`);
+        }
+
+        // Regular users can only search in projects they have access to (null = all projects)
+        const projectIds = models.getAccessibleProjectIds(user.id);
+
+        // Verify access to a specific project filter
+        if (project_id && !models.hasProjectAccess(user.id, project_id)) {
+            throw SearchQueryService.requestError('Access denied to specified project', HTTP_STATUS.FORBIDDEN);
+        }
+
+        const parts = searchQuery ? [SearchQueryService.parse(searchQuery), ...filters] : filters;
+        const root = parts.length === 0 ? null : parts.length === 1 ? parts[0] : { type: 'and', children: parts };
+
+        const features = root ? SearchQueryService.getFeatures(root) : new Set();
+        if (hasFacetFilters) {
+            features.add('filter');
+        }
+
+        const permissionError = SearchQueryService.checkPermissions(user, features);
+        if (permissionError) {
+            throw SearchQueryService.requestError(permissionError, HTTP_STATUS.FORBIDDEN);
+        }
+
+        const compiled = root ? SearchQueryService.compile(root, {
+            fields: models.SearchIndex.getSearchFields(projectIds),
+            // Without full-text permission only titles and index values are searched
+            columns: AuthService.userHasPermission(user, PERMISSIONS.SEARCH_FULLTEXT)
+                ? null
+                : ['document_title', 'index_values'],
+            projectIds
+        }) : { match: null, conditions: [], params: [] };
+
+        return {
+            searchQuery,
+            sort,
+            options: {
+                ...compiled,
+                projectIds,
+                projectId: project_id || null,
+                facetFilters,
+                sort
+            }
+        };
+    }
+
+    /**
+     * Turn filter parameters into filter nodes (same as type:/creator:/created:/tag:/folder:/related:/pii: in a query).
+     * tag may be a list; documents must carry every tag
+     */
+    static buildFilterNodes({ document_type, created_by, created_from, created_to, tag, folder_id, related_to, pii }) {
+        const filters = [];
+
+        if (document_type) {
+            filters.push({ type: 'filter', name: 'type', operator: '=', value: String(document_type) });
+        }
+        if (created_by) {
+            filters.push({ type: 'filter', name: 'creator', operator: '=', value: String(created_by) });
+        }
+        if (created_from || created_to) {
+            filters.push({
+                type: 'filter',
+                name: 'created',
+                operator: 'range',
+                from: created_from ? String(created_from) : null,
+                to: created_to ? String(created_to) : null
+            });
+        }
+        if (tag) {
+            [].concat(tag).forEach(value => {
+                filters.push({ type: 'filter', name: 'tag', operator: '=', value: String(value) });
+            });
+        }
+        if (folder_id) {
+            filters.push({ type: 'filter', name: 'folder', operator: '=', value: String(folder_id) });
+        }
+        if (related_to) {
+            filters.push({ type: 'filter', name: 'related', operator: '=', value: String(related_to) });
+        }
+        if (pii) {
+            filters.push({ type: 'filter', name: 'pii', operator: '=', value: String(pii) });
+        }
+
+        return filters;
+    }
+
+    /**
+     * Parse and validate facet filters (a JSON string or object).
+     * Single values are accepted in place of arrays.
+     * @throws {Error} status 400
+     */
+    static parseFacetFilters(raw) {
+        if (!raw) {
+            return {};
+        }
+
+        let parsed = raw;
+        if (typeof raw === 'string') {
+            try {
+                parsed = JSON.parse(raw);
+            } catch (error) {
+                throw SearchQueryService.requestError('facet_filters must be a JSON object');
+            }
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw SearchQueryService.requestError('facet_filters must be a JSON object');
+        }
+
+        const toValues = (key, value) => {
+            const values = Array.isArray(value) ? value : [value];
+            if (!values.every(item => ['string', 'number'].includes(typeof item))) {
+                throw SearchQueryService.requestError(`facet_filters.${key} must be a value or an array of values`);
+            }
+            return values.map(String);
+        };
+
+        const facetFilters = {};
+        Object.entries(parsed).forEach(([key, value]) => {
+            if (key === 'fields') {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    throw SearchQueryService.requestError('facet_filters.fields must be an object of field names to values');
+                }
+                facetFilters.fields = {};
+                Object.entries(value).forEach(([fieldName, fieldValues]) => {
+                    facetFilters.fields[fieldName] = toValues(`fields.${fieldName}`, fieldValues);
+                });
+                return;
+            }
+
+            if (!SEARCH_FACETS.includes(key)) {
+                throw SearchQueryService.requestError(`Unknown facet '${key}'. Available facets: ${[...SEARCH_FACETS, 'fields'].join(', ')}`);
+            }
+            facetFilters[key] = toValues(key, value);
+        });
+
+        return facetFilters;
+    }
+
+    /**
+     * Check query features against the user's search permissions.
+     * Basic search covers words, phrases, prefix wildcards and AND; everything else is advanced.
+     * @returns {string|null} Error message, or null when allowed
+     */
+    static checkPermissions(user, features) {
+        if (features.has('column:page_text') && !AuthService.userHasPermission(user, PERMISSIONS.SEARCH_FULLTEXT)) {
+            return 'Searching page text requires full-text search permission';
+        }
+
+        if (features.size > 0 && !AuthService.userHasPermission(user, PERMISSIONS.SEARCH_ADVANCED)) {
+            return 'OR, NOT, NEAR, grouping, field terms and filters require advanced search permission';
+        }
+
+        return null;
+    }
+
+    static requestError(message, status = HTTP_STATUS.BAD_REQUEST) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    static syntaxError(message, position) {
+        const error = new Error(`Invalid search query: ${message}${position !== undefined ? ` (at position ${position + 1})` : ''}`);
+        error.code = 'SEARCH_SYNTAX_ERROR';
+        error.status = HTTP_STATUS.BAD_REQUEST;
+        error.position = position;
+        return error;
+    }
+
+    static describeToken(token) {
+        switch (token.type) {
+            case 'rparen': return '")"';
+            case 'lparen': return '"("';
+            case 'comma': return '","';
+            case 'operator': return token.value;
+            case 'near': return 'NEAR';
+            default: return `"${token.value || token.type}"`;
+        }
+    }
+}
+
+/**
+ * Turns syntax tree nodes into FTS expressions and SQL conditions
+ */
+class QueryCompiler {
+    constructor(fieldTypes, columns, projectIds = null) {
+        this.fieldTypes = fieldTypes;
+        this.columns = columns;
+        this.projectIds = projectIds;
+    }
+
+    // Text nodes can be expressed as a single FTS expression
+    isText(node) {
+        switch (node.type) {
+            case 'term':
+            case 'phrase':
+            case 'near':
+            case 'column':
+                return true;
+            case 'group':
+                return this.isText(node.child);
+            case 'or':
+                return node.children.every(child => child.type !== 'not' && this.isText(child));
+            case 'and': {
+                const positives = node.children.filter(child => child.type !== 'not');
+                return positives.length > 0 &&
+                    positives.every(child => this.isText(child)) &&
+                    node.children.filter(child => child.type === 'not').every(child => this.isText(child.child));
+            }
+            default:
+                return false;
+        }
+    }
+
+    toFTS(node) {
+        switch (node.type) {
+            case 'term':
+            case 'phrase':
+                return `${this.quote(node.value)}${node.prefix ? '*' : ''}`;
+            case 'near':
+                return `NEAR(${node.terms.map(term => this.toFTS(term)).join(' ')}${node.distance !== null ? `, ${node.distance}` : ''})`;
+            case 'column':
+                return `${node.column} : ${this.toFTS(node.child)}`;
+            case 'group':
+                return `(${this.toFTS(node.child)})`;
+            case 'or':
+                return node.children.map(child => `(${this.toFTS(child)})`).join(' OR ');
+            case 'and': {
+                const positives = node.children.filter(child => child.type !== 'not');
+                const negatives = node.children.filter(child => child.type === 'not');
+                let expression = positives.map(child => `(${this.toFTS(child)})`).join(' AND ');
+                negatives.forEach(child => {
+                    expression += ` NOT (${this.toFTS(child.child)})`;
+                });
+                return expression;
+            }
+            default:
+                throw new Error(`Cannot use ${node.type} in a text expression`);
+        }
+    }
+
+    toSQL(node) {
+        if (this.isText(node)) {
+            return {
+                sql: 'f.rowid IN (SELECT rowid FROM document_fts WHERE document_fts MATCH ?)',
+                params: [this.restrict(this.toFTS(node))]
+            };
+        }
+
+        switch (node.type) {
+            case 'group':
+                return this.toSQL(node.child);
+            case 'and':
+            case 'or': {
+                const parts = node.children.map(child => this.toSQL(child));
+                return {
+                    sql: `(${parts.map(part => part.sql).join(node.type === 'and' ? ' AND ' : ' OR ')})`,
+                    params: parts.flatMap(part => part.params)
+                };
+            }
+            case 'not': {
+                const part = this.toSQL(node.child);
+                return { sql: `NOT (${part.sql})`, params: part.params };
+            }
+            case 'filter':
+                return this.filterToSQL(node);
+            case 'field':
+                return this.fieldToSQL(node);
+            default:
+                throw SearchQueryService.syntaxError(`Unsupported expression ${node.type}`);
+        }
+    }
+
+    // Limit FTS matching to the columns the user may search
+    restrict(expression) {
+        return this.columns ? `{${this.columns.join(' ')}} : (${expression})` : expression;
+    }
+
+    quote(value) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+
+    filterToSQL(node) {
+        switch (node.name) {
+            case 'project':
+                return this.lookupToSQL(node, 'd.project_id', 'SELECT id FROM projects WHERE name LIKE ? ESCAPE \'\\\'');
+            case 'creator':
+                return this.lookupToSQL(node, 'd.created_by', 'SELECT id FROM users WHERE username LIKE ? ESCAPE \'\\\'');
+            case 'type':
+                return this.compare(node, 'd.document_type', 'text');
+            case 'created':
+                return this.compare(node, 'date(d.created_at)', 'date');
+            case 'tag': {
+                const condition = this.lookupToSQL(node, 'dt.tag_id', 'SELECT id FROM tags WHERE name LIKE ? ESCAPE \'\\\'');
+                return {
+                    sql: `EXISTS (SELECT 1 FROM document_tags dt WHERE dt.document_id = d.id AND ${condition.sql})`,
+                    params: condition.params
+                };
+            }
+            case 'folder': {
+                const condition = this.lookupToSQL(node, 'id', 'SELECT id FROM folders WHERE name LIKE ? ESCAPE \'\\\'');
+                return {
+                    sql: `d.folder_id IN (
+                        WITH RECURSIVE folder_tree(id) AS (
+                            SELECT id FROM folders WHERE ${condition.sql}
+                            UNION
+                            SELECT fo.id FROM folders fo JOIN folder_tree ft ON fo.parent_id = ft.id
+                        )
+                        SELECT id FROM folder_tree
+                    )`,
+                    params: condition.params
+                };
+            }
+            case 'related': {
+                // The documents listed in the relations of the named document, which the user must be able to view
+                const condition = this.lookupToSQL(node, 'r.document_id', 'SELECT id FROM documents WHERE title LIKE ? ESCAPE \'\\\'');
+                const projects = this.projectIds === null ? '' : this.projectIds.length === 0
+                    ? 'AND 0'
+                    : `AND rd.project_id IN (${this.projectIds.map(() => '?').join(', ')})`;
+                return {
+                    sql: `EXISTS (
+                        SELECT 1 FROM (
+                            SELECT source_document_id as document_id, target_document_id as related_id FROM document_relations
+                            UNION ALL
+                            SELECT target_document_id, source_document_id FROM document_relations WHERE bidirectional = 1
+                        ) r
+                        JOIN documents rd ON rd.id = r.document_id
+                        WHERE r.related_id = d.id AND rd.status = '${STATUS.ACTIVE}' ${projects} AND ${condition.sql}
+                    )`,
+                    params: [...(this.projectIds || []), ...condition.params]
+                };
+            }
+            case 'pii': {
+                // Findings on active pages that have not been dismissed
+                const kind = node.operator === '=' && node.value ? node.value.toLowerCase() : null;
+                if (kind !== 'any' && !Object.values(PII_TYPES).includes(kind)) {
+                    throw SearchQueryService.syntaxError(
+                        `'pii' takes any or a PII type (${Object.values(PII_TYPES).join(', ')})`, node.position);
+                }
+                return {
+                    sql: `EXISTS (
+                        SELECT 1 FROM page_pii_findings pf
+                        JOIN document_pages pp ON pp.id = pf.page_id
+                        WHERE pp.document_id = d.id AND (pp.status IS NULL OR pp.status = '${STATUS.ACTIVE}')
+                            AND pf.status != '${PII_FINDING_STATUS.DISMISSED}'${kind === 'any' ? '' : ' AND pf.type = ?'}
+                    )`,
+                    params: kind === 'any' ? [] : [kind]
+                };
+            }
+            default:
+                throw SearchQueryService.syntaxError(`Unknown filter '${node.name}'`, node.position);
+        }
+    }
+
+    // project:3 / project:"Finance", creator:7 / creator:jsmith, tag:urgent, folder:12, related:42
+    lookupToSQL(node, column, lookupSql) {
+        if (node.operator !== '=') {
+            throw SearchQueryService.syntaxError(`'${node.name}' only supports exact values`, node.position);
+        }
+        if (NUMBER_PATTERN.test(node.value)) {
+            return { sql: `${column} = ?`, params: [parseInt(node.value, 10)] };
+        }
+        return { sql: `${column} IN (${lookupSql})`, params: [this.likePattern(node.value)] };
+    }
+
+    // Project index field: the document must have a value for it that matches
+    fieldToSQL(node) {
+        const types = this.fieldTypes.get(node.name);
+        if (!types) {
+            const known = [...Object.keys(TEXT_COLUMNS), ...FILTERS, ...this.fieldTypes.keys()];
+            throw SearchQueryService.syntaxError(`Unknown field '${node.name}' (known fields: ${known.join(', ')})`, node.position);
+        }
+
+        let kind = 'text';
+        if (types.has(FIELD_TYPES.NUMBER) && types.size === 1) {
+            kind = 'number';
+        } else if (types.has(FIELD_TYPES.DATE) && types.size === 1) {
+            kind = 'date';
+        }
+
+        const condition = this.compare(node, 'fv.field_value', kind);
+        return {
+            sql: `EXISTS (
+                SELECT 1 FROM document_field_values fv
+                JOIN project_fields pf ON pf.id = fv.field_id
+                WHERE fv.document_id = d.id AND pf.field_name = ? COLLATE NOCASE AND ${condition.sql}
+            )`,
+            params: [node.name, ...condition.params]
+        };
+    }
+
+    /**
+     * Build a comparison; text fields fall back to number or date comparison when the value has that shape
+     */
+    compare(node, column, kind) {
+        const values = node.operator === 'range' ? [node.from, node.to].filter(Boolean) : [node.value];
+        let effectiveKind = kind;
+
+        if (kind === 'text' && (node.operator !== '=' || node.quoted === false && values.every(value => DATE_PATTERN.test(value) && value.includes('-')))) {
+            if (values.every(value => DATE_PATTERN.test(value) && value.includes('-'))) {
+                effectiveKind = 'date';
+            } else if (values.every(value => NUMBER_PATTERN.test(value))) {
+                effectiveKind = 'number';
+            } else if (node.operator !== '=') {
+                throw SearchQueryService.syntaxError(`Comparisons on '${node.name}' need numbers or dates (YYYY, YYYY-MM or YYYY-MM-DD)`, node.position);
+            }
+        }
+
+        if (effectiveKind === 'date') {
+            return this.compareDates(node, effectiveKind === kind ? column : `date(${column})`);
+        }
+        if (effectiveKind === 'number') {
+            return this.compareNumbers(node, column);
+        }
+
+        if (node.value.includes('*')) {
+            return { sql: `${column} LIKE ? ESCAPE '\\'`, params: [this.likePattern(node.value)] };
+        }
+        return { sql: `${column} = ? COLLATE NOCASE`, params: [node.value] };
+    }
+
+    compareNumbers(node, column) {
+        const number = (value) => {
+            if (!NUMBER_PATTERN.test(value)) {
+                throw SearchQueryService.syntaxError(`'${value}' is not a number`, node.position);
+            }
+            return parseFloat(value);
+        };
+        const numeric = `CAST(${column} AS REAL)`;
+        const guard = `${column} GLOB '*[0-9]*'`;
+
+        if (node.operator === 'range') {
+            const sql = [guard];
+            const params = [];
+            if (node.from) {
+                sql.push(`${numeric} >= ?`);
+                params.push(number(node.from));
+            }
+            if (node.to) {
+                sql.push(`${numeric} <= ?`);
+                params.push(number(node.to));
+            }
+            return { sql: `(${sql.join(' AND ')})`, params };
+        }
+
+        return { sql: `(${guard} AND ${numeric} ${node.operator} ?)`, params: [number(node.value)] };
+    }
+
+    // Dates match whole periods: 2024 is the year, 2024-03 the month
+    compareDates(node, column) {
+        const period = (value) => {
+            if (!DATE_PATTERN.test(value)) {
+                throw SearchQueryService.syntaxError(`'${value}' is not a date (use YYYY, YYYY-MM or YYYY-MM-DD)`, node.position);
+            }
+            const [year, month, day] = value.split('-').map(part => parseInt(part, 10));
+            const start = new Date(Date.UTC(year, (month || 1) - 1, day || 1));
+            const end = new Date(start);
+            if (day) {
+                end.setUTCDate(end.getUTCDate() + 1);
+            } else if (month) {
+                end.setUTCMonth(end.getUTCMonth() + 1);
+            } else {
+                end.setUTCFullYear(end.getUTCFullYear() + 1);
+            }
+            if (Number.isNaN(start.getTime()) || (month && (month < 1 || month > 12)) || (day && start.getUTCDate() !== day)) {
+                throw SearchQueryService.syntaxError(`'${value}' is not a valid date`, node.position);
+            }
+            return { start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) };
+        };
+
+        if (node.operator === 'range') {
+            const sql = [];
+            const params = [];
+            if (node.from) {
+                sql.push(`${column} >= ?`);
+                params.push(period(node.from).start);
+            }
+            if (node.to) {
+                sql.push(`${column} < ?`);
+                params.push(period(node.to).end);
+            }
+            return { sql: `(${sql.join(' AND ')})`, params };
+        }
+
+        const { start, end } = period(node.value);
+        switch (node.operator) {
+            case '>':
+                return { sql: `${column} >= ?`, params: [end] };
+            case '>=':
+                return { sql: `${column} >= ?`, params: [start] };
+            case '<':
+                return { sql: `${column} < ?`, params: [start] };
+            case '<=':
+                return { sql: `${column} < ?`, params: [end] };
+            default:
+                return { sql: `(${column} >= ? AND ${column} < ?)`, params: [start, end] };
+        }
+    }
+
+    likePattern(value) {
+        return value.replace(/[\\%_]/g, char => `\\${char}`).replace(/\*/g, '%');
+    }
+}
+
+module.exports = SearchQueryService;
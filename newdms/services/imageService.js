@@ -3,8 +3,11 @@ const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
-const { THUMBNAIL_CONFIG } = require('../config/constants');
-const OCRService = require('./ocrService');
+const {
+    THUMBNAIL_CONFIG, PAGE_TRANSFORMS, PAGE_TRANSFORM_CONFIG, INGEST_BLANK_ACTIONS, INGEST_COLOR_MODES, INGEST_CONFIG, HTTP_STATUS
+} = require('../config/constants');
+const OCRService = require('./OCRService');
+const FileService = require('./FileService');
 
 class ImageService {
     /**
@@ -41,9 +44,11 @@ class ImageService {
      * @param {string} thumbnailDir - Thumbnail directory
      * @param {boolean} performOCRProcessing - Whether to perform OCR
      * @param {Object} models - Database models
+     * @param {Object} options - { language, originalId, ingest, userId } where ingest is the project's
+     *   clean-up settings (see cleanScan), if enabled
      * @returns {Promise<Object>} Page record
      */
-    static async processSingleImage(file, documentId, documentDir, thumbnailDir, performOCRProcessing = false, models) {
+    static async processSingleImage(file, documentId, documentDir, thumbnailDir, performOCRProcessing = false, models, options = {}) {
         console.log(`🖼️ Processing image: ${file.originalname} for document ${documentId} (OCR: ${performOCRProcessing})`);
         
         // Get next page number
@@ -57,17 +62,18 @@ class ImageService {
         // Move file to permanent location
         await fs.rename(file.path, finalPath);
         
+        // Project clean-up (blank detection, orientation, resolution) before anything reads the image
+        const cleaned = options.ingest ? await this.cleanScan(finalPath, options.ingest) : null;
+        const fileSize = cleaned?.size || file.size;
+        
         // Create thumbnail
         await this.createThumbnail(finalPath, thumbnailPath);
         
-        // Get document info for FTS
-        const documentInfo = models.Document.findById(documentId);
-        
-        // Perform OCR if requested
+        // Perform OCR if requested (not for a blank page about to be dropped)
         let ocrData = null;
-        if (performOCRProcessing) {
+        if (performOCRProcessing && !cleaned?.drop) {
             try {
-                ocrData = await OCRService.performOCR(finalPath);
+                ocrData = await OCRService.performOCR(finalPath, options.language);
                 console.log(`🔍 OCR completed for ${file.originalname}: ${ocrData.wordCount} words`);
             } catch (ocrError) {
                 console.error(`⚠️ OCR failed for ${file.originalname}:`, ocrError.message);
@@ -80,7 +86,7 @@ class ImageService {
             page_number: pageNumber,
             file_path: finalPath,
             file_name: file.originalname,
-            file_size: file.size,
+            file_size: fileSize,
             mime_type: file.mimetype,
             thumbnail_path: thumbnailPath,
             page_order: pageNumber,
@@ -88,35 +94,489 @@ class ImageService {
             ocr_text: ocrData?.text || null,
             ocr_confidence: ocrData?.confidence || null,
             ocr_processed_at: ocrData ? new Date().toISOString() : null,
-            ocr_language: performOCRProcessing ? 'eng' : null,
-            word_count: ocrData?.wordCount || 0
+            ocr_language: ocrData?.language || null,
+            word_count: ocrData?.wordCount || 0,
+            ocr_layout: ocrData ? OCRService.buildLayout(ocrData) : null,
+            text_source: ocrData ? 'ocr' : null,
+            original_id: options.originalId || null,
+            original_page_index: options.originalId ? 0 : null
         };
         
         const result = models.DocumentPage.createPage(pageData);
         const pageId = result.id;
         
-        console.log(`✅ Created image page ${pageNumber} with ID ${pageId} for document ${documentId}`);
-        
-        // Update FTS index if OCR was performed
-        if (ocrData && ocrData.text) {
-            models.updateFTSIndex(pageId, documentId, documentInfo.project_id, documentInfo.title, ocrData.text);
+        if (cleaned) {
+            this.recordCleanScan(models, pageId, cleaned, options.userId);
         }
         
+        console.log(`✅ Created image page ${pageNumber} with ID ${pageId} for document ${documentId}`);
+        
         return {
             id: pageId,
             page_number: pageNumber,
             file_name: file.originalname,
             file_path: finalPath,
             thumbnail_path: thumbnailPath,
-            file_size: file.size,
+            file_size: fileSize,
             source_type: 'image',
             document_id: documentId,
             ocr_text: ocrData?.text || null,
             ocr_confidence: ocrData?.confidence || null,
-            word_count: ocrData?.wordCount || 0
+            word_count: ocrData?.wordCount || 0,
+            text_source: pageData.text_source,
+            original_id: pageData.original_id,
+            original_page_index: pageData.original_page_index,
+            ingest_dropped: !!cleaned?.drop
+        };
+    }
+
+    /**
+     * Apply image operations in order and write the result, in the source image's format
+     * @param {string} imagePath - Source image path
+     * @param {string} outputPath - Output image path
+     * @param {Array<Object>} operations - [{ type, ...options }] with type one of PAGE_TRANSFORMS
+     * @returns {Promise<Object>} { width, height, size, operations } where operations are as applied
+     *   (deskew gains the detected angle, auto_crop the trimmed rectangle, normalize the former dpi)
+     * @throws {Error} status 400 when a crop rectangle falls outside the image or an image without
+     *   resolution metadata is to be resampled
+     */
+    static async transformImage(imagePath, outputPath, operations) {
+        const { format, density: sourceDensity } = await sharp(imagePath).metadata();
+        let density = sourceDensity;
+        // Work on lossless copies with the EXIF orientation applied; only the result is re-encoded
+        let image = await sharp(imagePath).rotate().png().toBuffer();
+        const applied = [];
+
+        for (const operation of operations) {
+            const { width, height } = await sharp(image).metadata();
+            let result = { ...operation };
+
+            switch (operation.type) {
+                case PAGE_TRANSFORMS.ROTATE:
+                    image = await sharp(image).rotate(operation.angle).toBuffer();
+                    break;
+
+                case PAGE_TRANSFORMS.DESKEW: {
+                    const angle = await this.detectSkew(image);
+                    if (Math.abs(angle) >= PAGE_TRANSFORM_CONFIG.DESKEW_MIN_ANGLE) {
+                        image = await this.straighten(image, angle, width, height);
+                    }
+                    result = { ...result, angle };
+                    break;
+                }
+
+                case PAGE_TRANSFORMS.CROP:
+                    if (operation.left + operation.width > width || operation.top + operation.height > height) {
+                        const error = new Error(`Crop rectangle is outside the ${width}x${height} image`);
+                        error.status = HTTP_STATUS.BAD_REQUEST;
+                        throw error;
+                    }
+                    image = await sharp(image).extract({
+                        left: operation.left, top: operation.top, width: operation.width, height: operation.height
+                    }).toBuffer();
+                    break;
+
+                case PAGE_TRANSFORMS.AUTO_CROP: {
+                    const { data, info } = await sharp(image)
+                        .trim({ threshold: operation.threshold ?? PAGE_TRANSFORM_CONFIG.AUTO_CROP_THRESHOLD })
+                        .toBuffer({ resolveWithObject: true });
+                    image = data;
+                    result = {
+                        ...result,
+                        left: -info.trimOffsetLeft || 0, top: -info.trimOffsetTop || 0, width: info.width, height: info.height
+                    };
+                    break;
+                }
+
+                case PAGE_TRANSFORMS.DESPECKLE:
+                    image = await sharp(image).median(operation.size ?? PAGE_TRANSFORM_CONFIG.DESPECKLE_SIZE).toBuffer();
+                    break;
+
+                case PAGE_TRANSFORMS.BINARIZE:
+                    image = await sharp(image).threshold(operation.threshold ?? PAGE_TRANSFORM_CONFIG.BINARIZE_THRESHOLD).toBuffer();
+                    break;
+
+                case PAGE_TRANSFORMS.NORMALIZE:
+                    if (operation.dpi && operation.dpi !== density) {
+                        if (!density) {
+                            const error = new Error('Image has no resolution to resample from');
+                            error.status = HTTP_STATUS.BAD_REQUEST;
+                            throw error;
+                        }
+                        image = await sharp(image).resize({ width: Math.round(width * operation.dpi / density) }).toBuffer();
+                        result = { ...result, dpi_from: density };
+                        density = operation.dpi;
+                    }
+                    if (operation.color_mode === INGEST_COLOR_MODES.GRAYSCALE) {
+                        image = await sharp(image).greyscale().toBuffer();
+                    } else if (operation.color_mode === INGEST_COLOR_MODES.BILEVEL) {
+                        image = await sharp(image).threshold(PAGE_TRANSFORM_CONFIG.BINARIZE_THRESHOLD).toBuffer();
+                    }
+                    break;
+
+                default:
+                    throw new Error(`Unknown image operation: ${operation.type}`);
+            }
+
+            applied.push(result);
+        }
+
+        // Keep the resolution so exported PDF pages stay the same physical size
+        const output = density ? sharp(image).withMetadata({ density }) : sharp(image);
+        const info = await output.toFormat(format).toFile(outputPath);
+        return { width: info.width, height: info.height, size: info.size, operations: applied };
+    }
+
+    /**
+     * Paint regions of an image solid black and write the result, in the source image's format
+     * @param {string} imagePath - Source image path
+     * @param {string} outputPath - Output image path
+     * @param {Array<Object>} regions - [{ x, y, width, height }] as fractions of the image size
+     * @returns {Promise<Object>} { width, height, size }
+     */
+    static async redactImage(imagePath, outputPath, regions) {
+        const { format, density } = await sharp(imagePath).metadata();
+        const image = await sharp(imagePath).rotate().png().toBuffer();
+        const { width, height } = await sharp(image).metadata();
+
+        // Whole pixels, rounded outwards so partly covered pixels are painted too
+        const boxes = regions.map(region => {
+            const left = Math.max(0, Math.floor(region.x * width));
+            const top = Math.max(0, Math.floor(region.y * height));
+            return {
+                left,
+                top,
+                width: Math.min(width, Math.ceil((region.x + region.width) * width)) - left,
+                height: Math.min(height, Math.ceil((region.y + region.height) * height)) - top
+            };
+        }).filter(box => box.width > 0 && box.height > 0);
+
+        const redacted = sharp(image).composite(boxes.map(box => ({
+            input: { create: { width: box.width, height: box.height, channels: 3, background: { r: 0, g: 0, b: 0 } } },
+            left: box.left,
+            top: box.top
+        })));
+
+        const output = density ? sharp(await redacted.toBuffer()).withMetadata({ density }) : redacted;
+        const info = await output.toFormat(format).toFile(outputPath);
+        return { width: info.width, height: info.height, size: info.size };
+    }
+
+    /**
+     * Detect how far text lines are turned clockwise, in degrees. Dark pixels of a scaled-down copy are
+     * projected onto rows at each candidate angle; level lines give the sharpest row profile.
+     * @param {Buffer} image - Image data
+     * @returns {Promise<number>} Angle (0 for blank images)
+     */
+    static async detectSkew(image) {
+        const { data, info } = await sharp(image)
+            .greyscale()
+            .resize({ width: PAGE_TRANSFORM_CONFIG.DESKEW_SAMPLE_WIDTH, withoutEnlargement: true })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const xs = [];
+        const ys = [];
+        for (let y = 0; y < info.height; y++) {
+            for (let x = 0; x < info.width; x++) {
+                if (data[y * info.width + x] < PAGE_TRANSFORM_CONFIG.BINARIZE_THRESHOLD) {
+                    xs.push(x - info.width / 2);
+                    ys.push(y - info.height / 2);
+                }
+            }
+        }
+        if (xs.length === 0) {
+            return 0;
+        }
+
+        const size = Math.ceil(Math.hypot(info.width, info.height));
+        const { DESKEW_MAX_ANGLE, DESKEW_STEP } = PAGE_TRANSFORM_CONFIG;
+        let best = { angle: 0, score: -1 };
+
+        for (let angle = -DESKEW_MAX_ANGLE; angle <= DESKEW_MAX_ANGLE; angle += DESKEW_STEP) {
+            const radians = angle * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            const rows = new Float64Array(size + 1);
+            for (let i = 0; i < xs.length; i++) {
+                rows[Math.round(ys[i] * cos - xs[i] * sin + size / 2)]++;
+            }
+
+            const score = rows.reduce((sum, count) => sum + count * count, 0);
+            if (score > best.score) {
+                best = { angle, score };
+            }
+        }
+
+        return Math.round(best.angle * 100) / 100;
+    }
+
+    /**
+     * Turn an image back by a skew angle, keeping its size (corners filled with white)
+     * @param {Buffer} image - Image data
+     * @param {number} angle - Detected clockwise skew in degrees
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Promise<Buffer>}
+     */
+    static async straighten(image, angle, width, height) {
+        const rotated = await sharp(image)
+            .rotate(-angle, { background: '#ffffff' })
+            .toBuffer({ resolveWithObject: true });
+
+        return sharp(rotated.data).extract({
+            left: Math.floor((rotated.info.width - width) / 2),
+            top: Math.floor((rotated.info.height - height) / 2),
+            width,
+            height
+        }).toBuffer();
+    }
+
+    /**
+     * Ingest clean-up of a scanned page per its project's settings: decide whether it is blank, turn it
+     * upright and normalize its resolution and colour depth. A changed image replaces the one at imagePath;
+     * the image as scanned moves to the page history directory so the change can be undone. Pages with a
+     * text layer are never taken for blank or turned, as their text positions come from the PDF.
+     * @param {string} imagePath - Page image path
+     * @param {Object} settings - Project ingest settings (see ProjectIngestSettings)
+     * @param {Object} options - { hasText }
+     * @returns {Promise<Object>} { report, operations, previousFilePath, previousFileSize, size, drop, review }
+     *   where report records each decision and review marks pages a user should look at
+     */
+    static async cleanScan(imagePath, settings, { hasText = false } = {}) {
+        const scan = await this.analyzeScan(imagePath);
+        const operations = [];
+        const report = {
+            processed_at: new Date().toISOString(),
+            width: scan.width,
+            height: scan.height,
+            dpi: scan.density,
+            ink_ratio: scan.ink_ratio,
+            text_layer: hasText,
+            blank: null,
+            orientation: null,
+            normalize: null
+        };
+        let review = false;
+
+        if (settings.blank_page_action !== INGEST_BLANK_ACTIONS.OFF && !hasText) {
+            const blank = scan.ink_ratio < settings.blank_threshold;
+            let action = 'kept';
+            if (blank) {
+                action = settings.blank_page_action === INGEST_BLANK_ACTIONS.DROP ? 'dropped' : 'flagged';
+            }
+            report.blank = { blank, threshold: settings.blank_threshold, action };
+            review = blank;
+        }
+        const drop = report.blank?.action === 'dropped';
+
+        if (drop) {
+            return { report, operations, drop, review };
+        }
+
+        if (settings.auto_rotate && !hasText && !report.blank?.blank) {
+            const { angle, confidence } = scan.orientation;
+            const rotated = angle !== 0 && confidence >= INGEST_CONFIG.ORIENTATION_MIN_CONFIDENCE;
+            report.orientation = { angle, confidence, rotated };
+            if (rotated) {
+                operations.push({ type: PAGE_TRANSFORMS.ROTATE, angle });
+            }
+            // Turned pages and pages that looked turned but too uncertain to act on
+            review = review || angle !== 0;
+        }
+
+        if (settings.target_dpi || settings.color_mode !== INGEST_COLOR_MODES.KEEP) {
+            const normalize = { type: PAGE_TRANSFORMS.NORMALIZE };
+            if (settings.target_dpi && scan.density && scan.density !== settings.target_dpi) {
+                normalize.dpi = settings.target_dpi;
+            }
+            // Greyscale scans are already as grey as they get; bilevel ones cannot be told apart cheaply
+            if (settings.color_mode === INGEST_COLOR_MODES.BILEVEL ||
+                (settings.color_mode === INGEST_COLOR_MODES.GRAYSCALE && scan.channels > 2)) {
+                normalize.color_mode = settings.color_mode;
+            }
+
+            const applied = !!(normalize.dpi || normalize.color_mode);
+            report.normalize = { dpi: normalize.dpi || null, color_mode: normalize.color_mode || null, applied };
+            if (settings.target_dpi && !scan.density) {
+                report.normalize.note = 'Image has no resolution to resample from';
+            }
+            if (applied) {
+                operations.push(normalize);
+            }
+        }
+
+        if (operations.length === 0) {
+            return { report, operations, drop, review };
+        }
+
+        const cleanedPath = path.join(path.dirname(imagePath), `${uuidv4()}${path.extname(imagePath)}`);
+        const previousFilePath = path.join(FileService.getPageHistoryDir(), `ingest_${path.basename(imagePath)}`);
+        const image = await this.transformImage(imagePath, cleanedPath, operations);
+        const { size: previousFileSize } = await fs.stat(imagePath);
+
+        await FileService.moveFiles([{ from: imagePath, to: previousFilePath }, { from: cleanedPath, to: imagePath }]);
+
+        return { report, operations: image.operations, previousFilePath, previousFileSize, size: image.size, drop, review };
+    }
+
+    /**
+     * Store the outcome of cleanScan() for a newly created page: the image change as a page transform
+     * (so it can be undone like any other), the report, and the move of a dropped page to the recycle bin
+     * @param {Object} cleaned - cleanScan() result
+     */
+    static recordCleanScan(models, pageId, cleaned, userId = null) {
+        const report = { ...cleaned.report };
+        if (cleaned.operations.length > 0) {
+            const transform = models.PageTransform.recordIngest(pageId, {
+                operations: cleaned.operations,
+                previousFilePath: cleaned.previousFilePath,
+                previousFileSize: cleaned.previousFileSize,
+                createdBy: userId
+            });
+            report.transform_id = transform.id;
+        }
+
+        models.DocumentPage.recordIngest(pageId, report, cleaned.review);
+        if (cleaned.drop) {
+            models.DocumentPage.softDeletePage(pageId, userId);
+        }
+        return report;
+    }
+
+    /**
+     * Measure a scanned page: how much of it is ink and which way up its text runs.
+     * @param {string} imagePath - Image path
+     * @returns {Promise<Object>} { width, height, density, channels, ink_ratio, orientation: { angle, confidence } }
+     *   where angle is the clockwise turn (0, 90, 180 or 270) that makes the page upright
+     */
+    static async analyzeScan(imagePath) {
+        const { width, height, density, channels } = await sharp(imagePath).metadata();
+        const upright = await sharp(imagePath).rotate().png().toBuffer();
+        const page = await this.sampleInk(upright);
+
+        // Ink inside the margins only: scanner edges and punch holes are not content
+        const marginX = Math.round(page.width * INGEST_CONFIG.MARGIN);
+        const marginY = Math.round(page.height * INGEST_CONFIG.MARGIN);
+        let ink = 0;
+        for (let y = marginY; y < page.height - marginY; y++) {
+            for (let x = marginX; x < page.width - marginX; x++) {
+                if (page.data[y * page.width + x] === 0) ink++;
+            }
+        }
+        const area = Math.max(1, (page.width - 2 * marginX) * (page.height - 2 * marginY));
+
+        return {
+            width,
+            height,
+            density: density || null,
+            channels,
+            ink_ratio: Math.round(ink / area * 100000) / 100000,
+            orientation: ink > 0 ? await this.detectOrientation(upright, page) : { angle: 0, confidence: 0 }
         };
     }
 
+    /**
+     * Work out which way up text runs. Text lines leave blank rows between them but hardly any blank
+     * columns, which tells upright from sideways; Latin script has more ascenders than descenders,
+     * so an upright line carries more ink above its core than below it.
+     * @param {Buffer} image - Image data
+     * @param {Object} page - sampleInk() result for the image
+     * @returns {Promise<Object>} { angle, confidence } with confidence from 0 to 1 (0 for too little text)
+     */
+    static async detectOrientation(image, page) {
+        const rows = this.inkProfile(page, true);
+        const columns = this.inkProfile(page, false);
+
+        // A line or two of text has no line spacing to go by
+        if (Math.max(this.countRuns(rows), this.countRuns(columns)) < INGEST_CONFIG.ORIENTATION_MIN_LINES) {
+            return { angle: 0, confidence: 0 };
+        }
+
+        const rowGaps = this.gapRatio(rows);
+        const columnGaps = this.gapRatio(columns);
+        const sideways = columnGaps > rowGaps;
+
+        const lines = sideways ? await this.sampleInk(await sharp(image).rotate(90).toBuffer()) : page;
+        const { above, below } = this.measureLineExtents(this.inkProfile(lines, true));
+        const upsideDown = below > above;
+
+        const axisConfidence = rowGaps + columnGaps > 0 ? Math.abs(rowGaps - columnGaps) / (rowGaps + columnGaps) : 0;
+        const flipConfidence = above + below > 0 ? Math.abs(above - below) / (above + below) : 0;
+
+        return {
+            angle: ((sideways ? 90 : 0) + (upsideDown ? 180 : 0)) % 360,
+            confidence: Math.round(Math.min(axisConfidence, flipConfidence) * 100) / 100
+        };
+    }
+
+    // Black-and-white copy scaled down to INGEST_CONFIG.SAMPLE_SIZE, with speckles removed: { data, width, height }
+    static async sampleInk(image) {
+        const { data, info } = await sharp(image)
+            .greyscale()
+            .resize({ width: INGEST_CONFIG.SAMPLE_SIZE, height: INGEST_CONFIG.SAMPLE_SIZE, fit: 'inside', withoutEnlargement: true })
+            .median(3)
+            .threshold(PAGE_TRANSFORM_CONFIG.BINARIZE_THRESHOLD)
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        return { data, width: info.width, height: info.height };
+    }
+
+    // Dark pixel count per row (or per column)
+    static inkProfile(page, byRow) {
+        const profile = new Array(byRow ? page.height : page.width).fill(0);
+        for (let y = 0; y < page.height; y++) {
+            for (let x = 0; x < page.width; x++) {
+                if (page.data[y * page.width + x] === 0) profile[byRow ? y : x]++;
+            }
+        }
+        return profile;
+    }
+
+    // Share of blank entries between the first and last inked one
+    static gapRatio(profile) {
+        const first = profile.findIndex(count => count > 0);
+        const last = profile.length - 1 - [...profile].reverse().findIndex(count => count > 0);
+        if (first < 0 || last <= first) return 0;
+
+        return profile.slice(first, last + 1).filter(count => count === 0).length / (last - first + 1);
+    }
+
+    // Number of runs of inked entries
+    static countRuns(profile) {
+        return profile.filter((count, index) => count > 0 && !(profile[index - 1] > 0)).length;
+    }
+
+    // Ink above and below the core (rows with at least half the peak ink) of each text line in a row profile
+    static measureLineExtents(rows) {
+        let above = 0;
+        let below = 0;
+
+        for (let start = 0; start < rows.length;) {
+            if (rows[start] === 0) {
+                start++;
+                continue;
+            }
+            let end = start;
+            while (end < rows.length && rows[end] > 0) end++;
+
+            const line = rows.slice(start, end);
+            if (line.length >= 4) {
+                const peak = Math.max(...line);
+                const top = line.findIndex(count => count >= peak / 2);
+                const bottom = line.length - 1 - [...line].reverse().findIndex(count => count >= peak / 2);
+                line.forEach((count, index) => {
+                    if (index < top) above += count;
+                    else if (index > bottom) below += count;
+                });
+            }
+            start = end;
+        }
+
+        return { above, below };
+    }
+
     /**
      * Validate image file
      * @param {Object} file - Multer file object
@@ -1,10 +1,24 @@
-const AuthService = require('./AuthService');
+const AuthService = require('./authService');
 const AuditService = require('./AuditService');
 const FileService = require('./FileService');
 const OCRService = require('./OCRService');
 const pdfService = require('./pdfService');
 const imageService = require('./imageService');
+const PDFExportService = require('./pdfExportService');
+const SearchQueryService = require('./SearchQueryService');
+const IndexFieldService = require('./IndexFieldService');
 const DatabaseService = require('./DatabaseService');
+const JobService = require('./JobService');
+const AlertService = require('./AlertService');
+const RecycleBinService = require('./RecycleBinService');
+const RetentionService = require('./RetentionService');
+const DocumentTransferService = require('./DocumentTransferService');
+const DocumentAssemblyService = require('./DocumentAssemblyService');
+const BulkOperationService = require('./BulkOperationService');
+const PageTransformService = require('./PageTransformService');
+const AnnotationService = require('./AnnotationService');
+const RedactionService = require('./RedactionService');
+const PiiService = require('./PiiService');
 
 module.exports = {
   AuthService,
@@ -13,5 +27,21 @@ module.exports = {
   OCRService,
   pdfService,
   imageService,
-  DatabaseService
+  PDFService: pdfService,
+  ImageService: imageService,
+  PDFExportService,
+  SearchQueryService,
+  IndexFieldService,
+  DatabaseService,
+  JobService,
+  AlertService,
+  RecycleBinService,
+  RetentionService,
+  DocumentTransferService,
+  DocumentAssemblyService,
+  BulkOperationService,
+  PageTransformService,
+  AnnotationService,
+  RedactionService,
+  PiiService
 };
\ No newline at end of file
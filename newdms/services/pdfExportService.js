@@ -0,0 +1,463 @@
+// src/services/pdfExportService.js
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const {
+    PDFDocument,
+    PDFName,
+    PDFString,
+    PDFHexString,
+    StandardFonts,
+    TextRenderingMode,
+    beginText,
+    endText,
+    setFontAndSize,
+    setTextRenderingMode,
+    setCharacterSqueeze,
+    setTextMatrix,
+    showText,
+    degrees
+} = require('pdf-lib');
+const { PDF_EXPORT_CONFIG } = require('../config/constants');
+const AnnotationService = require('./AnnotationService');
+
+// Generated once; the profile never changes
+let srgbProfile = null;
+
+class PDFExportService {
+    /**
+     * Assemble document pages into a searchable PDF (page image + invisible OCR text)
+     * @param {Object} document - Document record
+     * @param {Array} pages - Full page rows in display order (DocumentPage.findForExport)
+     * @param {Object} options - { pdfa: boolean } to produce a PDF/A-2b file, { annotations: Array }
+     *   annotation rows of the pages to burn into their images (PageAnnotation.findVisibleByDocument)
+     * @returns {Promise<Buffer>}
+     */
+    static async exportDocument(document, pages, options = {}) {
+        const { pdfa = false, annotations = [] } = options;
+        const exportDate = new Date();
+        exportDate.setMilliseconds(0);
+
+        const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+        console.log(`📄 Exporting document ${document.id} (${pages.length} pages, PDF/A: ${pdfa})`);
+
+        for (const page of pages) {
+            await PDFExportService.addPage(pdfDoc, font, page, annotations.filter(annotation => annotation.page_id === page.id));
+        }
+
+        const title = document.title || `Document ${document.id}`;
+        pdfDoc.setTitle(title);
+        pdfDoc.setProducer(PDF_EXPORT_CONFIG.PRODUCER);
+        pdfDoc.setCreator(PDF_EXPORT_CONFIG.PRODUCER);
+        pdfDoc.setCreationDate(exportDate);
+        pdfDoc.setModificationDate(exportDate);
+
+        if (pdfa) {
+            PDFExportService.applyPDFA(pdfDoc, { title, date: exportDate });
+        }
+
+        // Object streams are PDF 1.5+, which PDF/A-2 allows
+        const bytes = await pdfDoc.save({ useObjectStreams: true });
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Concatenate exported PDF files into one, each starting on a new page (files are read one at a time)
+     * @param {Array<string>} filePaths - PDFs in output order
+     * @param {Object} options - { title }
+     * @returns {Promise<Buffer>}
+     */
+    static async combineFiles(filePaths, { title = null } = {}) {
+        const combined = await PDFDocument.create();
+
+        for (const filePath of filePaths) {
+            const source = await PDFDocument.load(await fs.readFile(filePath));
+            const pages = await combined.copyPages(source, source.getPageIndices());
+            pages.forEach(page => combined.addPage(page));
+        }
+
+        if (title) {
+            combined.setTitle(title);
+        }
+        combined.setProducer(PDF_EXPORT_CONFIG.PRODUCER);
+        combined.setCreator(PDF_EXPORT_CONFIG.PRODUCER);
+
+        const bytes = await combined.save({ useObjectStreams: true });
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Add one document page: the image scaled to its DPI, redactions and annotations burned in, and the text layer on top
+     * @param {PDFDocument} pdfDoc - Target document
+     * @param {PDFFont} font - Font for the text layer
+     * @param {Object} page - Page row
+     * @param {Array} annotations - Annotation rows of the page to burn in
+     */
+    static async addPage(pdfDoc, font, page, annotations = []) {
+        const redactions = PDFExportService.getRedactionBoxes(page);
+        const image = await PDFExportService.loadPageImage(page.file_path, redactions, annotations);
+
+        const embedded = image.format === 'jpeg'
+            ? await pdfDoc.embedJpg(image.bytes)
+            : await pdfDoc.embedPng(image.bytes);
+
+        const pointsPerPixel = 72 / image.density;
+        const width = image.width * pointsPerPixel;
+        const height = image.height * pointsPerPixel;
+
+        const pdfPage = pdfDoc.addPage([width, height]);
+        pdfPage.drawImage(embedded, { x: 0, y: 0, width, height });
+
+        const rotation = Number(page.rotation) || 0;
+        if (rotation % 90 === 0 && rotation !== 0) {
+            pdfPage.setRotation(degrees(((rotation % 360) + 360) % 360));
+        }
+
+        PDFExportService.drawTextLayer(pdfPage, font, page, {
+            width: image.width,
+            height: image.height,
+            pointsPerPixel,
+            redactions
+        });
+    }
+
+    /**
+     * Read a page image in a format pdf-lib can embed (JPEG or PNG, RGB or grayscale).
+     * Redacted areas are painted black in the pixels, not just covered; annotations are drawn on top.
+     * @param {string} filePath - Page image path
+     * @param {Array} redactions - Boxes { x0, y0, x1, y1 } in image pixels
+     * @param {Array} annotations - Annotation rows to burn in
+     * @returns {Promise<Object>} { bytes, format, width, height, density }
+     */
+    static async loadPageImage(filePath, redactions = [], annotations = []) {
+        const metadata = await sharp(filePath).metadata();
+        const density = metadata.density > 0 ? metadata.density : PDF_EXPORT_CONFIG.DEFAULT_DPI;
+        const embeddable = ['jpeg', 'png'].includes(metadata.format) && metadata.space !== 'cmyk';
+
+        if (embeddable && redactions.length === 0 && annotations.length === 0) {
+            return {
+                bytes: await fs.readFile(filePath),
+                format: metadata.format,
+                width: metadata.width,
+                height: metadata.height,
+                density
+            };
+        }
+
+        // Annotations are drawn in colour, so a black-and-white page with annotations is exported in colour
+        const colourspace = metadata.space === 'b-w' && annotations.length === 0 ? 'b-w' : 'srgb';
+        let pipeline = sharp(filePath).toColourspace(colourspace);
+
+        const boxes = redactions
+            .map(box => PDFExportService.clipBox(box, metadata.width, metadata.height))
+            .filter(Boolean);
+
+        const layers = boxes.map(box => ({
+            input: {
+                create: {
+                    width: box.x1 - box.x0,
+                    height: box.y1 - box.y0,
+                    channels: 3,
+                    background: { r: 0, g: 0, b: 0 }
+                }
+            },
+            left: box.x0,
+            top: box.y0
+        }));
+        if (annotations.length > 0) {
+            layers.push({
+                input: AnnotationService.renderOverlay(annotations, { width: metadata.width, height: metadata.height, density }),
+                left: 0,
+                top: 0
+            });
+        }
+
+        if (layers.length > 0) {
+            // The overlay brings an alpha channel the page itself does not have
+            pipeline = pipeline.composite(layers).removeAlpha();
+        }
+
+        const format = metadata.format === 'jpeg' ? 'jpeg' : 'png';
+        const bytes = format === 'jpeg'
+            ? await pipeline.jpeg({ quality: 90 }).toBuffer()
+            : await pipeline.png().toBuffer();
+
+        return { bytes, format, width: metadata.width, height: metadata.height, density };
+    }
+
+    /**
+     * Draw the OCR words as invisible text, each word stretched to its bounding box.
+     * Pages without stored word geometry get their plain OCR text, one line per text line.
+     */
+    static drawTextLayer(pdfPage, font, page, { width, height, pointsPerPixel, redactions }) {
+        const layout = PDFExportService.parseJSON(page.ocr_layout);
+        const pageHeight = height * pointsPerPixel;
+        const fontKey = pdfPage.node.newFontDictionary(font.name, font.ref);
+        const charset = new Set(font.getCharacterSet());
+        const operators = [beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+
+        if (layout && Array.isArray(layout.words) && layout.words.length > 0) {
+            // Layout coordinates are in OCR image pixels; scale in case the image size differs
+            const scaleX = pointsPerPixel * (layout.width ? width / layout.width : 1);
+            const scaleY = pointsPerPixel * (layout.height ? height / layout.height : 1);
+
+            for (const word of layout.words) {
+                const text = PDFExportService.toFontText(charset, word.text);
+                const bbox = word.bbox;
+                if (!text || !bbox || PDFExportService.intersectsAny(bbox, redactions)) {
+                    continue;
+                }
+
+                const boxWidth = (bbox.x1 - bbox.x0) * scaleX;
+                const size = Math.max((bbox.y1 - bbox.y0) * scaleY, 1);
+                const naturalWidth = font.widthOfTextAtSize(text, size);
+                const squeeze = naturalWidth > 0 ? (boxWidth / naturalWidth) * 100 : 100;
+
+                operators.push(
+                    setFontAndSize(fontKey, size),
+                    setCharacterSqueeze(squeeze),
+                    setTextMatrix(1, 0, 0, 1, bbox.x0 * scaleX, pageHeight - bbox.y1 * scaleY),
+                    showText(font.encodeText(text))
+                );
+            }
+        } else if (page.ocr_text && redactions.length === 0) {
+            // Without word positions the text cannot be matched against redactions, so it is left out
+            const lines = page.ocr_text.split(/\r?\n/)
+                .map(line => PDFExportService.toFontText(charset, line))
+                .filter(Boolean);
+            const size = Math.min(12, pageHeight / Math.max(lines.length, 1));
+
+            lines.forEach((line, index) => {
+                operators.push(
+                    setFontAndSize(fontKey, size),
+                    setTextMatrix(1, 0, 0, 1, 0, pageHeight - size * (index + 1)),
+                    showText(font.encodeText(line))
+                );
+            });
+        }
+
+        operators.push(endText());
+        pdfPage.pushOperators(...operators);
+    }
+
+    /**
+     * Mark the file as PDF/A-2b: XMP identification, sRGB output intent and a file identifier
+     * @param {PDFDocument} pdfDoc - Document to update
+     * @param {Object} info - { title, date } matching the document info dictionary
+     */
+    static applyPDFA(pdfDoc, { title, date }) {
+        const context = pdfDoc.context;
+
+        const profile = context.flateStream(PDFExportService.getSRGBProfile(), { N: 3 });
+        const outputIntent = context.obj({
+            Type: 'OutputIntent',
+            S: 'GTS_PDFA1',
+            OutputConditionIdentifier: PDFString.of(PDF_EXPORT_CONFIG.ICC_DESCRIPTION),
+            Info: PDFString.of(PDF_EXPORT_CONFIG.ICC_DESCRIPTION),
+            DestOutputProfile: context.register(profile)
+        });
+        pdfDoc.catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(outputIntent)]));
+
+        // XMP metadata must stay uncompressed
+        const xmp = Buffer.from(PDFExportService.buildXMP({ title, date }), 'utf8');
+        const metadata = context.stream(new Uint8Array(xmp), { Type: 'Metadata', Subtype: 'XML' });
+        pdfDoc.catalog.set(PDFName.of('Metadata'), context.register(metadata));
+
+        const fileId = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+        context.trailerInfo.ID = context.obj([fileId, fileId]);
+    }
+
+    /**
+     * Build the XMP packet; values must match the info dictionary
+     */
+    static buildXMP({ title, date }) {
+        const isoDate = date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about=""
+    xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+<pdfaid:part>2</pdfaid:part>
+<pdfaid:conformance>B</pdfaid:conformance>
+<dc:format>application/pdf</dc:format>
+<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escape(title)}</rdf:li></rdf:Alt></dc:title>
+<xmp:CreatorTool>${escape(PDF_EXPORT_CONFIG.PRODUCER)}</xmp:CreatorTool>
+<xmp:CreateDate>${isoDate}</xmp:CreateDate>
+<xmp:ModifyDate>${isoDate}</xmp:ModifyDate>
+<xmp:MetadataDate>${isoDate}</xmp:MetadataDate>
+<pdf:Producer>${escape(PDF_EXPORT_CONFIG.PRODUCER)}</pdf:Producer>
+</rdf:Description>
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+    }
+
+    /**
+     * Build a minimal ICC v2 sRGB display profile (D50 primaries, sRGB tone curve)
+     * @returns {Buffer}
+     */
+    static getSRGBProfile() {
+        if (srgbProfile) {
+            return srgbProfile;
+        }
+
+        const fixed = value => Math.round(value * 65536);
+
+        const xyz = (x, y, z) => {
+            const tag = Buffer.alloc(20);
+            tag.write('XYZ ', 0, 'ascii');
+            tag.writeInt32BE(fixed(x), 8);
+            tag.writeInt32BE(fixed(y), 12);
+            tag.writeInt32BE(fixed(z), 16);
+            return tag;
+        };
+
+        const text = value => {
+            const tag = Buffer.alloc(8 + value.length + 1);
+            tag.write('text', 0, 'ascii');
+            tag.write(value, 8, 'ascii');
+            return tag;
+        };
+
+        const description = value => {
+            // textDescriptionType: ASCII part, then empty Unicode and ScriptCode parts
+            const tag = Buffer.alloc(12 + value.length + 1 + 8 + 3 + 67);
+            tag.write('desc', 0, 'ascii');
+            tag.writeUInt32BE(value.length + 1, 8);
+            tag.write(value, 12, 'ascii');
+            return tag;
+        };
+
+        const curvePoints = 1024;
+        const curve = Buffer.alloc(12 + curvePoints * 2);
+        curve.write('curv', 0, 'ascii');
+        curve.writeUInt32BE(curvePoints, 8);
+        for (let i = 0; i < curvePoints; i++) {
+            const v = i / (curvePoints - 1);
+            const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+            curve.writeUInt16BE(Math.round(linear * 65535), 12 + i * 2);
+        }
+
+        const tags = [
+            ['desc', description(PDF_EXPORT_CONFIG.ICC_DESCRIPTION)],
+            ['cprt', text('No copyright, use freely')],
+            ['wtpt', xyz(0.9642, 1.0, 0.8249)],
+            ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+            ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+            ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+            ['rTRC', curve],
+            ['gTRC', curve],
+            ['bTRC', curve]
+        ];
+
+        const align = size => Math.ceil(size / 4) * 4;
+        const table = Buffer.alloc(4 + tags.length * 12);
+        table.writeUInt32BE(tags.length, 0);
+
+        // Tags sharing the same data point at the same offset
+        const chunks = [];
+        const offsets = new Map();
+        let offset = 128 + table.length;
+
+        tags.forEach(([signature, data], index) => {
+            if (!offsets.has(data)) {
+                offsets.set(data, offset);
+                const padded = Buffer.alloc(align(data.length));
+                data.copy(padded);
+                chunks.push(padded);
+                offset += padded.length;
+            }
+
+            table.write(signature, 4 + index * 12, 'ascii');
+            table.writeUInt32BE(offsets.get(data), 8 + index * 12);
+            table.writeUInt32BE(data.length, 12 + index * 12);
+        });
+
+        const header = Buffer.alloc(128);
+        header.writeUInt32BE(offset, 0);
+        header.writeUInt32BE(0x02100000, 8);
+        header.write('mntr', 12, 'ascii');
+        header.write('RGB ', 16, 'ascii');
+        header.write('XYZ ', 20, 'ascii');
+        [2024, 1, 1, 0, 0, 0].forEach((value, index) => header.writeUInt16BE(value, 24 + index * 2));
+        header.write('acsp', 36, 'ascii');
+        header.writeInt32BE(fixed(0.9642), 68);
+        header.writeInt32BE(fixed(1.0), 72);
+        header.writeInt32BE(fixed(0.8249), 76);
+
+        srgbProfile = Buffer.concat([header, table, ...chunks]);
+        return srgbProfile;
+    }
+
+    /**
+     * Get redaction boxes stored in the page annotations (image pixel coordinates)
+     * @param {Object} page - Page row
+     * @returns {Array} Boxes { x0, y0, x1, y1 }
+     */
+    static getRedactionBoxes(page) {
+        const annotations = PDFExportService.parseJSON(page.annotations);
+        if (!Array.isArray(annotations)) {
+            return [];
+        }
+
+        return annotations
+            .filter(annotation => annotation && annotation.type === 'redaction' && annotation.bbox)
+            .map(annotation => annotation.bbox);
+    }
+
+    /**
+     * Round a box to whole pixels inside the image; null if nothing is left
+     */
+    static clipBox(box, width, height) {
+        const x0 = Math.max(0, Math.floor(box.x0));
+        const y0 = Math.max(0, Math.floor(box.y0));
+        const x1 = Math.min(width, Math.ceil(box.x1));
+        const y1 = Math.min(height, Math.ceil(box.y1));
+
+        return x1 > x0 && y1 > y0 ? { x0, y0, x1, y1 } : null;
+    }
+
+    /**
+     * Check whether a word box overlaps any redaction box
+     */
+    static intersectsAny(bbox, boxes) {
+        return boxes.some(box =>
+            bbox.x0 < box.x1 && bbox.x1 > box.x0 && bbox.y0 < box.y1 && bbox.y1 > box.y0
+        );
+    }
+
+    /**
+     * Reduce text to characters the standard font can encode (accents are dropped, the rest removed)
+     */
+    static toFontText(charset, value) {
+        return Array.from((value || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, ''))
+            .filter(char => charset.has(char.codePointAt(0)))
+            .join('')
+            .trim();
+    }
+
+    static parseJSON(value) {
+        if (!value) {
+            return null;
+        }
+
+        try {
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = PDFExportService;
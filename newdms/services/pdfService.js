@@ -1,11 +1,12 @@
 // src/services/pdfService.js
 const pdf2pic = require('pdf2pic');
+const { PDFDocument } = require('pdf-lib');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
-const { PDF_CONVERSION_OPTIONS } = require('../config/constants');
+const { PDF_CONVERSION_OPTIONS, NATIVE_TEXT_CONFIG } = require('../config/constants');
 const ImageService = require('./imageService');
-const OCRService = require('./ocrService');
+const OCRService = require('./OCRService');
 
 class PDFService {
     /**
@@ -17,9 +18,10 @@ class PDFService {
      * @param {string} thumbnailDir - Thumbnail directory
      * @param {boolean} performOCRProcessing - Whether to perform OCR
      * @param {Object} models - Database models
+     * @param {Object} options - { language, ingest, userId } (see savePDFPage)
      * @returns {Promise<Array>} Array of page records
      */
-    static async processPDFPages(file, documentId, documentDir, pagesDir, thumbnailDir, performOCRProcessing = false, models) {
+    static async processPDFPages(file, documentId, documentDir, pagesDir, thumbnailDir, performOCRProcessing = false, models, options = {}) {
         const pageRecords = [];
         
         try {
@@ -41,89 +43,21 @@ class PDFService {
             
             console.log(`📄 PDF converted to ${conversionResults.length} pages`);
             
-            // Get document info for FTS
-            const documentInfo = models.Document.findById(documentId);
-            
             // Process each converted page
             for (let i = 0; i < conversionResults.length; i++) {
-                const conversionResult = conversionResults[i];
                 const pageNumber = startingPageNumber + i;
-                const originalPageName = `page.${i + 1}.jpg`;
-                const finalPageName = `${uuidv4()}_page_${pageNumber}.jpg`;
-                const thumbnailName = `thumb_${finalPageName}`;
-                
-                console.log(`📄 Processing page ${pageNumber} for document ${documentId}`);
-                
-                // Move page to final location with UUID filename
-                const originalPagePath = path.join(pagesDir, originalPageName);
-                const finalPagePath = path.join(pagesDir, finalPageName);
-                const thumbnailPath = path.join(thumbnailDir, thumbnailName);
-                
-                // Rename the converted page file
-                await fs.rename(originalPagePath, finalPagePath);
-                
-                // Create thumbnail
-                await ImageService.createThumbnail(finalPagePath, thumbnailPath);
-                
-                // Get file stats
-                const stats = await fs.stat(finalPagePath);
-                
-                // Perform OCR if requested
-                let ocrData = null;
-                if (performOCRProcessing) {
-                    try {
-                        ocrData = await OCRService.performOCR(finalPagePath);
-                        console.log(`🔍 OCR completed for page ${pageNumber}: ${ocrData.wordCount} words`);
-                    } catch (ocrError) {
-                        console.error(`⚠️ OCR failed for page ${pageNumber}:`, ocrError.message);
-                    }
-                }
-                
-                // Save page record to database
-                const pageData = {
-                    document_id: documentId,
-                    page_number: pageNumber,
-                    file_path: finalPagePath,
-                    file_name: `${file.originalname} - Page ${pageNumber}`,
-                    file_size: stats.size,
-                    mime_type: 'image/jpeg',
-                    thumbnail_path: thumbnailPath,
-                    page_order: pageNumber,
-                    source_file_name: file.originalname,
-                    ocr_text: ocrData?.text || null,
-                    ocr_confidence: ocrData?.confidence || null,
-                    ocr_processed_at: ocrData ? new Date().toISOString() : null,
-                    ocr_language: performOCRProcessing ? 'eng' : null,
-                    word_count: ocrData?.wordCount || 0
-                };
-                
-                const result = models.DocumentPage.createPage(pageData);
-                const pageId = result.id;
-                
-                console.log(`✅ Created page ${pageNumber} with ID ${pageId} for document ${documentId}`);
-                
-                // Update FTS index if OCR was performed
-                if (ocrData && ocrData.text) {
-                    models.updateFTSIndex(pageId, documentId, documentInfo.project_id, documentInfo.title, ocrData.text);
-                }
+                const originalPagePath = path.join(pagesDir, `page.${i + 1}.jpg`);
                 
-                pageRecords.push({
-                    id: pageId,
-                    page_number: pageNumber,
-                    file_name: `${file.originalname} - Page ${pageNumber}`,
-                    file_path: finalPagePath,
-                    thumbnail_path: thumbnailPath,
-                    file_size: stats.size,
-                    source_type: 'pdf',
-                    document_id: documentId,
-                    ocr_text: ocrData?.text || null,
-                    ocr_confidence: ocrData?.confidence || null,
-                    word_count: ocrData?.wordCount || 0
-                });
+                const pageRecord = await this.savePDFPage(originalPagePath, file, pageNumber, documentId, pagesDir, thumbnailDir, performOCRProcessing, models, options);
+                pageRecords.push(pageRecord);
+            }
+            
+            // Close the gaps left by blank pages the clean-up dropped
+            if (pageRecords.some(page => page.ingest_dropped)) {
+                models.DocumentPage.renumberPages(documentId);
             }
             
-            // Clean up original PDF file
-            await fs.unlink(file.path);
+            // The uploaded PDF is left for the caller, which keeps it as the document original
             
             console.log(`✅ PDF processing complete: ${pageRecords.length} pages created for document ${documentId}`);
             return pageRecords;
@@ -134,6 +68,291 @@ class PDFService {
         }
     }
 
+    /**
+     * Convert a single PDF page and save it as a document page.
+     * Used by background jobs so a large PDF can be processed (and resumed) page by page.
+     * @param {Object} file - Multer file object (or { path, originalname })
+     * @param {number} pageIndex - Zero-based page index within the PDF
+     * @param {number} pageNumber - Page number to assign within the document
+     * @param {string} documentId - Document ID
+     * @param {string} pagesDir - Pages directory
+     * @param {string} thumbnailDir - Thumbnail directory
+     * @param {boolean} performOCRProcessing - Whether to perform OCR
+     * @param {Object} models - Database models
+     * @param {Object} options - { language, nativeText, originalId, ingest, userId } (see savePDFPage)
+     * @returns {Promise<Object>} Page record
+     */
+    static async processPDFPage(file, pageIndex, pageNumber, documentId, pagesDir, thumbnailDir, performOCRProcessing = false, models, options = {}) {
+        const convertOptions = {
+            ...PDF_CONVERSION_OPTIONS,
+            savePath: pagesDir,
+            saveFilename: `page_${documentId}_${pageIndex + 1}`
+        };
+        
+        const convert = pdf2pic.fromPath(file.path, convertOptions);
+        const conversionResult = await convert(pageIndex + 1, { responseType: 'image' });
+        
+        return this.savePDFPage(conversionResult.path, file, pageNumber, documentId, pagesDir, thumbnailDir, performOCRProcessing, models, {
+            originalPageIndex: pageIndex,
+            ...options
+        });
+    }
+
+    /**
+     * Move a converted page image into place, create its thumbnail, run OCR and save the page record.
+     * Pages with an embedded text layer (options.nativeText) use that text instead of OCR.
+     * With options.ingest (the project's clean-up settings) the image is cleaned up first, see ImageService.cleanScan.
+     * @param {string} originalPagePath - Path of the image produced by pdf2pic
+     * @param {Object} options - { language, nativeText, originalId, originalPageIndex, ingest, userId }
+     * @returns {Promise<Object>} Page record
+     */
+    static async savePDFPage(originalPagePath, file, pageNumber, documentId, pagesDir, thumbnailDir, performOCRProcessing = false, models, options = {}) {
+        const finalPageName = `${uuidv4()}_page_${pageNumber}.jpg`;
+        const thumbnailName = `thumb_${finalPageName}`;
+        
+        console.log(`📄 Processing page ${pageNumber} for document ${documentId}`);
+        
+        // Move page to final location with UUID filename
+        const finalPagePath = path.join(pagesDir, finalPageName);
+        const thumbnailPath = path.join(thumbnailDir, thumbnailName);
+        
+        // Rename the converted page file
+        await fs.rename(originalPagePath, finalPagePath);
+        
+        // Project clean-up (blank detection, orientation, resolution) before anything reads the image
+        const hasNativeText = this.hasNativeText(options.nativeText);
+        const cleaned = options.ingest ? await ImageService.cleanScan(finalPagePath, options.ingest, { hasText: hasNativeText }) : null;
+        
+        // Create thumbnail
+        await ImageService.createThumbnail(finalPagePath, thumbnailPath);
+        
+        // Get file stats
+        const stats = await fs.stat(finalPagePath);
+        
+        // Use the PDF's own text when it has one, otherwise perform OCR if requested
+        let ocrData = null;
+        let textSource = null;
+        if (hasNativeText) {
+            const dimensions = await OCRService.getImageDimensions(finalPagePath);
+            ocrData = this.buildNativeTextData(options.nativeText, dimensions.width, dimensions.height, options.language);
+            textSource = 'native';
+            console.log(`📝 Using embedded text for page ${pageNumber}: ${ocrData.wordCount} words (OCR skipped)`);
+        } else if (performOCRProcessing && !cleaned?.drop) {
+            try {
+                ocrData = await OCRService.performOCR(finalPagePath, options.language);
+                textSource = 'ocr';
+                console.log(`🔍 OCR completed for page ${pageNumber}: ${ocrData.wordCount} words`);
+            } catch (ocrError) {
+                console.error(`⚠️ OCR failed for page ${pageNumber}:`, ocrError.message);
+            }
+        }
+        
+        // Save page record to database
+        const pageData = {
+            document_id: documentId,
+            page_number: pageNumber,
+            file_path: finalPagePath,
+            file_name: `${file.originalname} - Page ${pageNumber}`,
+            file_size: stats.size,
+            mime_type: 'image/jpeg',
+            thumbnail_path: thumbnailPath,
+            page_order: pageNumber,
+            source_file_name: file.originalname,
+            ocr_text: ocrData?.text || null,
+            ocr_confidence: ocrData?.confidence || null,
+            ocr_processed_at: ocrData ? new Date().toISOString() : null,
+            ocr_language: ocrData?.language || null,
+            word_count: ocrData?.wordCount || 0,
+            ocr_layout: ocrData ? OCRService.buildLayout(ocrData) : null,
+            text_source: textSource,
+            original_id: options.originalId || null,
+            original_page_index: options.originalPageIndex ?? null
+        };
+        
+        const result = models.DocumentPage.createPage(pageData);
+        const pageId = result.id;
+        
+        if (cleaned) {
+            ImageService.recordCleanScan(models, pageId, cleaned, options.userId);
+        }
+        
+        console.log(`✅ Created page ${pageNumber} with ID ${pageId} for document ${documentId}`);
+        
+        return {
+            id: pageId,
+            page_number: pageNumber,
+            file_name: `${file.originalname} - Page ${pageNumber}`,
+            file_path: finalPagePath,
+            thumbnail_path: thumbnailPath,
+            file_size: stats.size,
+            source_type: 'pdf',
+            document_id: documentId,
+            ocr_text: ocrData?.text || null,
+            ocr_confidence: ocrData?.confidence || null,
+            word_count: ocrData?.wordCount || 0,
+            text_source: textSource,
+            original_id: pageData.original_id,
+            original_page_index: pageData.original_page_index,
+            ingest_dropped: !!cleaned?.drop
+        };
+    }
+
+    /**
+     * Read the embedded text layer and document info of a PDF.
+     * Word boxes are in page units at scale 1 with a top-left origin (page rotation applied).
+     * @param {string} filePath - PDF file path
+     * @returns {Promise<Object>} { info, pages: [{ width, height, text, words, lines }] }
+     */
+    static async extractTextLayer(filePath) {
+        // Loaded on demand: pdfjs warns about the missing canvas package when required
+        const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+        const data = new Uint8Array(await fs.readFile(filePath));
+        const pdfDocument = await pdfjs.getDocument({
+            data,
+            disableFontFace: true,
+            isEvalSupported: false,
+            verbosity: 0
+        }).promise;
+
+        try {
+            const { info } = await pdfDocument.getMetadata().catch(() => ({ info: {} }));
+            const pages = [];
+
+            for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+                const page = await pdfDocument.getPage(pageNumber);
+                const viewport = page.getViewport({ scale: 1 });
+                const content = await page.getTextContent();
+                pages.push(this.buildTextPage(content.items, viewport));
+                page.cleanup();
+            }
+
+            return {
+                info: {
+                    title: info.Title || null,
+                    author: info.Author || null,
+                    subject: info.Subject || null,
+                    creator: info.Creator || null,
+                    producer: info.Producer || null,
+                    creation_date: info.CreationDate || null,
+                    modification_date: info.ModDate || null,
+                    pdf_version: info.PDFFormatVersion || null
+                },
+                pages
+            };
+        } finally {
+            await pdfDocument.destroy();
+        }
+    }
+
+    /**
+     * Turn pdfjs text items into page text plus word and line boxes.
+     * Items are runs of text; word boxes are split from a run by character position.
+     */
+    static buildTextPage(items, viewport) {
+        const words = [];
+        const lines = [];
+        let text = '';
+
+        items.forEach((item) => {
+            if (typeof item.str !== 'string') {
+                return;
+            }
+
+            text += item.str + (item.hasEOL ? '\n' : ' ');
+            if (!item.str.trim()) {
+                return;
+            }
+
+            const [a, b, c, d, originX, originY] = item.transform;
+            const scale = Math.hypot(a, b) || 1;
+            const direction = { x: a / scale, y: b / scale };
+            const up = { x: -direction.y, y: direction.x };
+            const height = item.height || Math.hypot(c, d);
+            const length = item.str.length;
+
+            // Box of the run between two character offsets, converted to viewport coordinates
+            const boxAt = (start, end) => {
+                const x0 = item.width * (start / length);
+                const x1 = item.width * (end / length);
+                const corners = [[x0, 0], [x1, 0], [x0, height], [x1, height]].map(([along, across]) =>
+                    viewport.convertToViewportPoint(
+                        originX + direction.x * along + up.x * across,
+                        originY + direction.y * along + up.y * across
+                    )
+                );
+                const xs = corners.map(point => point[0]);
+                const ys = corners.map(point => point[1]);
+                return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+            };
+
+            const lineIndex = lines.length;
+            lines.push({ text: item.str.trim(), bbox: boxAt(0, length) });
+
+            const pattern = /\S+/g;
+            let match;
+            while ((match = pattern.exec(item.str)) !== null) {
+                words.push({
+                    text: match[0],
+                    bbox: boxAt(match.index, match.index + match[0].length),
+                    line: lineIndex
+                });
+            }
+        });
+
+        return { width: viewport.width, height: viewport.height, text: text.trim(), words, lines };
+    }
+
+    /**
+     * Check whether an extracted page carries enough text to skip OCR
+     * @param {Object} textPage - Page from extractTextLayer()
+     * @returns {boolean}
+     */
+    static hasNativeText(textPage) {
+        if (!textPage || !textPage.text) {
+            return false;
+        }
+        return textPage.text.replace(/\s+/g, '').length >= NATIVE_TEXT_CONFIG.MIN_PAGE_CHARS;
+    }
+
+    /**
+     * Shape an extracted page like an OCR result, scaled to the rendered page image,
+     * so it is stored, indexed and highlighted the same way
+     * @returns {Object} OCR-style result (see OCRService.performOCR)
+     */
+    static buildNativeTextData(textPage, imageWidth, imageHeight, language = null) {
+        const scaleX = imageWidth ? imageWidth / textPage.width : 1;
+        const scaleY = imageHeight ? imageHeight / textPage.height : 1;
+        const scaleBox = bbox => ({
+            x0: Math.round(bbox.x0 * scaleX),
+            y0: Math.round(bbox.y0 * scaleY),
+            x1: Math.round(bbox.x1 * scaleX),
+            y1: Math.round(bbox.y1 * scaleY)
+        });
+
+        return {
+            text: textPage.text,
+            confidence: NATIVE_TEXT_CONFIG.CONFIDENCE,
+            language,
+            wordCount: textPage.words.length,
+            words: textPage.words.map(word => ({
+                text: word.text,
+                confidence: NATIVE_TEXT_CONFIG.CONFIDENCE,
+                bbox: scaleBox(word.bbox),
+                line: word.line,
+                block: 0
+            })),
+            lines: textPage.lines.map(line => ({
+                text: line.text,
+                confidence: NATIVE_TEXT_CONFIG.CONFIDENCE,
+                bbox: scaleBox(line.bbox),
+                block: 0
+            })),
+            blocks: [],
+            imageWidth: imageWidth || null,
+            imageHeight: imageHeight || null
+        };
+    }
+
     /**
      * Validate PDF file
      * @param {Object} file - Multer file object
@@ -144,15 +363,15 @@ class PDFService {
     }
 
     /**
-     * Get PDF page count (if needed)
+     * Get PDF page count
      * @param {string} filePath - PDF file path
      * @returns {Promise<number>}
      */
     static async getPDFPageCount(filePath) {
         try {
-            // This would require additional PDF parsing library
-            // For now, we'll process and count during conversion
-            return 0;
+            const pdfBytes = await fs.readFile(filePath);
+            const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+            return pdfDoc.getPageCount();
         } catch (error) {
             console.error('Error getting PDF page count:', error);
             return 0;
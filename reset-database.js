@@ -2,7 +2,6 @@
 // Place this file in your root directory and run: node reset-database.js
 
 const fs = require('fs');
-const path = require('path');
 
 async function resetDatabase() {
     try {
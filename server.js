@@ -18,8 +18,11 @@ const {
 const { 
     FileService, 
     OCRService, 
-    DatabaseService,
-    AuditService 
+    AuditService,
+    JobService,
+    AlertService,
+    RecycleBinService,
+    RetentionService
 } = require('./newdms/services');
 
 // Import database
@@ -127,6 +130,34 @@ console.log('✅ Static file serving configured from ../public');
             await AuditService.initialize(this.models);
             console.log('📝 Audit service initialized');
 
+            // Start background job workers (resumes jobs interrupted by a restart)
+            await JobService.initialize(this.models);
+            console.log('⚙️ Background job service started');
+
+            // Check newly indexed pages against saved search subscriptions
+            await AlertService.initialize(this.models);
+            console.log('🔔 Saved search alerts started');
+
+            // Auto-purge old recycle bin items (RECYCLE_BIN_RETENTION_DAYS)
+            await RecycleBinService.initialize(this.models);
+            console.log('🗑️ Recycle bin service started');
+
+            // Flag documents past their retention policy for disposition review
+            await RetentionService.initialize(this.models);
+            console.log('📋 Retention service started');
+
+            // Report search index drift (repair with POST /api/admin/search/reindex)
+            try {
+                const searchIndex = this.models.SearchIndex.checkConsistency();
+                if (searchIndex.in_sync) {
+                    console.log(`🔎 Search index in sync (${searchIndex.indexed_rows} pages)`);
+                } else {
+                    console.warn(`⚠️ Search index drift: ${searchIndex.missing_count} missing, ${searchIndex.orphaned_count} orphaned, ${searchIndex.stale_count} stale (integrity: ${searchIndex.integrity})`);
+                }
+            } catch (searchError) {
+                console.warn('⚠️ Search index check skipped:', searchError.message);
+            }
+
             console.log('✅ All services initialized successfully');
             
         } catch (error) {
@@ -184,11 +215,19 @@ console.log('✅ Static file serving configured from ../public');
                     console.log('🔐 HTTP server closed');
 
                     try {
+                        // Let running jobs reach a page boundary before the database closes
+                        await JobService.stop();
+                        await AlertService.stop();
+                        await RecycleBinService.stop();
+                        await RetentionService.stop();
+
                         // Close database connections
                         await database.close();
                         console.log('🗄️ Database connections closed');
 
-                        // Additional cleanup if needed
+                        // Terminate OCR workers
+                        await OCRService.cleanup();
+
                         console.log('✅ Graceful shutdown completed');
                         process.exit(0);
                         
@@ -262,8 +301,10 @@ console.log('✅ Static file serving configured from ../public');
         console.log('✅ Full-text Search (SQLite FTS5)');
         console.log('✅ Document Field Editing');
         console.log('✅ Soft Delete with Audit Trail');
+        console.log('✅ Document Versioning & Rollback');
         console.log('✅ Page Drag & Drop Reordering');
         console.log('✅ Thumbnail Generation');
+        console.log('✅ Background Job Queue');
         console.log('✅ File Upload with Validation');
         console.log('✅ Request Rate Limiting');
         console.log('✅ Security Headers');
@@ -279,21 +320,88 @@ console.log('✅ Static file serving configured from ../public');
         console.log('  POST /api/auth/logout - User logout');
         
         console.log('Documents:');
-        console.log('  POST /api/documents/:id/pages - Upload files with OCR');
+        console.log('  POST /api/documents - Create document with index values');
+        console.log('  GET  /api/documents - List accessible documents');
+        console.log('  POST /api/documents/:id/pages - Upload files with OCR (background job)');
+        console.log('  GET  /api/documents/:id/jobs - List document jobs');
         console.log('  GET  /api/documents/:id - Get document details');
         console.log('  PUT  /api/documents/:id - Update document');
         console.log('  DELETE /api/documents/:id - Soft delete document');
+        console.log('  GET  /api/documents/:id/versions - List document versions');
+        console.log('  GET  /api/documents/:id/versions/diff?from=&to= - Compare versions');
+        console.log('  POST /api/documents/:id/versions/:version/rollback - Roll back to a version');
+        console.log('  POST /api/documents/:id/checkout - Check out (lock) document');
+        console.log('  POST /api/documents/:id/checkin - Check in document');
         
         console.log('Pages:');
         console.log('  GET  /api/pages/:id/content - Get page image');
         console.log('  GET  /api/pages/:id/thumbnail - Get page thumbnail');
         console.log('  GET  /api/pages/:id/ocr - Get OCR text');
         console.log('  POST /api/pages/:id/ocr - Process OCR');
+        console.log('  POST /api/pages/:id/transform - Rotate, deskew, crop or clean up page image');
+        console.log('  POST /api/pages/:id/transform/undo - Undo latest page transform');
+        console.log('  GET  /api/documents/:id/ingest - Scan clean-up decisions for review');
+        console.log('  POST /api/pages/:id/ingest/accept - Accept scan clean-up of a page');
+        console.log('  POST /api/pages/:id/ingest/revert - Revert scan clean-up of a page');
+        console.log('  GET  /api/pages/:id/transforms - List page transforms');
+        console.log('  GET  /api/pages/:id/annotations - List visible page annotations');
+        console.log('  POST /api/pages/:id/annotations - Add page annotation');
+        console.log('  PUT  /api/pages/:id/annotations/:annotationId - Update own annotation');
+        console.log('  DELETE /api/pages/:id/annotations/:annotationId - Delete annotation');
+        console.log('  GET  /api/pages/:id/export?annotations=true - Export page image, optionally with annotations');
+        console.log('  GET  /api/pages/:id/redactions - List page redactions');
+        console.log('  POST /api/pages/:id/redactions - Request redaction of page regions');
+        console.log('  POST /api/pages/:id/redactions/:redactionId/approve - Approve and apply redaction');
+        console.log('  POST /api/pages/:id/redactions/:redactionId/reject - Reject redaction');
+        console.log('  POST /api/pages/:id/redactions/:redactionId/withdraw - Withdraw own redaction request');
+        console.log('  GET  /api/documents/:id/redactions?status=pending - Redactions waiting for review');
+        console.log('  GET  /api/pages/:id/pii - PII found in page text, with suggested regions');
+        console.log('  POST /api/pages/:id/pii/scan - Scan page text for PII again');
+        console.log('  POST /api/pages/:id/pii/redact - Request redaction of PII findings');
+        console.log('  POST /api/pages/:id/pii/:findingId/dismiss - Dismiss PII finding');
+        console.log('  POST /api/pages/:id/pii/:findingId/reopen - Reopen dismissed PII finding');
+        console.log('  GET  /api/documents/:id/pii - PII findings of a document');
+        console.log('  POST /api/documents/:id/pii/scan - Scan document for PII again');
         console.log('  DELETE /api/pages/:id - Soft delete page');
         
+        console.log('Recycle Bin:');
+        console.log('  GET  /api/recycle-bin - List deleted documents and pages');
+        console.log('  POST /api/recycle-bin/documents/:id/restore - Restore document');
+        console.log('  POST /api/recycle-bin/pages/:id/restore - Restore page');
+        console.log('  DELETE /api/recycle-bin/documents/:id - Permanently delete document');
+        console.log('  DELETE /api/recycle-bin/pages/:id - Permanently delete page');
+        
+        console.log('Retention & Legal Holds:');
+        console.log('  GET  /api/retention/policies - List retention policies');
+        console.log('  GET  /api/retention/dispositions - Disposition review queue');
+        console.log('  POST /api/retention/dispositions/:id/destroy - Destroy document (certificate of destruction)');
+        console.log('  POST /api/legal-holds - Place documents under legal hold');
+        console.log('  POST /api/legal-holds/:id/release - Release legal hold');
+        console.log('  GET  /api/tags?q= - Tag autocomplete');
+        console.log('  GET  /api/folders?project_id= - Project folder tree');
+        console.log('  POST /api/documents/bulk/tags - Tag/untag documents');
+        console.log('  POST /api/documents/bulk/move - Move documents to a folder');
+        console.log('  POST /api/documents/:id/move - Move document to another project');
+        console.log('  POST /api/documents/:id/copy - Copy document into a project');
+        console.log('  POST /api/documents/:id/split - Split document at page boundaries');
+        console.log('  POST /api/documents/merge - Merge documents');
+        console.log('  POST /api/documents/bulk - Bulk delete/restore/index/OCR/move/tag/export/PII scan (background job)');
+        console.log('  POST /api/relations - Relate documents (amends, supersedes, attachment_of, related)');
+        
+        console.log('Jobs:');
+        console.log('  GET  /api/jobs/:id - Get job progress');
+        console.log('  GET  /api/jobs/:id/download - Download bulk export');
+        console.log('  POST /api/jobs/:id/cancel - Cancel job');
+        
         console.log('Search & Management:');
         console.log('  GET  /api/search?q=query - Full-text search');
         console.log('  GET  /api/projects - List accessible projects');
+        console.log('  GET  /api/projects/:id/ingest-settings - Scan clean-up settings');
+        console.log('  PUT  /api/projects/:id/ingest-settings - Update scan clean-up settings');
+        console.log('  GET  /api/projects/:id/pii-rules - Custom PII detection rules');
+        console.log('  POST /api/projects/:id/pii-rules - Add PII rule');
+        console.log('  PUT  /api/projects/:id/pii-rules/:ruleId - Update PII rule');
+        console.log('  DELETE /api/projects/:id/pii-rules/:ruleId - Delete PII rule');
         console.log('  GET  /api/users - List users (admin only)');
         console.log('  GET  /api/roles - List roles (admin only)');
         
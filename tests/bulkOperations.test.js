@@ -0,0 +1,130 @@
+// tests/bulkOperations.test.js
+// Bulk document operations queued as a background job, with per-document results and one audit entry
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_DIR = path.join(os.tmpdir(), 'dms-test-bulk-images');
+
+const request = require('supertest');
+const { JobService } = require('../newdms/services');
+const { AUDIT_ACTIONS, BULK_ITEM_STATUS, FIELD_TYPES, JOB_STATUS, JOB_TYPES, PERMISSIONS, STATUS } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('bulk document operations', () => {
+    let ctx;
+    let invoices;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        JobService.models = ctx.models;
+        ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type) VALUES (?, ?, ?, ?)
+        `).run(ctx.project.id, 'state', 'State', FIELD_TYPES.TEXT);
+        invoices = [];
+        for (const title of ['Invoice 1', 'Invoice 2', 'Invoice 3']) {
+            invoices.push(await ctx.createDocument(title, [{ text: `${title} office supplies` }]));
+        }
+    });
+
+    afterEach(() => {
+        ctx.close();
+        fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true });
+    });
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const ids = (documents) => documents.map(document => document.id);
+
+    // Queue the operation and run its job to the end (the service is only marked running meanwhile,
+    // so queueing does not wake the poller)
+    const runBulk = async (body, username = 'alice') => {
+        const queued = await api('post', '/api/documents/bulk', username).send(body);
+        expect(queued.status).toBe(202);
+        JobService.isRunning = true;
+        try {
+            await JobService.runJob(ctx.models.Job.claimNext('test-worker'));
+        } finally {
+            JobService.isRunning = false;
+        }
+        const job = await api('get', `/api/jobs/${queued.body.job.id}`, username).expect(200);
+        return job.body;
+    };
+    const itemStatuses = (job) => job.result.items.map(item => [item.document_id, item.status]);
+
+    test('sets index values on each document, reindexes it and writes one audit entry', async () => {
+        const job = await runBulk({ action: 'set_index_values', document_ids: ids(invoices), index_values: { state: 'Approved' } });
+
+        expect(job).toMatchObject({ type: JOB_TYPES.BULK_OPERATION, status: JOB_STATUS.COMPLETED });
+        expect(job.result).toMatchObject({ action: 'set_index_values', total: 3, succeeded: 3, failed: 0 });
+        invoices.forEach(document => {
+            expect(ctx.models.Document.getFieldValues(document.id)).toEqual({ state: 'Approved' });
+        });
+
+        const found = await api('get', '/api/search').query({ q: 'approved' }).expect(200);
+        expect(found.body.total).toBe(3);
+
+        const audits = ctx.db.prepare('SELECT * FROM audit_log WHERE action = ?').all(AUDIT_ACTIONS.BULK_OPERATION);
+        expect(audits).toHaveLength(1);
+        expect(audits[0].details).toContain('3 succeeded');
+    });
+
+    test('acts on the documents a search finds', async () => {
+        const other = await ctx.createDocument('Memo', [{ text: 'Lunch menu' }]);
+
+        const job = await runBulk({ action: 'delete', search: { q: 'office' } });
+
+        expect(job.result).toMatchObject({ total: 3, succeeded: 3 });
+        invoices.forEach(document => expect(ctx.models.Document.findById(document.id).status).toBe(STATUS.INACTIVE));
+        expect(ctx.models.Document.findById(other.id).status).toBe(STATUS.ACTIVE);
+
+        await api('post', '/api/documents/bulk').send({ action: 'delete', search: { q: 'nothing-matches-this' } }).expect(400);
+    });
+
+    test('reports each document on its own: skipped, failed and succeeded', async () => {
+        await api('delete', `/api/documents/${invoices[0].id}`).expect(200);
+        await api('post', `/api/documents/${invoices[1].id}/checkout`, 'bob').send({}).expect(200);
+
+        const job = await runBulk({ action: 'delete', document_ids: [...ids(invoices), 9999] });
+
+        expect(itemStatuses(job)).toEqual([
+            [invoices[0].id, BULK_ITEM_STATUS.SKIPPED],
+            [invoices[1].id, BULK_ITEM_STATUS.FAILED],
+            [invoices[2].id, BULK_ITEM_STATUS.SUCCEEDED],
+            [9999, BULK_ITEM_STATUS.FAILED]
+        ]);
+        expect(job.result.items[1].error).toContain('checked out by bob');
+        expect(ctx.models.Document.findById(invoices[1].id).status).toBe(STATUS.ACTIVE);
+    });
+
+    test('fails tagging and OCR of documents under legal hold', async () => {
+        await api('post', '/api/legal-holds', 'admin')
+            .send({ name: 'Audit', reason: 'Tax audit', document_ids: [invoices[0].id] })
+            .expect(201);
+
+        const tagged = await runBulk({ action: 'add_tags', document_ids: ids(invoices), tags: ['reviewed'] });
+        expect(tagged.result).toMatchObject({ succeeded: 2, failed: 1 });
+        expect(tagged.result.items[0].error).toContain('legal hold');
+        expect(ctx.models.Tag.findByDocument(invoices[0].id)).toEqual([]);
+
+        const ocr = await runBulk({ action: 'ocr', document_ids: [invoices[0].id], force_reprocess: true });
+        expect(itemStatuses(ocr)).toEqual([[invoices[0].id, BULK_ITEM_STATUS.FAILED]]);
+        expect(ctx.models.Job.countActive(invoices[0].id)).toBe(0);
+    });
+
+    test('checks the permission of the action', async () => {
+        ctx.users.bob.permissions = ctx.users.bob.permissions.filter(permission => permission !== PERMISSIONS.DOCUMENT_DELETE);
+
+        await api('post', '/api/documents/bulk', 'bob').send({ action: 'delete', document_ids: ids(invoices) }).expect(403);
+        await api('post', '/api/documents/bulk').send({ action: 'add_tags', document_ids: ids(invoices) }).expect(400);
+    });
+
+    test('exports the documents as one PDF downloaded from the job', async () => {
+        const job = await runBulk({ action: 'export', document_ids: ids(invoices) });
+
+        expect(job.result.export).toMatchObject({ documents: 3, file_name: `bulk-export-${job.id}.pdf` });
+        const download = await api('get', `/api/jobs/${job.id}/download`).buffer().expect(200);
+        expect(download.headers['content-type']).toBe('application/pdf');
+        expect(download.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+});
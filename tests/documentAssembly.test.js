@@ -0,0 +1,137 @@
+// tests/documentAssembly.test.js
+// Splitting documents at page boundaries and merging documents of a project
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_DIR = path.join(os.tmpdir(), 'dms-test-assembly-images');
+
+const request = require('supertest');
+const { FIELD_TYPES, STATUS, VERSION_CHANGE_TYPES } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('splitting and merging documents', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type, required) VALUES (?, ?, ?, ?, 1)
+        `).run(ctx.project.id, 'invoice_no', 'Invoice number', FIELD_TYPES.TEXT);
+    });
+
+    afterEach(() => {
+        ctx.close();
+        fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true });
+    });
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const createDocument = async (title, texts) => {
+        const document = await ctx.createDocument(title, texts.map(text => ({ text })));
+        ctx.models.DocumentVersion.createVersion(document.id, { changeType: VERSION_CHANGE_TYPES.CREATED });
+        return document;
+    };
+    const pageTexts = (documentId) => ctx.db.prepare(`
+        SELECT ocr_text FROM document_pages WHERE document_id = ? ORDER BY page_order
+    `).all(documentId).map(page => page.ocr_text);
+    const searchTitles = (q) => api('get', '/api/search').query({ q })
+        .then(res => res.body.results.map(result => result.title).sort());
+
+    describe('POST /api/documents/:id/split', () => {
+        let scan;
+
+        beforeEach(async () => {
+            scan = await createDocument('Scanned batch', ['alpha invoice', 'alpha terms', 'bravo invoice', 'charlie invoice']);
+        });
+
+        const split = (body) => api('post', `/api/documents/${scan.id}/split`).send({ version_number: 1, ...body });
+
+        test('moves each page range into a new document with its own index values', async () => {
+            const res = await split({
+                parts: [
+                    { start_page: 3, title: 'Bravo', index_values: { invoice_no: 'B-1' } },
+                    { start_page: 4, title: 'Charlie', index_values: { invoice_no: 'C-1' } }
+                ]
+            });
+
+            expect(res.status).toBe(201);
+            expect(res.body.document.page_count).toBe(2);
+            expect(res.body.documents).toEqual([
+                expect.objectContaining({ title: 'Bravo', pages: { from: 3, to: 3 }, index_values: { invoice_no: 'B-1' } }),
+                expect.objectContaining({ title: 'Charlie', pages: { from: 4, to: 4 }, index_values: { invoice_no: 'C-1' } })
+            ]);
+            expect(res.body.version_number).toBe(2);
+
+            const [bravo, charlie] = res.body.documents;
+            expect(pageTexts(scan.id)).toEqual(['alpha invoice', 'alpha terms']);
+            expect(pageTexts(bravo.id)).toEqual(['bravo invoice']);
+            expect(pageTexts(charlie.id)).toEqual(['charlie invoice']);
+
+            // Page files move into the new documents' storage
+            const [page] = ctx.db.prepare('SELECT * FROM document_pages WHERE document_id = ?').all(bravo.id);
+            expect(page.file_path.startsWith(path.join(process.env.IMAGE_DIR, `document_${bravo.id}`))).toBe(true);
+            expect(fs.existsSync(page.file_path)).toBe(true);
+
+            // Search follows the pages and finds the new documents by their index values
+            expect(await searchTitles('invoice')).toEqual(['Bravo', 'Charlie', 'Scanned batch']);
+            expect(await searchTitles('C-1')).toEqual(['Charlie']);
+        });
+
+        test('rejects bad page ranges and invalid index values without changing anything', async () => {
+            const outOfOrder = await split({ parts: [{ start_page: 4, title: 'B', index_values: { invoice_no: '1' } }, { start_page: 3, title: 'C', index_values: { invoice_no: '2' } }] });
+            expect(outOfOrder.status).toBe(400);
+            expect((await split({ parts: [{ start_page: 9, title: 'B', index_values: { invoice_no: '1' } }] })).status).toBe(400);
+
+            const invalid = await split({ parts: [{ start_page: 3, title: 'B' }] });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.details).toEqual([expect.objectContaining({ field: 'invoice_no', part: 1 })]);
+
+            expect(pageTexts(scan.id)).toHaveLength(4);
+            expect(ctx.db.prepare('SELECT COUNT(*) as count FROM documents').get().count).toBe(1);
+        });
+
+        test('requires the current version', async () => {
+            const parts = [{ start_page: 3, title: 'Bravo', index_values: { invoice_no: 'B-1' } }];
+
+            expect((await split({ parts, version_number: undefined })).status).toBe(428);
+            const stale = await api('post', `/api/documents/${scan.id}/split`).set('If-Match', `"${scan.id}-0"`).send({ parts });
+            expect(stale.status).toBe(409);
+            expect(pageTexts(scan.id)).toHaveLength(4);
+        });
+    });
+
+    describe('POST /api/documents/merge', () => {
+        test('appends the pages of the other documents and moves them to the recycle bin', async () => {
+            const first = await createDocument('Contract', ['contract body']);
+            const second = await createDocument('Annex A', ['annex a']);
+            const third = await createDocument('Annex B', ['annex b one', 'annex b two']);
+
+            const res = await api('post', '/api/documents/merge').send({ document_ids: [first.id, third.id, second.id] });
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ pages_merged: 3, version_number: 2 });
+            expect(pageTexts(first.id)).toEqual(['contract body', 'annex b one', 'annex b two', 'annex a']);
+            expect(ctx.models.Document.findById(second.id).status).toBe(STATUS.INACTIVE);
+            expect(ctx.models.Document.findById(third.id).status).toBe(STATUS.INACTIVE);
+            expect(await searchTitles('annex')).toEqual(['Contract']);
+        });
+
+        test('refuses documents from different projects or checked out by someone else', async () => {
+            const first = await createDocument('Contract', ['contract body']);
+            const second = await createDocument('Annex A', ['annex a']);
+            const otherProjectId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+                .run('Legal', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+            const outside = await createDocument('Memo', ['memo']);
+            ctx.db.prepare('UPDATE documents SET project_id = ? WHERE id = ?').run(otherProjectId, outside.id);
+
+            await api('post', '/api/documents/merge', 'admin').send({ document_ids: [first.id, outside.id] }).expect(400);
+
+            await api('post', `/api/documents/${second.id}/checkout`, 'bob').send({}).expect(200);
+            const locked = await api('post', '/api/documents/merge').send({ document_ids: [first.id, second.id] });
+            expect(locked.status).toBe(409);
+            expect(locked.body.code).toBe('DOCUMENT_LOCKED');
+            expect(pageTexts(first.id)).toEqual(['contract body']);
+        });
+    });
+});
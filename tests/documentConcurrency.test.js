@@ -0,0 +1,142 @@
+// tests/documentConcurrency.test.js
+// Check-out locks and If-Match/ETag optimistic concurrency on document writes
+
+const request = require('supertest');
+const { VERSION_CHANGE_TYPES } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('document versions and check-out', () => {
+    let ctx;
+    let document;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type, required, display_order)
+            VALUES (?, 'invoice_number', 'Invoice number', 'text', 0, 1)
+        `).run(ctx.project.id);
+        document = await ctx.createDocument('Invoice 1001', [{ text: 'Invoice 1001' }]);
+    });
+
+    afterEach(() => ctx.close());
+
+    const api = (method, url, username) => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const currentVersion = () => ctx.models.DocumentVersion.getCurrentNumber(document.id);
+    // Index value update based on the current version unless a version (or null for none) is given
+    const update = (username, invoiceNumber, versionNumber = currentVersion()) => api('put', `/api/documents/${document.id}`, username)
+        .send({ index_values: { invoice_number: invoiceNumber }, version_number: versionNumber ?? undefined });
+    const checkout = (username, body = {}) => api('post', `/api/documents/${document.id}/checkout`, username).send(body);
+
+    describe('ETag and If-Match', () => {
+        test('returns the current version as the ETag', async () => {
+            const res = await api('get', `/api/documents/${document.id}`, 'alice');
+            expect(res.status).toBe(200);
+            expect(res.headers.etag).toBe(`"${document.id}-${res.body.version_number}"`);
+        });
+
+        test('accepts a write whose If-Match names the current version and returns the new ETag', async () => {
+            const { headers } = await api('get', `/api/documents/${document.id}`, 'alice');
+
+            const res = await update('alice', 'INV-1', null).set('If-Match', headers.etag);
+            expect(res.status).toBe(200);
+            expect(res.headers.etag).toBe(`"${document.id}-${res.body.version_number}"`);
+            expect(res.headers.etag).not.toBe(headers.etag);
+        });
+
+        test('rejects a write based on an older version with 409 VERSION_CONFLICT', async () => {
+            const { headers } = await api('get', `/api/documents/${document.id}`, 'alice');
+            await update('bob', 'INV-BOB', null).set('If-Match', headers.etag).expect(200);
+
+            const res = await update('alice', 'INV-ALICE', null).set('If-Match', headers.etag);
+            expect(res.status).toBe(409);
+            expect(res.body.code).toBe('VERSION_CONFLICT');
+            expect(res.headers.etag).toBe(`"${document.id}-${res.body.current_version}"`);
+            expect(ctx.models.Document.getFieldValues(document.id)).toMatchObject({ invoice_number: 'INV-BOB' });
+        });
+
+        test('checks a version_number sent in the body like If-Match', async () => {
+            const version = currentVersion();
+            await update('bob', 'INV-BOB', version).expect(200);
+
+            const res = await update('alice', 'INV-ALICE', version);
+            expect(res.status).toBe(409);
+            expect(res.body.code).toBe('VERSION_CONFLICT');
+        });
+
+        test('answers 428 for writes that name no version', async () => {
+            const rollbackTo = ctx.models.DocumentVersion.createVersion(document.id, { changeType: VERSION_CHANGE_TYPES.CREATED });
+
+            for (const attempt of [
+                update('alice', 'INV-1', null),
+                api('put', `/api/documents/${document.id}/pages/reorder`, 'alice')
+                    .send({ page_order: [{ page_id: document.pageIds[0], new_page_number: 1 }] }),
+                api('post', `/api/documents/${document.id}/versions/${rollbackTo.version_number}/rollback`, 'alice').send({})
+            ]) {
+                const res = await attempt;
+                expect(res.status).toBe(428);
+                expect(res.body).toMatchObject({ code: 'VERSION_REQUIRED', current_version: rollbackTo.version_number });
+                expect(res.headers.etag).toBe(`"${document.id}-${rollbackTo.version_number}"`);
+            }
+            expect(currentVersion()).toBe(rollbackTo.version_number);
+        });
+    });
+
+    describe('check-out locks', () => {
+        test('blocks other users from changing a checked-out document', async () => {
+            const res = await checkout('bob', { note: 'Fixing the scan' });
+            expect(res.status).toBe(200);
+            expect(res.body.lock).toMatchObject({ locked_by: 'bob', note: 'Fixing the scan', is_mine: true });
+
+            for (const attempt of [
+                update('alice', 'INV-1'),
+                api('delete', `/api/documents/${document.id}`, 'alice'),
+                api('post', `/api/documents/${document.id}/ocr`, 'alice').send({ force_reprocess: true }),
+                api('post', `/api/pages/${document.pageIds[0]}/ocr`, 'alice').send({}),
+                api('delete', `/api/pages/${document.pageIds[0]}`, 'alice'),
+                checkout('alice')
+            ]) {
+                const blocked = await attempt;
+                expect(blocked.status).toBe(409);
+                expect(blocked.body.code).toBe('DOCUMENT_LOCKED');
+            }
+
+            const shown = await api('get', `/api/documents/${document.id}`, 'alice');
+            expect(shown.body.lock).toMatchObject({ locked_by: 'bob', is_mine: false });
+        });
+
+        test('lets the lock owner keep working', async () => {
+            await checkout('bob').expect(200);
+            await update('bob', 'INV-1').expect(200);
+        });
+
+        test('only the lock owner or an admin checks the document in', async () => {
+            await checkout('bob').expect(200);
+
+            expect((await api('post', `/api/documents/${document.id}/checkin`, 'alice')).status).toBe(403);
+            await api('post', `/api/documents/${document.id}/checkin`, 'bob').expect(200);
+            await update('alice', 'INV-1').expect(200);
+
+            await checkout('bob').expect(200);
+            await api('post', `/api/documents/${document.id}/checkin`, 'admin').expect(200);
+            expect(ctx.models.DocumentLock.findActive(document.id)).toBeFalsy();
+        });
+
+        test('lets an admin take over a lock with force', async () => {
+            await checkout('bob').expect(200);
+
+            expect((await checkout('admin')).status).toBe(409);
+            const res = await checkout('admin', { force: true });
+            expect(res.status).toBe(200);
+            expect(res.body.lock).toMatchObject({ locked_by: 'admin', is_mine: true });
+            expect((await update('bob', 'INV-1')).status).toBe(409);
+        });
+
+        test('ignores expired locks', async () => {
+            await checkout('bob').expect(200);
+            ctx.db.prepare("UPDATE document_locks SET expires_at = datetime('now', '-1 minutes') WHERE document_id = ?")
+                .run(document.id);
+
+            await update('alice', 'INV-1').expect(200);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+// tests/documentCreate.test.js
+// Creating documents with validated index values, updating them, and listing documents across projects
+
+const request = require('supertest');
+const { FIELD_TYPES, STATUS } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('document creation and listing', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        const addField = (name, type, { options = null, required = false } = {}) => ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type, field_options, required)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(ctx.project.id, name, name.replace('_', ' '), type, options && JSON.stringify(options), required ? 1 : 0);
+        addField('invoice_no', FIELD_TYPES.TEXT, { required: true });
+        addField('amount', FIELD_TYPES.NUMBER);
+        addField('due', FIELD_TYPES.DATE);
+        addField('state', FIELD_TYPES.DROPDOWN, { options: ['Open', 'Paid'] });
+        addField('labels', FIELD_TYPES.CHECKBOX, { options: ['urgent', 'disputed'] });
+    });
+
+    afterEach(() => ctx.close());
+
+    const create = (body, username = 'alice') => request(ctx.app)
+        .post('/api/documents')
+        .set('Authorization', ctx.auth(username))
+        .send({ project_id: ctx.project.id, ...body });
+
+    test('creates a document with normalized index values', async () => {
+        const res = await create({
+            title: 'Invoice 1001',
+            document_type: 'invoice',
+            index_values: { invoice_no: '1001', amount: '12.50', due: '2024-05-31', state: 'Open', labels: ['urgent', 'urgent'] }
+        }).expect(201);
+
+        expect(res.body).toMatchObject({ title: 'Invoice 1001', document_type: 'invoice', status: STATUS.ACTIVE, created_by: ctx.users.alice.id });
+        expect(res.body.index_values).toEqual({
+            invoice_no: '1001', amount: '12.5', due: '2024-05-31', state: 'Open', labels: '["urgent"]'
+        });
+    });
+
+    test('rejects invalid index values with a detail per field', async () => {
+        const res = await create({
+            title: 'Broken',
+            index_values: { amount: 'ten', due: '2024-02-30', state: 'Closed', colour: 'red' }
+        }).expect(400);
+
+        expect(res.body.details.map(detail => detail.field)).toEqual(['colour', 'invoice_no', 'amount', 'due', 'state']);
+        expect(ctx.db.prepare('SELECT COUNT(*) AS count FROM documents').get().count).toBe(0);
+    });
+
+    test('answers 404 for an unknown project and 403 without project access', async () => {
+        await create({ project_id: 9999, title: 'Lost', index_values: { invoice_no: '1' } }).expect(404);
+
+        const otherProjectId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+            .run('Legal', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+        await create({ project_id: otherProjectId, title: 'Contract' }).expect(403);
+        await create({ project_id: otherProjectId, title: 'Contract' }, 'admin').expect(201);
+    });
+
+    test('updates only the given index fields and re-indexes the document for search', async () => {
+        const created = await create({ title: 'Invoice 1002', index_values: { invoice_no: '1002', state: 'Open' } }).expect(201);
+        ctx.models.DocumentPage.createPage({ document_id: created.body.id, page_number: 1, page_order: 1, file_path: 'page.png', ocr_text: 'total due' });
+
+        await request(ctx.app)
+            .put(`/api/documents/${created.body.id}`)
+            .set('Authorization', ctx.auth('alice'))
+            .send({ index_values: { state: 'Paid' }, version_number: 1 })
+            .expect(200);
+        expect(ctx.models.Document.getFieldValues(created.body.id)).toEqual({ invoice_no: '1002', state: 'Paid' });
+
+        const search = await request(ctx.app)
+            .get('/api/search')
+            .query({ q: 'paid' })
+            .set('Authorization', ctx.auth('alice'))
+            .expect(200);
+        expect(search.body.results.map(result => result.document_id)).toEqual([created.body.id]);
+
+        await request(ctx.app)
+            .put(`/api/documents/${created.body.id}`)
+            .set('Authorization', ctx.auth('alice'))
+            .send({ index_values: { amount: 'lots' }, version_number: 2 })
+            .expect(400);
+    });
+
+    test('lists accessible documents with index field filters and sorting', async () => {
+        await create({ title: 'Small', index_values: { invoice_no: 'A', amount: '9', labels: ['urgent'] } }).expect(201);
+        await create({ title: 'Large', index_values: { invoice_no: 'B', amount: '100' } }).expect(201);
+        await create({ title: 'Medium', index_values: { invoice_no: 'C', amount: '50', labels: ['urgent', 'disputed'] } }).expect(201);
+
+        const otherProjectId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+            .run('Legal', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+        await create({ project_id: otherProjectId, title: 'Hidden' }, 'admin').expect(201);
+
+        const list = (query, username = 'alice') => request(ctx.app)
+            .get('/api/documents')
+            .query(query)
+            .set('Authorization', ctx.auth(username))
+            .expect(200)
+            .then(res => res.body);
+
+        const byAmount = await list({ sort: 'amount', order: 'asc' });
+        expect(byAmount.documents.map(document => document.title)).toEqual(['Small', 'Medium', 'Large']);
+        expect(byAmount.pagination).toMatchObject({ total: 3, page: 1 });
+
+        const urgent = await list({ 'fields[labels]': 'urgent', sort: 'title', order: 'asc' });
+        expect(urgent.documents.map(document => document.title)).toEqual(['Medium', 'Small']);
+
+        const paged = await list({ limit: 1, page: 2, sort: 'title', order: 'asc' }, 'admin');
+        expect(paged.documents.map(document => document.title)).toEqual(['Large']);
+        expect(paged.pagination).toMatchObject({ total: 4, pages: 4 });
+
+        await request(ctx.app)
+            .get('/api/documents')
+            .query({ project_id: otherProjectId })
+            .set('Authorization', ctx.auth('alice'))
+            .expect(403);
+    });
+});
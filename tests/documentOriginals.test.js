@@ -0,0 +1,150 @@
+// tests/documentOriginals.test.js
+// Original uploads kept per document, and embedded PDF text used instead of OCR
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { JobService } = require('../newdms/services');
+const PDFService = require('../newdms/services/pdfService');
+const { JOB_TYPES } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+// Write a one-page PDF (600x800 points) with the given lines of text and return its path
+const writeTextPdf = async (filePath, lines) => {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const page = pdf.addPage([600, 800]);
+    lines.forEach((line, index) => page.drawText(line, { x: 50, y: 700 - index * 30, size: 12, font }));
+    fs.writeFileSync(filePath, await pdf.save());
+    return filePath;
+};
+
+describe('PDF text layer', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    test('extracts page text and word boxes with a top-left origin', async () => {
+        const filePath = await writeTextPdf(path.join(ctx.tmpDir, 'statement.pdf'), ['Opening balance 1200', 'Closing balance 900']);
+
+        const { pages } = await PDFService.extractTextLayer(filePath);
+
+        expect(pages).toHaveLength(1);
+        expect(pages[0]).toMatchObject({ width: 600, height: 800 });
+        expect(pages[0].text).toContain('Opening balance 1200');
+        expect(pages[0].words.map(word => word.text)).toEqual(['Opening', 'balance', '1200', 'Closing', 'balance', '900']);
+        const opening = pages[0].words[0].bbox;
+        expect(opening.x0).toBeCloseTo(50, 0);
+        expect(opening.y1).toBeCloseTo(100, 0);
+        expect(PDFService.hasNativeText(pages[0])).toBe(true);
+    });
+
+    test('treats pages with almost no text as scanned and scales word boxes to the page image', () => {
+        expect(PDFService.hasNativeText({ text: 'p. 3' })).toBe(false);
+
+        const textPage = {
+            width: 600,
+            height: 800,
+            text: 'Invoice',
+            words: [{ text: 'Invoice', bbox: { x0: 50, y0: 90, x1: 100, y1: 102 }, line: 0 }],
+            lines: [{ text: 'Invoice', bbox: { x0: 50, y0: 90, x1: 100, y1: 102 } }]
+        };
+        const data = PDFService.buildNativeTextData(textPage, 1200, 1600, 'eng');
+
+        expect(data).toMatchObject({ text: 'Invoice', confidence: 100, wordCount: 1, imageWidth: 1200, imageHeight: 1600 });
+        expect(data.words[0].bbox).toEqual({ x0: 100, y0: 180, x1: 200, y1: 204 });
+    });
+});
+
+describe('document originals', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        JobService.models = ctx.models;
+    });
+
+    afterEach(() => ctx.close());
+
+    const uploadJob = (document, file) => ctx.models.Job.enqueue({
+        type: JOB_TYPES.DOCUMENT_UPLOAD,
+        documentId: document.id,
+        createdBy: ctx.users.alice.id,
+        payload: { file, perform_ocr: true, language: 'eng', ip_address: '10.0.0.5' }
+    });
+
+    test('stores an upload once per document, keyed by its hash', async () => {
+        const document = await ctx.createDocument('Statement');
+        const originalsDir = path.join(ctx.tmpDir, 'originals');
+        fs.mkdirSync(originalsDir);
+        const file = {
+            path: await writeTextPdf(path.join(ctx.tmpDir, 'upload.pdf'), ['Opening balance 1200 and more text']),
+            originalname: 'Statement.PDF',
+            mimetype: 'application/pdf',
+            size: 1
+        };
+        const job = uploadJob(document, file);
+        const textLayer = await PDFService.extractTextLayer(file.path);
+
+        const original = await JobService.storeOriginal(job, file, originalsDir, textLayer);
+        const again = await JobService.storeOriginal(job, file, originalsDir, textLayer);
+
+        expect(again.id).toBe(original.id);
+        expect(original).toMatchObject({ original_name: 'Statement.PDF', page_count: 1, has_text_layer: 1, upload_ip: '10.0.0.5' });
+        expect(path.basename(original.file_path)).toBe(`${original.sha256}.pdf`);
+        expect(fs.readFileSync(original.file_path)).toEqual(fs.readFileSync(file.path));
+        expect(fs.existsSync(file.path)).toBe(true);
+    });
+
+    test('lists originals with their linked pages and downloads the file unchanged', async () => {
+        const document = await ctx.createDocument('Scan', [{}]);
+        const filePath = await writeTextPdf(path.join(ctx.tmpDir, 'scan.pdf'), ['Scanned page']);
+        const original = ctx.models.DocumentOriginal.createOriginal({
+            documentId: document.id,
+            filePath,
+            originalName: 'scan.pdf',
+            mimeType: 'application/pdf',
+            fileSize: fs.statSync(filePath).size,
+            sha256: 'abc123',
+            pageCount: 1,
+            metadata: { job_id: 7 }
+        });
+        ctx.db.prepare('UPDATE document_pages SET original_id = ? WHERE id = ?').run(original.id, document.pageIds[0]);
+
+        const list = await request(ctx.app)
+            .get(`/api/documents/${document.id}/originals`)
+            .set('Authorization', ctx.auth('alice'))
+            .expect(200);
+        expect(list.body.originals).toEqual([expect.objectContaining({
+            id: original.id,
+            original_name: 'scan.pdf',
+            has_text_layer: false,
+            metadata: { job_id: 7 },
+            linked_pages: 1
+        })]);
+
+        const download = await request(ctx.app)
+            .get(`/api/documents/${document.id}/originals/${original.id}/download`)
+            .set('Authorization', ctx.auth('alice'))
+            .buffer(true)
+            .parse((res, callback) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => callback(null, Buffer.concat(chunks)));
+            })
+            .expect(200);
+        expect(download.headers.etag).toBe('"abc123"');
+        expect(download.body).toEqual(fs.readFileSync(filePath));
+
+        const other = await ctx.createDocument('Other');
+        await request(ctx.app)
+            .get(`/api/documents/${other.id}/originals/${original.id}/download`)
+            .set('Authorization', ctx.auth('alice'))
+            .expect(404);
+    });
+});
@@ -0,0 +1,93 @@
+// tests/documentRelations.test.js
+// Typed document relations: listing both directions, access checks and the related: search filter
+
+const request = require('supertest');
+const { STATUS } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('document relations', () => {
+    let ctx;
+    let lease;
+    let amendment;
+    let annex;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        lease = await ctx.createDocument('Lease 2024', [{ text: 'Office lease agreement' }]);
+        amendment = await ctx.createDocument('Amendment 1', [{ text: 'Rent change for the office lease' }]);
+        annex = await ctx.createDocument('Floor plan', [{ text: 'Office floor plan' }]);
+    });
+
+    afterEach(() => ctx.close());
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const relate = (source, target, relationType, body = {}) => api('post', '/api/relations').send({
+        source_document_id: source.id,
+        target_document_id: target.id,
+        relation_type: relationType,
+        ...body
+    });
+    const listRelations = (document) => api('get', '/api/relations').query({ document_id: document.id })
+        .then(res => res.body.relations.map(relation => [relation.relation_type, relation.document.title]));
+
+    test('lists a relation on both documents, under the inverse type on the target', async () => {
+        const created = await relate(amendment, lease, 'amends', { note: 'Rent from July' });
+        expect(created.status).toBe(201);
+
+        expect(await listRelations(amendment)).toEqual([['amends', 'Lease 2024']]);
+        expect(await listRelations(lease)).toEqual([['amended_by', 'Amendment 1']]);
+
+        const document = await api('get', `/api/documents/${lease.id}`).expect(200);
+        expect(document.body.relations).toEqual([expect.objectContaining({ relation_type: 'amended_by', direction: 'incoming' })]);
+    });
+
+    test('keeps one-way relations off the target document', async () => {
+        await relate(annex, lease, 'attachment_of', { bidirectional: false }).expect(201);
+
+        expect(await listRelations(annex)).toEqual([['attachment_of', 'Lease 2024']]);
+        expect(await listRelations(lease)).toEqual([]);
+    });
+
+    test('rejects self relations, duplicates and unknown types', async () => {
+        await relate(lease, lease, 'related').expect(400);
+        await relate(amendment, lease, 'amends').expect(201);
+        await relate(amendment, lease, 'amends').expect(409);
+        await relate(amendment, lease, 'contradicts').expect(400);
+    });
+
+    test('updates and removes relations', async () => {
+        const { body } = await relate(amendment, lease, 'related').expect(201);
+
+        const updated = await api('put', `/api/relations/${body.relation.id}`).send({ relation_type: 'supersedes' });
+        expect(updated.status).toBe(200);
+        expect(await listRelations(lease)).toEqual([['superseded_by', 'Amendment 1']]);
+
+        await api('delete', `/api/relations/${body.relation.id}`).expect(200);
+        expect(await listRelations(lease)).toEqual([]);
+    });
+
+    test('hides relations to documents outside the user\'s projects', async () => {
+        const boardId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+            .run('Board', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+        const minutes = await ctx.createDocument('Board minutes', [{ text: 'Approved the lease' }]);
+        ctx.db.prepare('UPDATE documents SET project_id = ? WHERE id = ?').run(boardId, minutes.id);
+
+        const { body } = await relate(minutes, lease, 'related').set('Authorization', ctx.auth('admin')).expect(201);
+
+        expect(await listRelations(lease)).toEqual([]);
+        await api('get', `/api/relations/${body.relation.id}`).expect(404);
+        await relate(minutes, annex, 'related').expect(404);
+    });
+
+    test('finds the documents related to a document with related: and related_to', async () => {
+        await relate(amendment, lease, 'amends').expect(201);
+        await relate(annex, lease, 'attachment_of').expect(201);
+
+        const search = (query) => api('get', '/api/search').query(query)
+            .then(res => res.body.results.map(result => result.title).sort());
+
+        expect(await search({ q: `office related:${lease.id}` })).toEqual(['Amendment 1', 'Floor plan']);
+        expect(await search({ q: 'office related:"Lease 2024" rent' })).toEqual(['Amendment 1']);
+        expect(await search({ q: 'office', related_to: amendment.id })).toEqual(['Lease 2024']);
+    });
+});
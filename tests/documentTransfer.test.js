@@ -0,0 +1,114 @@
+// tests/documentTransfer.test.js
+// Moving and copying documents between projects with index field mapping
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_DIR = path.join(os.tmpdir(), 'dms-test-transfer-images');
+
+const request = require('supertest');
+const { FIELD_TYPES, STATUS, VERSION_CHANGE_TYPES } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('moving and copying documents between projects', () => {
+    let ctx;
+    let legal;
+    let document;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        const addField = (projectId, name, type, required = false) => ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type, required) VALUES (?, ?, ?, ?, ?)
+        `).run(projectId, name, name, type, required ? 1 : 0).lastInsertRowid;
+
+        const legalId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+            .run('Legal', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+        const editorRoleId = ctx.db.prepare('SELECT role_id FROM project_roles WHERE project_id = ?').get(ctx.project.id).role_id;
+        ctx.db.prepare('INSERT INTO project_roles (project_id, role_id) VALUES (?, ?)').run(legalId, editorRoleId);
+        legal = { id: legalId };
+
+        const invoiceNo = addField(ctx.project.id, 'invoice_no', FIELD_TYPES.TEXT);
+        const amount = addField(ctx.project.id, 'amount', FIELD_TYPES.NUMBER);
+        const vendor = addField(ctx.project.id, 'vendor', FIELD_TYPES.TEXT);
+        addField(legalId, 'reference', FIELD_TYPES.TEXT);
+        addField(legalId, 'amount', FIELD_TYPES.NUMBER);
+        addField(legalId, 'matter', FIELD_TYPES.TEXT, true);
+
+        document = await ctx.createDocument('Invoice 1001', [{ text: 'Office chairs' }, { text: 'Delivery note' }]);
+        const insertValue = ctx.db.prepare('INSERT INTO document_field_values (document_id, field_id, field_value) VALUES (?, ?, ?)');
+        insertValue.run(document.id, invoiceNo, 'INV-1001');
+        insertValue.run(document.id, amount, '1200');
+        insertValue.run(document.id, vendor, 'Acme');
+        ctx.models.SearchIndex.rebuild(document.id);
+        ctx.models.DocumentVersion.createVersion(document.id, { changeType: VERSION_CHANGE_TYPES.CREATED });
+    });
+
+    afterEach(() => {
+        ctx.close();
+        fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true });
+    });
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const transfer = (action, body) => api('post', `/api/documents/${document.id}/${action}`).send({
+        project_id: legal.id,
+        field_mapping: { invoice_no: 'reference' },
+        index_values: { matter: 'M-17' },
+        ...body
+    });
+
+    test('moves a document, maps its index values and reports the fields left behind', async () => {
+        const res = await transfer('move', { version_number: 1 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.document).toMatchObject({
+            project_id: legal.id,
+            index_values: { reference: 'INV-1001', amount: '1200', matter: 'M-17' }
+        });
+        expect(res.body.fields_dropped).toEqual(['vendor']);
+        expect(res.body.version_number).toBe(2);
+        expect(res.headers.etag).toBe(`"${document.id}-2"`);
+    });
+
+    test('reindexes the moved document under its new index values', async () => {
+        await transfer('move', { version_number: 1 }).expect(200);
+
+        const found = (q) => api('get', '/api/search').query({ q }).then(res => res.body.results.map(result => result.title));
+        expect(await found('M-17')).toEqual(['Invoice 1001']);
+        expect(await found('Acme')).toEqual([]);
+    });
+
+    test('requires the target project\'s required fields and a current version', async () => {
+        const missing = await transfer('move', { version_number: 1, index_values: {} });
+        expect(missing.status).toBe(400);
+        expect(missing.body.details).toEqual([expect.objectContaining({ field: 'matter' })]);
+
+        expect((await transfer('move', {})).status).toBe(428);
+        expect((await transfer('move', { version_number: 1, field_mapping: { invoice_no: 'nowhere' } })).status).toBe(400);
+        expect(ctx.models.Document.findById(document.id).project_id).toBe(ctx.project.id);
+    });
+
+    test('copies pages, OCR text and files into a new document and leaves the source alone', async () => {
+        const res = await transfer('copy', { title: 'Invoice 1001 (legal copy)' });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ pages: 2, files: 2, fields_dropped: ['vendor'] });
+        const copy = res.body.document;
+        expect(copy).toMatchObject({ project_id: legal.id, title: 'Invoice 1001 (legal copy)', total_pages: 2 });
+
+        const pages = ctx.db.prepare('SELECT * FROM document_pages WHERE document_id = ? ORDER BY page_order').all(copy.id);
+        expect(pages.map(page => page.ocr_text)).toEqual(['Office chairs', 'Delivery note']);
+        pages.forEach(page => expect(fs.existsSync(page.file_path)).toBe(true));
+
+        expect(ctx.models.Document.findById(document.id).project_id).toBe(ctx.project.id);
+        expect(ctx.models.Document.getFieldValues(document.id)).toMatchObject({ invoice_no: 'INV-1001', vendor: 'Acme' });
+    });
+
+    test('answers 403 for a target project the user cannot access', async () => {
+        const closedId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+            .run('Board', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+
+        await transfer('copy', { project_id: closedId }).expect(403);
+        await transfer('move', { project_id: closedId, version_number: 1 }).expect(403);
+    });
+});
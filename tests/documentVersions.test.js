@@ -0,0 +1,104 @@
+// tests/documentVersions.test.js
+// Document versions: snapshots on page and index value changes, diffs and rollback
+
+const request = require('supertest');
+const { FIELD_TYPES, VERSION_CHANGE_TYPES } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('document versions', () => {
+    let ctx;
+    let document;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type) VALUES (?, 'vendor', 'Vendor', ?)
+        `).run(ctx.project.id, FIELD_TYPES.TEXT);
+        document = await ctx.createDocument('Contract', [{ text: 'first' }, { text: 'second' }, { text: 'third' }]);
+        ctx.models.DocumentVersion.createVersion(document.id, { changeType: VERSION_CHANGE_TYPES.CREATED, createdBy: ctx.users.alice.id });
+    });
+
+    afterEach(() => ctx.close());
+
+    const api = (method, url) => request(ctx.app)[method](url).set('Authorization', ctx.auth('alice'));
+    // Writes name the version they are based on
+    const write = (method, url) => api(method, url)
+        .set('If-Match', `"${document.id}-${ctx.models.DocumentVersion.getCurrentNumber(document.id)}"`);
+    const activePageIds = () => ctx.db.prepare(`
+        SELECT id FROM document_pages WHERE document_id = ? AND status = 'active' ORDER BY page_order
+    `).all(document.id).map(page => page.id);
+
+    test('records a version for each reorder, page deletion and index value change', async () => {
+        const [first, second, third] = document.pageIds;
+
+        const reorder = await write('put', `/api/documents/${document.id}/pages/reorder`)
+            .send({ page_order: [{ page_id: third, new_page_number: 1 }, { page_id: first, new_page_number: 3 }] })
+            .expect(200);
+        expect(reorder.body.version_number).toBe(2);
+
+        const deleted = await api('delete', `/api/pages/${second}`).expect(200);
+        expect(deleted.body).toMatchObject({ remaining_pages: 2, version_number: 3 });
+
+        const updated = await write('put', `/api/documents/${document.id}`).send({ index_values: { vendor: 'Acme' } }).expect(200);
+        expect(updated.body.version_number).toBe(4);
+
+        const list = await api('get', `/api/documents/${document.id}/versions`).expect(200);
+        expect(list.body.current_version).toBe(4);
+        expect(list.body.versions.map(version => [version.version_number, version.change_type, version.page_count])).toEqual([
+            [4, VERSION_CHANGE_TYPES.FIELDS_UPDATED, 2],
+            [3, VERSION_CHANGE_TYPES.PAGE_DELETED, 2],
+            [2, VERSION_CHANGE_TYPES.PAGES_REORDERED, 3],
+            [1, VERSION_CHANGE_TYPES.CREATED, 3]
+        ]);
+
+        const version = await api('get', `/api/documents/${document.id}/versions/2`).expect(200);
+        expect(version.body.pages.map(page => [page.id, page.position])).toEqual([[third, 1], [second, 2], [first, 3]]);
+        expect(version.body.index_values).toEqual({});
+    });
+
+    test('diffs two versions by pages added, removed and moved and changed index values', async () => {
+        const [first, second, third] = document.pageIds;
+        await write('put', `/api/documents/${document.id}/pages/reorder`)
+            .send({ page_order: [{ page_id: third, new_page_number: 1 }, { page_id: first, new_page_number: 3 }] })
+            .expect(200);
+        await api('delete', `/api/pages/${second}`).expect(200);
+        await write('put', `/api/documents/${document.id}`).send({ index_values: { vendor: 'Acme' } }).expect(200);
+
+        const diff = await api('get', `/api/documents/${document.id}/versions/diff?from=1`).expect(200);
+        expect(diff.body).toMatchObject({ from_version: 1, to_version: 4, has_changes: true });
+        expect(diff.body.pages.removed).toEqual([{ page_id: second, position: 2 }]);
+        expect(diff.body.pages.added).toEqual([]);
+        expect(diff.body.pages.reordered.map(page => page.page_id)).toEqual([third, first]);
+        expect(diff.body.fields).toEqual([{ field_id: expect.any(Number), field_name: 'vendor', from: null, to: 'Acme' }]);
+
+        await api('get', `/api/documents/${document.id}/versions/diff?from=1&to=9`).expect(404);
+        await api('get', `/api/documents/${document.id}/versions/diff?from=x`).expect(400);
+    });
+
+    test('rolls back pages and index values as a new version and re-indexes the document', async () => {
+        await write('put', `/api/documents/${document.id}`).send({ index_values: { vendor: 'Acme' } }).expect(200);
+        await api('delete', `/api/pages/${document.pageIds[0]}`).expect(200);
+        await write('put', `/api/documents/${document.id}`).send({ index_values: { vendor: 'Globex' } }).expect(200);
+
+        const rollback = await write('post', `/api/documents/${document.id}/versions/2/rollback`).expect(200);
+        expect(rollback.body).toMatchObject({ version_number: 5, total_pages: 3 });
+        expect(activePageIds()).toEqual(document.pageIds);
+        expect(ctx.models.Document.getFieldValues(document.id)).toEqual({ vendor: 'Acme' });
+
+        const search = (q) => api('get', '/api/search').query({ q }).then(res => res.body.total);
+        expect(await search('acme')).toBe(3);
+        expect(await search('globex')).toBe(0);
+
+        const latest = ctx.models.DocumentVersion.findByNumber(document.id, 5);
+        expect(latest).toMatchObject({ change_type: VERSION_CHANGE_TYPES.ROLLBACK, summary: 'Rolled back to version 2' });
+    });
+
+    test('refuses rollback to a version whose pages no longer exist, and versions cannot be edited', async () => {
+        ctx.db.prepare('DELETE FROM document_pages WHERE id = ?').run(document.pageIds[2]);
+
+        await write('post', `/api/documents/${document.id}/versions/1/rollback`).expect(409);
+        await write('post', `/api/documents/${document.id}/versions/7/rollback`).expect(404);
+        expect(() => ctx.db.prepare('UPDATE document_versions SET summary = ?').run('changed'))
+            .toThrow('Document versions cannot be modified');
+    });
+});
@@ -0,0 +1,148 @@
+// tests/helpers/testApp.js
+// Express app with the API routes over a fresh database, plus the users, project and documents the tests use
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const Database = require('better-sqlite3');
+const sharp = require('sharp');
+const DatabaseSchema = require('../../newdms/database/schema');
+const Models = require('../../newdms/database/models');
+const { setupRoutes } = require('../../newdms/routes');
+const { notFound, errorHandler } = require('../../newdms/middleware');
+const { AuthService } = require('../../newdms/services');
+const { PERMISSIONS, STATUS } = require('../../newdms/config/constants');
+
+const EDITOR_PERMISSIONS = [
+    PERMISSIONS.DOCUMENT_VIEW,
+    PERMISSIONS.DOCUMENT_CREATE,
+    PERMISSIONS.DOCUMENT_EDIT,
+    PERMISSIONS.DOCUMENT_DELETE,
+    PERMISSIONS.DOCUMENT_DOWNLOAD,
+    PERMISSIONS.DOCUMENT_OCR,
+    PERMISSIONS.DOCUMENT_ANNOTATE,
+    PERMISSIONS.DOCUMENT_REDACT,
+    PERMISSIONS.DOCUMENT_REDACT_APPROVE,
+    PERMISSIONS.SEARCH_BASIC,
+    PERMISSIONS.SEARCH_ADVANCED,
+    PERMISSIONS.SEARCH_FULLTEXT
+];
+
+/**
+ * Build the app over a new database (in memory unless dbPath is given). Seeds an Administrator role
+ * with every permission, an Editor role, users alice and bob (editors) and admin, and a Finance
+ * project the editors can access.
+ * @returns {Object} { app, db, models, users, project, tmpDir, auth, createDocument, close }
+ */
+function createTestApp({ dbPath = ':memory:' } = {}) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dms-test-'));
+    // The request and audit loggers write to ./logs; keep them out of the checkout
+    const cwd = process.cwd();
+    process.chdir(tmpDir);
+    const db = new Database(dbPath);
+    // As newdms/database/index.js sets up the app's connection
+    db.pragma('secure_delete = ON');
+    db.pragma('auto_vacuum = INCREMENTAL');
+    new DatabaseSchema(db).initialize();
+    const models = new Models(db);
+
+    const createRole = (name, permissions) => db.prepare('INSERT INTO roles (name, permissions) VALUES (?, ?)')
+        .run(name, JSON.stringify(permissions)).lastInsertRowid;
+    const adminRoleId = createRole('Test Administrator', Object.values(PERMISSIONS));
+    const editorRoleId = createRole('Test Editor', EDITOR_PERMISSIONS);
+
+    const createUser = (username, roleId, permissions) => {
+        const id = db.prepare('INSERT INTO users (username, email, password, role_id) VALUES (?, ?, ?, ?)')
+            .run(username, `${username}@example.com`, 'not-a-hash', roleId).lastInsertRowid;
+        return { id, username, role_id: roleId, permissions };
+    };
+    const users = {
+        alice: createUser('alice', editorRoleId, EDITOR_PERMISSIONS),
+        bob: createUser('bob', editorRoleId, EDITOR_PERMISSIONS),
+        admin: createUser('admin', adminRoleId, Object.values(PERMISSIONS))
+    };
+
+    const projectId = db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+        .run('Finance', STATUS.ACTIVE, users.admin.id).lastInsertRowid;
+    db.prepare('INSERT INTO project_roles (project_id, role_id) VALUES (?, ?)').run(projectId, editorRoleId);
+    const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+
+    const app = express();
+    app.use(express.json());
+    setupRoutes(app, models, null);
+    app.use(notFound);
+    app.use(errorHandler);
+
+    // Authorization header value for a seeded user
+    const auth = (username) => {
+        const user = users[username];
+        return `Bearer ${AuthService.generateToken({ ...user, permissions: JSON.stringify(user.permissions) })}`;
+    };
+
+    // Create a document with one page per entry of pages ({ text, layout }); each page gets its own
+    // white PNG image in tmpDir
+    const createDocument = async (title, pages = [], { createdBy = users.alice.id } = {}) => {
+        const documentId = db.prepare(`
+            INSERT INTO documents (project_id, title, status, total_pages, created_by) VALUES (?, ?, ?, ?, ?)
+        `).run(projectId, title, STATUS.ACTIVE, pages.length, createdBy).lastInsertRowid;
+        const pagesDir = path.join(tmpDir, `document_${documentId}`, 'pages');
+        fs.mkdirSync(pagesDir, { recursive: true });
+
+        const pageIds = [];
+        for (const [index, page] of pages.entries()) {
+            const filePath = path.join(pagesDir, `page_${index + 1}.png`);
+            await sharp({ create: { width: 1000, height: 500, channels: 3, background: '#ffffff' } }).png().toFile(filePath);
+            pageIds.push(models.DocumentPage.createPage({
+                document_id: documentId,
+                page_number: index + 1,
+                page_order: index + 1,
+                file_path: filePath,
+                file_size: fs.statSync(filePath).size,
+                ocr_text: page.text || null,
+                ocr_layout: page.layout || null,
+                word_count: page.layout ? page.layout.words.length : 0
+            }).id);
+        }
+
+        return { ...db.prepare('SELECT * FROM documents WHERE id = ?').get(documentId), pageIds };
+    };
+
+    const close = () => {
+        db.close();
+        process.chdir(cwd);
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    };
+
+    return { app, db, models, users, project, tmpDir, auth, createDocument, close };
+}
+
+/**
+ * OCR word layout for lines of text on a 1000x500 page: 10px per character, 40px per line
+ * @returns {Object} { text, layout } as stored on a page
+ */
+function layoutFor(lines) {
+    const words = [];
+    lines.forEach((line, lineIndex) => {
+        let x = 20;
+        line.split(' ').forEach(text => {
+            const y0 = 20 + lineIndex * 40;
+            words.push({ text, confidence: 95, bbox: { x0: x, y0, x1: x + text.length * 10, y1: y0 + 20 }, line: lineIndex, block: 0 });
+            x += text.length * 10 + 10;
+        });
+    });
+
+    return {
+        text: lines.join('\n'),
+        layout: {
+            version: 1,
+            width: 1000,
+            height: 500,
+            words,
+            lines: lines.map(text => ({ text, confidence: 95, bbox: null, block: 0 })),
+            blocks: [{ text: lines.join('\n'), confidence: 95, bbox: null, blocktype: 1 }]
+        }
+    };
+}
+
+module.exports = { createTestApp, layoutFor };
@@ -0,0 +1,151 @@
+// tests/ingestCleanup.test.js
+// Per-project scan clean-up at ingest: blank pages, auto-rotation, normalization, review and revert
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_DIR = path.join(os.tmpdir(), 'dms-test-ingest-images');
+
+const request = require('supertest');
+const sharp = require('sharp');
+const { JobService } = require('../newdms/services');
+const { JOB_TYPES, STATUS } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+// Write a 1000x1400 300 dpi page (turned clockwise by angle) with twelve "text lines" in navy ink: a thick
+// bar for the letters' core with ascender strokes above it. Without lines the page is blank.
+const writeScan = async (filePath, { angle = 0, lines = 12 } = {}) => {
+    const shapes = [];
+    for (let line = 0; line < lines; line++) {
+        const y = 150 + line * 80;
+        shapes.push(`<rect x="100" y="${y}" width="800" height="20"/>`);
+        for (let x = 110; x < 880; x += 60) {
+            shapes.push(`<rect x="${x}" y="${y - 14}" width="8" height="14"/>`);
+        }
+    }
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1000" height="1400">` +
+        `<rect width="1000" height="1400" fill="white"/><g fill="navy">${shapes.join('')}</g></svg>`;
+    const upright = await sharp(Buffer.from(svg)).png().toBuffer();
+    await sharp(upright).rotate(angle).png().withMetadata({ density: 300 }).toFile(filePath);
+    return filePath;
+};
+
+describe('ingest clean-up', () => {
+    let ctx;
+    let document;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        JobService.models = ctx.models;
+        document = await ctx.createDocument('Scanned letters');
+    });
+
+    afterEach(() => {
+        ctx.close();
+        fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true });
+    });
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const saveSettings = (settings) => api('put', `/api/projects/${ctx.project.id}/ingest-settings`, 'admin').send(settings);
+
+    // Upload a scan into the document and run the upload job
+    const upload = async (name, options) => {
+        const filePath = await writeScan(path.join(ctx.tmpDir, name), options);
+        ctx.models.Job.enqueue({
+            type: JOB_TYPES.DOCUMENT_UPLOAD,
+            documentId: document.id,
+            createdBy: ctx.users.alice.id,
+            payload: { file: { path: filePath, originalname: name, mimetype: 'image/png', size: fs.statSync(filePath).size }, perform_ocr: false }
+        });
+        JobService.isRunning = true;
+        try {
+            await JobService.runJob(ctx.models.Job.claimNext('test-worker'));
+        } finally {
+            JobService.isRunning = false;
+        }
+    };
+    const pages = (status = STATUS.ACTIVE) => ctx.db.prepare(`
+        SELECT * FROM document_pages WHERE document_id = ? AND status = ? ORDER BY page_number
+    `).all(document.id, status);
+
+    test('stores settings per project over the defaults, for project editors', async () => {
+        const defaults = await api('get', `/api/projects/${ctx.project.id}/ingest-settings`).expect(200);
+        expect(defaults.body.settings).toMatchObject({ enabled: false, blank_page_action: 'flag', auto_rotate: true, target_dpi: null });
+
+        await api('put', `/api/projects/${ctx.project.id}/ingest-settings`).send({ enabled: true }).expect(403);
+        await saveSettings({ blank_page_action: 'shred' }).expect(400);
+        await saveSettings({}).expect(400);
+
+        const saved = await saveSettings({ enabled: true, blank_page_action: 'drop', target_dpi: 200 }).expect(200);
+        expect(saved.body.settings).toMatchObject({ enabled: true, blank_page_action: 'drop', auto_rotate: true, target_dpi: 200, updated_by: ctx.users.admin.id });
+    });
+
+    test('leaves uploads alone while the pipeline is off', async () => {
+        await upload('sideways.png', { angle: 90 });
+
+        const [page] = pages();
+        expect(page.ingest_report).toBeNull();
+        expect(await sharp(page.file_path).metadata()).toMatchObject({ width: 1400, height: 1000 });
+    });
+
+    test('turns sideways scans upright and normalizes them, keeping the scan for revert', async () => {
+        await saveSettings({ enabled: true, target_dpi: 150, color_mode: 'grayscale' }).expect(200);
+
+        await upload('upright.png');
+        await upload('sideways.png', { angle: 90 });
+
+        const [upright, sideways] = pages();
+        expect(await sharp(sideways.file_path).metadata()).toMatchObject({ width: 500, height: 700, density: 150 });
+        const { data, info } = await sharp(sideways.file_path).raw().toBuffer({ resolveWithObject: true });
+        const coloured = [];
+        for (let index = 0; index < data.length; index += info.channels) {
+            if (data[index] !== data[index + 1] || data[index + 1] !== data[index + 2]) coloured.push(index);
+        }
+        expect(coloured).toEqual([]);
+
+        const report = await api('get', `/api/documents/${document.id}/ingest`).query({ review: 'true' }).expect(200);
+        expect(report.body.pages.map(page => page.id)).toEqual([sideways.id]);
+        expect(report.body.pages[0].ingest_report.orientation).toMatchObject({ angle: 270, rotated: true });
+        expect(JSON.parse(upright.ingest_report).orientation).toMatchObject({ angle: 0, rotated: false });
+
+        const reverted = await api('post', `/api/pages/${sideways.id}/ingest/revert`).expect(200);
+        expect(reverted.body).toMatchObject({ restored: false, ingest_report: { reverted_by: ctx.users.alice.id } });
+        const [, scanned] = pages();
+        expect(await sharp(scanned.file_path).metadata()).toMatchObject({ width: 1400, height: 1000, density: 300 });
+
+        await api('post', `/api/pages/${sideways.id}/ingest/revert`).expect(409);
+    });
+
+    test('drops blank pages into the recycle bin and restores them on revert', async () => {
+        await saveSettings({ enabled: true, blank_page_action: 'drop' }).expect(200);
+
+        await upload('letter.png');
+        await upload('blank.png', { lines: 0 });
+        await upload('reply.png');
+
+        expect(pages().map(page => [page.source_file_name, page.page_number])).toEqual([['letter.png', 1], ['reply.png', 2]]);
+        const [blank] = pages(STATUS.INACTIVE);
+        expect(ctx.models.Document.findById(document.id).total_pages).toBe(2);
+
+        const report = await api('get', `/api/documents/${document.id}/ingest`).expect(200);
+        expect(report.body).toMatchObject({ needs_review: 1, dropped: 1 });
+        expect(report.body.pages.find(page => page.id === blank.id).ingest_report.blank).toMatchObject({ blank: true, action: 'dropped' });
+
+        const restored = await api('post', `/api/pages/${blank.id}/ingest/revert`).expect(200);
+        expect(restored.body.restored).toBe(true);
+        expect(pages()).toHaveLength(3);
+    });
+
+    test('accepts a flagged page, clearing its review mark', async () => {
+        await saveSettings({ enabled: true }).expect(200);
+        await upload('blank.png', { lines: 0 });
+
+        const [page] = pages();
+        expect(page.ingest_review).toBe(1);
+
+        const accepted = await api('post', `/api/pages/${page.id}/ingest/accept`).expect(200);
+        expect(accepted.body.ingest_report).toMatchObject({ blank: { action: 'flagged' }, reviewed_by: ctx.users.alice.id });
+        expect(pages()[0].ingest_review).toBe(0);
+    });
+});
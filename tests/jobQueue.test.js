@@ -0,0 +1,181 @@
+// tests/jobQueue.test.js
+// Background job queue: claiming, retries, cancellation and restart recovery
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestApp } = require('./helpers/testApp');
+const { JobService } = require('../newdms/services');
+const { JOB_STATUS, JOB_TYPES } = require('../newdms/config/constants');
+const { JOB_RETRY_DELAY } = require('../newdms/config/environment');
+
+describe('job queue', () => {
+    let ctx;
+    let handler;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        JobService.models = ctx.models;
+        handler = JobService.handlers[JOB_TYPES.DOCUMENT_OCR];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.close();
+    });
+
+    // Seconds from now until the job may run again
+    const secondsUntilRun = (jobId) => ctx.db.prepare(`
+        SELECT CAST(strftime('%s', run_after) AS INTEGER) - CAST(strftime('%s', 'now') AS INTEGER) AS seconds
+        FROM jobs WHERE id = ?
+    `).get(jobId).seconds;
+
+    const enqueue = (documentId, options = {}) => ctx.models.Job.enqueue({ type: JOB_TYPES.DOCUMENT_OCR, documentId, ...options });
+
+    test('claims queued jobs in order and counts the attempt', async () => {
+        const first = await ctx.createDocument('First');
+        const second = await ctx.createDocument('Second');
+        const a = enqueue(first.id);
+        const b = enqueue(second.id);
+
+        const claimed = ctx.models.Job.claimNext('worker-1');
+        expect(claimed).toMatchObject({ id: a.id, status: JOB_STATUS.RUNNING, locked_by: 'worker-1', attempts: 1 });
+        expect(claimed.started_at).toBeTruthy();
+
+        expect(ctx.models.Job.claimNext('worker-2').id).toBe(b.id);
+        expect(ctx.models.Job.claimNext('worker-3')).toBeNull();
+    });
+
+    test('runs the jobs of one document one at a time', async () => {
+        const document = await ctx.createDocument('Serial');
+        const other = await ctx.createDocument('Other');
+        const a = enqueue(document.id);
+        const b = enqueue(document.id);
+        const c = enqueue(other.id);
+
+        expect(ctx.models.Job.claimNext('w').id).toBe(a.id);
+        // b waits for a; the other document's job goes ahead
+        expect(ctx.models.Job.claimNext('w').id).toBe(c.id);
+        expect(ctx.models.Job.claimNext('w')).toBeNull();
+
+        ctx.models.Job.complete(a.id, { ok: true });
+        expect(ctx.models.Job.claimNext('w').id).toBe(b.id);
+    });
+
+    test('does not claim a job before its run_after time', async () => {
+        const document = await ctx.createDocument('Later');
+        const job = enqueue(document.id);
+        ctx.models.Job.retryLater(job.id, 'try later', 60000);
+
+        expect(ctx.models.Job.claimNext('w')).toBeNull();
+
+        ctx.db.prepare("UPDATE jobs SET run_after = datetime('now', '-1 seconds') WHERE id = ?").run(job.id);
+        expect(ctx.models.Job.claimNext('w').id).toBe(job.id);
+    });
+
+    test('retries a failed attempt with exponential backoff, then fails for good', async () => {
+        const document = await ctx.createDocument('Flaky');
+        const job = enqueue(document.id, { maxAttempts: 3 });
+        const run = jest.spyOn(handler, 'run').mockRejectedValue(new Error('scanner offline'));
+
+        await JobService.runJob(ctx.models.Job.claimNext('w'));
+        let stored = ctx.models.Job.findById(job.id);
+        expect(stored).toMatchObject({ status: JOB_STATUS.QUEUED, attempts: 1, last_error: 'scanner offline', locked_by: null });
+        expect(secondsUntilRun(job.id)).toBeGreaterThanOrEqual(JOB_RETRY_DELAY / 1000 - 1);
+        expect(secondsUntilRun(job.id)).toBeLessThanOrEqual(JOB_RETRY_DELAY / 1000);
+
+        ctx.db.prepare("UPDATE jobs SET run_after = datetime('now', '-1 seconds') WHERE id = ?").run(job.id);
+        await JobService.runJob(ctx.models.Job.claimNext('w'));
+        expect(ctx.models.Job.findById(job.id).attempts).toBe(2);
+        expect(secondsUntilRun(job.id)).toBeGreaterThanOrEqual(2 * JOB_RETRY_DELAY / 1000 - 1);
+        expect(secondsUntilRun(job.id)).toBeLessThanOrEqual(2 * JOB_RETRY_DELAY / 1000);
+
+        ctx.db.prepare("UPDATE jobs SET run_after = datetime('now', '-1 seconds') WHERE id = ?").run(job.id);
+        await JobService.runJob(ctx.models.Job.claimNext('w'));
+        stored = ctx.models.Job.findById(job.id);
+        expect(stored).toMatchObject({ status: JOB_STATUS.FAILED, attempts: 3, last_error: 'scanner offline' });
+        expect(stored.completed_at).toBeTruthy();
+        expect(run).toHaveBeenCalledTimes(3);
+        expect(ctx.models.Job.claimNext('w')).toBeNull();
+    });
+
+    test('completes a job with its result and reports it through the API', async () => {
+        const document = await ctx.createDocument('Done');
+        const job = enqueue(document.id, { createdBy: ctx.users.alice.id });
+        jest.spyOn(handler, 'run').mockResolvedValue({ processed_pages: 2 });
+
+        await JobService.runJob(ctx.models.Job.claimNext('w'));
+
+        const res = await request(ctx.app).get(`/api/jobs/${job.id}`).set('Authorization', ctx.auth('alice'));
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            id: job.id,
+            status: JOB_STATUS.COMPLETED,
+            attempts: 1,
+            result: { processed_pages: 2 },
+            progress: { percent: 100 }
+        });
+    });
+
+    test('cancels a running job at its next checkpoint without retrying it', async () => {
+        const document = await ctx.createDocument('Cancelled');
+        const job = enqueue(document.id);
+        JobService.isRunning = true;
+        jest.spyOn(handler, 'run').mockImplementation(async (claimed, context) => {
+            ctx.models.Job.requestCancel(claimed.id);
+            context.throwIfInterrupted();
+        });
+
+        try {
+            await JobService.runJob(ctx.models.Job.claimNext('w'));
+        } finally {
+            JobService.isRunning = false;
+        }
+
+        expect(ctx.models.Job.findById(job.id).status).toBe(JOB_STATUS.CANCELLED);
+    });
+
+    test('cancelling a queued upload removes its temp file without running the job', async () => {
+        const document = await ctx.createDocument('Upload');
+        const tempFile = path.join(ctx.tmpDir, 'upload.pdf');
+        fs.writeFileSync(tempFile, '%PDF-1.4');
+        const job = ctx.models.Job.enqueue({
+            type: JOB_TYPES.DOCUMENT_UPLOAD,
+            documentId: document.id,
+            projectId: document.project_id,
+            createdBy: ctx.users.alice.id,
+            payload: { file: { path: tempFile, originalname: 'upload.pdf' } }
+        });
+        const run = jest.spyOn(JobService.handlers[JOB_TYPES.DOCUMENT_UPLOAD], 'run');
+
+        const res = await request(ctx.app).post(`/api/jobs/${job.id}/cancel`).set('Authorization', ctx.auth('alice'));
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ message: 'Job cancelled', job: { status: JOB_STATUS.CANCELLED } });
+        expect(fs.existsSync(tempFile)).toBe(false);
+        expect(ctx.models.Job.claimNext('w')).toBeNull();
+        expect(run).not.toHaveBeenCalled();
+
+        await request(ctx.app).post(`/api/jobs/${job.id}/cancel`).set('Authorization', ctx.auth('alice')).expect(409);
+    });
+
+    test('cancelling a running job only flags it; its cleanup runs when the handler stops', async () => {
+        const document = await ctx.createDocument('Running upload');
+        const job = ctx.models.Job.enqueue({ type: JOB_TYPES.DOCUMENT_UPLOAD, documentId: document.id, createdBy: ctx.users.alice.id });
+        ctx.models.Job.claimNext('w');
+        const cleanup = jest.spyOn(JobService.handlers[JOB_TYPES.DOCUMENT_UPLOAD], 'cleanup');
+
+        const cancelled = await JobService.cancel(job.id);
+
+        expect(cancelled).toMatchObject({ status: JOB_STATUS.RUNNING, cancel_requested: true });
+        expect(cleanup).not.toHaveBeenCalled();
+    });
+
+    test('requeues jobs interrupted by a restart without counting the attempt', async () => {
+        const document = await ctx.createDocument('Interrupted');
+        const job = enqueue(document.id);
+        ctx.models.Job.claimNext('old-process');
+
+        expect(ctx.models.Job.requeueInterrupted()).toBe(1);
+        expect(ctx.models.Job.findById(job.id)).toMatchObject({ status: JOB_STATUS.QUEUED, attempts: 0, locked_by: null });
+    });
+});
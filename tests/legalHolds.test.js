@@ -0,0 +1,123 @@
+// tests/legalHolds.test.js
+// Legal holds block changes, purges and auto-purge of the documents they cover
+
+const request = require('supertest');
+const { createTestApp } = require('./helpers/testApp');
+const { RecycleBinService } = require('../newdms/services');
+const { STATUS } = require('../newdms/config/constants');
+
+describe('legal holds', () => {
+    let ctx;
+    let held;
+    let free;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        await RecycleBinService.initialize(ctx.models);
+        held = await ctx.createDocument('Contract under dispute', [{ text: 'Supply contract' }]);
+        free = await ctx.createDocument('Board minutes', [{ text: 'Minutes of the meeting' }]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.close();
+    });
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const placeHold = async (documentIds) => {
+        const res = await api('post', '/api/legal-holds', 'admin')
+            .send({ name: 'Dispute 2024-17', reason: 'Pending litigation', document_ids: documentIds });
+        expect(res.status).toBe(201);
+        return res.body.legal_hold;
+    };
+    const expectHeld = (res) => {
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('LEGAL_HOLD');
+    };
+
+    test('only users with the legal hold permission place holds', async () => {
+        const res = await api('post', '/api/legal-holds').send({ name: 'Dispute', document_ids: [held.id] });
+        expect(res.status).toBe(403);
+        expect(ctx.models.LegalHold.isHeld(held.id)).toBe(false);
+    });
+
+    test('shows the holds on the document', async () => {
+        const hold = await placeHold([held.id]);
+
+        const res = await api('get', `/api/documents/${held.id}`);
+        expect(res.body.legal_holds).toEqual([expect.objectContaining({ id: hold.id, name: 'Dispute 2024-17' })]);
+    });
+
+    test('rejects changes to a held document and its pages', async () => {
+        await placeHold([held.id]);
+
+        expectHeld(await api('delete', `/api/documents/${held.id}`));
+        expectHeld(await api('post', `/api/documents/${held.id}/ocr`).send({ force_reprocess: true }));
+        expectHeld(await api('post', `/api/pages/${held.pageIds[0]}/ocr`).send({}));
+        expectHeld(await api('delete', `/api/pages/${held.pageIds[0]}`));
+        expectHeld(await api('put', `/api/documents/${held.id}`).send({ index_values: {}, version_number: 0 }));
+        expect(ctx.models.Document.findById(held.id).status).toBe(STATUS.ACTIVE);
+
+        await api('delete', `/api/documents/${free.id}`).expect(200);
+    });
+
+    test('tracks the documents of a hold and frees them when taken out or released', async () => {
+        const hold = await placeHold([held.id]);
+        const added = await api('post', `/api/legal-holds/${hold.id}/documents`, 'admin').send({ document_ids: [free.id] });
+        expect(added.status).toBe(200);
+
+        const shown = await api('get', `/api/legal-holds/${hold.id}`, 'admin').expect(200);
+        expect(shown.body.documents.map(document => document.id).sort()).toEqual([held.id, free.id].sort());
+
+        await api('delete', `/api/legal-holds/${hold.id}/documents/${free.id}`, 'admin').expect(200);
+        expect(ctx.models.LegalHold.isHeld(free.id)).toBe(false);
+
+        await api('post', `/api/legal-holds/${hold.id}/release`, 'admin').send({ reason: 'Settled' }).expect(200);
+        await api('post', `/api/legal-holds/${hold.id}/release`, 'admin').send({}).expect(409);
+        await api('post', `/api/legal-holds/${hold.id}/documents`, 'admin').send({ document_ids: [free.id] }).expect(409);
+        await api('delete', `/api/documents/${held.id}`).expect(200);
+    });
+
+    test('leaves held documents out of bulk tagging and moves and reports them', async () => {
+        await placeHold([held.id]);
+        const folder = ctx.models.Folder.createFolder({ projectId: ctx.project.id, name: 'Archive', createdBy: ctx.users.alice.id });
+
+        const tagged = await api('post', '/api/documents/bulk/tags').send({ document_ids: [held.id, free.id], add: ['reviewed'] });
+        expect(tagged.status).toBe(200);
+        expect(tagged.body).toMatchObject({ documents: 1, added: 1, rejected: [{ id: held.id, code: 'LEGAL_HOLD' }] });
+        expect(ctx.models.Tag.findByDocument(held.id)).toEqual([]);
+
+        const moved = await api('post', '/api/documents/bulk/move').send({ document_ids: [held.id, free.id], folder_id: folder.id });
+        expect(moved.status).toBe(200);
+        expect(moved.body).toMatchObject({ moved: 1, rejected: [{ id: held.id, code: 'LEGAL_HOLD' }] });
+        expect(ctx.models.Document.findById(held.id).folder_id).toBeNull();
+        expect(ctx.models.Document.findById(free.id).folder_id).toBe(folder.id);
+    });
+
+    test('keeps a held document in the recycle bin until the hold is released', async () => {
+        await api('delete', `/api/documents/${held.id}`).expect(200);
+        const hold = await placeHold([held.id]);
+
+        expectHeld(await api('delete', `/api/recycle-bin/documents/${held.id}`, 'admin'));
+        expect(ctx.models.Document.findById(held.id)).toBeTruthy();
+
+        await api('post', `/api/legal-holds/${hold.id}/release`, 'admin').send({ reason: 'Settled' }).expect(200);
+        expect(ctx.models.LegalHold.isHeld(held.id)).toBe(false);
+
+        const res = await api('delete', `/api/recycle-bin/documents/${held.id}`, 'admin');
+        expect(res.status).toBe(200);
+        expect(ctx.models.Document.findById(held.id)).toBeFalsy();
+    });
+
+    test('skips held documents when purging expired recycle bin entries', async () => {
+        await api('delete', `/api/documents/${held.id}`).expect(200);
+        await api('delete', `/api/documents/${free.id}`).expect(200);
+        await placeHold([held.id]);
+        ctx.db.prepare("UPDATE documents SET deleted_at = datetime('now', '-60 days')").run();
+        jest.spyOn(RecycleBinService, 'getRetentionDays').mockReturnValue(30);
+
+        expect(await RecycleBinService.purgeExpired()).toMatchObject({ documents: 1 });
+        expect(ctx.models.Document.findById(held.id)).toBeTruthy();
+        expect(ctx.models.Document.findById(free.id)).toBeFalsy();
+    });
+});
@@ -0,0 +1,76 @@
+// tests/ocrHighlights.test.js
+// Hit rectangles from stored OCR word geometry
+
+const request = require('supertest');
+const OCRService = require('../newdms/services/OCRService');
+const { createTestApp, layoutFor } = require('./helpers/testApp');
+
+describe('OCRService.findHighlights', () => {
+    const { layout } = layoutFor(['Invoice total due', 'Pay the total amount']);
+
+    test('finds every occurrence of a term, ignoring case and punctuation', () => {
+        const hits = OCRService.findHighlights(layout, 'TOTAL');
+
+        expect(hits).toHaveLength(2);
+        expect(hits[0]).toMatchObject({ term: 'TOTAL', text: 'total', line: 0, bbox: { x0: 100, y0: 20, x1: 150, y1: 40 } });
+        expect(hits[0].rect).toEqual({ left: 0.1, top: 0.04, width: 0.05, height: 0.04 });
+        expect(hits[1].line).toBe(1);
+    });
+
+    test('merges a quoted phrase into one rectangle and honours prefix terms', () => {
+        const phrase = OCRService.findHighlights(layout, '"total due"');
+        expect(phrase).toHaveLength(1);
+        expect(phrase[0]).toMatchObject({ text: 'total due', bbox: { x0: 100, x1: 190 } });
+
+        expect(OCRService.findHighlights(layout, 'amou*').map(hit => hit.text)).toEqual(['amount']);
+    });
+
+    test('skips operators, exclusions and field filters', () => {
+        const hits = OCRService.findHighlights(layout, 'invoice AND NOT pay -due title:total');
+        expect(hits.map(hit => hit.text)).toEqual(['Invoice']);
+    });
+
+    test('returns nothing without a stored layout', () => {
+        expect(OCRService.findHighlights(null, 'total')).toEqual([]);
+    });
+});
+
+describe('GET /api/pages/:pageId/ocr/highlights', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    test('returns hit rectangles for the query', async () => {
+        const document = await ctx.createDocument('Invoice', [layoutFor(['Invoice total due'])]);
+
+        const res = await request(ctx.app)
+            .get(`/api/pages/${document.pageIds[0]}/ocr/highlights`)
+            .query({ q: 'total' })
+            .set('Authorization', ctx.auth('alice'))
+            .expect(200);
+
+        expect(res.body).toMatchObject({
+            page_id: document.pageIds[0],
+            document_id: document.id,
+            has_layout: true,
+            image_width: 1000,
+            image_height: 500,
+            total_hits: 1
+        });
+        expect(res.body.hits[0].bbox).toEqual({ x0: 100, y0: 20, x1: 150, y1: 40 });
+    });
+
+    test('reports a page without OCR geometry and requires a query', async () => {
+        const document = await ctx.createDocument('Scan', [{ text: 'total' }]);
+        const url = `/api/pages/${document.pageIds[0]}/ocr/highlights`;
+
+        const res = await request(ctx.app).get(url).query({ q: 'total' }).set('Authorization', ctx.auth('alice')).expect(200);
+        expect(res.body).toMatchObject({ has_layout: false, total_hits: 0, hits: [] });
+
+        await request(ctx.app).get(url).set('Authorization', ctx.auth('alice')).expect(400);
+    });
+});
@@ -0,0 +1,190 @@
+// tests/ocrService.test.js
+// Tesseract.js worker pool and the page OCR route, with tesseract.js replaced by fake workers
+
+const os = require('os');
+const path = require('path');
+
+process.env.OCR_CACHE_PATH = path.join(os.tmpdir(), 'dms-test-tessdata');
+
+jest.mock('tesseract.js', () => ({
+    OEM: { LSTM_ONLY: 1 },
+    createWorker: jest.fn()
+}));
+
+const request = require('supertest');
+const { createWorker } = require('tesseract.js');
+const OCRService = require('../newdms/services/OCRService');
+const { STATUS } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+// Tesseract page data with one block, paragraph and line holding the given words
+const pageData = (words) => {
+    const bbox = { x0: 10, y0: 10, x1: 200, y1: 30 };
+    const text = words.join(' ');
+    return {
+        text,
+        confidence: 91.5,
+        blocks: [{
+            text, confidence: 91.5, bbox, blocktype: 1,
+            paragraphs: [{
+                text, confidence: 91.5, bbox,
+                lines: [{ text, confidence: 91.5, bbox, words: words.map(word => ({ text: word, confidence: 90, bbox })) }]
+            }]
+        }]
+    };
+};
+
+// Promise that the test settles by hand
+const deferred = () => {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+};
+
+// Let pending work (including the worker cache directory being created) run until condition() holds
+const waitFor = async (condition) => {
+    for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    expect(condition()).toBe(true);
+};
+
+const fakeWorker = (recognize = jest.fn(async () => ({ data: pageData(['hello', 'world']) }))) => ({
+    recognize,
+    terminate: jest.fn(async () => {})
+});
+
+beforeEach(() => {
+    OCRService.workers.clear();
+    OCRService.waitQueue = [];
+    createWorker.mockReset();
+});
+
+describe('OCRService worker pool', () => {
+    test('never starts more than OCR_MAX_WORKERS workers and queues the remaining jobs', async () => {
+        const jobs = [deferred(), deferred(), deferred()];
+        let call = 0;
+        const recognize = jest.fn(() => jobs[call++].promise);
+        createWorker.mockImplementation(async () => fakeWorker(recognize));
+
+        const results = ['a.png', 'b.png', 'c.png'].map(file => OCRService.performOCR(file, 'eng'));
+        await waitFor(() => recognize.mock.calls.length === 2);
+
+        expect(createWorker).toHaveBeenCalledTimes(2);
+        expect(recognize).toHaveBeenCalledTimes(2);
+        expect(OCRService.waitQueue).toHaveLength(1);
+
+        jobs[0].resolve({ data: pageData(['first']) });
+        await results[0];
+        await waitFor(() => recognize.mock.calls.length === 3);
+
+        // The released worker is reused for the queued job rather than a third one started
+        expect(createWorker).toHaveBeenCalledTimes(2);
+        expect(recognize).toHaveBeenCalledTimes(3);
+
+        jobs[1].resolve({ data: pageData(['second']) });
+        jobs[2].resolve({ data: pageData(['third']) });
+        const [, second, third] = await Promise.all(results);
+        expect(second.text).toBe('second');
+        expect(third).toMatchObject({ text: 'third', wordCount: 1, language: 'eng' });
+        expect(OCRService.workers.size).toBe(2);
+    });
+
+    test('a worker that fails to start hands its slot to the next waiting job', async () => {
+        const failingStart = deferred();
+        const firstJob = deferred();
+        createWorker
+            .mockImplementationOnce(async () => fakeWorker(jest.fn(() => firstJob.promise)))
+            .mockImplementationOnce(() => failingStart.promise)
+            .mockImplementationOnce(async () => fakeWorker());
+
+        const first = OCRService.performOCR('a.png', 'eng');
+        const failed = OCRService.performOCR('b.png', 'eng');
+        const waiting = OCRService.performOCR('c.png', 'eng');
+        await waitFor(() => createWorker.mock.calls.length === 2);
+        expect(OCRService.waitQueue).toHaveLength(1);
+
+        failingStart.reject(new Error('traineddata download failed'));
+        await expect(failed).rejects.toThrow('traineddata download failed');
+
+        const result = await waiting;
+        expect(result.text).toBe('hello world');
+        expect(createWorker).toHaveBeenCalledTimes(3);
+        expect(OCRService.waitQueue).toHaveLength(0);
+
+        firstJob.resolve({ data: pageData(['first']) });
+        await first;
+    });
+
+    test('normalizes combined languages and rejects unsupported ones with a 400', () => {
+        expect(OCRService.resolveLanguage(' ENG+deu ')).toBe('eng+deu');
+
+        expect(() => OCRService.resolveLanguage('eng+klingon')).toThrow(expect.objectContaining({
+            status: 400,
+            code: 'OCR_LANGUAGE_NOT_SUPPORTED'
+        }));
+    });
+});
+
+describe('POST /api/pages/:pageId/ocr', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        createWorker.mockImplementation(async () => fakeWorker());
+    });
+
+    afterEach(() => ctx.close());
+
+    test('recognizes the page image and stores the text and word layout on the page', async () => {
+        const document = await ctx.createDocument('Invoice', [{}]);
+
+        const res = await request(ctx.app)
+            .post(`/api/pages/${document.pageIds[0]}/ocr`)
+            .set('Authorization', ctx.auth('alice'))
+            .send({ language: 'eng' })
+            .expect(200);
+
+        expect(res.body).toMatchObject({ pageId: document.pageIds[0], ocrText: 'hello world', confidence: 91.5 });
+        const page = ctx.db.prepare('SELECT * FROM document_pages WHERE id = ?').get(document.pageIds[0]);
+        expect(page).toMatchObject({ ocr_text: 'hello world', ocr_confidence: 91.5, ocr_language: 'eng', word_count: 2 });
+        expect(page.ocr_processed_at).not.toBeNull();
+
+        // Word geometry is kept for hit highlighting, sized to the page image
+        const layout = JSON.parse(page.ocr_layout);
+        expect(layout).toMatchObject({ version: 1, width: 1000, height: 500, language: 'eng' });
+        expect(layout.words.map(word => word.text)).toEqual(['hello', 'world']);
+    });
+
+    test('answers 400 for an unsupported language', async () => {
+        const document = await ctx.createDocument('Invoice', [{}]);
+
+        await request(ctx.app)
+            .post(`/api/pages/${document.pageIds[0]}/ocr`)
+            .set('Authorization', ctx.auth('alice'))
+            .send({ language: 'klingon' })
+            .expect(400);
+        expect(createWorker).not.toHaveBeenCalled();
+    });
+
+    test('answers 404 for an unknown page and 403 outside the user\'s projects', async () => {
+        await request(ctx.app)
+            .post('/api/pages/9999/ocr')
+            .set('Authorization', ctx.auth('alice'))
+            .expect(404);
+
+        const otherProjectId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+            .run('Legal', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+        const document = await ctx.createDocument('Contract', [{}]);
+        ctx.db.prepare('UPDATE documents SET project_id = ? WHERE id = ?').run(otherProjectId, document.id);
+
+        await request(ctx.app)
+            .post(`/api/pages/${document.pageIds[0]}/ocr`)
+            .set('Authorization', ctx.auth('alice'))
+            .expect(403);
+        await request(ctx.app)
+            .post(`/api/pages/${document.pageIds[0]}/ocr`)
+            .set('Authorization', ctx.auth('admin'))
+            .expect(200);
+    });
+});
@@ -0,0 +1,108 @@
+// tests/pageAnnotations.test.js
+// Page annotations: typed geometry, private/shared visibility, author-only changes and burn-in on export
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_DIR = path.join(os.tmpdir(), 'dms-test-annotation-images');
+
+const request = require('supertest');
+const sharp = require('sharp');
+const { PERMISSIONS } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('page annotations', () => {
+    let ctx;
+    let document;
+    let pageId;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        document = await ctx.createDocument('Contract', [{ text: 'Payment within 30 days' }]);
+        pageId = document.pageIds[0];
+    });
+
+    afterEach(() => {
+        ctx.close();
+        fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true });
+    });
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const annotate = (body, username) => api('post', `/api/pages/${pageId}/annotations`, username).send(body);
+    const visibleTypes = (username) => api('get', `/api/pages/${pageId}/annotations`, username)
+        .then(res => res.body.annotations.map(annotation => annotation.type));
+    const highlight = { type: 'highlight', geometry: { rects: [{ x: 0.1, y: 0.1, width: 0.2, height: 0.2 }] } };
+
+    test('shows shared annotations to everyone and private ones to their author only', async () => {
+        const created = await annotate({ ...highlight, style: { color: '#00ff00' } });
+        expect(created.status).toBe(201);
+        expect(created.body.annotation).toMatchObject({ type: 'highlight', visibility: 'shared', created_by: ctx.users.alice.id });
+        await annotate({ type: 'note', geometry: { x: 0.5, y: 0.5 }, content: 'Check the date', visibility: 'private' }).expect(201);
+
+        expect(await visibleTypes('alice')).toEqual(['highlight', 'note']);
+        expect(await visibleTypes('bob')).toEqual(['highlight']);
+        const notes = await api('get', `/api/pages/${pageId}/annotations`).query({ type: 'note' }).expect(200);
+        expect(notes.body.annotations).toEqual([expect.objectContaining({ content: 'Check the date' })]);
+    });
+
+    test('checks the geometry and content against the type', async () => {
+        await annotate({ type: 'note', geometry: { x: 0.5, y: 0.5 } }).expect(400);
+        await annotate({ type: 'stamp', geometry: { x: 0.1, y: 0.1, width: 0.2, height: 0.1 }, content: 'paid' }).expect(400);
+        await annotate({ type: 'rectangle', geometry: { x: 0.9, y: 0.1, width: 1.5, height: 0.1 } }).expect(400);
+        await annotate({ ...highlight, content: 'not for highlights' }).expect(400);
+        await annotate({ type: 'stamp', geometry: { x: 0.1, y: 0.1, width: 0.2, height: 0.1 }, content: 'approved' }).expect(201);
+    });
+
+    test('lets only the author change an annotation and an administrator delete it', async () => {
+        const { body } = await annotate(highlight).expect(201);
+        const url = `/api/pages/${pageId}/annotations/${body.annotation.id}`;
+
+        await api('put', url, 'bob').send({ visibility: 'private' }).expect(403);
+        await api('put', url).send({ type: 'rectangle' }).expect(400);
+        await api('put', url).send({ geometry: { x: 0.1, y: 0.1 } }).expect(400);
+        const updated = await api('put', url).send({ style: { color: '#0000ff' } }).expect(200);
+        expect(updated.body.annotation).toMatchObject({ style: { color: '#0000ff' }, updated_by: ctx.users.alice.id });
+
+        await api('delete', url, 'bob').expect(403);
+        await api('delete', url, 'admin').expect(200);
+        await api('delete', url).expect(404);
+    });
+
+    test('hides annotations from users without the annotate permission', async () => {
+        ctx.users.bob.permissions = ctx.users.bob.permissions.filter(permission => permission !== PERMISSIONS.DOCUMENT_ANNOTATE);
+
+        await api('get', `/api/pages/${pageId}/annotations`, 'bob').expect(403);
+        await annotate(highlight, 'bob').expect(403);
+    });
+
+    test('burns the visible annotations into exported page images on request', async () => {
+        await annotate({ ...highlight, style: { color: '#ff0000', opacity: 1 } }).expect(201);
+        await annotate({ ...highlight, geometry: { rects: [{ x: 0.6, y: 0.6, width: 0.2, height: 0.2 }] }, style: { color: '#0000ff', opacity: 1 }, visibility: 'private' }, 'bob')
+            .expect(201);
+
+        const exportPixel = async (query, x, y) => {
+            const res = await api('get', `/api/pages/${pageId}/export`).query(query).buffer().expect(200);
+            const { data, info } = await sharp(res.body).raw().toBuffer({ resolveWithObject: true });
+            const offset = (y * info.width + x) * info.channels;
+            return [data[offset], data[offset + 1], data[offset + 2]];
+        };
+
+        expect(await exportPixel({}, 200, 100)).toEqual([255, 255, 255]);
+        expect(await exportPixel({ annotations: 'true' }, 200, 100)).toEqual([255, 0, 0]);
+        expect(await exportPixel({ annotations: 'true' }, 700, 350)).toEqual([255, 255, 255]);
+
+        const pdf = await api('get', `/api/documents/${document.id}/export.pdf`).query({ annotations: 'true' }).buffer().expect(200);
+        expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('copies annotations along with a copied document', async () => {
+        await annotate(highlight).expect(201);
+
+        const copied = await api('post', `/api/documents/${document.id}/copy`).send({ project_id: ctx.project.id }).expect(201);
+
+        const [copiedPage] = ctx.db.prepare('SELECT id FROM document_pages WHERE document_id = ?').all(copied.body.document.id);
+        const annotations = await api('get', `/api/pages/${copiedPage.id}/annotations`).expect(200);
+        expect(annotations.body.annotations).toEqual([expect.objectContaining({ type: 'highlight', created_by: ctx.users.alice.id })]);
+    });
+});
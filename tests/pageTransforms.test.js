@@ -0,0 +1,107 @@
+// tests/pageTransforms.test.js
+// Page image transforms (rotate, crop, clean-up) with OCR re-runs and undo
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_DIR = path.join(os.tmpdir(), 'dms-test-transform-images');
+
+const request = require('supertest');
+const sharp = require('sharp');
+const { OCRService } = require('../newdms/services');
+const { VERSION_CHANGE_TYPES } = require('../newdms/config/constants');
+const { createTestApp, layoutFor } = require('./helpers/testApp');
+
+describe('page transforms', () => {
+    let ctx;
+    let document;
+    let pageId;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        document = await ctx.createDocument('Invoice', [layoutFor(['Invoice 1001', 'Total 1200'])]);
+        pageId = document.pageIds[0];
+        ctx.models.DocumentVersion.createVersion(document.id, { changeType: VERSION_CHANGE_TYPES.CREATED });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.close();
+        fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true });
+    });
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const pageRow = () => ctx.db.prepare('SELECT * FROM document_pages WHERE id = ?').get(pageId);
+    const transform = (body) => api('post', `/api/pages/${pageId}/transform`).send(body);
+
+    test('applies the operations in order to a new image and drops the stale word layout', async () => {
+        const before = pageRow();
+
+        const res = await transform({
+            operations: [{ type: 'rotate', angle: 90 }, { type: 'crop', left: 0, top: 0, width: 400, height: 800 }]
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ width: 400, height: 800, version_number: 2 });
+        expect(res.body.transform.operations.map(operation => operation.type)).toEqual(['rotate', 'crop']);
+
+        const after = pageRow();
+        expect(after.file_path).not.toBe(before.file_path);
+        expect(await sharp(after.file_path).metadata()).toMatchObject({ width: 400, height: 800 });
+        expect(fs.existsSync(before.file_path)).toBe(false);
+        expect(after.ocr_text).toBe(before.ocr_text);
+        expect(after.ocr_layout).toBeNull();
+    });
+
+    test('re-runs OCR on the transformed image when asked', async () => {
+        jest.spyOn(OCRService, 'performOCR').mockResolvedValue({
+            text: 'Invoice 1001 rotated', confidence: 88, language: 'eng', wordCount: 3, words: [], lines: [], blocks: []
+        });
+
+        const res = await transform({ operations: [{ type: 'rotate', angle: 180 }], ocr: true });
+
+        expect(res.status).toBe(200);
+        expect(res.body.ocr).toEqual({ processed: true });
+        expect(OCRService.performOCR).toHaveBeenCalledWith(pageRow().file_path, 'eng');
+        expect(pageRow()).toMatchObject({ ocr_text: 'Invoice 1001 rotated', ocr_confidence: 88 });
+    });
+
+    test('undo brings back the previous image and OCR data, newest transform first', async () => {
+        const original = pageRow();
+        await transform({ operations: [{ type: 'rotate', angle: 90 }] }).expect(200);
+        const rotated = pageRow();
+        await transform({ operations: [{ type: 'binarize' }] }).expect(200);
+
+        const listed = await api('get', `/api/pages/${pageId}/transforms`).expect(200);
+        expect(listed.body.transforms.map(entry => entry.operations[0].type)).toEqual(['binarize', 'rotate']);
+
+        const undone = await api('post', `/api/pages/${pageId}/transform/undo`).expect(200);
+        expect(undone.body).toMatchObject({ undone: { operations: [expect.objectContaining({ type: 'binarize' })] }, remaining: 1 });
+        expect((await sharp(pageRow().file_path).metadata()).width).toBe(500);
+
+        await api('post', `/api/pages/${pageId}/transform/undo`).expect(200);
+        const restored = pageRow();
+        expect(restored).toMatchObject({ ocr_text: original.ocr_text, ocr_layout: original.ocr_layout });
+        expect((await sharp(restored.file_path).metadata()).width).toBe(1000);
+        expect(fs.existsSync(rotated.file_path)).toBe(false);
+
+        await api('post', `/api/pages/${pageId}/transform/undo`).expect(409);
+    });
+
+    test('rejects invalid operations and pages that cannot be changed', async () => {
+        await transform({ operations: [{ type: 'rotate', angle: 45 }] }).expect(400);
+        await transform({ operations: [] }).expect(400);
+
+        await api('post', `/api/documents/${document.id}/checkout`, 'bob').send({}).expect(200);
+        const locked = await transform({ operations: [{ type: 'rotate', angle: 90 }] });
+        expect(locked.status).toBe(409);
+        expect(locked.body.code).toBe('DOCUMENT_LOCKED');
+
+        await api('post', `/api/documents/${document.id}/checkin`, 'bob').send({}).expect(200);
+        await api('post', '/api/legal-holds', 'admin').send({ name: 'Audit', document_ids: [document.id] }).expect(201);
+        const held = await transform({ operations: [{ type: 'rotate', angle: 90 }] });
+        expect(held.status).toBe(409);
+        expect(held.body.code).toBe('LEGAL_HOLD');
+    });
+});
@@ -0,0 +1,73 @@
+// tests/pdfExport.test.js
+// Searchable PDF export of a document's pages
+
+const request = require('supertest');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { STATUS } = require('../newdms/config/constants');
+const { createTestApp, layoutFor } = require('./helpers/testApp');
+
+// Buffer the binary response body so pdf-lib can parse it
+const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /api/documents/:id/export.pdf', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    const exportPdf = (documentId, query = {}) => request(ctx.app)
+        .get(`/api/documents/${documentId}/export.pdf`)
+        .query(query)
+        .set('Authorization', ctx.auth('alice'))
+        .buffer(true)
+        .parse(binary);
+
+    test('exports one PDF page per document page with the title and OCR text layer', async () => {
+        const document = await ctx.createDocument('Quarterly report', [layoutFor(['Revenue grew']), layoutFor(['Costs fell'])]);
+
+        const res = await exportPdf(document.id).expect(200);
+
+        expect(res.headers['content-type']).toBe('application/pdf');
+        expect(res.headers['content-disposition']).toBe('attachment; filename="Quarterly_report.pdf"');
+        const pdf = await PDFDocument.load(res.body, { updateMetadata: false });
+        expect(pdf.getPageCount()).toBe(2);
+        expect(pdf.getTitle()).toBe('Quarterly report');
+    });
+
+    test('adds PDF/A-2b identification when asked', async () => {
+        const document = await ctx.createDocument('Archive copy', [layoutFor(['Signed'])]);
+
+        const plain = await exportPdf(document.id).expect(200);
+        const archived = await exportPdf(document.id, { pdfa: 'true' }).expect(200);
+
+        expect(plain.body.includes('pdfaid:part')).toBe(false);
+        expect(archived.body.includes('pdfaid:part')).toBe(true);
+        const pdf = await PDFDocument.load(archived.body, { updateMetadata: false });
+        expect(pdf.catalog.get(PDFName.of('OutputIntents'))).toBeDefined();
+    });
+
+    test('answers 404 for a deleted document and 400 for a document without pages', async () => {
+        const deleted = await ctx.createDocument('Deleted', [layoutFor(['Gone'])]);
+        ctx.db.prepare('UPDATE documents SET status = ? WHERE id = ?').run(STATUS.DELETED, deleted.id);
+        await exportPdf(deleted.id).expect(404);
+
+        const empty = await ctx.createDocument('Empty');
+        await exportPdf(empty.id).expect(400);
+    });
+
+    test('answers 403 outside the user\'s projects', async () => {
+        const otherProjectId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+            .run('Legal', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+        const document = await ctx.createDocument('Contract', [layoutFor(['Terms'])]);
+        ctx.db.prepare('UPDATE documents SET project_id = ? WHERE id = ?').run(otherProjectId, document.id);
+
+        await exportPdf(document.id).expect(403);
+    });
+});
@@ -0,0 +1,151 @@
+// tests/piiDetection.test.js
+// PII detection in page text: built-in detectors, project rules, review of findings and the pii: filter
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_DIR = path.join(os.tmpdir(), 'dms-test-pii-images');
+
+const request = require('supertest');
+const { OCRService, PiiService } = require('../newdms/services');
+const { PII_FINDING_STATUS, PII_TYPES, REDACTION_REASONS } = require('../newdms/config/constants');
+const { createTestApp, layoutFor } = require('./helpers/testApp');
+
+describe('PII detection', () => {
+    describe('PiiService.detect', () => {
+        const detected = (text, rules) => PiiService.detect(text, rules).map(match => [match.type, match.value]);
+
+        test('finds the built-in kinds and checks card numbers and IBANs', () => {
+            expect(detected('Card 4111 1111 1111 1111, not 4111 1111 1111 1112')).toEqual([
+                [PII_TYPES.CREDIT_CARD, '4111 1111 1111 1111']
+            ]);
+            expect(detected('Pay to DE89 3704 0044 0532 0130 00 or DE00 3704 0044 0532 0130 00')).toEqual([
+                [PII_TYPES.IBAN, 'DE89 3704 0044 0532 0130 00']
+            ]);
+            expect(detected('SSN 123-45-6789, mail jane.doe@example.com, tel +44 20 7946 0958')).toEqual([
+                [PII_TYPES.SSN, '123-45-6789'],
+                [PII_TYPES.EMAIL, 'jane.doe@example.com'],
+                [PII_TYPES.PHONE, '+44 20 7946 0958']
+            ]);
+            expect(detected('Date of birth: 12 March 1984. Invoice date 2024-01-31')).toEqual([
+                [PII_TYPES.DATE_OF_BIRTH, '12 March 1984']
+            ]);
+        });
+
+        test('adds project rules after the built-in detectors, reporting their value group', () => {
+            const rules = [{ id: 7, name: 'Employee ID', pattern: 'staff no\\.? (?<value>E-\\d{5})', case_sensitive: false }];
+
+            expect(PiiService.detect('Staff no. E-12345', rules)).toEqual([
+                expect.objectContaining({ type: PII_TYPES.CUSTOM, ruleId: 7, label: 'Employee ID', value: 'E-12345' })
+            ]);
+        });
+
+        test('masks all but the end of a value', () => {
+            expect(PiiService.mask(PII_TYPES.SSN, '123-45-6789')).toBe('***-**-6789');
+            expect(PiiService.mask(PII_TYPES.EMAIL, 'jane.doe@example.com')).toBe('j***@example.com');
+        });
+    });
+
+    describe('page findings', () => {
+        let ctx;
+        let document;
+        let pageId;
+
+        beforeEach(async () => {
+            ctx = createTestApp();
+            document = await ctx.createDocument('Personnel file', [layoutFor(['Employee Jane Doe', 'SSN 123-45-6789 on file', 'Mail jane@example.com'])]);
+            pageId = document.pageIds[0];
+            ctx.models.SearchIndex.rebuild(document.id);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            ctx.close();
+            fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true });
+        });
+
+        const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+        const scan = () => api('post', `/api/pages/${pageId}/pii/scan`).expect(200).then(res => res.body.findings);
+        const findingStatuses = () => api('get', `/api/pages/${pageId}/pii`).expect(200)
+            .then(res => res.body.findings.map(finding => [finding.type, finding.status]));
+        const searchTitles = (query) => api('get', '/api/search').query(query)
+            .then(res => res.body.results.map(result => result.title));
+
+        test('stores masked findings with the page regions that cover them', async () => {
+            const findings = await scan();
+
+            expect(findings.map(finding => [finding.type, finding.masked_value])).toEqual([
+                [PII_TYPES.SSN, '***-**-6789'],
+                [PII_TYPES.EMAIL, 'j***@example.com']
+            ]);
+            // The SSN is the second word of the second line: x 60-170, y 60-80 of 1000x500
+            const [region] = findings[0].regions;
+            expect(region.x).toBeCloseTo(0.058, 2);
+            expect(region.y).toBeCloseTo(0.118, 2);
+            expect(JSON.stringify(ctx.db.prepare('SELECT * FROM page_pii_findings').all())).not.toContain('123-45-6789');
+        });
+
+        test('keeps dismissed findings dismissed across rescans until reopened', async () => {
+            const [ssn] = await scan();
+
+            await api('post', `/api/pages/${pageId}/pii/${ssn.id}/dismiss`).expect(200);
+            await api('post', `/api/pages/${pageId}/pii/${ssn.id}/dismiss`).expect(409);
+            await scan();
+            expect(await findingStatuses()).toEqual([[PII_TYPES.SSN, PII_FINDING_STATUS.DISMISSED], [PII_TYPES.EMAIL, PII_FINDING_STATUS.OPEN]]);
+            expect(await searchTitles({ q: 'pii:ssn' })).toEqual([]);
+
+            const [dismissed] = (await api('get', `/api/pages/${pageId}/pii`).query({ status: 'dismissed' })).body.findings;
+            await api('post', `/api/pages/${pageId}/pii/${dismissed.id}/reopen`).expect(200);
+            expect(await searchTitles({ q: 'pii:ssn' })).toEqual(['Personnel file']);
+        });
+
+        test('requests a redaction of findings that reopen when it is rejected and go once it is applied', async () => {
+            const [ssn] = await scan();
+
+            const requested = await api('post', `/api/pages/${pageId}/pii/redact`).send({ finding_ids: [ssn.id] });
+            expect(requested.status).toBe(201);
+            expect(requested.body.redaction).toMatchObject({ reason: REDACTION_REASONS.PERSONAL_DATA, covered_words: ['123-45-6789'] });
+            expect(requested.body.findings[0].status).toBe(PII_FINDING_STATUS.REDACTION_REQUESTED);
+            await api('post', `/api/pages/${pageId}/pii/redact`).send({ finding_ids: [ssn.id] }).expect(409);
+
+            await api('post', `/api/pages/${pageId}/redactions/${requested.body.redaction.id}/reject`, 'bob').send({ note: 'Not yet' }).expect(200);
+            expect(await findingStatuses()).toEqual([[PII_TYPES.SSN, PII_FINDING_STATUS.OPEN], [PII_TYPES.EMAIL, PII_FINDING_STATUS.OPEN]]);
+
+            const again = await api('post', `/api/pages/${pageId}/pii/redact`).send({ finding_ids: [ssn.id] }).expect(201);
+            await api('post', `/api/pages/${pageId}/redactions/${again.body.redaction.id}/approve`, 'bob').send({}).expect(200);
+            expect(await findingStatuses()).toEqual([[PII_TYPES.EMAIL, PII_FINDING_STATUS.OPEN]]);
+        });
+
+        test('applies the project\'s own rules', async () => {
+            await api('post', `/api/projects/${ctx.project.id}/pii-rules`, 'admin').send({ name: 'Bad rule', pattern: '(unclosed' }).expect(400);
+            await api('post', `/api/projects/${ctx.project.id}/pii-rules`).send({ name: 'Staff', pattern: 'Jane' }).expect(403);
+            await api('post', `/api/projects/${ctx.project.id}/pii-rules`, 'admin').send({ name: 'Staff name', pattern: 'Jane Doe' }).expect(201);
+
+            const findings = await scan();
+
+            expect(findings[0]).toMatchObject({ type: PII_TYPES.CUSTOM, label: 'Staff name' });
+        });
+
+        test('scans a page again after it is re-read by OCR', async () => {
+            jest.spyOn(OCRService, 'performOCR').mockResolvedValue({
+                text: 'Card 4111 1111 1111 1111', confidence: 90, language: 'eng', wordCount: 5, words: [], lines: [], blocks: []
+            });
+
+            await api('post', `/api/pages/${pageId}/ocr`).send({}).expect(200);
+
+            expect(await findingStatuses()).toEqual([[PII_TYPES.CREDIT_CARD, PII_FINDING_STATUS.OPEN]]);
+            expect(await searchTitles({ q: 'pii:credit_card' })).toEqual(['Personnel file']);
+        });
+
+        test('rejects pii: filters that are not a kind of PII', async () => {
+            await scan();
+
+            expect(await searchTitles({ q: 'pii:any' })).toEqual(['Personnel file']);
+            expect(await searchTitles({ q: 'file', pii: 'email' })).toEqual(['Personnel file']);
+            await api('get', '/api/search').query({ q: 'pii:passport' }).expect(400);
+            await api('get', '/api/search').query({ q: 'pii:>3' }).expect(400);
+            await api('get', '/api/search').query({ q: 'pii:a..z' }).expect(400);
+        });
+    });
+});
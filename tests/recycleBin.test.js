@@ -0,0 +1,116 @@
+// tests/recycleBin.test.js
+// Recycle bin: listing, restoring and purging deleted documents and pages, and auto-purge
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_DIR = path.join(os.tmpdir(), 'dms-test-recycle-bin-images');
+
+const request = require('supertest');
+const RecycleBinService = require('../newdms/services/RecycleBinService');
+const { JOB_STATUS, JOB_TYPES, VERSION_CHANGE_TYPES } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('recycle bin', () => {
+    let ctx;
+    let document;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        RecycleBinService.models = ctx.models;
+        RecycleBinService.isInitialized = true;
+        document = await ctx.createDocument('Invoice', [{ text: 'first page' }, { text: 'second page' }, { text: 'third page' }]);
+        ctx.models.DocumentVersion.createVersion(document.id, { changeType: VERSION_CHANGE_TYPES.CREATED });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.close();
+    });
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const pageRow = (pageId) => ctx.db.prepare('SELECT * FROM document_pages WHERE id = ?').get(pageId);
+    const searchTotal = (q) => api('get', '/api/search').query({ q }).then(res => res.body.total);
+
+    test('lists deleted documents and separately deleted pages with who deleted them', async () => {
+        const other = await ctx.createDocument('Memo', [{ text: 'memo' }]);
+        await api('delete', `/api/pages/${document.pageIds[1]}`).expect(200);
+        await api('delete', `/api/documents/${other.id}`).expect(200);
+
+        const res = await api('get', '/api/recycle-bin').expect(200);
+        expect(res.body.documents.map(item => [item.id, item.page_count, item.deleted_by_name])).toEqual([[other.id, 1, 'alice']]);
+        expect(res.body.pages.map(item => [item.id, item.document_title, item.deleted_by_name])).toEqual([[document.pageIds[1], 'Invoice', 'alice']]);
+        expect(res.body.retention_days).toBe(0);
+
+        const pagesOnly = await api('get', '/api/recycle-bin?type=pages').expect(200);
+        expect(pagesOnly.body.documents).toBeUndefined();
+        await api('get', '/api/recycle-bin?type=everything').expect(400);
+    });
+
+    test('restores a page into its former place as a new version and back into search', async () => {
+        await api('delete', `/api/pages/${document.pageIds[1]}`).expect(200);
+        expect(await searchTotal('second')).toBe(0);
+
+        const res = await api('post', `/api/recycle-bin/pages/${document.pageIds[1]}/restore`).expect(200);
+        expect(res.body).toMatchObject({ page_number: 2, total_pages: 3, version_number: 3 });
+        expect(ctx.models.DocumentVersion.findByNumber(document.id, 3).change_type).toBe(VERSION_CHANGE_TYPES.PAGE_RESTORED);
+        expect(await searchTotal('second')).toBe(1);
+
+        await api('post', `/api/recycle-bin/pages/${document.pageIds[1]}/restore`).expect(404);
+    });
+
+    test('restores a document with the pages deleted along with it, but not pages deleted before', async () => {
+        await api('delete', `/api/pages/${document.pageIds[0]}`).expect(200);
+        await api('delete', `/api/documents/${document.id}`).expect(200);
+        await api('post', `/api/recycle-bin/pages/${document.pageIds[0]}/restore`).expect(409);
+
+        const res = await api('post', `/api/recycle-bin/documents/${document.id}/restore`).expect(200);
+        expect(res.body).toMatchObject({ restored_pages: 2, total_pages: 2 });
+        expect(pageRow(document.pageIds[0]).status).not.toBe('active');
+        expect([pageRow(document.pageIds[1]).page_number, pageRow(document.pageIds[2]).page_number]).toEqual([1, 2]);
+        expect(await searchTotal('page')).toBe(2);
+    });
+
+    test('purges a document with its files; only users with document_purge may', async () => {
+        const imagePath = pageRow(document.pageIds[0]).file_path;
+        await api('delete', `/api/documents/${document.id}`).expect(200);
+
+        await api('delete', `/api/recycle-bin/documents/${document.id}`).expect(403);
+        const res = await api('delete', `/api/recycle-bin/documents/${document.id}`, 'admin').expect(200);
+
+        expect(res.body.files_removed).toBe(3);
+        expect(fs.existsSync(imagePath)).toBe(false);
+        expect(ctx.db.prepare('SELECT COUNT(*) AS count FROM document_pages').get().count).toBe(0);
+        expect(ctx.db.prepare('SELECT COUNT(*) AS count FROM document_fts').get().count).toBe(0);
+        await api('delete', `/api/recycle-bin/documents/${document.id}`, 'admin').expect(404);
+    });
+
+    test('refuses to purge an active document or one with queued jobs', async () => {
+        await api('delete', `/api/recycle-bin/documents/${document.id}`, 'admin').expect(404);
+
+        await api('delete', `/api/documents/${document.id}`).expect(200);
+        ctx.db.prepare('INSERT INTO jobs (type, status, document_id) VALUES (?, ?, ?)')
+            .run(JOB_TYPES.DOCUMENT_OCR, JOB_STATUS.QUEUED, document.id);
+        await api('delete', `/api/recycle-bin/documents/${document.id}`, 'admin').expect(409);
+    });
+
+    test('auto-purges items deleted longer ago than the retention period', async () => {
+        jest.spyOn(RecycleBinService, 'getRetentionDays').mockReturnValue(30);
+        const other = await ctx.createDocument('Memo', [{ text: 'memo' }]);
+        await api('delete', `/api/pages/${document.pageIds[0]}`).expect(200);
+        await api('delete', `/api/pages/${document.pageIds[1]}`).expect(200);
+        await api('delete', `/api/documents/${other.id}`).expect(200);
+        ctx.db.prepare("UPDATE document_pages SET deleted_at = datetime('now', '-31 days') WHERE id = ?").run(document.pageIds[0]);
+        ctx.db.prepare("UPDATE documents SET deleted_at = datetime('now', '-40 days') WHERE id = ?").run(other.id);
+
+        const listed = await api('get', '/api/recycle-bin').expect(200);
+        expect(listed.body.retention_days).toBe(30);
+        expect(listed.body.pages.every(item => item.purge_at)).toBe(true);
+
+        expect(await RecycleBinService.purgeExpired()).toEqual({ documents: 1, pages: 1 });
+        expect(pageRow(document.pageIds[0])).toBeUndefined();
+        expect(pageRow(document.pageIds[1])).toBeDefined();
+        expect(ctx.models.Document.findById(other.id)).toBeUndefined();
+    });
+});
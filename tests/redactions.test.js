@@ -0,0 +1,139 @@
+// tests/redactions.test.js
+// Page redactions: four-eyes review, burned-in regions and removal of the covered text everywhere
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_DIR = path.join(os.tmpdir(), 'dms-test-redaction-images');
+
+const request = require('supertest');
+const sharp = require('sharp');
+const { REDACTION_REASONS, REDACTION_STATUS, REDACTION_TEXT_ACTIONS, STATUS } = require('../newdms/config/constants');
+const { createTestApp, layoutFor } = require('./helpers/testApp');
+
+// The SSN on the second line of the page: x 60-170, y 60-80 of 1000x500
+const SSN_REGION = { x: 0.055, y: 0.11, width: 0.12, height: 0.06 };
+
+describe('page redactions', () => {
+    let ctx;
+    let document;
+    let pageId;
+
+    beforeEach(async () => {
+        ctx = createTestApp({ dbPath: path.join(os.tmpdir(), `dms-redactions-${process.pid}.db`) });
+        document = await ctx.createDocument('Personnel file', [layoutFor(['Employee Jane Doe', 'SSN 123-45-6789 on file'])]);
+        pageId = document.pageIds[0];
+        ctx.models.SearchIndex.rebuild(document.id);
+    });
+
+    afterEach(() => {
+        ctx.close();
+        fs.rmSync(ctx.db.name, { force: true });
+        fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true });
+    });
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const requestRedaction = async (username = 'alice') => {
+        const res = await api('post', `/api/pages/${pageId}/redactions`, username)
+            .send({ regions: [SSN_REGION], reason: REDACTION_REASONS.PERSONAL_DATA, note: 'Social security number' });
+        expect(res.status).toBe(201);
+        return res.body.redaction;
+    };
+    const review = (redaction, decision, username, body = {}) =>
+        api('post', `/api/pages/${pageId}/redactions/${redaction.id}/${decision}`, username).send(body);
+    const search = async (q) => (await api('get', '/api/search').query({ q })).body.results;
+
+    test('lists the words a pending redaction covers', async () => {
+        const redaction = await requestRedaction();
+        expect(redaction).toMatchObject({ status: REDACTION_STATUS.PENDING, covered_words: ['123-45-6789'] });
+
+        const res = await api('get', `/api/pages/${pageId}/redactions`, 'bob');
+        expect(res.body.redactions).toEqual([expect.objectContaining({ id: redaction.id, covered_words: ['123-45-6789'] })]);
+
+        await api('post', `/api/pages/${pageId}/redactions`).send({ regions: [SSN_REGION], reason: 'gossip' }).expect(400);
+    });
+
+    test('cannot be approved by the requester', async () => {
+        const redaction = await requestRedaction();
+
+        expect((await review(redaction, 'approve', 'alice')).status).toBe(403);
+        expect(ctx.models.DocumentPage.findById(pageId).ocr_text).toContain('123-45-6789');
+    });
+
+    test('removes the covered words from the text, layout and search index once approved', async () => {
+        expect(await search('6789')).toHaveLength(1);
+        const redaction = await requestRedaction();
+        const originalImage = ctx.models.DocumentPage.findById(pageId).file_path;
+
+        const res = await review(redaction, 'approve', 'bob', { note: 'Checked' });
+        expect(res.status).toBe(200);
+        expect(res.body.redaction).toMatchObject({
+            status: REDACTION_STATUS.APPLIED,
+            text_action: REDACTION_TEXT_ACTIONS.WORDS_REMOVED,
+            words_removed: 1
+        });
+
+        const page = ctx.models.DocumentPage.findById(pageId);
+        expect(page.ocr_text).toBe('Employee Jane Doe\nSSN on file');
+        expect(JSON.parse(page.ocr_layout).words.map(word => word.text)).not.toContain('123-45-6789');
+        expect(page.file_path).not.toBe(originalImage);
+        expect(fs.existsSync(originalImage)).toBe(false);
+
+        expect(await search('6789')).toEqual([]);
+        expect(await search('Jane')).toHaveLength(1);
+    });
+
+    test('serves the redacted image and text from the page endpoints', async () => {
+        await review(await requestRedaction(), 'approve', 'bob').expect(200);
+
+        const content = await api('get', `/api/pages/${pageId}/content`).buffer().expect(200);
+        expect(content.headers['cache-control']).toBe('private, no-cache');
+        const { data, info } = await sharp(content.body).raw().toBuffer({ resolveWithObject: true });
+        const offset = (70 * info.width + 100) * info.channels;
+        expect([data[offset], data[offset + 1], data[offset + 2]]).toEqual([0, 0, 0]);
+
+        const ocr = await api('get', `/api/pages/${pageId}/ocr`).expect(200);
+        expect(ocr.body).toMatchObject({ pageId, ocrText: 'Employee Jane Doe\nSSN on file' });
+
+        const thumbnail = await api('get', `/api/pages/${pageId}/thumbnail`).buffer().expect(200);
+        expect(thumbnail.headers['content-type']).toBe('image/jpeg');
+        expect(fs.existsSync(ctx.models.DocumentPage.findById(pageId).thumbnail_path)).toBe(true);
+    });
+
+    test('checks project access on the page endpoints', async () => {
+        const boardId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+            .run('Board', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+        ctx.db.prepare('UPDATE documents SET project_id = ? WHERE id = ?').run(boardId, document.id);
+
+        for (const endpoint of ['content', 'thumbnail', 'ocr']) {
+            await api('get', `/api/pages/${pageId}/${endpoint}`).expect(403);
+        }
+        await api('get', '/api/pages/9999/content').expect(404);
+        await api('get', `/api/pages/${pageId}/content`, 'admin').expect(200);
+    });
+
+    test('leaves no copy of the redacted text in the database file', async () => {
+        expect(fs.readFileSync(ctx.db.name).includes('123-45-6789')).toBe(true);
+
+        await review(await requestRedaction(), 'approve', 'bob').expect(200);
+
+        expect(fs.readFileSync(ctx.db.name).includes('123-45-6789')).toBe(false);
+    });
+
+    test('leaves the page alone when the redaction is rejected or withdrawn', async () => {
+        const rejected = await requestRedaction();
+        expect((await review(rejected, 'reject', 'bob')).status).toBe(400);
+        const res = await review(rejected, 'reject', 'bob', { note: 'Needed for payroll' });
+        expect(res.status).toBe(200);
+        expect(res.body.redaction).toMatchObject({ status: REDACTION_STATUS.REJECTED, review_note: 'Needed for payroll' });
+        expect((await review(rejected, 'approve', 'bob')).status).toBe(409);
+
+        const withdrawn = await requestRedaction();
+        expect((await review(withdrawn, 'withdraw', 'bob')).status).toBe(403);
+        expect((await review(withdrawn, 'withdraw', 'alice')).body.redaction.status).toBe(REDACTION_STATUS.WITHDRAWN);
+
+        expect(ctx.models.DocumentPage.findById(pageId).ocr_text).toContain('123-45-6789');
+        expect(await search('6789')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,136 @@
+// tests/retention.test.js
+// Retention policies, disposition review of documents past their period and certificates of destruction
+
+const request = require('supertest');
+const { createTestApp } = require('./helpers/testApp');
+const { RecycleBinService, RetentionService } = require('../newdms/services');
+const { FIELD_TYPES, DISPOSITION_STATUS } = require('../newdms/config/constants');
+
+describe('records retention', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        await RecycleBinService.initialize(ctx.models);
+        RetentionService.models = ctx.models;
+        RetentionService.isInitialized = true;
+        ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type) VALUES (?, ?, ?, ?)
+        `).run(ctx.project.id, 'signed_on', 'Signed on', FIELD_TYPES.DATE);
+        ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type) VALUES (?, ?, ?, ?)
+        `).run(ctx.project.id, 'counterparty', 'Counterparty', FIELD_TYPES.TEXT);
+    });
+
+    afterEach(() => {
+        RetentionService.models = null;
+        RetentionService.isInitialized = false;
+        ctx.close();
+    });
+
+    const api = (method, url, username = 'admin') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const createPolicy = (body) => api('post', '/api/retention/policies')
+        .send({ name: 'Finance records', project_id: ctx.project.id, retention_period: 7, retention_unit: 'years', ...body });
+    const backdate = (documentId, years) => ctx.db.prepare(`
+        UPDATE documents SET created_at = datetime('now', ?) WHERE id = ?
+    `).run(`-${years} years`, documentId);
+
+    test('validates the scope and trigger field of a policy', async () => {
+        await api('post', '/api/retention/policies', 'alice')
+            .send({ name: 'Finance records', retention_period: 7 })
+            .expect(403);
+
+        const created = await createPolicy({});
+        expect(created.status).toBe(201);
+        expect(created.body.policy).toMatchObject({ project_id: ctx.project.id, retention_period: 7, retention_unit: 'years' });
+
+        expect((await createPolicy({ name: 'Duplicate' })).status).toBe(409);
+        expect((await createPolicy({ document_type: 'invoice', trigger_field: 'counterparty' })).status).toBe(400);
+        expect((await createPolicy({ document_type: 'invoice', trigger_field: 'signed_on' })).status).toBe(201);
+
+        const global = await createPolicy({ name: 'Everything', project_id: null, retention_period: 30 });
+        expect(global.status).toBe(201);
+        expect(global.body.policy.project_id).toBeNull();
+    });
+
+    test('flags documents past their retention period for review', async () => {
+        const old = await ctx.createDocument('2015 ledger', [{ text: 'Ledger' }]);
+        const recent = await ctx.createDocument('2024 ledger', [{ text: 'Ledger' }]);
+        backdate(old.id, 8);
+        backdate(recent.id, 2);
+        await createPolicy({}).expect(201);
+
+        const run = await api('post', '/api/retention/dispositions/run').expect(200);
+        expect(run.body.flagged).toBe(1);
+        // Already pending documents are not flagged twice
+        expect((await api('post', '/api/retention/dispositions/run')).body.flagged).toBe(0);
+
+        const res = await api('get', '/api/retention/dispositions').expect(200);
+        expect(res.body.dispositions).toEqual([expect.objectContaining({
+            document_id: old.id,
+            status: DISPOSITION_STATUS.PENDING,
+            policy_name: 'Finance records',
+            on_legal_hold: false
+        })]);
+    });
+
+    test('destroys an approved document and records a certificate of destruction', async () => {
+        const old = await ctx.createDocument('2015 ledger', [{ text: 'Ledger' }, { text: 'Totals' }]);
+        backdate(old.id, 8);
+        await createPolicy({}).expect(201);
+        RetentionService.flagExpired();
+        const [disposition] = ctx.models.DocumentDisposition.findPaginated({ limit: 10, offset: 0 }).dispositions;
+
+        const res = await api('post', `/api/retention/dispositions/${disposition.id}/destroy`)
+            .send({ notes: 'Approved by records manager' })
+            .expect(200);
+
+        expect(res.body.disposition.status).toBe(DISPOSITION_STATUS.DESTROYED);
+        expect(res.body.disposition.certificate).toMatchObject({
+            document_id: old.id,
+            title: '2015 ledger',
+            policy_name: 'Finance records',
+            pages_destroyed: 2,
+            approved_by_name: 'admin',
+            notes: 'Approved by records manager'
+        });
+        expect(ctx.models.Document.findById(old.id)).toBeFalsy();
+
+        await api('post', `/api/retention/dispositions/${disposition.id}/destroy`).send({}).expect(409);
+    });
+
+    test('refuses to destroy a document under legal hold', async () => {
+        const old = await ctx.createDocument('2015 ledger', [{ text: 'Ledger' }]);
+        backdate(old.id, 8);
+        await createPolicy({}).expect(201);
+        RetentionService.flagExpired();
+        await api('post', '/api/legal-holds')
+            .send({ name: 'Audit 2024', reason: 'Tax audit', document_ids: [old.id] })
+            .expect(201);
+        const [disposition] = ctx.models.DocumentDisposition.findPaginated({ limit: 10, offset: 0 }).dispositions;
+        expect(disposition.on_legal_hold).toBe(true);
+
+        const res = await api('post', `/api/retention/dispositions/${disposition.id}/destroy`).send({});
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('LEGAL_HOLD');
+        expect(ctx.models.Document.findById(old.id)).toBeTruthy();
+    });
+
+    test('keeps a retained document out of review until its retain-until date', async () => {
+        const old = await ctx.createDocument('2015 ledger', [{ text: 'Ledger' }]);
+        backdate(old.id, 8);
+        await createPolicy({}).expect(201);
+        RetentionService.flagExpired();
+        const [disposition] = ctx.models.DocumentDisposition.findPaginated({ limit: 10, offset: 0 }).dispositions;
+
+        const res = await api('post', `/api/retention/dispositions/${disposition.id}/retain`)
+            .send({ notes: 'Still referenced', retain_until: '2999-01-01' })
+            .expect(200);
+        expect(res.body.disposition).toMatchObject({ status: DISPOSITION_STATUS.RETAINED, retain_until: '2999-01-01' });
+        expect(RetentionService.flagExpired()).toBe(0);
+
+        // Once the date has passed the document comes up for review again
+        ctx.db.prepare("UPDATE document_dispositions SET retain_until = date('now', '-1 day')").run();
+        expect(RetentionService.flagExpired()).toBe(1);
+    });
+});
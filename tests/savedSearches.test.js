@@ -0,0 +1,93 @@
+// tests/savedSearches.test.js
+// Saved searches (own and role-shared), re-running them, and the per-user search history
+
+const request = require('supertest');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('saved searches and search history', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        await ctx.createDocument('Invoice March', [{ text: 'invoice for consulting' }]);
+        await ctx.createDocument('Invoice April', [{ text: 'invoice for hosting' }]);
+        await ctx.createDocument('Memo', [{ text: 'team memo' }]);
+    });
+
+    afterEach(() => ctx.close());
+
+    const as = (username, req) => req.set('Authorization', ctx.auth(username));
+    const save = (username, body) => as(username, request(ctx.app).post('/api/search/saved')).send(body);
+
+    test('saves a named search and re-runs it, recording the run', async () => {
+        const created = await save('alice', { name: 'Invoices', query: 'invoice', sort: 'title' }).expect(201);
+        const id = created.body.saved_search.id;
+        expect(created.body.saved_search).toMatchObject({ name: 'Invoices', query: 'invoice', sort: 'title', is_owner: true });
+
+        const run = await as('alice', request(ctx.app).post(`/api/search/saved/${id}/run`)).send({}).expect(200);
+        expect(run.body.results.map(result => result.title)).toEqual(['Invoice April', 'Invoice March']);
+        expect(run.body.saved_search.id).toBe(id);
+        expect(ctx.db.prepare('SELECT last_run_at FROM saved_searches WHERE id = ?').get(id).last_run_at).not.toBeNull();
+
+        await save('alice', { name: 'Invoices', query: 'memo' }).expect(409);
+    });
+
+    test('rejects searches with a syntax error or neither query nor filters', async () => {
+        const res = await save('alice', { name: 'Broken', query: 'title:(invoice' }).expect(400);
+        expect(res.body.code).toBe('SEARCH_SYNTAX_ERROR');
+
+        await save('alice', { name: 'Empty' }).expect(400);
+        await save('alice', { name: 'Bad facets', query: 'invoice', filters: { facet_filters: { colour: ['red'] } } }).expect(400);
+    });
+
+    test('shares a search with the owner\'s role; only the owner may change or delete it', async () => {
+        const own = await save('alice', { name: 'Private', query: 'memo' }).expect(201);
+        const shared = await save('alice', { name: 'Team', query: 'invoice', share_with_role: true }).expect(201);
+        const sharedId = shared.body.saved_search.id;
+
+        const list = await as('bob', request(ctx.app).get('/api/search/saved')).expect(200);
+        expect(list.body.saved_searches.map(saved => saved.name)).toEqual(['Team']);
+        expect(list.body.saved_searches[0]).toMatchObject({ is_owner: false, owner_name: 'alice' });
+
+        await as('bob', request(ctx.app).get(`/api/search/saved/${own.body.saved_search.id}`)).expect(404);
+        await as('bob', request(ctx.app).post(`/api/search/saved/${sharedId}/run`)).send({}).expect(200);
+        await as('bob', request(ctx.app).put(`/api/search/saved/${sharedId}`)).send({ name: 'Mine' }).expect(403);
+        await as('bob', request(ctx.app).delete(`/api/search/saved/${sharedId}`)).expect(403);
+
+        const updated = await as('alice', request(ctx.app).put(`/api/search/saved/${sharedId}`))
+            .send({ share_with_role: false })
+            .expect(200);
+        expect(updated.body.saved_search.shared_role_id).toBeNull();
+        await as('bob', request(ctx.app).get(`/api/search/saved/${sharedId}`)).expect(404);
+
+        await as('alice', request(ctx.app).delete(`/api/search/saved/${sharedId}`)).expect(200);
+        expect(ctx.db.prepare('SELECT COUNT(*) AS count FROM saved_searches').get().count).toBe(1);
+    });
+
+    test('records searches in the user\'s history and lets them remove entries', async () => {
+        await as('alice', request(ctx.app).get('/api/search').query({ q: 'invoice' })).expect(200);
+        await as('alice', request(ctx.app).get('/api/search').query({ q: 'memo', sort: 'oldest' })).expect(200);
+        await as('bob', request(ctx.app).get('/api/search').query({ q: 'hosting' })).expect(200);
+
+        const recent = await as('alice', request(ctx.app).get('/api/search/recent')).expect(200);
+        expect(recent.body.recent_searches.map(entry => [entry.query, entry.result_count])).toEqual([['memo', 1], ['invoice', 2]]);
+        expect(recent.body.recent_searches[0].filters).toEqual({ sort: 'oldest' });
+
+        await as('bob', request(ctx.app).delete(`/api/search/recent/${recent.body.recent_searches[0].id}`)).expect(404);
+        await as('alice', request(ctx.app).delete(`/api/search/recent/${recent.body.recent_searches[0].id}`)).expect(200);
+        await as('alice', request(ctx.app).delete('/api/search/recent')).expect(200);
+
+        const cleared = await as('alice', request(ctx.app).get('/api/search/recent')).expect(200);
+        expect(cleared.body.recent_searches).toEqual([]);
+        const bobs = await as('bob', request(ctx.app).get('/api/search/recent')).expect(200);
+        expect(bobs.body.recent_searches).toHaveLength(1);
+    });
+
+    test('keeps at most the configured number of history entries per user', () => {
+        for (let index = 0; index < 5; index++) {
+            ctx.models.SearchHistory.record(ctx.users.alice.id, { query: `q${index}` }, 3);
+        }
+
+        expect(ctx.models.SearchHistory.findByUser(ctx.users.alice.id).map(entry => entry.query)).toEqual(['q4', 'q3', 'q2']);
+    });
+});
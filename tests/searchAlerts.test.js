@@ -0,0 +1,126 @@
+// tests/searchAlerts.test.js
+// Saved search subscriptions: queued pages become notifications, emailed right away or as digests
+
+process.env.SMTP_HOST = 'smtp.example.com';
+
+const mockSendMail = jest.fn(async () => ({}));
+jest.mock('nodemailer', () => ({
+    createTransport: jest.fn(() => ({ sendMail: mockSendMail }))
+}));
+
+const request = require('supertest');
+const AlertService = require('../newdms/services/AlertService');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('saved search alerts', () => {
+    let ctx;
+    let savedSearchId;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        AlertService.models = ctx.models;
+        AlertService.isInitialized = true;
+        mockSendMail.mockClear();
+
+        const res = await request(ctx.app)
+            .post('/api/search/saved')
+            .set('Authorization', ctx.auth('alice'))
+            .send({ name: 'Invoices', query: 'invoice', share_with_role: true })
+            .expect(201);
+        savedSearchId = res.body.saved_search.id;
+    });
+
+    afterEach(() => ctx.close());
+
+    const subscribe = (username, body) => request(ctx.app)
+        .put(`/api/search/saved/${savedSearchId}/subscription`)
+        .set('Authorization', ctx.auth(username))
+        .send(body);
+    const notificationsOf = (username) => request(ctx.app)
+        .get('/api/notifications')
+        .set('Authorization', ctx.auth(username))
+        .expect(200)
+        .then(res => res.body);
+
+    test('notifies subscribers once per matching document and emails immediate subscribers', async () => {
+        await subscribe('alice', { frequency: 'immediate' }).expect(201);
+        await subscribe('bob', { email_enabled: false }).expect(201);
+
+        const invoice = await ctx.createDocument('Supplier', [{ text: 'invoice 1' }, { text: 'invoice 2' }]);
+        await ctx.createDocument('Memo', [{ text: 'team memo' }]);
+        await AlertService.runOnce();
+
+        const alice = await notificationsOf('alice');
+        expect(alice.unread_count).toBe(1);
+        expect(alice.notifications[0]).toMatchObject({
+            type: 'search_alert',
+            document_id: invoice.id,
+            message: '"Supplier" in Finance matches on pages 1, 2',
+            email_status: 'sent'
+        });
+        expect(mockSendMail).toHaveBeenCalledTimes(1);
+        expect(mockSendMail.mock.calls[0][0]).toMatchObject({ to: 'alice@example.com', subject: '1 new match for "Invoices"' });
+
+        const bob = await notificationsOf('bob');
+        expect(bob.notifications).toHaveLength(1);
+        expect(bob.notifications[0].email_status).toBeNull();
+
+        // New OCR text on an already reported document does not notify again
+        ctx.db.prepare('UPDATE document_pages SET ocr_text = ? WHERE id = ?').run('invoice again', invoice.pageIds[0]);
+        await AlertService.runOnce();
+        expect((await notificationsOf('alice')).notifications).toHaveLength(1);
+    });
+
+    test('collects digest emails until the period has passed', async () => {
+        await subscribe('alice', { frequency: 'hourly' }).expect(201);
+        await ctx.createDocument('First invoice', [{ text: 'invoice' }]);
+        await ctx.createDocument('Second invoice', [{ text: 'invoice' }]);
+
+        await AlertService.runOnce();
+        expect(mockSendMail).not.toHaveBeenCalled();
+
+        ctx.db.prepare("UPDATE search_subscriptions SET created_at = datetime('now', '-2 hours')").run();
+        await AlertService.runOnce();
+
+        expect(mockSendMail).toHaveBeenCalledTimes(1);
+        expect(mockSendMail.mock.calls[0][0].subject).toBe('Hourly digest: 2 new matches for "Invoices"');
+        const { notifications } = await notificationsOf('alice');
+        expect(notifications.map(notification => notification.email_status)).toEqual(['sent', 'sent']);
+    });
+
+    test('stops alerting inactive subscriptions and users who lost access to the search', async () => {
+        await subscribe('alice', { active: false }).expect(201);
+        await subscribe('bob', {}).expect(201);
+        await request(ctx.app)
+            .put(`/api/search/saved/${savedSearchId}`)
+            .set('Authorization', ctx.auth('alice'))
+            .send({ share_with_role: false })
+            .expect(200);
+
+        await ctx.createDocument('Supplier', [{ text: 'invoice' }]);
+        await AlertService.runOnce();
+
+        expect((await notificationsOf('alice')).notifications).toEqual([]);
+        expect((await notificationsOf('bob')).notifications).toEqual([]);
+    });
+
+    test('lets users read, list unread and delete their own notifications', async () => {
+        await subscribe('alice', { email_enabled: false }).expect(201);
+        await ctx.createDocument('One', [{ text: 'invoice' }]);
+        await ctx.createDocument('Two', [{ text: 'invoice' }]);
+        await AlertService.runOnce();
+
+        const [first, second] = (await notificationsOf('alice')).notifications;
+        await request(ctx.app).post(`/api/notifications/${first.id}/read`).set('Authorization', ctx.auth('bob')).expect(404);
+        const read = await request(ctx.app).post(`/api/notifications/${first.id}/read`).set('Authorization', ctx.auth('alice')).expect(200);
+        expect(read.body.read).toBe(true);
+
+        const unread = await request(ctx.app).get('/api/notifications?unread_only=true').set('Authorization', ctx.auth('alice')).expect(200);
+        expect(unread.body.notifications.map(notification => notification.id)).toEqual([second.id]);
+
+        await request(ctx.app).delete(`/api/notifications/${second.id}`).set('Authorization', ctx.auth('bob')).expect(404);
+        await request(ctx.app).delete(`/api/notifications/${second.id}`).set('Authorization', ctx.auth('alice')).expect(200);
+        await request(ctx.app).delete(`/api/search/saved/${savedSearchId}/subscription`).set('Authorization', ctx.auth('alice')).expect(200);
+        await request(ctx.app).delete(`/api/search/saved/${savedSearchId}/subscription`).set('Authorization', ctx.auth('alice')).expect(404);
+    });
+});
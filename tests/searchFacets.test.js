@@ -0,0 +1,73 @@
+// tests/searchFacets.test.js
+// Facet counts on search results and facet_filters drill-down
+
+const request = require('supertest');
+const { FIELD_TYPES } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('GET /api/search facets', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = createTestApp();
+        const addField = (name, type) => ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type) VALUES (?, ?, ?, ?)
+        `).run(ctx.project.id, name, name.toUpperCase(), type).lastInsertRowid;
+        const statusField = addField('status', FIELD_TYPES.DROPDOWN);
+        const tagsField = addField('labels', FIELD_TYPES.CHECKBOX);
+
+        const addDocument = async (title, { type, createdBy, status, labels, createdAt }) => {
+            const document = await ctx.createDocument(title, [{ text: `quarterly report ${title}` }], { createdBy });
+            ctx.db.prepare('UPDATE documents SET document_type = ?, created_at = ? WHERE id = ?').run(type, createdAt, document.id);
+            ctx.db.prepare('INSERT INTO document_field_values (document_id, field_id, field_value) VALUES (?, ?, ?)')
+                .run(document.id, statusField, status);
+            ctx.db.prepare('INSERT INTO document_field_values (document_id, field_id, field_value) VALUES (?, ?, ?)')
+                .run(document.id, tagsField, JSON.stringify(labels));
+            ctx.models.SearchIndex.rebuild(document.id);
+        };
+
+        await addDocument('Alpha', { type: 'report', createdBy: ctx.users.alice.id, status: 'Open', labels: ['finance', 'q1'], createdAt: '2024-03-02 10:00:00' });
+        await addDocument('Beta', { type: 'report', createdBy: ctx.users.bob.id, status: 'Closed', labels: ['finance'], createdAt: '2024-03-20 10:00:00' });
+        await addDocument('Gamma', { type: 'memo', createdBy: ctx.users.alice.id, status: 'Open', labels: [], createdAt: '2024-04-01 10:00:00' });
+    });
+
+    afterAll(() => ctx.close());
+
+    const search = (query) => request(ctx.app).get('/api/search').query(query).set('Authorization', ctx.auth('alice'));
+    const counts = (facet) => Object.fromEntries(facet.map(entry => [entry.label || entry.value, entry.count]));
+
+    test('counts matching documents per facet value', async () => {
+        const res = await search({ q: 'quarterly' }).expect(200);
+
+        expect(counts(res.body.facets.project)).toEqual({ Finance: 3 });
+        expect(counts(res.body.facets.document_type)).toEqual({ report: 2, memo: 1 });
+        expect(counts(res.body.facets.created_by)).toEqual({ alice: 2, bob: 1 });
+        expect(counts(res.body.facets.created_month)).toEqual({ '2024-03': 2, '2024-04': 1 });
+        expect(counts(res.body.facets.ocr_status)).toEqual({ pending: 3 });
+
+        const fields = Object.fromEntries(res.body.facets.fields.map(field => [field.field_name, counts(field.values)]));
+        expect(fields).toEqual({ status: { Open: 2, Closed: 1 }, labels: { finance: 2, q1: 1 } });
+    });
+
+    test('drills down with facet_filters, keeping the other values of the filtered facet', async () => {
+        const res = await search({
+            q: 'quarterly',
+            facet_filters: JSON.stringify({ document_type: 'report', fields: { status: ['Open'] } })
+        }).expect(200);
+
+        expect(res.body.results.map(result => result.title)).toEqual(['Alpha']);
+        expect(res.body.facet_filters).toEqual({ document_type: ['report'], fields: { status: ['Open'] } });
+        // Each facet is counted without its own filter so the user can switch values
+        expect(counts(res.body.facets.document_type)).toEqual({ report: 1, memo: 1 });
+        expect(counts(res.body.facets.fields.find(field => field.field_name === 'status').values))
+            .toEqual({ Open: 1, Closed: 1 });
+    });
+
+    test('accepts facet filters without a query and rejects malformed ones', async () => {
+        const res = await search({ facet_filters: JSON.stringify({ created_month: ['2024-04'] }) }).expect(200);
+        expect(res.body.results.map(result => result.title)).toEqual(['Gamma']);
+
+        await search({ facet_filters: '{"document_type":' }).expect(400);
+        await search({ facet_filters: JSON.stringify({ colour: ['red'] }) }).expect(400);
+    });
+});
@@ -0,0 +1,106 @@
+// tests/searchIndex.test.js
+// FTS5 index kept in sync by triggers, per-document re-index after field changes, and the admin endpoints
+
+const request = require('supertest');
+const { STATUS } = require('../newdms/config/constants');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('search index', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => ctx.close());
+
+    const matches = (query) => ctx.db.prepare('SELECT rowid FROM document_fts WHERE document_fts MATCH ? ORDER BY rowid')
+        .all(query).map(row => row.rowid);
+
+    const addField = (documentId, name, value) => {
+        const fieldId = ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type) VALUES (?, ?, ?, 'text')
+        `).run(ctx.project.id, name, name).lastInsertRowid;
+        ctx.db.prepare('INSERT INTO document_field_values (document_id, field_id, field_value) VALUES (?, ?, ?)')
+            .run(documentId, fieldId, value);
+    };
+
+    test('indexes new pages and follows OCR text, title and status changes', async () => {
+        const document = await ctx.createDocument('Lease agreement', [{ text: 'monthly rent' }, { text: 'deposit' }]);
+        const [first, second] = document.pageIds;
+
+        expect(matches('rent')).toEqual([first]);
+        expect(matches('lease')).toEqual([first, second]);
+
+        ctx.models.DocumentPage.updateOCRData(second, 'security deposit returned', 90);
+        expect(matches('returned')).toEqual([second]);
+
+        ctx.db.prepare('UPDATE documents SET title = ? WHERE id = ?').run('Rental contract', document.id);
+        expect(matches('lease')).toEqual([]);
+        expect(matches('contract')).toEqual([first, second]);
+
+        ctx.db.prepare('UPDATE document_pages SET status = ? WHERE id = ?').run(STATUS.DELETED, first);
+        expect(matches('rent')).toEqual([]);
+
+        ctx.db.prepare('UPDATE documents SET status = ? WHERE id = ?').run(STATUS.DELETED, document.id);
+        expect(matches('contract')).toEqual([]);
+        expect(ctx.models.SearchIndex.checkConsistency().in_sync).toBe(true);
+    });
+
+    test('re-indexes a document\'s pages once after its index field values are saved', async () => {
+        const document = await ctx.createDocument('Invoice', [{ text: 'page one' }, { text: 'page two' }]);
+        addField(document.id, 'vendor', 'Acme');
+        addField(document.id, 'reference', 'INV-2041');
+
+        // Saving fields does not touch the index row by row
+        expect(matches('acme')).toEqual([]);
+        expect(ctx.models.SearchIndex.checkConsistency()).toMatchObject({ in_sync: false, stale_count: 2 });
+
+        expect(ctx.models.SearchIndex.rebuild(document.id)).toBe(2);
+        expect(matches('acme')).toEqual(document.pageIds);
+        expect(matches('index_values:"INV 2041"')).toEqual(document.pageIds);
+        expect(ctx.models.SearchIndex.checkConsistency().in_sync).toBe(true);
+    });
+
+    test('reports drift and repairs it through the admin endpoints', async () => {
+        const document = await ctx.createDocument('Payroll', [{ text: 'salary' }, { text: 'bonus' }]);
+        ctx.db.prepare('DELETE FROM document_fts WHERE rowid = ?').run(document.pageIds[0]);
+        ctx.db.prepare('INSERT INTO document_fts (rowid, document_title, index_values, page_text, document_id, project_id) VALUES (999, ?, ?, ?, ?, ?)')
+            .run('Ghost', '', 'gone', document.id, ctx.project.id);
+
+        const check = await request(ctx.app)
+            .get('/api/admin/search/consistency')
+            .set('Authorization', ctx.auth('admin'))
+            .expect(200);
+        expect(check.body).toMatchObject({ in_sync: false, missing: [document.pageIds[0]], orphaned: [999], stale_count: 0 });
+
+        await request(ctx.app).post('/api/admin/search/reindex').set('Authorization', ctx.auth('alice')).expect(403);
+
+        const rebuilt = await request(ctx.app)
+            .post('/api/admin/search/reindex')
+            .set('Authorization', ctx.auth('admin'))
+            .expect(200);
+        expect(rebuilt.body).toMatchObject({ indexed_pages: 2, consistency: { in_sync: true } });
+        expect(matches('salary')).toEqual([document.pageIds[0]]);
+
+        await request(ctx.app)
+            .post('/api/admin/search/reindex')
+            .send({ document_id: 9999 })
+            .set('Authorization', ctx.auth('admin'))
+            .expect(404);
+    });
+
+    test('searches only the projects the user can access', async () => {
+        const document = await ctx.createDocument('Budget', [{ text: 'forecast figures' }]);
+        const otherProjectId = ctx.db.prepare('INSERT INTO projects (name, status, created_by) VALUES (?, ?, ?)')
+            .run('Legal', STATUS.ACTIVE, ctx.users.admin.id).lastInsertRowid;
+        const hidden = await ctx.createDocument('Hidden budget', [{ text: 'forecast secrets' }]);
+        ctx.db.prepare('UPDATE documents SET project_id = ? WHERE id = ?').run(otherProjectId, hidden.id);
+
+        const mine = ctx.models.SearchIndex.search({ query: 'forecast', projectIds: ctx.models.getAccessibleProjectIds(ctx.users.alice.id) });
+        expect(mine.results.map(result => result.document_id)).toEqual([document.id]);
+
+        const all = ctx.models.SearchIndex.search({ query: 'forecast', projectIds: ctx.models.getAccessibleProjectIds(ctx.users.admin.id) });
+        expect(all.total).toBe(2);
+    });
+});
@@ -0,0 +1,126 @@
+// tests/searchQuery.test.js
+// Search query language: parsing, compiling to FTS and SQL, and the search endpoint
+
+const request = require('supertest');
+const { createTestApp } = require('./helpers/testApp');
+const { SearchQueryService } = require('../newdms/services');
+
+const syntaxError = (query) => {
+    try {
+        SearchQueryService.compile(SearchQueryService.parse(query));
+    } catch (error) {
+        return error;
+    }
+    return null;
+};
+
+describe('search query parser', () => {
+    test('parses terms, phrases and prefix wildcards as an implicit AND', () => {
+        expect(SearchQueryService.parse('invoice "late payment" pay*')).toEqual({
+            type: 'and',
+            children: [
+                { type: 'term', value: 'invoice', prefix: false },
+                { type: 'phrase', value: 'late payment', prefix: false },
+                { type: 'term', value: 'pay', prefix: true }
+            ]
+        });
+    });
+
+    test('parses boolean operators', () => {
+        expect(SearchQueryService.parse('a OR NOT b')).toEqual({
+            type: 'or',
+            children: [
+                { type: 'term', value: 'a', prefix: false },
+                { type: 'not', child: { type: 'term', value: 'b', prefix: false } }
+            ]
+        });
+    });
+
+    test('parses field comparisons, ranges and filters', () => {
+        expect(SearchQueryService.parse('amount:>500')).toMatchObject({ type: 'field', name: 'amount', operator: '>', value: '500' });
+        expect(SearchQueryService.parse('date:2024-01..2024-06')).toMatchObject({
+            type: 'field', name: 'date', operator: 'range', from: '2024-01', to: '2024-06'
+        });
+        expect(SearchQueryService.parse('type:invoice')).toMatchObject({ type: 'filter', name: 'type', operator: '=', value: 'invoice' });
+    });
+
+    test.each([
+        ['(a', 'Missing closing parenthesis'],
+        ['"open', 'Unterminated quoted phrase'],
+        ['a OR', 'Expected a term after OR']
+    ])('rejects %s as a syntax error', (query, message) => {
+        const error = syntaxError(query);
+        expect(error).toMatchObject({ code: 'SEARCH_SYNTAX_ERROR', status: 400 });
+        expect(error.message).toContain(message);
+    });
+});
+
+describe('search query compiler', () => {
+    test('turns text into an FTS match and fields and filters into SQL conditions', () => {
+        const compiled = SearchQueryService.compile(SearchQueryService.parse('invoice -draft amount:>500 type:invoice'), {
+            fields: [{ field_name: 'amount', field_type: 'number' }]
+        });
+
+        expect(compiled.match).toBe('("invoice") NOT ("draft")');
+        expect(compiled.conditions).toHaveLength(2);
+        expect(compiled.params).toEqual(expect.arrayContaining(['amount', 500, 'invoice']));
+    });
+
+    test('keeps text to the allowed columns', () => {
+        const compiled = SearchQueryService.compile(SearchQueryService.parse('invoice'), { columns: ['document_title', 'index_values'] });
+        expect(compiled.match).toContain('document_title');
+        expect(compiled.match).not.toContain('page_text');
+    });
+
+    test('rejects unknown fields and malformed comparisons', () => {
+        expect(syntaxError('colour:red')).toMatchObject({ code: 'SEARCH_SYNTAX_ERROR' });
+        expect(syntaxError('created:yesterday')).toMatchObject({ code: 'SEARCH_SYNTAX_ERROR' });
+    });
+});
+
+describe('GET /api/search', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = createTestApp();
+        const amountField = ctx.db.prepare(`
+            INSERT INTO project_fields (project_id, field_name, field_label, field_type) VALUES (?, 'amount', 'Amount', 'number')
+        `).run(ctx.project.id).lastInsertRowid;
+
+        const addDocument = async (title, text, amount, documentType) => {
+            const document = await ctx.createDocument(title, [{ text }]);
+            ctx.db.prepare('UPDATE documents SET document_type = ? WHERE id = ?').run(documentType, document.id);
+            ctx.db.prepare('INSERT INTO document_field_values (document_id, field_id, field_value) VALUES (?, ?, ?)')
+                .run(document.id, amountField, String(amount));
+            ctx.models.SearchIndex.rebuild(document.id);
+        };
+
+        await addDocument('Invoice 1001', 'Office chairs, payment due in March', 1200, 'invoice');
+        await addDocument('Invoice 1002', 'Printer paper, payment due in March', 80, 'invoice');
+        await addDocument('March memo', 'Lunch menu for March', 0, 'memo');
+    });
+
+    afterAll(() => ctx.close());
+
+    const search = (query) => request(ctx.app).get('/api/search').query(query).set('Authorization', ctx.auth('alice'));
+    const titles = (res) => res.body.results.map(result => result.title).sort();
+
+    test('finds documents by their page text', async () => {
+        const res = await search({ q: 'march' });
+        expect(res.status).toBe(200);
+        expect(titles(res)).toEqual(['Invoice 1001', 'Invoice 1002', 'March memo']);
+    });
+
+    test('combines text with index field comparisons and document filters', async () => {
+        expect(titles(await search({ q: 'march amount:>500' }))).toEqual(['Invoice 1001']);
+        expect(titles(await search({ q: 'march NOT type:invoice' }))).toEqual(['March memo']);
+        expect(titles(await search({ q: 'payment', document_type: 'invoice' }))).toEqual(['Invoice 1001', 'Invoice 1002']);
+        expect(titles(await search({ q: 'title:memo OR chairs' }))).toEqual(['Invoice 1001', 'March memo']);
+    });
+
+    test('answers a malformed query with a 400 syntax error and its position', async () => {
+        const res = await search({ q: 'march AND (payment' });
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ code: 'SEARCH_SYNTAX_ERROR', position: expect.any(Number) });
+    });
+});
@@ -0,0 +1,111 @@
+// tests/tagsFolders.test.js
+// Project tags and nested folders: managing them, bulk tagging and moves, and filtering by them
+
+const request = require('supertest');
+const { createTestApp } = require('./helpers/testApp');
+
+describe('tags and folders', () => {
+    let ctx;
+    let invoice;
+    let contract;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        invoice = await ctx.createDocument('Invoice 1001', [{ text: 'Office chairs' }]);
+        contract = await ctx.createDocument('Supply contract', [{ text: 'Office supplies' }]);
+        ctx.models.SearchIndex.rebuild(invoice.id);
+        ctx.models.SearchIndex.rebuild(contract.id);
+    });
+
+    afterEach(() => ctx.close());
+
+    const api = (method, url, username = 'alice') => request(ctx.app)[method](url).set('Authorization', ctx.auth(username));
+    const createFolder = async (name, parentId = null) => {
+        const res = await api('post', '/api/folders').send({ project_id: ctx.project.id, parent_id: parentId, name });
+        expect(res.status).toBe(201);
+        return res.body.folder;
+    };
+    const listTitles = async (query) => {
+        const res = await api('get', '/api/documents').query({ project_id: ctx.project.id, ...query }).expect(200);
+        return res.body.documents.map(document => document.title).sort();
+    };
+
+    test('bulk tagging creates missing tags and the list filters on every tag given', async () => {
+        const tagged = await api('post', '/api/documents/bulk/tags')
+            .send({ document_ids: [invoice.id, contract.id], add: ['2024', 'urgent'] })
+            .expect(200);
+        expect(tagged.body).toMatchObject({ documents: 2, added: 4, removed: 0, rejected: [] });
+
+        await api('post', '/api/documents/bulk/tags').send({ document_ids: [contract.id], remove: ['urgent'] }).expect(200);
+
+        expect(await listTitles({ tag: '2024' })).toEqual(['Invoice 1001', 'Supply contract']);
+        expect(await listTitles({ tag: ['2024', 'urgent'] })).toEqual(['Invoice 1001']);
+
+        const tags = await api('get', '/api/tags').query({ project_id: ctx.project.id, q: 'ur' }).expect(200);
+        expect(tags.body.tags).toEqual([expect.objectContaining({ name: 'urgent', document_count: 1 })]);
+    });
+
+    test('rejects a duplicate tag name and a malformed color', async () => {
+        await api('post', '/api/tags').send({ project_id: ctx.project.id, name: 'Urgent' }).expect(201);
+        await api('post', '/api/tags').send({ project_id: ctx.project.id, name: 'urgent' }).expect(409);
+        await api('post', '/api/tags').send({ project_id: ctx.project.id, name: 'Late', color: 'red' }).expect(400);
+    });
+
+    test('nests folders, refuses cycles and lists documents with their subfolders', async () => {
+        const contracts = await createFolder('Contracts');
+        const year = await createFolder('2024', contracts.id);
+        await api('post', '/api/folders').send({ project_id: ctx.project.id, parent_id: contracts.id, name: '2024' }).expect(409);
+        await api('put', `/api/folders/${contracts.id}`).send({ parent_id: year.id }).expect(400);
+
+        const moved = await api('post', '/api/documents/bulk/move').send({ document_ids: [contract.id], folder_id: year.id }).expect(200);
+        expect(moved.body).toMatchObject({ moved: 1, rejected: [] });
+
+        expect(await listTitles({ folder_id: contracts.id })).toEqual([]);
+        expect(await listTitles({ folder_id: contracts.id, include_subfolders: true })).toEqual(['Supply contract']);
+        expect(await listTitles({ folder_id: 'none' })).toEqual(['Invoice 1001']);
+
+        const tree = await api('get', '/api/folders').query({ project_id: ctx.project.id }).expect(200);
+        expect(tree.body.folders).toEqual([expect.objectContaining({
+            name: 'Contracts',
+            children: [expect.objectContaining({ name: '2024', children: [] })]
+        })]);
+    });
+
+    test('deleting a folder moves its documents and subfolders up to the parent', async () => {
+        const contracts = await createFolder('Contracts');
+        const year = await createFolder('2024', contracts.id);
+        const signed = await createFolder('Signed', year.id);
+        await api('post', '/api/documents/bulk/move').send({ document_ids: [contract.id], folder_id: year.id }).expect(200);
+
+        const res = await api('delete', `/api/folders/${year.id}`).expect(200);
+        expect(res.body).toMatchObject({ documents_moved: 1, folders_moved: 1 });
+        expect(ctx.models.Document.findById(contract.id).folder_id).toBe(contracts.id);
+        expect(ctx.models.Folder.findById(signed.id).parent_id).toBe(contracts.id);
+    });
+
+    test('skips and reports documents checked out by someone else in bulk changes', async () => {
+        const archive = await createFolder('Archive');
+        await api('post', `/api/documents/${contract.id}/checkout`, 'bob').send({}).expect(200);
+
+        const tagged = await api('post', '/api/documents/bulk/tags').send({ document_ids: [invoice.id, contract.id], add: ['reviewed'] });
+        expect(tagged.body).toMatchObject({ documents: 1, rejected: [{ id: contract.id, code: 'DOCUMENT_LOCKED' }] });
+
+        const moved = await api('post', '/api/documents/bulk/move').send({ document_ids: [invoice.id, contract.id], folder_id: archive.id });
+        expect(moved.body).toMatchObject({ moved: 1, rejected: [{ id: contract.id, code: 'DOCUMENT_LOCKED' }] });
+        expect(ctx.models.Document.findById(contract.id).folder_id).toBeNull();
+    });
+
+    test('filters search results by tag and folder', async () => {
+        const contracts = await createFolder('Contracts');
+        await api('post', '/api/documents/bulk/move').send({ document_ids: [contract.id], folder_id: contracts.id }).expect(200);
+        await api('post', '/api/documents/bulk/tags').send({ document_ids: [invoice.id], add: ['urgent'] }).expect(200);
+
+        const search = async (query) => {
+            const res = await api('get', '/api/search').query(query).expect(200);
+            return res.body.results.map(result => result.title);
+        };
+        expect(await search({ q: 'office tag:urgent' })).toEqual(['Invoice 1001']);
+        expect(await search({ q: 'office folder:Contracts' })).toEqual(['Supply contract']);
+        expect(await search({ q: 'office', folder_id: contracts.id })).toEqual(['Supply contract']);
+    });
+});